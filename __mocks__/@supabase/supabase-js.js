@@ -0,0 +1,100 @@
+// Stand-in for @supabase/supabase-js, used by Jest in place of the real client.
+// Queries are recorded instead of sent, and tests answer them:
+//
+//   supabaseStub.respond('email_logs', { data: [] })            every query on the table
+//   supabaseStub.respondOnce('rpc:claim_email_queue', { data })  the next one only
+//   supabaseStub.respond('email_jobs', query => ({ data }))      from the query itself
+//
+// Anything unanswered resolves to { data: null, error: null }.
+
+const handlers = [];
+const queries = [];
+
+class Query {
+  constructor(table) {
+    this.table = table;
+    this.calls = [];
+  }
+
+  // Arguments of the first call to `method`, e.g. query.args('eq')
+  args(method) {
+    return this.calls.find(([name]) => name === method)?.slice(1);
+  }
+
+  // Arguments of every call to `method`
+  all(method) {
+    return this.calls.filter(([name]) => name === method).map(call => call.slice(1));
+  }
+
+  // What the query does: insert, update, upsert, delete, rpc, a storage call or select
+  get action() {
+    const actions = ['insert', 'update', 'upsert', 'delete', 'rpc', 'upload', 'download', 'remove'];
+    return this.calls.find(([name]) => actions.includes(name))?.[0] || 'select';
+  }
+
+  // The value passed to insert/update/upsert
+  get values() {
+    return this.args(this.action)?.[0];
+  }
+
+  answer() {
+    const once = handlers.findIndex(handler => handler.once && handler.table === this.table);
+    const handler = once >= 0
+      ? handlers.splice(once, 1)[0]
+      : [...handlers].reverse().find(entry => !entry.once && entry.table === this.table);
+
+    const result = typeof handler?.result === 'function' ? handler.result(this) : handler?.result;
+    return { data: null, error: null, ...result };
+  }
+}
+
+// Every builder method records itself and returns the query; awaiting it answers
+function builder(table, firstCall) {
+  const query = new Query(table);
+  if (firstCall) query.calls.push(firstCall);
+  queries.push(query);
+
+  const proxy = new Proxy(query, {
+    get(target, property) {
+      if (property === 'then') {
+        return (resolve, reject) => Promise.resolve(target.answer()).then(resolve, reject);
+      }
+      if (property in target) return target[property];
+      return (...args) => {
+        target.calls.push([property, ...args]);
+        return proxy;
+      };
+    }
+  });
+  return proxy;
+}
+
+export const supabaseStub = {
+  queries,
+
+  respond(table, result) {
+    handlers.push({ table, result, once: false });
+  },
+
+  respondOnce(table, result) {
+    handlers.push({ table, result, once: true });
+  },
+
+  // Recorded queries on a table, optionally only one kind (e.g. 'update')
+  on(table, action) {
+    return queries.filter(query => query.table === table && (!action || query.action === action));
+  },
+
+  reset() {
+    handlers.length = 0;
+    queries.length = 0;
+  }
+};
+
+export function createClient() {
+  return {
+    from: table => builder(table),
+    rpc: (name, params) => builder(`rpc:${name}`, ['rpc', params]),
+    storage: { from: bucket => builder(`storage:${bucket}`) }
+  };
+}
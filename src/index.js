@@ -8,6 +8,46 @@ import { createClient } from '@supabase/supabase-js';
 import emailRoutes from './routes/email.js';
 import campaignRoutes from './routes/campaigns.js';
 import purchaseRoutes from './routes/purchases.js';
+import trackingRoutes from './routes/tracking.js';
+import webhookRoutes from './routes/webhooks.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
+import domainRoutes from './routes/domains.js';
+import sequenceRoutes from './routes/sequences.js';
+import { emailService } from './services/emailService.js';
+import { InboundSmtpServer } from './services/inboundSmtp.js';
+import { INBOUND_MAX_BYTES } from './services/inboundEmail.js';
+import { ATTACHMENT_MAX_BYTES, MESSAGE_ATTACHMENTS_MAX_BYTES } from './services/attachments.js';
+import { isEncryptionConfigured } from './lib/crypto.js';
+import { idempotent } from './services/idempotency.js';
+import { lintEmail, UNSUBSCRIBE_PLACEHOLDER } from './services/contentLint.js';
+import { fireTrigger } from './services/sequences.js';
+import { actorFor, recordCampaignChange, listCampaignChanges } from './services/campaignAudit.js';
+import { validateAbTest, campaignVariants } from './services/abTesting.js';
+import {
+  listSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  validateSegment,
+  validateFilter,
+  previewSegment,
+  campaignAudience
+} from './services/segments.js';
+import {
+  listAliases,
+  createAlias,
+  updateAlias,
+  deleteAlias,
+  validateAlias,
+  listSignatures,
+  createSignature,
+  updateSignature,
+  deleteSignature,
+  validateSignature
+} from './services/aliases.js';
+import { unsubscribeFor, isUnsubscribeConfigured } from './services/unsubscribe.js';
+import { compile, loadPartials, validateTemplate } from './services/templateEngine.js';
 
 dotenv.config();
 
@@ -70,7 +110,29 @@ app.use(cors({
   ],
   credentials: true
 }));
-app.use(express.json());
+// Postal delivers inbound mail base64-encoded in JSON, well past the default limit
+app.use('/api/webhooks/inbound', express.json({
+  limit: Math.ceil(INBOUND_MAX_BYTES * 1.4),
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Sends can carry base64 attachments; uploads are JSON or the raw file
+app.use(['/api/emails/send', '/api/emails/bulk', '/api/emails/attachments'], express.json({
+  limit: Math.ceil(MESSAGE_ATTACHMENTS_MAX_BYTES * 1.4)
+}));
+app.use('/api/emails/attachments', express.raw({
+  type: (req) => !req.is('application/json'),
+  limit: ATTACHMENT_MAX_BYTES
+}));
+
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // API Key authentication middleware
 const authenticateAPI = (req, res, next) => {
@@ -87,8 +149,19 @@ app.get('/health', (req, res) => {
 });
 
 // Email routes
+app.use('/api/emails/domains', domainRoutes);
+app.use('/api/emails/sequences', sequenceRoutes);
 app.use('/api/emails', emailRoutes);
 
+// Open/click tracking (public, hit by mail clients)
+app.use('/api/t', trackingRoutes);
+
+// Bounce and complaint webhooks (signed by the provider)
+app.use('/api/webhooks', webhookRoutes);
+
+// Signed unsubscribe links and one-click unsubscribe (public)
+app.use('/api/unsubscribe', unsubscribeRoutes);
+
 // Campaign and purchase routes
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/purchases', purchaseRoutes);
@@ -124,6 +197,11 @@ app.post('/api/contacts', authenticateAPI, async (req, res) => {
       .single();
 
     if (error) throw error;
+
+    // Drip sequences listening for new contacts
+    fireTrigger('contact_created', data);
+    if (data.tags?.length > 0) fireTrigger('tag_added', data, { tags: data.tags });
+
     res.json(data);
   } catch (error) {
     console.error('Error creating contact:', error);
@@ -171,6 +249,17 @@ app.get('/api/contacts/:id', authenticateAPI, async (req, res) => {
 // Update contact
 app.put('/api/contacts/:id', authenticateAPI, async (req, res) => {
   try {
+    // Tags before the update, to tell which ones are new
+    let previousTags = null;
+    if (Array.isArray(req.body.tags)) {
+      const { data: previous } = await supabase
+        .from('contacts')
+        .select('tags')
+        .eq('id', req.params.id)
+        .maybeSingle();
+      previousTags = previous?.tags || [];
+    }
+
     const { data, error } = await supabase
       .from('contacts')
       .update(req.body)
@@ -179,6 +268,12 @@ app.put('/api/contacts/:id', authenticateAPI, async (req, res) => {
       .single();
     
     if (error) throw error;
+
+    if (previousTags) {
+      const added = (data.tags || []).filter(tag => !previousTags.includes(tag));
+      if (added.length > 0) fireTrigger('tag_added', data, { tags: added });
+    }
+
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -314,83 +409,16 @@ app.post('/api/onboarding/steps/:stepId/complete', authenticateAPI, async (req,
       .single();
     
     if (error) throw error;
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
 
-// Email API (using Resend)
-app.post('/api/emails/send', authenticateAPI, async (req, res) => {
-  try {
-    const { templateId, to, variables, from = 'noreply@bowerycreativeagency.com' } = req.body;
-    
-    if (!process.env.RESEND_API_KEY) {
-      return res.status(500).json({ error: 'Email service not configured' });
-    }
-    
-    // Get template from database
-    const { data: template, error: templateError } = await supabase
-      .from('email_templates')
+    const { data: contact } = await supabase
+      .from('contacts')
       .select('*')
-      .eq('id', templateId)
-      .single();
-    
-    if (templateError || !template) {
-      return res.status(404).json({ error: 'Email template not found' });
-    }
-    
-    // Replace variables in template
-    let htmlContent = template.html_content;
-    let textContent = template.text_content || '';
-    let subject = template.subject;
-    
-    Object.entries(variables || {}).forEach(([key, value]) => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      htmlContent = htmlContent.replace(regex, value);
-      textContent = textContent.replace(regex, value);
-      subject = subject.replace(regex, value);
-    });
-    
-    // Send via Resend
-    const response = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from,
-        to: Array.isArray(to) ? to : [to],
-        subject,
-        html: htmlContent,
-        text: textContent
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Failed to send email');
-    }
-    
-    // Log email sent
-    await supabase.from('communication_logs').insert({
-      type: 'email',
-      direction: 'outgoing',
-      subject,
-      content: htmlContent,
-      from_email: from,
-      to_email: Array.isArray(to) ? to[0] : to,
-      status: 'sent',
-      email_provider_id: data.id,
-      template_used: templateId,
-      is_automated: true
-    });
-    
-    res.json({ success: true, messageId: data.id });
+      .eq('id', data.contact_id)
+      .maybeSingle();
+    if (contact) fireTrigger('onboarding_step_completed', contact, { stepName: data.step_name });
+
+    res.json(data);
   } catch (error) {
-    console.error('Error sending email:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -480,6 +508,48 @@ const getClientContext = async (req, res, next) => {
 };
 
 // Email Campaign Endpoints
+
+// Variables available to client campaign content
+const campaignVariables = ['recipient_name', 'email', 'client_name', 'unsubscribe_link'];
+
+// Pre-send lint fetches every link unless CONTENT_LINT_CHECK_LINKS=false
+const lintChecksLinks = process.env.CONTENT_LINT_CHECK_LINKS !== 'false';
+
+// Lint a campaign as a sample recipient would get it. An A/B test is
+// judged by its worst variant, with every variant's score alongside.
+async function lintCampaign(campaign, client, partials, { links = lintChecksLinks } = {}) {
+  const sample = {
+    recipient_name: 'Sample Recipient',
+    email: 'recipient@example.com',
+    client_name: client.name,
+    unsubscribe_link: UNSUBSCRIBE_PLACEHOLDER
+  };
+
+  const lintContent = (content) => lintEmail({
+    subject: compile(content.subject || '', { escape: false, partials })(sample),
+    html: compile(content.html_content || '', { partials })(sample),
+    text: compile(content.text_content || '', { escape: false, partials })(sample)
+  }, { links });
+
+  const variants = campaignVariants(campaign);
+  if (variants.length === 0) return lintContent(campaign);
+
+  const reports = [];
+  for (const variant of variants) {
+    reports.push({ variant: variant.key, ...(await lintContent(variant)) });
+  }
+
+  const worst = reports.reduce((a, b) => (b.score > a.score ? b : a));
+  return {
+    ...worst,
+    variants: reports.map(({ variant, score, blocked }) => ({ variant, score, blocked }))
+  };
+}
+
+// Subjects and bodies of a campaign and all of its variants
+const campaignContent = (campaign) => [campaign, ...campaignVariants(campaign)]
+  .flatMap(content => [content.subject, content.html_content, content.text_content]);
+
 app.get('/api/email/campaigns', authenticateAPI, getClientContext, async (req, res) => {
   try {
     const { status, type } = req.query;
@@ -503,6 +573,15 @@ app.get('/api/email/campaigns', authenticateAPI, getClientContext, async (req, r
 
 app.post('/api/email/campaigns', authenticateAPI, getClientContext, async (req, res) => {
   try {
+    if (req.body.segment_id && !(await getSegment(req.body.segment_id, req.client.id))) {
+      return res.status(422).json({ error: 'segment_id is not one of this client\'s segments' });
+    }
+
+    const abErrors = validateAbTest(req.body);
+    if (abErrors.length > 0) {
+      return res.status(422).json({ error: 'Invalid A/B test', details: abErrors });
+    }
+
     const campaignData = {
       ...req.body,
       client_id: req.client.id,
@@ -522,10 +601,10 @@ app.post('/api/email/campaigns', authenticateAPI, getClientContext, async (req,
   }
 });
 
-app.post('/api/email/campaigns/:id/send', authenticateAPI, getClientContext, async (req, res) => {
+app.post('/api/email/campaigns/:id/send', authenticateAPI, getClientContext, idempotent(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { test_email } = req.body;
+    const { test_email, override_lint = false, send_at, variant } = req.body;
     
     // Get campaign
     const { data: campaign, error: campaignError } = await supabase
@@ -538,92 +617,120 @@ app.post('/api/email/campaigns/:id/send', authenticateAPI, getClientContext, asy
     if (campaignError || !campaign) {
       return res.status(404).json({ error: 'Campaign not found' });
     }
-    
-    // Get recipients based on segment
-    let recipients = [];
-    if (test_email) {
-      recipients = [{ email: test_email, name: 'Test User' }];
-    } else {
-      const { data: contacts } = await supabase
-        .from('client_contacts')
-        .select('*')
-        .eq('client_id', req.client.id)
-        .eq('status', 'subscribed');
-      
-      recipients = contacts || [];
+
+    // The content may only use the variables filled in below
+    const partials = await loadPartials();
+    const validation = validateTemplate(campaignContent(campaign), { variables: campaignVariables, partials });
+
+    if (!validation.valid) {
+      return res.status(422).json({ error: 'Campaign template variables are invalid', ...validation });
     }
-    
-    // Send emails
-    const sendPromises = recipients.map(async (recipient) => {
-      const variables = {
-        recipient_name: recipient.name,
-        client_name: req.client.name,
-        unsubscribe_link: `https://bowerycreativeagency.com/unsubscribe?email=${recipient.email}`
-      };
-      
-      try {
-        const response = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            from: campaign.from_email || `${req.client.name} <noreply@bowerycreativeagency.com>`,
-            to: recipient.email,
-            subject: campaign.subject,
-            html: replaceVariables(campaign.html_content, variables),
-            text: replaceVariables(campaign.text_content || '', variables)
-          })
-        });
-        
-        const result = await response.json();
-        
-        // Log each email
-        await supabase.from('email_campaign_logs').insert({
-          campaign_id: campaign.id,
-          recipient_email: recipient.email,
-          status: response.ok ? 'sent' : 'failed',
-          message_id: result.id,
-          error: !response.ok ? result.message : null
+
+    // Content gate: a score at or over the threshold blocks the real send
+    // (test sends go through) unless override_lint is set
+    const lint = await lintCampaign(campaign, req.client, partials);
+
+    if (lint.blocked && !test_email && override_lint !== true) {
+      return res.status(422).json({
+        error: `Campaign failed the pre-send content check (score ${lint.score}, threshold ${lint.threshold}); fix the issues or send with override_lint: true`,
+        lint
+      });
+    }
+
+    // The real send runs in the background (at send_at, if given); follow it on /progress
+    if (!test_email) {
+      if (campaign.status === 'cancelled') {
+        return res.status(409).json({ error: 'Campaign was cancelled' });
+      }
+
+      if (send_at !== undefined && !(new Date(send_at) > new Date())) {
+        return res.status(422).json({ error: 'send_at must be a valid time in the future' });
+      }
+
+      const delivery = await emailService.deliveries.enqueue(campaign, {
+        sendAt: send_at ? new Date(send_at).toISOString() : null
+      });
+
+      if (!delivery) {
+        return res.status(409).json({
+          error: 'Campaign is already being delivered (resume it if it is paused)',
+          progress: await emailService.deliveries.getProgress(campaign.id)
         });
-        
-        return { email: recipient.email, success: response.ok };
-      } catch (error) {
-        return { email: recipient.email, success: false, error: error.message };
       }
+
+      return res.status(202).json({
+        success: true,
+        status: delivery.status,
+        delivery_id: delivery.id,
+        send_at: delivery.send_at,
+        progress_url: `/api/email/campaigns/${campaign.id}/progress`,
+        lint: { ...lint, overridden: lint.blocked }
+      });
+    }
+
+    // A test goes out straight away and isn't logged against the campaign,
+    // so it never counts as delivered when the real send resumes. An A/B
+    // test sends the `variant` asked for (the first one by default).
+    const variants = campaignVariants(campaign);
+    const content = variant === undefined ? (variants[0] || campaign) : variants.find(({ key }) => key === variant);
+
+    if (!content) {
+      return res.status(422).json({ error: `Campaign has no variant "${variant}"` });
+    }
+
+    const unsubscribe = unsubscribeFor({
+      email: test_email,
+      clientId: req.client.id,
+      campaignId: campaign.id
     });
-    
-    const results = await Promise.all(sendPromises);
-    const successCount = results.filter(r => r.success).length;
-    
-    // Update campaign status
-    if (!test_email) {
-      await supabase
-        .from('email_campaigns')
-        .update({
-          status: 'sent',
-          sent_at: new Date().toISOString(),
-          recipient_count: recipients.length,
-          success_count: successCount
-        })
-        .eq('id', campaign.id);
+
+    const variables = {
+      recipient_name: 'Test User',
+      email: test_email,
+      client_name: req.client.name,
+      unsubscribe_link: unsubscribe.url
+    };
+
+    let result;
+    try {
+      result = await emailService.sendEmail({
+        from: campaign.from_email || `${req.client.name} <noreply@bowerycreativeagency.com>`,
+        to: test_email,
+        subject: compile(content.subject, { escape: false, partials })(variables),
+        html: compile(content.html_content, { partials })(variables),
+        text: compile(content.text_content || '', { escape: false, partials })(variables) || undefined,
+        headers: unsubscribe.headers,
+        campaignId: campaign.id,
+        clientId: req.client.id,
+        transports: emailService.deliveries.transportOrder
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
     }
-    
+
     // Log usage
     await supabase.from('usage_logs').insert({
       client_id: req.client.id,
       service_type: 'email',
-      action: test_email ? 'test_email' : 'campaign_sent',
-      quantity: recipients.length,
+      action: 'test_email',
+      quantity: 1,
       metadata: { campaign_id: campaign.id }
     });
-    
+
     res.json({
       success: true,
-      sent_count: successCount,
-      failed_count: results.length - successCount,
-      results: results
+      sent_count: result.success ? 1 : 0,
+      skipped_count: result.skipped ? 1 : 0,
+      failed_count: !result.success && !result.skipped ? 1 : 0,
+      results: [{
+        email: test_email,
+        success: Boolean(result.success),
+        ...(content !== campaign && { variant: content.key }),
+        ...(result.skipped && { skipped: true, reason: result.reason }),
+        ...(result.sentBy && { sentBy: result.sentBy }),
+        ...(result.error && { error: result.error })
+      }],
+      lint: { ...lint, overridden: false }
     });
     
   } catch (error) {
@@ -632,15 +739,309 @@ app.post('/api/email/campaigns/:id/send', authenticateAPI, getClientContext, asy
   }
 });
 
-// Helper function to replace variables
-function replaceVariables(content, variables) {
-  let result = content;
-  Object.entries(variables).forEach(([key, value]) => {
-    result = result.replace(new RegExp(`{{${key}}}`, 'g'), value);
+
+// Content lint report for a campaign, without sending
+app.post('/api/email/campaigns/:id/lint', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const { data: campaign, error } = await supabase
+      .from('email_campaigns')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('client_id', req.client.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const links = req.body?.check_links ?? lintChecksLinks;
+    res.json(await lintCampaign(campaign, req.client, await loadPartials(), { links: links !== false }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery progress of a campaign's latest send
+app.get('/api/email/campaigns/:id/progress', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const { data: campaign, error } = await supabase
+      .from('email_campaigns')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('client_id', req.client.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const progress = await emailService.deliveries.getProgress(campaign.id);
+    if (!progress) {
+      return res.status(404).json({ error: 'Campaign has not been sent' });
+    }
+
+    res.json(progress);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The same as server-sent events: a `progress` event on every update and
+// `done` when the delivery finishes. Updates from this instance arrive as
+// they happen; a delivery running on another instance is polled.
+app.get('/api/email/campaigns/:id/progress/stream', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const { data: campaign, error } = await supabase
+      .from('email_campaigns')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('client_id', req.client.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let last = null;
+    let poll = null;
+
+    const close = () => {
+      clearInterval(poll);
+      emailService.deliveries.off('progress', onProgress);
+      res.end();
+    };
+
+    const send = (progress) => {
+      if (!progress || res.writableEnded) return;
+
+      const data = JSON.stringify(progress);
+      if (data !== last) {
+        last = data;
+        res.write(`event: progress\ndata: ${data}\n\n`);
+      }
+
+      if (['completed', 'failed', 'cancelled'].includes(progress.status)) {
+        res.write(`event: done\ndata: ${data}\n\n`);
+        close();
+      }
+    };
+
+    const onProgress = (progress) => {
+      if (progress.campaign_id === campaign.id) send(progress);
+    };
+
+    const refresh = () => emailService.deliveries.getProgress(campaign.id)
+      .then(send)
+      .catch(error => console.error('Campaign progress stream failed:', error.message));
+
+    emailService.deliveries.on('progress', onProgress);
+    poll = setInterval(() => {
+      // Comment line keeps proxies from timing the connection out
+      res.write(': keep-alive\n\n');
+      refresh();
+    }, 5000);
+    req.on('close', close);
+
+    await refresh();
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Who a campaign would go to: resolved count and a sample
+app.get('/api/email/campaigns/:id/audience', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const { data: campaign, error } = await supabase
+      .from('email_campaigns')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('client_id', req.client.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const recipients = await campaignAudience(campaign);
+    const sample = Math.min(parseInt(req.query.sample) || 10, 100);
+
+    res.json({
+      segment_id: campaign.segment_id || null,
+      count: recipients.length,
+      sample: recipients.slice(0, sample)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause, resume, cancel or reschedule a campaign's delivery. The body may
+// carry a `reason`; reschedule takes `send_at`. Each change is recorded with
+// the actor (X-Actor header or `actor` in the body) in the campaign audit.
+const campaignControls = {
+  pause: (campaign) => emailService.deliveries.pause(campaign),
+  resume: (campaign) => emailService.deliveries.resume(campaign),
+  cancel: (campaign) => emailService.deliveries.cancel(campaign),
+  reschedule: (campaign, body) => emailService.deliveries.reschedule(campaign, body.send_at)
+};
+
+for (const [action, control] of Object.entries(campaignControls)) {
+  app.post(`/api/email/campaigns/:id/${action}`, authenticateAPI, getClientContext, async (req, res) => {
+    try {
+      const { data: campaign, error } = await supabase
+        .from('email_campaigns')
+        .select('*')
+        .eq('id', req.params.id)
+        .eq('client_id', req.client.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const result = await control(campaign, req.body || {});
+      const audit = await recordCampaignChange({
+        campaignId: campaign.id,
+        action,
+        fromStatus: result.from,
+        toStatus: result.campaign.status,
+        actor: actorFor(req, `client:${req.client.id}`),
+        reason: req.body?.reason || null,
+        details: result.details
+      });
+
+      res.json({ success: true, campaign: result.campaign, ...result.details, audit });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
   });
-  return result;
 }
 
+// Who paused, resumed, cancelled or rescheduled a campaign, newest first
+app.get('/api/email/campaigns/:id/audit', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const { data: campaign, error } = await supabase
+      .from('email_campaigns')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('client_id', req.client.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(await listCampaignChanges(campaign.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saved audience segments
+app.get('/api/email/segments', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    res.json(await listSegments(req.client.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/email/segments', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateSegment(req.body);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid segment', details: errors });
+    }
+
+    res.status(201).json(await createSegment(req.body, req.client.id));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A segment with that name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Try a filter before saving it: { filter, sample }
+app.post('/api/email/segments/preview', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateFilter(req.body.filter);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid segment filter', details: errors });
+    }
+
+    res.json(await previewSegment(req.client.id, req.body.filter, { sample: req.body.sample }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/email/segments/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const segment = await getSegment(req.params.id, req.client.id);
+    if (!segment) return res.status(404).json({ error: 'Segment not found' });
+    res.json(segment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/email/segments/:id/preview', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const segment = await getSegment(req.params.id, req.client.id);
+    if (!segment) return res.status(404).json({ error: 'Segment not found' });
+    res.json({ ...segment, ...(await previewSegment(req.client.id, segment.filter, { sample: req.query.sample })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/email/segments/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateSegment(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid segment', details: errors });
+    }
+
+    const segment = await updateSegment(req.params.id, req.body, req.client.id);
+    if (!segment) return res.status(404).json({ error: 'Segment not found' });
+    res.json(segment);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A segment with that name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/email/segments/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const segment = await deleteSegment(req.params.id, req.client.id);
+    if (!segment) return res.status(404).json({ error: 'Segment not found' });
+    res.json({ success: true, ...segment });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'Segment is used by a campaign' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Email Templates
 app.get('/api/email/templates', authenticateAPI, getClientContext, async (req, res) => {
   try {
@@ -678,6 +1079,113 @@ app.post('/api/email/templates', authenticateAPI, getClientContext, async (req,
   }
 });
 
+// Client sending aliases and signatures
+app.get('/api/email/aliases', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    res.json(await listAliases({ clientId: req.client.id }, {
+      includeInactive: req.query.includeInactive === 'true'
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/email/aliases', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateAlias(req.body, { senderAccounts: emailService.senderAccounts() });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid alias', details: errors });
+    }
+
+    res.status(201).json(await createAlias(req.body, { clientId: req.client.id }));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An alias with that name or address already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/email/aliases/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateAlias(req.body, { senderAccounts: emailService.senderAccounts(), partial: true });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid alias', details: errors });
+    }
+
+    const alias = await updateAlias(req.params.id, req.body, { clientId: req.client.id });
+    if (!alias) return res.status(404).json({ error: 'Alias not found' });
+    res.json(alias);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An alias with that name or address already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/email/aliases/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const alias = await deleteAlias(req.params.id, { clientId: req.client.id });
+    if (!alias) return res.status(404).json({ error: 'Alias not found' });
+    res.json({ success: true, ...alias });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/email/signatures', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    res.json(await listSignatures({ clientId: req.client.id }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/email/signatures', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateSignature(req.body);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid signature', details: errors });
+    }
+
+    res.status(201).json(await createSignature(req.body, { clientId: req.client.id }));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A signature with that name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/email/signatures/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const errors = validateSignature(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid signature', details: errors });
+    }
+
+    const signature = await updateSignature(req.params.id, req.body, { clientId: req.client.id });
+    if (!signature) return res.status(404).json({ error: 'Signature not found' });
+    res.json(signature);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A signature with that name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/email/signatures/:id', authenticateAPI, getClientContext, async (req, res) => {
+  try {
+    const signature = await deleteSignature(req.params.id, { clientId: req.client.id });
+    if (!signature) return res.status(404).json({ error: 'Signature not found' });
+    res.json({ success: true, ...signature });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Agency Management Endpoints
 app.get('/api/agencies', authenticateAPI, async (req, res) => {
   try {
@@ -1484,4 +1992,32 @@ app.post('/api/feeds/trending', async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Backend server running on http://localhost:${PORT}`);
+
+  if (!isEncryptionConfigured()) {
+    console.warn('⚠️  ENCRYPTION_KEY is not set: sending domains can\'t be added and mail goes out without DKIM');
+  }
+
+  if (process.env.TRACKING_BASE_URL && !process.env.TRACKING_SECRET) {
+    console.warn('⚠️  TRACKING_SECRET is not set: open and click tracking is off');
+  }
+
+  if (!isUnsubscribeConfigured()) {
+    console.warn('⚠️  UNSUBSCRIBE_SECRET is not set: campaign mail can\'t be sent and unsubscribe links are refused');
+  }
+
+  // Keep sending accounts verified so broken ones drop out of rotation
+  emailService.startHealthChecks();
+
+  // Receive alias mail relayed over SMTP when INBOUND_SMTP_PORT is set
+  new InboundSmtpServer().start();
+
+  // Deliver queued emails and scheduled campaign sends from this instance
+  if (process.env.EMAIL_QUEUE_WORKER !== 'false') {
+    emailService.queue.start();
+    emailService.scheduler.start();
+    // Only when IMAP_POLL_MS is set
+    emailService.replies.start();
+    emailService.sequences.start();
+    emailService.deliveries.start();
+  }
 });
\ No newline at end of file
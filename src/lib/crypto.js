@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+// AES-256-GCM for secrets stored in the database, as iv:authTag:ciphertext
+// (hex). Plain JavaScript so both the TypeScript app and the email services
+// can import it. ENCRYPTION_KEY (32 bytes as 64 hex characters) must be set:
+// a generated key would leave everything encrypted with it unreadable after
+// a restart.
+const algorithm = 'aes-256-gcm';
+const KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+export function isEncryptionConfigured() {
+  return KEY_PATTERN.test(process.env.ENCRYPTION_KEY || '');
+}
+
+function encryptionKey() {
+  if (!isEncryptionConfigured()) {
+    throw Object.assign(new Error('ENCRYPTION_KEY must be set to 64 hex characters'), { status: 503 });
+  }
+  return Buffer.from(process.env.ENCRYPTION_KEY, 'hex');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function encrypt(text) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(algorithm, encryptionKey(), iv);
+
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  const authTag = cipher.getAuthTag();
+
+  return iv.toString('hex') + ':' + authTag.toString('hex') + ':' + encrypted;
+}
+
+/**
+ * @param {string} encryptedData
+ * @returns {string}
+ */
+export function decrypt(encryptedData) {
+  const [iv, authTag, encrypted] = String(encryptedData).split(':');
+
+  const decipher = crypto.createDecipheriv(algorithm, encryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
@@ -0,0 +1,30 @@
+import { encrypt, decrypt, isEncryptionConfigured } from './crypto.js';
+
+afterEach(() => {
+  delete process.env.ENCRYPTION_KEY;
+});
+
+test('round-trips text under ENCRYPTION_KEY', () => {
+  process.env.ENCRYPTION_KEY = 'ab'.repeat(32);
+
+  const encrypted = encrypt('dkim private key');
+
+  expect(encrypted).toMatch(/^[0-9a-f]{32}:[0-9a-f]{32}:[0-9a-f]+$/);
+  expect(encrypted).not.toBe(encrypt('dkim private key'));
+  expect(decrypt(encrypted)).toBe('dkim private key');
+});
+
+test('refuses tampered ciphertext', () => {
+  process.env.ENCRYPTION_KEY = 'ab'.repeat(32);
+  const [iv, tag, data] = encrypt('dkim private key').split(':');
+  const flipped = (data[0] === '0' ? '1' : '0') + data.slice(1);
+
+  expect(() => decrypt(`${iv}:${tag}:${flipped}`)).toThrow();
+});
+
+test('will not encrypt without a 64 hex character key', () => {
+  process.env.ENCRYPTION_KEY = 'too-short';
+
+  expect(isEncryptionConfigured()).toBe(false);
+  expect(() => encrypt('secret')).toThrow(expect.objectContaining({ status: 503 }));
+});
@@ -1,5 +1,7 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { getCampaignEngagement } from '../services/tracking.js';
+import { getAbTestReport } from '../services/abTesting.js';
 
 const router = express.Router();
 
@@ -25,25 +27,20 @@ const requireAuth = (req, res, next) => {
 router.get('/:campaignId/analytics', requireAuth, async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const { startDate, endDate, metrics } = req.query;
+    const { startDate, endDate } = req.query;
+    
+    // Computed from recorded open/click events
+    const [engagement, abTest] = await Promise.all([
+      getCampaignEngagement(campaignId, { startDate, endDate }),
+      getAbTestReport(campaignId)
+    ]);
     
-    // Mock analytics data for now
     const analyticsData = {
       campaignId,
       dateRange: { startDate, endDate },
-      metrics: {
-        totalViews: Math.floor(Math.random() * 10000),
-        uniqueVisitors: Math.floor(Math.random() * 5000),
-        conversions: Math.floor(Math.random() * 500),
-        revenue: Math.floor(Math.random() * 50000),
-        clickThroughRate: (Math.random() * 10).toFixed(2),
-        conversionRate: (Math.random() * 5).toFixed(2)
-      },
-      chartData: Array.from({ length: 7 }, (_, i) => ({
-        date: new Date(Date.now() - (6 - i) * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        views: Math.floor(Math.random() * 1000),
-        conversions: Math.floor(Math.random() * 100)
-      }))
+      ...engagement,
+      // Per-variant results of an A/B tested campaign
+      ...(abTest && { abTest })
     };
     
     res.json(analyticsData);
@@ -0,0 +1,98 @@
+import express from 'express';
+import {
+  createSendingDomain,
+  listSendingDomains,
+  getSendingDomain,
+  deleteSendingDomain,
+  getDnsRecords,
+  checkDns
+} from '../services/sendingDomains.js';
+
+const router = express.Router();
+
+// Middleware to check auth (you can enhance this)
+const requireAuth = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.EMAIL_API_KEY && process.env.EMAIL_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+router.use(requireAuth);
+
+// List sending domains
+router.get('/', async (req, res) => {
+  try {
+    const domains = await listSendingDomains({ clientId: req.query.clientId });
+    res.json(domains);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a domain: generates its DKIM key and returns the records to publish
+router.post('/', async (req, res) => {
+  try {
+    const { domain, clientId = null, selector } = req.body;
+
+    if (!domain) {
+      return res.status(400).json({ error: 'domain is required' });
+    }
+
+    const created = await createSendingDomain({ domain, clientId, selector });
+    res.status(201).json({ ...created, records: getDnsRecords(created) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Domain is already registered' });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Domain with the DNS records it needs
+router.get('/:id', async (req, res) => {
+  try {
+    const domain = await getSendingDomain(req.params.id);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({ ...domain, records: getDnsRecords(domain) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check the published records (with the resolvers in DNS_RESOLVERS)
+router.post('/:id/check', async (req, res) => {
+  try {
+    const domain = await checkDns(req.params.id);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json(domain);
+  } catch (error) {
+    res.status(502).json({ error: `DNS lookup failed: ${error.message}` });
+  }
+});
+
+// Remove a domain; its mail is no longer signed
+router.delete('/:id', async (req, res) => {
+  try {
+    const domain = await deleteSendingDomain(req.params.id);
+
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    res.json({ success: true, id: domain.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
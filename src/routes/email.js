@@ -2,15 +2,42 @@ import express from 'express';
 import { 
   sendEmail, 
   sendAsClient, 
-  sendBulk, 
   createCampaign,
   getEmailStats,
+  enqueueEmails,
+  getEmailJob,
+  getCampaignSends,
   emailService 
 } from '../services/emailService.js';
 import { boweryEmails } from '../services/boweryEmails.js';
+import { suppress, listSuppressions, removeSuppression, SUPPRESSION_REASONS } from '../services/suppression.js';
+import { renderStoredTemplate, renderEmail, loadPartials } from '../services/templateEngine.js';
+import { listInbound, getInbound } from '../services/inboundEmail.js';
+import { getThread } from '../services/threading.js';
+import {
+  listAliases,
+  getAlias,
+  getAliasById,
+  createAlias,
+  updateAlias,
+  deleteAlias,
+  validateAlias,
+  listSignatures,
+  createSignature,
+  updateSignature,
+  deleteSignature,
+  validateSignature,
+  renderSignature
+} from '../services/aliases.js';
+import { prepareAttachments, storeAttachment, getAttachment, deleteAttachment } from '../services/attachments.js';
+import { idempotent } from '../services/idempotency.js';
+import { lintEmail, UNSUBSCRIBE_PLACEHOLDER } from '../services/contentLint.js';
+import { actorFor, recordCampaignChange, listCampaignChanges } from '../services/campaignAudit.js';
 
 const router = express.Router();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // Middleware to check auth (you can enhance this)
 const requireAuth = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
@@ -20,36 +47,73 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// Send single email
-router.post('/send', requireAuth, async (req, res) => {
+// Alias/signature owner from the query or body; neither means Bowery's own
+const aliasScope = (req) => ({
+  agencyId: req.query.agencyId || req.body?.agencyId || null,
+  clientId: req.query.clientId || req.body?.clientId || null
+});
+
+// Sandbox can be requested per call; EMAIL_MODE=sandbox forces it for everything
+const wantsSandbox = (req) =>
+  req.body?.sandbox === true || req.headers['x-email-sandbox'] === 'true';
+
+// Queue single email, either inline content or a stored template
+router.post('/send', requireAuth, idempotent(), async (req, res) => {
   try {
-    const { to, subject, html, text, from, replyTo, attachments, usePostal } = req.body;
+    const { to, from, replyTo, attachments, usePostal, transport, templateId, variables, clientId, inReplyTo, references, threadId } = req.body;
+    let { subject, html, text } = req.body;
+
+    // Scopes the suppression lookup, so it has to be a real client id
+    if (clientId != null && !UUID_PATTERN.test(String(clientId))) {
+      return res.status(422).json({ error: 'clientId must be a UUID' });
+    }
+
+    if (templateId) {
+      const rendered = await renderStoredTemplate(templateId, variables);
+      if (!rendered) {
+        return res.status(404).json({ error: 'Email template not found' });
+      }
+      if (!rendered.validation.valid) {
+        return res.status(422).json({ error: 'Template variables are invalid', ...rendered.validation });
+      }
+      ({ subject, html, text } = rendered);
+    }
     
     if (!to || !subject || (!html && !text)) {
       return res.status(400).json({ 
-        error: 'Missing required fields: to, subject, and either html or text' 
+        error: 'Missing required fields: to, subject, and either html or text (or templateId)' 
       });
     }
 
-    const result = await sendEmail({
+    // Inline content is stored first, so the queue only holds attachment ids
+    const attachmentRefs = await prepareAttachments(attachments, { html, clientId });
+
+    const job = await enqueueEmails([{
       to,
       subject,
       html,
       text,
       from,
       replyTo,
-      attachments,
-      usePostal
-    });
+      attachments: attachmentRefs,
+      usePostal,
+      transport,
+      clientId,
+      // Threading: reply to a message by its Message-ID, or continue a thread
+      inReplyTo,
+      references: [].concat(references || []),
+      threadId,
+      sandbox: wantsSandbox(req)
+    }], { metadata: templateId ? { templateId } : {} });
 
-    res.json(result);
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Send email as client
-router.post('/send-as-client', requireAuth, async (req, res) => {
+router.post('/send-as-client', requireAuth, idempotent(), async (req, res) => {
   try {
     const { clientEmail, clientName, recipientEmail, subject, body } = req.body;
     
@@ -59,7 +123,9 @@ router.post('/send-as-client', requireAuth, async (req, res) => {
       });
     }
 
-    const result = await sendAsClient(clientEmail, clientName, recipientEmail, subject, body);
+    const result = await sendAsClient(clientEmail, clientName, recipientEmail, subject, body, {
+      sandbox: wantsSandbox(req)
+    });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -67,7 +133,7 @@ router.post('/send-as-client', requireAuth, async (req, res) => {
 });
 
 // Send email using Bowery alias
-router.post('/send-as-bowery', requireAuth, async (req, res) => {
+router.post('/send-as-bowery', requireAuth, idempotent(), async (req, res) => {
   try {
     const { alias, to, subject, html, text, includeSignature = true } = req.body;
     
@@ -77,13 +143,21 @@ router.post('/send-as-bowery', requireAuth, async (req, res) => {
       });
     }
 
-    // Get the from address for the alias
-    const from = boweryEmails.getFromAddress(alias);
-    
+    const sender = await getAlias(alias, aliasScope(req));
+
+    if (!sender) {
+      return res.status(404).json({ error: `Unknown alias: ${alias}` });
+    }
+
+    const from = `"${sender.name}" <${sender.email}>`;
+
     // Add signature if requested
     let finalHtml = html;
-    if (includeSignature && html) {
-      finalHtml = html + boweryEmails.getSignature(alias);
+    let finalText = text;
+    if (includeSignature) {
+      const signature = await renderSignature(sender);
+      if (html) finalHtml = html + signature.html;
+      if (text && signature.text) finalText = `${text}\n\n${signature.text}`;
     }
 
     const result = await sendEmail({
@@ -91,7 +165,10 @@ router.post('/send-as-bowery', requireAuth, async (req, res) => {
       to,
       subject,
       html: finalHtml,
-      text
+      text: finalText,
+      sender: sender.actual_sender,
+      clientId: sender.client_id,
+      sandbox: wantsSandbox(req)
     });
 
     res.json({ ...result, sentAs: alias });
@@ -100,8 +177,95 @@ router.post('/send-as-bowery', requireAuth, async (req, res) => {
   }
 });
 
-// Bulk send
-router.post('/bulk', requireAuth, async (req, res) => {
+// Content lint / spam score: { subject, html, text } or a stored templateId,
+// rendered with `variables` ({{unsubscribe_link}} is filled in for you)
+router.post('/lint', requireAuth, async (req, res) => {
+  try {
+    const { templateId, variables = {}, checkLinks = true } = req.body;
+    const data = { unsubscribe_link: UNSUBSCRIBE_PLACEHOLDER, ...variables };
+    let content;
+
+    if (templateId) {
+      const rendered = await renderStoredTemplate(templateId, data);
+      if (!rendered) {
+        return res.status(404).json({ error: 'Email template not found' });
+      }
+      if (!rendered.validation.valid) {
+        return res.status(422).json({ error: 'Template variables are invalid', ...rendered.validation });
+      }
+      content = rendered;
+    } else {
+      const { subject, html, text } = req.body;
+      if (!subject && !html && !text) {
+        return res.status(400).json({ error: 'subject, html or text (or templateId) is required' });
+      }
+      content = renderEmail({ subject, html, text }, data, { partials: await loadPartials() });
+    }
+
+    res.json(await lintEmail(content, {
+      unsubscribeUrl: data.unsubscribe_link,
+      links: checkLinks !== false
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload an attachment: raw bytes with ?filename=, or JSON { filename, content
+// (base64) }. Returns the id to pass as attachments: [{ id, cid? }].
+router.post('/attachments', requireAuth, async (req, res) => {
+  try {
+    const json = req.is('application/json');
+    const filename = json ? req.body.filename : req.query.filename;
+    const clientId = (json ? req.body.clientId : req.query.clientId) || null;
+
+    if (json && typeof req.body.content !== 'string') {
+      return res.status(400).json({ error: 'content (base64) is required' });
+    }
+
+    const content = json ? Buffer.from(req.body.content, 'base64') : req.body;
+    const attachment = await storeAttachment({
+      content: Buffer.isBuffer(content) ? content : Buffer.alloc(0),
+      filename,
+      clientId
+    });
+
+    res.status(201).json(attachment);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.get('/attachments/:id', requireAuth, async (req, res) => {
+  try {
+    const attachment = await getAttachment(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json(attachment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/attachments/:id', requireAuth, async (req, res) => {
+  try {
+    const attachment = await deleteAttachment(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json({ success: true, id: attachment.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue bulk send
+router.post('/bulk', requireAuth, idempotent(), async (req, res) => {
   try {
     const { emails, delayBetween = 5000 } = req.body;
     
@@ -111,24 +275,30 @@ router.post('/bulk', requireAuth, async (req, res) => {
       });
     }
 
-    const results = await sendBulk(emails, delayBetween);
-    
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
+    const sandbox = wantsSandbox(req);
+    const messages = [];
+    for (const email of emails) {
+      messages.push({
+        ...email,
+        attachments: await prepareAttachments(email.attachments, { html: email.html, clientId: email.clientId }),
+        ...(sandbox && { sandbox })
+      });
+    }
+
+    const job = await enqueueEmails(messages, { type: 'bulk', delayBetween });
     
-    res.json({
-      total: emails.length,
-      successful,
-      failed,
-      results
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      total: emails.length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Create campaign
-router.post('/campaign', requireAuth, async (req, res) => {
+router.post('/campaign', requireAuth, idempotent(), async (req, res) => {
   try {
     const { name, recipients, subject, htmlTemplate, schedule } = req.body;
     
@@ -138,8 +308,197 @@ router.post('/campaign', requireAuth, async (req, res) => {
       });
     }
 
-    const campaign = await createCampaign(name, recipients, subject, htmlTemplate, schedule);
+    const campaign = await createCampaign(name, recipients, subject, htmlTemplate, schedule, {
+      sandbox: wantsSandbox(req)
+    });
     res.json(campaign);
+  } catch (error) {
+    if (error.validation) {
+      return res.status(422).json({ error: error.message, ...error.validation });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get scheduled sends for a campaign
+router.get('/campaign/:id/sends', requireAuth, async (req, res) => {
+  try {
+    const sends = await getCampaignSends(req.params.id);
+    res.json(sends);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause, resume, cancel or reschedule a campaign. The body may carry a
+// `reason`; reschedule takes `sendAt` (shift every pending send) or
+// `schedule` (one time per pending send). Recorded in the campaign audit.
+const campaignControls = {
+  pause: (id) => emailService.scheduler.pauseCampaign(id),
+  resume: (id) => emailService.scheduler.resumeCampaign(id),
+  cancel: (id) => emailService.scheduler.cancelCampaign(id),
+  reschedule: (id, body) => emailService.scheduler.rescheduleCampaign(id, {
+    sendAt: body.sendAt,
+    schedule: body.schedule
+  })
+};
+
+for (const [action, control] of Object.entries(campaignControls)) {
+  router.post(`/campaign/:id/${action}`, requireAuth, async (req, res) => {
+    try {
+      const result = await control(req.params.id, req.body || {});
+
+      if (!result) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const audit = await recordCampaignChange({
+        campaignId: req.params.id,
+        action,
+        fromStatus: result.from,
+        toStatus: result.campaign.status,
+        actor: actorFor(req),
+        reason: req.body?.reason || null,
+        details: result.details
+      });
+
+      res.json({ success: true, campaign: result.campaign, ...result.details, audit });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+}
+
+// State changes of a campaign, newest first
+router.get('/campaign/:id/audit', requireAuth, async (req, res) => {
+  try {
+    res.json(await listCampaignChanges(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get queued job status
+router.get('/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await getEmailJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List dead-lettered emails
+router.get('/dead-letters', requireAuth, async (req, res) => {
+  try {
+    const deadLetters = await emailService.queue.listDeadLetters(parseInt(req.query.limit || '100'));
+    res.json(deadLetters);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Requeue a dead-lettered email
+router.post('/dead-letters/:id/retry', requireAuth, idempotent(), async (req, res) => {
+  try {
+    const message = await emailService.queue.retryDeadLetter(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({ success: true, id: message.id, status: message.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List suppressed addresses
+router.get('/suppressions', requireAuth, async (req, res) => {
+  try {
+    const { clientId, email, reason, limit = '100' } = req.query;
+    const suppressions = await listSuppressions({ clientId, email, reason, limit: parseInt(limit) });
+    res.json(suppressions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Suppress an address, for one client or (without clientId) for everyone
+router.post('/suppressions', requireAuth, async (req, res) => {
+  try {
+    const { email, clientId = null, reason = 'manual', details } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' });
+    }
+
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${SUPPRESSION_REASONS.join(', ')}` });
+    }
+
+    const suppression = await suppress({ email, clientId, reason, source: 'api', details });
+    res.status(201).json(suppression);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a suppression
+router.delete('/suppressions/:id', requireAuth, async (req, res) => {
+  try {
+    const suppression = await removeSuppression(req.params.id);
+
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    res.json({ success: true, id: suppression.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mail received on the agency aliases
+router.get('/inbound', requireAuth, async (req, res) => {
+  try {
+    const { alias, route, status, limit } = req.query;
+    const messages = await listInbound({ alias, route, status, limit });
+    res.json(messages);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/inbound/:id', requireAuth, async (req, res) => {
+  try {
+    const message = await getInbound(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Inbound message not found' });
+    }
+
+    res.json(message);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A conversation: our sends and the replies to them, oldest first
+router.get('/threads/:id', requireAuth, async (req, res) => {
+  try {
+    const messages = await getThread(req.params.id);
+
+    if (messages.length === 0) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ threadId: req.params.id, messages });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -155,28 +514,227 @@ router.get('/stats', requireAuth, async (req, res) => {
   }
 });
 
-// List available Bowery aliases
+// List sending aliases (Bowery's own unless ?agencyId or ?clientId)
 router.get('/aliases', requireAuth, async (req, res) => {
-  const aliases = Object.entries(boweryEmails.addresses).map(([key, addr]) => ({
-    alias: key,
-    email: addr.email,
-    name: addr.name,
-    title: addr.title
-  }));
-  
-  res.json({
-    domain: boweryEmails.domain,
-    forwardTo: boweryEmails.forwardTo,
-    aliases
-  });
+  try {
+    const aliases = await listAliases(aliasScope(req), {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      domain: boweryEmails.domain,
+      forwardTo: boweryEmails.forwardTo,
+      aliases: aliases.map(alias => ({
+        id: alias.id,
+        alias: alias.alias,
+        email: alias.email,
+        name: alias.name,
+        title: alias.title,
+        actualSender: alias.actual_sender,
+        signatureId: alias.signature_id,
+        active: alias.active
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/aliases', requireAuth, async (req, res) => {
+  try {
+    const errors = validateAlias(req.body, { senderAccounts: emailService.senderAccounts() });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid alias', details: errors });
+    }
+
+    const alias = await createAlias(req.body, aliasScope(req));
+    res.status(201).json(alias);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An alias with that name or address already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/aliases/:id', requireAuth, async (req, res) => {
+  try {
+    const errors = validateAlias(req.body, { senderAccounts: emailService.senderAccounts(), partial: true });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid alias', details: errors });
+    }
+
+    const alias = await updateAlias(req.params.id, req.body);
+
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json(alias);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An alias with that name or address already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/aliases/:id', requireAuth, async (req, res) => {
+  try {
+    const alias = await deleteAlias(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json({ success: true, ...alias });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview an alias's signature as it will be appended
+router.get('/aliases/:id/signature', requireAuth, async (req, res) => {
+  try {
+    const alias = await getAliasById(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    res.json(await renderSignature(alias));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Signature templates: { name, html, text, isDefault }
+router.get('/signatures', requireAuth, async (req, res) => {
+  try {
+    res.json(await listSignatures(aliasScope(req)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/signatures', requireAuth, async (req, res) => {
+  try {
+    const errors = validateSignature(req.body);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid signature', details: errors });
+    }
+
+    const signature = await createSignature(req.body, aliasScope(req));
+    res.status(201).json(signature);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A signature with that name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/signatures/:id', requireAuth, async (req, res) => {
+  try {
+    const errors = validateSignature(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid signature', details: errors });
+    }
+
+    const signature = await updateSignature(req.params.id, req.body);
+
+    if (!signature) {
+      return res.status(404).json({ error: 'Signature not found' });
+    }
+
+    res.json(signature);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A signature with that name already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/signatures/:id', requireAuth, async (req, res) => {
+  try {
+    const signature = await deleteSignature(req.params.id);
+
+    if (!signature) {
+      return res.status(404).json({ error: 'Signature not found' });
+    }
+
+    res.json({ success: true, ...signature });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List captured sandbox messages
+router.get('/sandbox', requireAuth, async (req, res) => {
+  try {
+    const { to, limit = 50 } = req.query;
+    const messages = await emailService.sandbox.list({ to, limit: parseInt(limit) });
+    
+    res.json({
+      mode: emailService.sandboxMode ? 'sandbox' : 'live',
+      messages
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// View a captured sandbox message
+router.get('/sandbox/:id', requireAuth, async (req, res) => {
+  try {
+    const message = await emailService.sandbox.get(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { raw, ...details } = message;
+    res.json(details);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a captured sandbox message as .eml
+router.get('/sandbox/:id/raw', requireAuth, async (req, res) => {
+  try {
+    const message = await emailService.sandbox.get(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.type('message/rfc822').send(message.raw);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear captured sandbox messages
+router.delete('/sandbox', requireAuth, async (req, res) => {
+  try {
+    const cleared = await emailService.sandbox.clear();
+    res.json({ success: true, cleared });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Test email endpoint
-router.post('/test', async (req, res) => {
+router.post('/test', idempotent(), async (req, res) => {
   try {
     const testEmail = req.body.email || process.env.TEST_EMAIL || 'jgolden@bowerycreativeagency.com';
+    const hello = await getAlias('hello');
+    const signature = hello ? await renderSignature(hello) : { html: '' };
     
     const result = await sendEmail({
+      sandbox: wantsSandbox(req),
       to: testEmail,
       subject: 'Bowery Creative Email System Test',
       html: `
@@ -188,7 +746,7 @@ router.post('/test', async (req, res) => {
           <li>Account Rotation: Working ✅</li>
           <li>Database Logging: Enabled ✅</li>
         </ul>
-        ${boweryEmails.getSignature('hello')}
+        ${signature.html}
       `
     });
 
@@ -0,0 +1,212 @@
+import express from 'express';
+import { createClient } from '@supabase/supabase-js';
+import {
+  validateSequence,
+  createSequence,
+  listSequences,
+  getSequence,
+  updateSequence,
+  deleteSequence,
+  enroll,
+  listEnrollments,
+  getEnrollment,
+  enrollmentCounts,
+  exitEnrollment
+} from '../services/sequences.js';
+import { idempotent } from '../services/idempotency.js';
+
+const router = express.Router();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Middleware to check auth (you can enhance this)
+const requireAuth = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.EMAIL_API_KEY && process.env.EMAIL_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+router.use(requireAuth);
+
+// List sequences (?status=active&clientId=...)
+router.get('/', async (req, res) => {
+  try {
+    const sequences = await listSequences({ status: req.query.status, clientId: req.query.clientId });
+    res.json(sequences);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a sequence with its steps
+router.post('/', async (req, res) => {
+  try {
+    const errors = validateSequence(req.body);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid sequence', details: errors });
+    }
+
+    const sequence = await createSequence(req.body);
+    res.status(201).json(sequence);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-contact progress (?contactId=, ?email=, ?status=)
+router.get('/enrollments', async (req, res) => {
+  try {
+    const { contactId, email, status, limit } = req.query;
+    const enrollments = await listEnrollments({ contactId, email, status, limit });
+    res.json(enrollments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/enrollments/:id', async (req, res) => {
+  try {
+    const enrollment = await getEnrollment(req.params.id);
+
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    res.json(enrollment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take a contact out of a sequence
+router.post('/enrollments/:id/exit', async (req, res) => {
+  try {
+    const enrollment = await exitEnrollment(req.params.id, req.body?.reason || 'manual');
+
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Active enrollment not found' });
+    }
+
+    res.json(enrollment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sequence with its steps and enrollment counts
+router.get('/:id', async (req, res) => {
+  try {
+    const sequence = await getSequence(req.params.id);
+
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    res.json({ ...sequence, enrollments: await enrollmentCounts(sequence.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a sequence; `steps`, when given, replaces all of them
+router.put('/:id', async (req, res) => {
+  try {
+    const errors = validateSequence(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid sequence', details: errors });
+    }
+
+    const sequence = await updateSequence(req.params.id, req.body);
+
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    res.json(sequence);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a sequence and its enrollments
+router.delete('/:id', async (req, res) => {
+  try {
+    const sequence = await deleteSequence(req.params.id);
+
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    res.json({ success: true, id: sequence.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enroll by hand: { contactId } or { email, name, variables }
+router.post('/:id/enroll', idempotent(), async (req, res) => {
+  try {
+    const sequence = await getSequence(req.params.id);
+
+    if (!sequence) {
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+
+    if (sequence.status !== 'active') {
+      return res.status(409).json({ error: `Sequence is ${sequence.status}` });
+    }
+
+    let { contactId = null, email, name = null, variables = {} } = req.body;
+
+    if (contactId) {
+      const { data: contact } = await supabase
+        .from('contacts')
+        .select('id, name, email')
+        .eq('id', contactId)
+        .maybeSingle();
+
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      email = contact.email;
+      name = name || contact.name;
+    }
+
+    if (!email) {
+      return res.status(400).json({ error: 'contactId or email is required' });
+    }
+
+    const enrollment = await enroll(sequence, { contactId, email, name, variables });
+
+    if (!enrollment) {
+      return res.status(409).json({ error: 'Contact is already in this sequence' });
+    }
+
+    res.status(201).json(enrollment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everyone in a sequence (?status=active)
+router.get('/:id/enrollments', async (req, res) => {
+  try {
+    const enrollments = await listEnrollments({
+      sequenceId: req.params.id,
+      status: req.query.status,
+      limit: req.query.limit
+    });
+    res.json(enrollments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { TRACKING_PIXEL, verifyLink, recordEvent } from '../services/tracking.js';
+
+const router = express.Router();
+
+// Open pixel
+router.get('/o/:logId.gif', async (req, res) => {
+  // Unsigned or forged pixels still get the image, but count nothing
+  if (verifyLink(req.params.logId, null, req.query.s)) {
+    try {
+      await recordEvent({
+        logId: req.params.logId,
+        type: 'open',
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    } catch (error) {
+      console.error('Failed to record open:', error.message);
+    }
+  }
+
+  // Always serve the pixel, and never let it be cached
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Pragma': 'no-cache'
+  });
+  res.send(TRACKING_PIXEL);
+});
+
+// Click redirect
+router.get('/c/:logId', async (req, res) => {
+  const { logId } = req.params;
+  const { u: url, s: signature } = req.query;
+
+  if (typeof url !== 'string' || !verifyLink(logId, url, signature)) {
+    return res.status(400).send('Invalid link');
+  }
+
+  try {
+    await recordEvent({
+      logId,
+      type: 'click',
+      url,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (error) {
+    console.error('Failed to record click:', error.message);
+  }
+
+  res.redirect(302, url);
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from 'express';
+import { verifyUnsubscribeToken, unsubscribe } from '../services/unsubscribe.js';
+
+const router = express.Router();
+
+// One-click POSTs arrive form encoded (List-Unsubscribe=One-Click)
+router.use(express.urlencoded({ extended: false }));
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 80px auto; padding: 0 20px; color: #333;">
+  <h2>${title}</h2>
+  ${body}
+</body>
+</html>`;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Confirmation page. Link scanners prefetch GETs, so the unsubscribe itself
+// only happens on POST (the button below, or the mail client's one-click).
+router.get('/:token', (req, res) => {
+  const recipient = verifyUnsubscribeToken(req.params.token);
+
+  if (!recipient) {
+    return res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid or has been altered.</p>'));
+  }
+
+  res.send(page('Unsubscribe', `
+  <p>Stop receiving these emails at <strong>${escapeHtml(recipient.email)}</strong>?</p>
+  <form method="POST">
+    <button type="submit" style="padding: 10px 20px; background: #000; color: #fff; border: 0; cursor: pointer;">Unsubscribe</button>
+  </form>`));
+});
+
+// Unsubscribe: the confirmation form and RFC 8058 one-click requests
+router.post('/:token', async (req, res) => {
+  const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+
+  try {
+    const recipient = await unsubscribe(req.params.token, { source: oneClick ? 'one-click' : 'link' });
+
+    if (!recipient) {
+      return oneClick || req.accepts(['html', 'json']) === 'json'
+        ? res.status(400).json({ error: 'Invalid unsubscribe token' })
+        : res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid or has been altered.</p>'));
+    }
+
+    if (oneClick || req.accepts(['html', 'json']) === 'json') {
+      return res.json({ success: true, email: recipient.email });
+    }
+
+    res.send(page('You have been unsubscribed', `<p><strong>${escapeHtml(recipient.email)}</strong> will no longer receive these emails.</p>`));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
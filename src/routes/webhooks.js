@@ -0,0 +1,232 @@
+import express from 'express';
+import crypto from 'crypto';
+import { recordDeliveryEvent, parseDsn } from '../services/suppression.js';
+import { processInbound, INBOUND_MAX_BYTES } from '../services/inboundEmail.js';
+
+const router = express.Router();
+
+// Middleware to check auth (you can enhance this)
+const requireAuth = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey !== process.env.EMAIL_API_KEY && process.env.EMAIL_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+const safeEqual = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Resend signs webhooks with Svix: HMAC-SHA256 over "id.timestamp.body"
+// using the base64 part of the whsec_ secret
+function verifyResend(req) {
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  const id = req.headers['svix-id'];
+  const timestamp = req.headers['svix-timestamp'];
+  const signatures = req.headers['svix-signature'];
+
+  if (!secret || !id || !timestamp || !signatures || !req.rawBody) return false;
+
+  // Reject replays older than five minutes
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) return false;
+
+  const expected = crypto
+    .createHmac('sha256', Buffer.from(secret.replace(/^whsec_/, ''), 'base64'))
+    .update(`${id}.${timestamp}.${req.rawBody}`)
+    .digest('base64');
+
+  return signatures.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    return version === 'v1' && signature && safeEqual(signature, expected);
+  });
+}
+
+// Postal signs webhooks with the server's RSA key; POSTAL_WEBHOOK_PUBLIC_KEY
+// is the key shown in Postal's webhook settings
+function verifyPostal(req) {
+  const key = process.env.POSTAL_WEBHOOK_PUBLIC_KEY;
+  const signature256 = req.headers['x-postal-signature-256'];
+  const signature = signature256 || req.headers['x-postal-signature'];
+
+  if (!key || !signature || !req.rawBody) return false;
+
+  const pem = key.includes('BEGIN')
+    ? key
+    : `-----BEGIN PUBLIC KEY-----\n${key.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----`;
+
+  try {
+    return crypto.verify(
+      signature256 ? 'sha256' : 'sha1',
+      req.rawBody,
+      pem,
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    console.error('Postal signature check failed:', error.message);
+    return false;
+  }
+}
+
+// We send our own Message-ID through Resend; its webhooks echo the headers
+// when they have them, otherwise only Resend's email id is known
+const resendMessageId = (data) =>
+  [].concat(data.headers || []).find(header => /^message-id$/i.test(header?.name || ''))?.value || data.email_id;
+
+// Resend bounce and complaint events
+router.post('/resend', async (req, res) => {
+  if (!process.env.RESEND_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Resend webhook is not configured' });
+  }
+
+  if (!verifyResend(req)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const { type, data = {} } = req.body;
+    const recipients = [].concat(data.to || []);
+
+    if (type === 'email.bounced' || type === 'email.complained') {
+      const bounce = data.bounce || {};
+
+      for (const email of recipients) {
+        await recordDeliveryEvent({
+          type: type === 'email.bounced' ? 'bounce' : 'complaint',
+          email,
+          messageId: resendMessageId(data),
+          permanent: bounce.type !== 'Transient',
+          source: 'resend',
+          details: type === 'email.bounced'
+            ? { bounceType: bounce.type, subType: bounce.subType, message: bounce.message }
+            : {}
+        });
+      }
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Resend webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Postal bounce and delivery failure events
+router.post('/postal', async (req, res) => {
+  if (!process.env.POSTAL_WEBHOOK_PUBLIC_KEY) {
+    return res.status(503).json({ error: 'Postal webhook is not configured' });
+  }
+
+  if (!verifyPostal(req)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const { event, payload = {} } = req.body;
+
+    if (event === 'MessageBounced') {
+      const original = payload.original_message || {};
+
+      await recordDeliveryEvent({
+        type: 'bounce',
+        email: original.to,
+        messageId: original.message_id,
+        permanent: true,
+        source: 'postal',
+        details: { subject: payload.bounce?.subject }
+      });
+    } else if (event === 'MessageDeliveryFailed' && payload.status === 'HardFail') {
+      await recordDeliveryEvent({
+        type: 'bounce',
+        email: payload.message?.to,
+        messageId: payload.message?.message_id,
+        permanent: true,
+        source: 'postal',
+        details: { status: payload.status, message: payload.details, output: payload.output }
+      });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Postal webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Raw DSN bounce messages, e.g. piped in from the bounce mailbox
+router.post('/dsn',
+  requireAuth,
+  express.text({ type: ['message/*', 'multipart/*', 'text/*'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const raw = typeof req.body === 'string' ? req.body : req.body?.raw;
+
+      if (!raw) {
+        return res.status(400).json({ error: 'DSN message body is required' });
+      }
+
+      const { recipients, originalMessageId } = parseDsn(raw);
+
+      for (const recipient of recipients) {
+        await recordDeliveryEvent({
+          type: 'bounce',
+          email: recipient.email,
+          messageId: originalMessageId,
+          permanent: recipient.permanent,
+          source: 'dsn',
+          details: { status: recipient.status, diagnostic: recipient.diagnostic }
+        });
+      }
+
+      res.json({ received: true, originalMessageId, recipients });
+    } catch (error) {
+      console.error('DSN webhook error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Postal-signed requests are trusted; anything else needs the API key
+const requirePostalOrAuth = (req, res, next) => {
+  const signed = req.headers['x-postal-signature-256'] || req.headers['x-postal-signature'];
+
+  if (signed && process.env.POSTAL_WEBHOOK_PUBLIC_KEY) {
+    return verifyPostal(req) ? next() : res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  requireAuth(req, res, next);
+};
+
+// Inbound mail for the agency aliases: raw MIME in the body, or a Postal
+// HTTP endpoint request ({ message, base64, mail_from, rcpt_to })
+router.post('/inbound',
+  express.raw({ type: ['message/rfc822', 'application/octet-stream', 'text/plain'], limit: INBOUND_MAX_BYTES }),
+  (req, res, next) => {
+    if (Buffer.isBuffer(req.body)) req.rawBody = req.body;
+    next();
+  },
+  requirePostalOrAuth,
+  async (req, res) => {
+    try {
+      let raw = req.body;
+      let envelope = {};
+
+      if (!Buffer.isBuffer(raw)) {
+        const { message, base64, mail_from: mailFrom, rcpt_to: rcptTo } = req.body || {};
+        raw = message && Buffer.from(message, base64 ? 'base64' : 'utf8');
+        envelope = { mailFrom, rcptTo };
+      }
+
+      if (!raw || raw.length === 0) {
+        return res.status(400).json({ error: 'Raw message is required' });
+      }
+
+      const result = await processInbound(raw, { source: 'webhook', envelope });
+      res.json({ received: true, ...result });
+    } catch (error) {
+      console.error('Inbound webhook error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+export default router;
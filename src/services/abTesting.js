@@ -0,0 +1,212 @@
+import { createHash } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { parseDuration } from './sequences.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// A/B tests of client campaigns. A campaign with `variants` is sent in two
+// phases: each variant to an equal share of a test group (`test_percent` of
+// the audience), then, once `window` has passed, the variant with the best
+// unique open or click rate to everyone else.
+export const AB_METRICS = ['opens', 'clicks'];
+export const MAX_VARIANTS = 5;
+export const DEFAULT_AB_TEST = { test_percent: 20, metric: 'opens', window: '4h' };
+
+const VARIANT_FIELDS = ['subject', 'html_content', 'text_content'];
+
+// Problems with a campaign's `variants` and `ab_test`
+export function validateAbTest({ variants, ab_test: abTest } = {}) {
+  const errors = [];
+
+  if (variants === undefined || variants === null) {
+    if (abTest !== undefined && abTest !== null) errors.push('ab_test needs variants');
+    return errors;
+  }
+
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    errors.push(`variants must be an array of 2 to ${MAX_VARIANTS} variants`);
+    return errors;
+  }
+
+  const keys = new Set();
+  variants.forEach((variant, index) => {
+    const label = `variants[${index}]`;
+    const key = typeof variant?.key === 'string' ? variant.key.trim() : '';
+
+    if (!key || key.length > 20) {
+      errors.push(`${label}.key must be a name of up to 20 characters`);
+    } else if (keys.has(key)) {
+      errors.push(`${label}.key "${key}" is used more than once`);
+    }
+    keys.add(key);
+
+    const unknown = Object.keys(variant || {}).filter(field => field !== 'key' && !VARIANT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`${label} has unknown fields: ${unknown.join(', ')} (allowed: ${VARIANT_FIELDS.join(', ')})`);
+    }
+    if (!VARIANT_FIELDS.some(field => typeof variant?.[field] === 'string')) {
+      errors.push(`${label} must set at least one of: ${VARIANT_FIELDS.join(', ')}`);
+    }
+  });
+
+  if (abTest !== undefined && abTest !== null) {
+    const { test_percent: percent, metric, window } = abTest;
+
+    if (percent !== undefined && !(Number.isInteger(percent) && percent >= 1 && percent <= 100)) {
+      errors.push('ab_test.test_percent must be a whole number from 1 to 100');
+    }
+    if (metric !== undefined && !AB_METRICS.includes(metric)) {
+      errors.push(`ab_test.metric must be one of: ${AB_METRICS.join(', ')}`);
+    }
+    if (window !== undefined && !parseDuration(window)) {
+      errors.push('ab_test.window must be a duration like "30m", "4h" or "1d"');
+    }
+  }
+
+  return errors;
+}
+
+export const abTestSettings = (campaign) => ({ ...DEFAULT_AB_TEST, ...(campaign.ab_test || {}) });
+
+// The campaign's variants with the campaign's own content filled in, or []
+// when it isn't an A/B test
+export function campaignVariants(campaign) {
+  if (!Array.isArray(campaign.variants) || campaign.variants.length === 0) return [];
+
+  return campaign.variants.map(variant => ({
+    key: variant.key,
+    subject: variant.subject ?? campaign.subject,
+    html_content: variant.html_content ?? campaign.html_content,
+    text_content: variant.text_content ?? campaign.text_content
+  }));
+}
+
+// Pick the test group: the audience in a stable order (hashed with the
+// campaign id, so a resumed run picks the same people), the first
+// `test_percent` of it, dealt out to the variants in turn
+export function splitTestGroup(campaign, recipients, addressOf) {
+  const variants = campaignVariants(campaign);
+  const { test_percent: percent } = abTestSettings(campaign);
+  const rank = (recipient) => createHash('sha256').update(`${campaign.id}:${addressOf(recipient)}`).digest('hex');
+
+  const ordered = recipients
+    .map(recipient => ({ recipient, rank: rank(recipient) }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0));
+
+  const size = Math.ceil((ordered.length * percent) / 100);
+
+  return ordered.slice(0, size).map(({ recipient }, index) => ({
+    recipient,
+    variant: variants[index % variants.length].key
+  }));
+}
+
+const rate = (value, total) => (total > 0 ? ((value / total) * 100).toFixed(2) : '0.00');
+
+// Sends, opens and clicks of each variant, in the campaign's variant order
+export async function variantResults(campaign) {
+  const { data, error } = await supabase.rpc('email_campaign_variant_results', { p_campaign_id: campaign.id });
+  if (error) throw error;
+
+  const rows = new Map((data || []).map(row => [row.variant, row]));
+
+  return campaignVariants(campaign).map(({ key }) => {
+    const row = rows.get(key) || {};
+    const sent = Number(row.sent || 0);
+    const uniqueOpens = Number(row.unique_opens || 0);
+    const uniqueClicks = Number(row.unique_clicks || 0);
+
+    return {
+      variant: key,
+      sent,
+      opens: Number(row.opens || 0),
+      uniqueOpens,
+      openRate: rate(uniqueOpens, sent),
+      clicks: Number(row.clicks || 0),
+      uniqueClicks,
+      clickThroughRate: rate(uniqueClicks, sent)
+    };
+  });
+}
+
+// Best unique rate on the chosen metric; ties go to the other metric, then
+// to the earlier variant
+export function pickWinner(results, metric) {
+  const score = (result, name) => {
+    const unique = name === 'clicks' ? result.uniqueClicks : result.uniqueOpens;
+    return result.sent > 0 ? unique / result.sent : 0;
+  };
+  const other = metric === 'clicks' ? 'opens' : 'clicks';
+
+  return results.reduce((best, result) => {
+    const difference = score(result, metric) - score(best, metric);
+    if (difference > 0) return result;
+    if (difference === 0 && score(result, other) > score(best, other)) return result;
+    return best;
+  }).variant;
+}
+
+// Decide (once) and store the winner from the test group's results
+export async function decideWinner(campaign) {
+  if (campaign.ab_winner) return campaign.ab_winner;
+
+  const { metric } = abTestSettings(campaign);
+  const results = await variantResults(campaign);
+  const winner = pickWinner(results, metric);
+
+  const { data: updated, error } = await supabase
+    .from('email_campaigns')
+    .update({
+      ab_winner: winner,
+      ab_decided_at: new Date().toISOString(),
+      ab_test_results: results
+    })
+    .eq('id', campaign.id)
+    .is('ab_winner', null)
+    .select('ab_winner')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (updated) return updated.ab_winner;
+
+  // Another instance decided first
+  const { data: current } = await supabase
+    .from('email_campaigns')
+    .select('ab_winner')
+    .eq('id', campaign.id)
+    .single();
+
+  return current.ab_winner;
+}
+
+// A/B section of the campaign analytics, or null for a plain campaign
+export async function getAbTestReport(campaignId) {
+  const { data: campaign, error } = await supabase
+    .from('email_campaigns')
+    .select('id, subject, html_content, text_content, variants, ab_test, ab_winner, ab_decided_at, ab_test_results')
+    .eq('id', campaignId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!campaign || campaignVariants(campaign).length === 0) return null;
+
+  const settings = abTestSettings(campaign);
+
+  return {
+    testPercent: settings.test_percent,
+    metric: settings.metric,
+    window: settings.window,
+    winner: campaign.ab_winner,
+    decidedAt: campaign.ab_decided_at,
+    // What the winner was picked on; `variants` below also counts the remainder
+    testResults: campaign.ab_test_results,
+    variants: await variantResults(campaign)
+  };
+}
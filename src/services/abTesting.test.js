@@ -0,0 +1,84 @@
+import { pickWinner, splitTestGroup, validateAbTest } from './abTesting.js';
+
+const result = (variant, sent, uniqueOpens, uniqueClicks) => ({ variant, sent, uniqueOpens, uniqueClicks });
+
+describe('pickWinner', () => {
+  test('picks the best unique rate on the metric', () => {
+    const results = [result('A', 100, 30, 2), result('B', 50, 20, 1), result('C', 100, 25, 9)];
+
+    expect(pickWinner(results, 'opens')).toBe('B');
+    expect(pickWinner(results, 'clicks')).toBe('C');
+  });
+
+  test('breaks ties on the other metric, then keeps the earlier variant', () => {
+    expect(pickWinner([result('A', 100, 30, 2), result('B', 100, 30, 5)], 'opens')).toBe('B');
+    expect(pickWinner([result('A', 100, 30, 5), result('B', 100, 30, 5)], 'opens')).toBe('A');
+  });
+
+  test('a variant nobody was sent scores nothing', () => {
+    expect(pickWinner([result('A', 0, 0, 0), result('B', 10, 1, 0)], 'opens')).toBe('B');
+    expect(pickWinner([result('A', 0, 0, 0), result('B', 0, 0, 0)], 'clicks')).toBe('A');
+  });
+});
+
+describe('splitTestGroup', () => {
+  const campaign = {
+    id: 'campaign-1',
+    subject: 'Hello',
+    variants: [{ key: 'A', subject: 'One' }, { key: 'B', subject: 'Two' }],
+    ab_test: { test_percent: 25 }
+  };
+  const recipients = Array.from({ length: 10 }, (_, index) => ({ email: `patient${index}@example.com` }));
+  const addressOf = (recipient) => recipient.email;
+
+  test('takes test_percent of the audience (rounded up) and deals out the variants', () => {
+    const group = splitTestGroup(campaign, recipients, addressOf);
+
+    expect(group).toHaveLength(3);
+    expect(group.map(entry => entry.variant)).toEqual(['A', 'B', 'A']);
+  });
+
+  test('picks the same people whatever order the audience comes in', () => {
+    const first = splitTestGroup(campaign, recipients, addressOf).map(entry => entry.recipient.email);
+    const again = splitTestGroup(campaign, [...recipients].reverse(), addressOf).map(entry => entry.recipient.email);
+
+    expect(again).toEqual(first);
+  });
+
+  test('another campaign picks a different group', () => {
+    const picked = (id) => splitTestGroup({ ...campaign, id, ab_test: { test_percent: 50 } }, recipients, addressOf)
+      .map(entry => entry.recipient.email)
+      .sort();
+
+    expect(picked('campaign-2')).not.toEqual(picked('campaign-1'));
+  });
+
+  test('uses the default test_percent', () => {
+    expect(splitTestGroup({ ...campaign, ab_test: null }, recipients, addressOf)).toHaveLength(2);
+  });
+});
+
+describe('validateAbTest', () => {
+  test('accepts variants with settings', () => {
+    expect(validateAbTest({
+      variants: [{ key: 'A', subject: 'One' }, { key: 'B', html_content: '<p>Two</p>' }],
+      ab_test: { test_percent: 20, metric: 'clicks', window: '4h' }
+    })).toEqual([]);
+  });
+
+  test('reports bad variants and settings', () => {
+    expect(validateAbTest({
+      variants: [{ key: 'A', subject: 'One' }, { key: 'A', preheader: 'x' }],
+      ab_test: { test_percent: 0, metric: 'replies', window: 'later' }
+    })).toEqual([
+      'variants[1].key "A" is used more than once',
+      'variants[1] has unknown fields: preheader (allowed: subject, html_content, text_content)',
+      'variants[1] must set at least one of: subject, html_content, text_content',
+      'ab_test.test_percent must be a whole number from 1 to 100',
+      'ab_test.metric must be one of: opens, clicks',
+      'ab_test.window must be a duration like "30m", "4h" or "1d"'
+    ]);
+    expect(validateAbTest({ variants: [{ key: 'A', subject: 'One' }] })).toEqual(['variants must be an array of 2 to 5 variants']);
+    expect(validateAbTest({ ab_test: { metric: 'opens' } })).toEqual(['ab_test needs variants']);
+  });
+});
@@ -0,0 +1,268 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { compile, validateTemplate } from './templateEngine.js';
+import { AGENCY_DOMAIN } from './sendingDomains.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Variables a signature template can use
+export const SIGNATURE_VARIABLES = ['name', 'title', 'email', 'alias', 'company', 'website', 'website_label'];
+
+const ALIAS_COLUMNS = 'id, agency_id, client_id, alias, email, name, title, actual_sender, signature_id, active, created_at, updated_at';
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+// Aliases and signatures belong to Bowery itself (no ids), an agency or a
+// client. A scope of undefined means "any" (admin lookups by id).
+function applyScope(query, scope) {
+  if (!scope) return query;
+  const { agencyId = null, clientId = null } = scope;
+
+  if (clientId) return query.eq('client_id', clientId);
+  query = query.is('client_id', null);
+  return agencyId ? query.eq('agency_id', agencyId) : query.is('agency_id', null);
+}
+
+const scopeColumns = ({ agencyId = null, clientId = null } = {}) => ({
+  agency_id: clientId ? null : agencyId,
+  client_id: clientId
+});
+
+// API field names -> columns, only for fields that were sent
+function aliasRow(fields) {
+  const row = {
+    alias: fields.alias?.trim().toLowerCase(),
+    email: fields.email?.trim().toLowerCase(),
+    name: fields.name?.trim(),
+    title: fields.title,
+    actual_sender: (fields.actualSender ?? fields.actual_sender)?.trim().toLowerCase(),
+    signature_id: fields.signatureId ?? fields.signature_id,
+    active: fields.active
+  };
+
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+}
+
+// Problems with alias fields; `senderAccounts` are the mailboxes the
+// transports can send from. `partial` checks only the fields given (updates).
+export function validateAlias(fields, { senderAccounts = [], partial = false } = {}) {
+  const row = aliasRow(fields || {});
+  const errors = [];
+  const check = (field, valid, message) => {
+    if ((!partial || row[field] !== undefined) && !valid) errors.push(message);
+  };
+
+  check('alias', /^[a-z0-9][a-z0-9._-]*$/.test(row.alias || ''), 'alias must be letters, digits, dots, dashes or underscores');
+  check('email', EMAIL_PATTERN.test(row.email || ''), 'email must be a valid address');
+  check('name', Boolean(row.name), 'name is required');
+
+  const accounts = senderAccounts.map(account => account.toLowerCase());
+  check('actual_sender', accounts.includes(row.actual_sender),
+    accounts.length > 0
+      ? `actualSender must be one of the configured sending accounts: ${accounts.join(', ')}`
+      : 'actualSender must be a configured sending account, and none are configured');
+
+  return errors;
+}
+
+export async function listAliases(scope = {}, { includeInactive = false } = {}) {
+  let query = applyScope(supabase.from('email_aliases').select(ALIAS_COLUMNS), scope)
+    .order('alias');
+
+  if (!includeInactive) query = query.eq('active', true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// Active alias by key ('support') or address in a scope
+export async function getAlias(aliasOrEmail, scope = {}) {
+  const value = String(aliasOrEmail || '').trim().toLowerCase();
+  const column = value.includes('@') ? 'email' : 'alias';
+
+  const { data, error } = await applyScope(supabase.from('email_aliases').select(ALIAS_COLUMNS), scope)
+    .eq(column, value)
+    .eq('active', true)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getAliasById(id, scope) {
+  const { data, error } = await applyScope(supabase.from('email_aliases').select(ALIAS_COLUMNS), scope)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function createAlias(fields, scope = {}) {
+  const { data, error } = await supabase
+    .from('email_aliases')
+    .insert({ ...aliasRow(fields), ...scopeColumns(scope) })
+    .select(ALIAS_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateAlias(id, fields, scope) {
+  const { data, error } = await applyScope(supabase.from('email_aliases').update(aliasRow(fields)), scope)
+    .eq('id', id)
+    .select(ALIAS_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteAlias(id, scope) {
+  const { data, error } = await applyScope(supabase.from('email_aliases').delete(), scope)
+    .eq('id', id)
+    .select('id, alias')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+function signatureRow(fields) {
+  const row = {
+    name: fields.name?.trim(),
+    html_template: fields.html ?? fields.html_template,
+    text_template: fields.text ?? fields.text_template,
+    is_default: fields.isDefault ?? fields.is_default
+  };
+
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+}
+
+// Problems with signature fields: missing parts, or variables other than
+// SIGNATURE_VARIABLES
+export function validateSignature(fields, { partial = false } = {}) {
+  const row = signatureRow(fields || {});
+  const errors = [];
+
+  if ((!partial || row.name !== undefined) && !row.name) errors.push('name is required');
+  if ((!partial || row.html_template !== undefined) && !row.html_template) errors.push('html is required');
+
+  const validation = validateTemplate([row.html_template, row.text_template].filter(Boolean), {
+    variables: SIGNATURE_VARIABLES.map(name => ({ name, required: false }))
+  });
+
+  return [
+    ...errors,
+    ...validation.errors,
+    ...validation.unknown.map(name => `unknown variable {{${name}}}; use ${SIGNATURE_VARIABLES.join(', ')}`)
+  ];
+}
+
+export async function listSignatures(scope = {}) {
+  const { data, error } = await applyScope(supabase.from('email_signatures').select('*'), scope)
+    .order('name');
+
+  if (error) throw error;
+  return data;
+}
+
+// Only one default per scope
+async function clearDefault(scope, exceptId = null) {
+  let query = applyScope(supabase.from('email_signatures').update({ is_default: false }), scope)
+    .eq('is_default', true);
+
+  if (exceptId) query = query.neq('id', exceptId);
+  await query;
+}
+
+export async function createSignature(fields, scope = {}) {
+  const row = signatureRow(fields);
+
+  const { data, error } = await supabase
+    .from('email_signatures')
+    .insert({ ...row, ...scopeColumns(scope) })
+    .select()
+    .single();
+
+  if (error) throw error;
+  if (data.is_default) await clearDefault(scope, data.id);
+  return data;
+}
+
+export async function updateSignature(id, fields, scope) {
+  const { data, error } = await applyScope(supabase.from('email_signatures').update(signatureRow(fields)), scope)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data?.is_default) {
+    await clearDefault({ agencyId: data.agency_id, clientId: data.client_id }, data.id);
+  }
+  return data;
+}
+
+export async function deleteSignature(id, scope) {
+  const { data, error } = await applyScope(supabase.from('email_signatures').delete(), scope)
+    .eq('id', id)
+    .select('id, name')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Company shown in a signature: Bowery, or the agency's / client's name
+async function companyFor(alias) {
+  if (!alias.agency_id && !alias.client_id) {
+    return { company: 'Bowery Creative Agency', website: `https://${AGENCY_DOMAIN}` };
+  }
+
+  const { data } = await supabase
+    .from(alias.client_id ? 'clients' : 'agencies')
+    .select('name')
+    .eq('id', alias.client_id || alias.agency_id)
+    .maybeSingle();
+
+  return { company: data?.name || '', website: null };
+}
+
+// { html, text } signature for an alias row: its own signature, else its
+// scope's default. Signatures from other scopes are never used. Both are
+// empty when there is none.
+export async function renderSignature(alias, variables = {}) {
+  let query = applyScope(
+    supabase.from('email_signatures').select('html_template, text_template'),
+    { agencyId: alias.agency_id, clientId: alias.client_id }
+  );
+  query = alias.signature_id ? query.eq('id', alias.signature_id) : query.eq('is_default', true);
+
+  const { data: signature, error } = await query.limit(1).maybeSingle();
+  if (error) throw error;
+  if (!signature) return { html: '', text: '' };
+
+  const { company, website } = await companyFor(alias);
+  const data = {
+    name: alias.name,
+    title: alias.title,
+    email: alias.email,
+    alias: alias.alias,
+    company,
+    website,
+    website_label: website ? website.replace(/^https?:\/\//, '') : null,
+    ...variables
+  };
+
+  return {
+    html: compile(signature.html_template)(data),
+    text: signature.text_template ? compile(signature.text_template, { escape: false })(data) : ''
+  };
+}
@@ -0,0 +1,87 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { createSignature, listAliases, renderSignature, validateAlias, validateSignature } from './aliases.js';
+
+beforeEach(() => {
+  supabaseStub.reset();
+});
+
+describe('validateAlias', () => {
+  const alias = { alias: 'support', email: 'support@example.com', name: 'Support', actualSender: 'a@example.com' };
+
+  test('accepts an alias sent through a configured account', () => {
+    expect(validateAlias(alias, { senderAccounts: ['A@example.com'] })).toEqual([]);
+  });
+
+  test('lists every problem with a new alias', () => {
+    expect(validateAlias({ alias: '-bad key', email: 'not-an-address', actualSender: 'x@example.com' }, { senderAccounts: ['a@example.com'] }))
+      .toEqual([
+        'alias must be letters, digits, dots, dashes or underscores',
+        'email must be a valid address',
+        'name is required',
+        'actualSender must be one of the configured sending accounts: a@example.com'
+      ]);
+  });
+
+  test('checks only the given fields of an update', () => {
+    expect(validateAlias({ name: 'Help desk' }, { partial: true })).toEqual([]);
+    expect(validateAlias({ actualSender: 'a@example.com' }, { partial: true }))
+      .toEqual(['actualSender must be a configured sending account, and none are configured']);
+  });
+});
+
+describe('validateSignature', () => {
+  test('allows only the signature variables', () => {
+    expect(validateSignature({ name: 'Default', html: '<p>{{name}}, {{title}} at {{company}}</p>' })).toEqual([]);
+    expect(validateSignature({ name: 'Default', html: '<p>{{first_name}}</p>' }))
+      .toEqual([expect.stringContaining('unknown variable {{first_name}}')]);
+  });
+
+  test('requires a name and html unless partial', () => {
+    expect(validateSignature({})).toEqual(['name is required', 'html is required']);
+    expect(validateSignature({ text: '{{name}}' }, { partial: true })).toEqual([]);
+  });
+});
+
+describe('scopes', () => {
+  test('Bowery, agency and client lookups each stay in their scope', async () => {
+    await listAliases();
+    await listAliases({ agencyId: 'agency-1' });
+    await listAliases({ agencyId: 'agency-1', clientId: 'client-1' });
+
+    const [bowery, agency, client] = supabaseStub.on('email_aliases');
+    expect(bowery.all('is')).toEqual([['client_id', null], ['agency_id', null]]);
+    expect(agency.all('is')).toEqual([['client_id', null]]);
+    expect(agency.all('eq')).toEqual([['agency_id', 'agency-1'], ['active', true]]);
+    expect(client.all('eq')).toEqual([['client_id', 'client-1'], ['active', true]]);
+  });
+
+  test('a new default signature clears the previous default in its scope', async () => {
+    supabaseStub.respond('email_signatures', { data: { id: 'sig-2', is_default: true } });
+
+    await createSignature({ name: 'New', html: '<p>{{name}}</p>', isDefault: true }, { agencyId: 'agency-1' });
+
+    const [insert, clear] = supabaseStub.on('email_signatures');
+    expect(insert.values).toMatchObject({ agency_id: 'agency-1', client_id: null, is_default: true });
+    expect(clear.values).toEqual({ is_default: false });
+    expect(clear.all('eq')).toEqual([['agency_id', 'agency-1'], ['is_default', true]]);
+    expect(clear.args('neq')).toEqual(['id', 'sig-2']);
+  });
+});
+
+describe('renderSignature', () => {
+  test("fills in the alias and its client's name from the scope default", async () => {
+    supabaseStub.respond('email_signatures', { data: { html_template: '<p>{{name}} | {{company}}</p>', text_template: '{{name}} | {{company}}' } });
+    supabaseStub.respond('clients', { data: { name: 'Smiles & Co' } });
+
+    const signature = await renderSignature({ alias: 'front', email: 'front@smiles.com', name: 'Ann', client_id: 'client-1' });
+
+    const [lookup] = supabaseStub.on('email_signatures');
+    expect(lookup.all('eq')).toEqual([['client_id', 'client-1'], ['is_default', true]]);
+    expect(signature).toEqual({ html: '<p>Ann | Smiles &amp; Co</p>', text: 'Ann | Smiles & Co' });
+  });
+
+  test('is empty when the scope has no signature', async () => {
+    expect(await renderSignature({ alias: 'support', name: 'Support', signature_id: 'sig-9' }))
+      .toEqual({ html: '', text: '' });
+  });
+});
@@ -0,0 +1,340 @@
+import { createHash, randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Per file, and for all attachments on one message. 18 MB stays under Gmail's
+// 25 MB once base64-encoded.
+export const ATTACHMENT_MAX_BYTES = parseInt(process.env.EMAIL_ATTACHMENT_MAX_BYTES || '10485760');
+export const MESSAGE_ATTACHMENTS_MAX_BYTES = parseInt(process.env.EMAIL_MESSAGE_ATTACHMENTS_MAX_BYTES || '18874368');
+
+// Fields an API caller may set on an attachment. Anything that makes
+// nodemailer read a file or fetch a URL (path, href, raw, ...) is refused.
+const ALLOWED_FIELDS = ['id', 'filename', 'content', 'contentType', 'encoding', 'cid'];
+
+// Mail providers refuse these, and we shouldn't be the ones sending them
+const BLOCKED_EXTENSIONS = new Set(['exe', 'com', 'bat', 'cmd', 'scr', 'pif', 'msi', 'jar', 'js', 'vbs', 'vbe', 'wsf', 'ps1', 'cpl', 'lnk']);
+
+// Magic numbers, checked against the first bytes
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: 'WEBP' },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-cfb', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { type: 'application/x-msdownload', bytes: [0x4d, 0x5a], executable: true },
+  { type: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46], executable: true },
+  { type: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe], executable: true }
+];
+
+// Office files are zip or CFB containers; the extension says which
+const CONTAINER_TYPES = {
+  'application/zip': {
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  },
+  'application/x-cfb': {
+    doc: 'application/msword',
+    xls: 'application/vnd.ms-excel',
+    ppt: 'application/vnd.ms-powerpoint'
+  }
+};
+
+const TEXT_TYPES = {
+  txt: 'text/plain',
+  csv: 'text/csv',
+  html: 'text/html',
+  htm: 'text/html',
+  ics: 'text/calendar',
+  json: 'application/json',
+  svg: 'image/svg+xml'
+};
+
+const extensionOf = (filename) => path.extname(filename || '').slice(1).toLowerCase();
+
+// No NUL bytes and valid UTF-8 (a character cut at the sample edge is fine)
+function looksLikeText(content) {
+  const sample = content.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Content type from the bytes, not from what the caller claims. The file
+// name only picks between formats that share a container (docx vs zip).
+export function sniffContentType(content, filename) {
+  const extension = extensionOf(filename);
+  const match = SIGNATURES.find(signature =>
+    signature.bytes.every((byte, index) => content[index] === byte)
+    && (!signature.at8 || content.toString('latin1', 8, 12) === signature.at8));
+
+  if (match) {
+    return {
+      contentType: CONTAINER_TYPES[match.type]?.[extension] || match.type,
+      executable: Boolean(match.executable)
+    };
+  }
+
+  if (looksLikeText(content)) {
+    return { contentType: TEXT_TYPES[extension] || 'text/plain', executable: false };
+  }
+
+  return { contentType: 'application/octet-stream', executable: false };
+}
+
+const safeFilename = (filename) =>
+  path.basename(String(filename || 'attachment').replace(/\\/g, '/')).replace(/[^\w.\- ]+/g, '_') || 'attachment';
+
+const rejected = (message, status = 422) => Object.assign(new Error(message), { status });
+
+// Where attachment content lives. Metadata is always in email_attachments;
+// each row records which store holds its bytes.
+const stores = {
+  supabase: {
+    bucket: process.env.EMAIL_ATTACHMENT_BUCKET || 'email-attachments',
+
+    async put(key, content, contentType) {
+      const { error } = await supabase.storage
+        .from(this.bucket)
+        .upload(key, content, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async get(key) {
+      const { data, error } = await supabase.storage.from(this.bucket).download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(key) {
+      await supabase.storage.from(this.bucket).remove([key]);
+    }
+  },
+
+  local: {
+    directory: process.env.EMAIL_ATTACHMENT_DIR || null,
+
+    async put(key, content) {
+      const file = path.join(this.directory, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, content);
+    },
+
+    async get(key) {
+      return fs.readFile(path.join(this.directory, key));
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(this.directory, key), { force: true });
+    }
+  }
+};
+
+// EMAIL_ATTACHMENT_STORAGE=local|supabase; local by default once a directory is set
+export const attachmentStorage = process.env.EMAIL_ATTACHMENT_STORAGE
+  || (stores.local.directory ? 'local' : 'supabase');
+
+// Check and store one file. Returns the email_attachments row.
+export async function storeAttachment({ content, filename, clientId = null }) {
+  if (!Buffer.isBuffer(content) || content.length === 0) {
+    throw rejected('Attachment content is empty');
+  }
+  if (content.length > ATTACHMENT_MAX_BYTES) {
+    throw rejected(`Attachment is ${content.length} bytes; the limit is ${ATTACHMENT_MAX_BYTES}`, 413);
+  }
+
+  const name = safeFilename(filename);
+  const { contentType, executable } = sniffContentType(content, name);
+
+  if (executable || BLOCKED_EXTENSIONS.has(extensionOf(name))) {
+    throw rejected(`${name}: executable files can't be attached`, 415);
+  }
+
+  const store = stores[attachmentStorage];
+  if (!store || (attachmentStorage === 'local' && !store.directory)) {
+    throw new Error(`Attachment storage "${attachmentStorage}" is not configured`);
+  }
+
+  const id = randomUUID();
+  const key = `${id}/${name}`;
+  await store.put(key, content, contentType);
+
+  const { data, error } = await supabase
+    .from('email_attachments')
+    .insert({
+      id,
+      client_id: clientId,
+      filename: name,
+      content_type: contentType,
+      size: content.length,
+      sha256: createHash('sha256').update(content).digest('hex'),
+      storage: attachmentStorage,
+      storage_key: key
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await store.remove(key);
+    throw error;
+  }
+
+  return data;
+}
+
+export async function getAttachment(id) {
+  const { data, error } = await supabase
+    .from('email_attachments')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteAttachment(id) {
+  const attachment = await getAttachment(id);
+  if (!attachment) return null;
+
+  await stores[attachment.storage]?.remove(attachment.storage_key);
+
+  const { error } = await supabase.from('email_attachments').delete().eq('id', id);
+  if (error) throw error;
+  return attachment;
+}
+
+// Content-IDs the HTML refers to (<img src="cid:logo">)
+export const referencedCids = (html) =>
+  [...new Set([...String(html || '').matchAll(/["'(]cid:([^"')\s]+)/gi)].map(match => match[1]))];
+
+// Validate `attachments` from an API request and store any inline content,
+// so queued messages only carry references: [{ id, cid? }]. Each entry is
+// either { id } for an uploaded file or { filename, content (base64),
+// cid? }. Throws with `status` set when the input is refused.
+export async function prepareAttachments(input, { html, clientId = null } = {}) {
+  if (input === undefined || input === null) input = [];
+  if (!Array.isArray(input)) throw rejected('attachments must be an array');
+
+  // Everything is checked before any inline content is stored, so a refused
+  // request leaves nothing behind
+  const refs = [];
+
+  for (const [index, entry] of input.entries()) {
+    const label = `attachments[${index}]`;
+
+    if (!entry || typeof entry !== 'object') throw rejected(`${label} must be an object`);
+
+    const extra = Object.keys(entry).filter(key => !ALLOWED_FIELDS.includes(key));
+    if (extra.length > 0) {
+      throw rejected(`${label}: ${extra.join(', ')} not allowed; upload the file and pass its id, or send base64 content`);
+    }
+    if (entry.cid !== undefined && !/^[\w.@-]+$/.test(String(entry.cid))) {
+      throw rejected(`${label}: cid may only contain letters, digits, dots, dashes, underscores and @`);
+    }
+
+    const filename = entry.filename ? safeFilename(entry.filename) : null;
+    // The name the recipient sees decides how their machine opens the file
+    if (filename && BLOCKED_EXTENSIONS.has(extensionOf(filename))) {
+      throw rejected(`${label}: ${filename}: executable files can't be attached`, 415);
+    }
+
+    if (entry.id) {
+      const attachment = await getAttachment(entry.id);
+      // Another client's upload is as good as missing
+      if (!attachment || (attachment.client_id && attachment.client_id !== clientId)) {
+        throw rejected(`${label}: attachment ${entry.id} not found`, 404);
+      }
+
+      refs.push({ id: attachment.id, size: attachment.size, contentType: attachment.content_type, filename, cid: entry.cid && String(entry.cid) });
+    } else {
+      if (typeof entry.content !== 'string') {
+        throw rejected(`${label} needs an id or string content`);
+      }
+      const encoding = entry.encoding || 'base64';
+      if (!['base64', 'utf8', 'utf-8'].includes(encoding)) {
+        throw rejected(`${label}: encoding must be base64 or utf8`);
+      }
+
+      const content = Buffer.from(entry.content, encoding);
+      refs.push({
+        content,
+        size: content.length,
+        contentType: sniffContentType(content, safeFilename(entry.filename)).contentType,
+        filename,
+        cid: entry.cid && String(entry.cid)
+      });
+    }
+  }
+
+  const total = refs.reduce((sum, ref) => sum + ref.size, 0);
+  if (total > MESSAGE_ATTACHMENTS_MAX_BYTES) {
+    throw rejected(`Attachments total ${total} bytes; the limit per message is ${MESSAGE_ATTACHMENTS_MAX_BYTES}`, 413);
+  }
+
+  // Inline images: every cid: in the HTML needs an image attachment with that cid
+  const byCid = new Map(refs.filter(ref => ref.cid).map(ref => [ref.cid, ref]));
+  const missing = referencedCids(html).filter(cid => !byCid.has(cid));
+  if (missing.length > 0) {
+    throw rejected(`HTML refers to cid:${missing.join(', cid:')} but no attachment has that cid`);
+  }
+  const notImages = [...byCid.values()].filter(ref => !ref.contentType.startsWith('image/'));
+  if (notImages.length > 0) {
+    throw rejected(`Inline (cid) attachments must be images: ${notImages.map(ref => ref.cid).join(', ')}`, 415);
+  }
+
+  // Store inline content; if one file is refused, drop the ones stored before it
+  const stored = [];
+  try {
+    for (const ref of refs.filter(ref => ref.content)) {
+      const attachment = await storeAttachment({ content: ref.content, filename: ref.filename, clientId });
+      ref.id = attachment.id;
+      stored.push(attachment.id);
+    }
+  } catch (error) {
+    await Promise.all(stored.map(id => deleteAttachment(id).catch(() => {})));
+    throw error;
+  }
+
+  return refs.map(({ id, filename, cid }) => ({ id, ...(filename && { filename }), ...(cid && { cid }) }));
+}
+
+// Turn references into nodemailer attachments at send time. Entries with
+// content of their own (built by our code) pass through; anything asking
+// nodemailer to read a path or URL is refused.
+export async function loadAttachments(attachments = []) {
+  return Promise.all(attachments.map(async (entry) => {
+    if (entry.path || entry.href || entry.raw) {
+      throw new Error('Attachments may not be read from a path or URL');
+    }
+    if (!entry.id) return entry;
+
+    const attachment = await getAttachment(entry.id);
+    if (!attachment) throw new Error(`Attachment ${entry.id} not found`);
+
+    return {
+      filename: entry.filename || attachment.filename,
+      content: await stores[attachment.storage].get(attachment.storage_key),
+      contentType: attachment.content_type,
+      ...(entry.cid && { cid: entry.cid, contentDisposition: 'inline' })
+    };
+  }));
+}
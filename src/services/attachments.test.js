@@ -0,0 +1,51 @@
+import { sniffContentType, referencedCids } from './attachments.js';
+
+const bytes = (...values) => Buffer.from(values);
+
+describe('sniffContentType', () => {
+  test('goes by the bytes, not the file name', () => {
+    expect(sniffContentType(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0), 'photo.jpg'))
+      .toEqual({ contentType: 'image/png', executable: false });
+    expect(sniffContentType(bytes(0xff, 0xd8, 0xff, 0xe0), 'photo.png').contentType).toBe('image/jpeg');
+    expect(sniffContentType(Buffer.from('%PDF-1.7\n'), 'invoice.txt').contentType).toBe('application/pdf');
+  });
+
+  test('recognises WebP inside its RIFF container only', () => {
+    expect(sniffContentType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'a.webp').contentType).toBe('image/webp');
+    expect(sniffContentType(Buffer.from('RIFF\0\0\0\0WAVEfmt '), 'a.webp').contentType).toBe('application/octet-stream');
+  });
+
+  test('uses the extension to tell office files from their containers', () => {
+    const zip = bytes(0x50, 0x4b, 0x03, 0x04, 0x14, 0x00);
+    const cfb = bytes(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1);
+
+    expect(sniffContentType(zip, 'report.docx').contentType)
+      .toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(sniffContentType(zip, 'archive.zip').contentType).toBe('application/zip');
+    expect(sniffContentType(cfb, 'old.XLS').contentType).toBe('application/vnd.ms-excel');
+  });
+
+  test('flags executables whatever they are called', () => {
+    expect(sniffContentType(bytes(0x4d, 0x5a, 0x90, 0x00), 'invoice.pdf'))
+      .toEqual({ contentType: 'application/x-msdownload', executable: true });
+    expect(sniffContentType(bytes(0x7f, 0x45, 0x4c, 0x46), 'notes.txt').executable).toBe(true);
+  });
+
+  test('names text by its extension', () => {
+    expect(sniffContentType(Buffer.from('a,b\n1,2\n'), 'list.csv').contentType).toBe('text/csv');
+    expect(sniffContentType(Buffer.from('BEGIN:VCALENDAR'), 'invite.ics').contentType).toBe('text/calendar');
+    expect(sniffContentType(Buffer.from('Grüße'), 'notes').contentType).toBe('text/plain');
+  });
+
+  test('falls back to octet-stream for binary it does not know', () => {
+    expect(sniffContentType(bytes(0x00, 0x01, 0x02, 0x03), 'data.txt').contentType).toBe('application/octet-stream');
+    expect(sniffContentType(bytes(0xc3, 0x28, 0x41), 'bad.txt').contentType).toBe('application/octet-stream');
+  });
+});
+
+describe('referencedCids', () => {
+  test('lists the cids the HTML refers to', () => {
+    expect(referencedCids('<img src="cid:logo@x"><img src=\'CID:banner\'><img src="https://example.com/a.png">'))
+      .toEqual(['logo@x', 'banner']);
+  });
+});
@@ -0,0 +1,57 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const CAMPAIGN_ACTIONS = ['pause', 'resume', 'cancel', 'reschedule'];
+
+// Refused state changes (e.g. resuming a campaign that isn't paused)
+export const campaignStateError = (message, status = 409) => Object.assign(new Error(message), { status });
+
+// Who made a change: the X-Actor header (or `actor` in the body) names the
+// person; otherwise the client, or the API key for agency routes
+export function actorFor(req, fallback = 'api') {
+  const named = req.get('X-Actor') || req.body?.actor;
+  return named ? String(named).slice(0, 200) : fallback;
+}
+
+export async function recordCampaignChange({ campaignId, action, fromStatus, toStatus, actor, reason = null, details = {} }) {
+  const { data, error } = await supabase
+    .from('email_campaign_audit')
+    .insert({
+      campaign_id: campaignId,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor,
+      reason,
+      details
+    })
+    .select()
+    .single();
+
+  // The change itself already happened; a missing audit row is logged, not fatal
+  if (error) {
+    console.error(`Recording ${action} of campaign ${campaignId} failed:`, error.message);
+    return null;
+  }
+  return data;
+}
+
+// Newest first
+export async function listCampaignChanges(campaignId) {
+  const { data, error } = await supabase
+    .from('email_campaign_audit')
+    .select('*')
+    .eq('campaign_id', campaignId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,27 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { actorFor, recordCampaignChange } from './campaignAudit.js';
+
+const request = (headers = {}, body = {}) => ({ body, get: name => headers[name] });
+
+beforeEach(() => {
+  supabaseStub.reset();
+});
+
+test('actorFor prefers the X-Actor header, then the body, then the fallback', () => {
+  expect(actorFor(request({ 'X-Actor': 'ann@bowery.com' }, { actor: 'bob' }))).toBe('ann@bowery.com');
+  expect(actorFor(request({}, { actor: 'bob' }))).toBe('bob');
+  expect(actorFor(request(), 'client:client-1')).toBe('client:client-1');
+  expect(actorFor(request({ 'X-Actor': 'x'.repeat(300) }))).toHaveLength(200);
+});
+
+test('a failed audit write is logged rather than thrown', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  supabaseStub.respond('email_campaign_audit', { error: new Error('insert failed') });
+
+  const change = await recordCampaignChange({ campaignId: 'campaign-1', action: 'pause', fromStatus: 'scheduled', toStatus: 'paused', actor: 'api' });
+
+  expect(change).toBeNull();
+  expect(supabaseStub.on('email_campaign_audit', 'insert')[0].values)
+    .toMatchObject({ campaign_id: 'campaign-1', action: 'pause', from_status: 'scheduled', to_status: 'paused', actor: 'api' });
+  console.error.mockRestore();
+});
@@ -0,0 +1,533 @@
+import { EventEmitter } from 'events';
+import os from 'os';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { campaignAudience } from './segments.js';
+import { normalizeAddress } from './suppression.js';
+import { unsubscribeFor } from './unsubscribe.js';
+import { compile, loadPartials } from './templateEngine.js';
+import { parseTransportOrder } from './transports/index.js';
+import { AGENCY_DOMAIN } from './sendingDomains.js';
+import { campaignStateError } from './campaignAudit.js';
+import { abTestSettings, campaignVariants, decideWinner, splitTestGroup } from './abTesting.js';
+import { parseDuration } from './sequences.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAGE_SIZE = 1000;
+
+// Percent done and what's left, from an email_campaign_deliveries row
+export function deliveryProgress(delivery) {
+  const done = delivery.sent + delivery.skipped + delivery.failed;
+
+  return {
+    delivery_id: delivery.id,
+    campaign_id: delivery.campaign_id,
+    status: delivery.status,
+    phase: delivery.phase || 'full',
+    total: delivery.total,
+    sent: delivery.sent,
+    skipped: delivery.skipped,
+    failed: delivery.failed,
+    remaining: Math.max(delivery.total - done, 0),
+    percent: delivery.total > 0 ? Math.min(Math.round((done / delivery.total) * 1000) / 10, 100) : (delivery.status === 'completed' ? 100 : 0),
+    error: delivery.error || null,
+    send_at: delivery.send_at || null,
+    started_at: delivery.started_at,
+    completed_at: delivery.completed_at
+  };
+}
+
+// Sends client campaigns (POST /api/email/campaigns/:id/send) in the
+// background. A send request only stores an email_campaign_deliveries row;
+// a worker claims it and mails the audience with at most `concurrency`
+// sends in flight, each one paced by the provider rate limits and domain
+// throttles in sendEmail. Every recipient is logged in email_campaign_logs
+// as it goes, so a delivery taken over after a crash skips everyone who
+// already has a log row. Emits 'progress' with deliveryProgress() as it runs.
+// Pausing, cancelling or rescheduling changes the row's status; the worker
+// notices on its next progress save and stops pulling recipients, letting
+// the sends in flight finish.
+//
+// An A/B test campaign (one with variants) is delivered twice: a 'test'
+// delivery sends the variants to the test group and queues a 'remainder'
+// delivery for when the test window ends, which picks the winner and sends
+// it to everyone else.
+export class CampaignDelivery extends EventEmitter {
+  constructor(orchestrator) {
+    super();
+    this.orchestrator = orchestrator;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollInterval = parseInt(process.env.CAMPAIGN_DELIVERY_POLL_MS || '5000');
+    this.concurrency = Math.max(parseInt(process.env.CAMPAIGN_DELIVERY_CONCURRENCY || '5'), 1);
+    // How often counts are saved (and the claim renewed) while running
+    this.progressInterval = 2000;
+    // A running delivery without a heartbeat for this long is taken over
+    this.staleSeconds = parseInt(process.env.CAMPAIGN_DELIVERY_STALE_SECONDS || '120');
+    // Client campaigns can prefer a different provider order (e.g. resend,postal,gmail)
+    this.transportOrder = parseTransportOrder(process.env.CAMPAIGN_TRANSPORT_ORDER) || undefined;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Queue a campaign for delivery, now or at sendAt. Returns null when it
+  // is already being delivered (or paused).
+  async enqueue(campaign, { sendAt = null } = {}) {
+    // An A/B test whose winner is known only has the remainder left
+    const phase = campaignVariants(campaign).length === 0 ? 'full' : (campaign.ab_winner ? 'remainder' : 'test');
+
+    const { data, error } = await supabase
+      .from('email_campaign_deliveries')
+      .insert({ campaign_id: campaign.id, client_id: campaign.client_id, status: 'queued', send_at: sendAt, phase })
+      .select()
+      .single();
+
+    if (error?.code === '23505') return null;
+    if (error) throw error;
+
+    await supabase
+      .from('email_campaigns')
+      .update({ status: sendAt ? 'scheduled' : 'in_progress' })
+      .eq('id', campaign.id);
+
+    // Start right away here rather than on the next poll
+    if (this.timer) setImmediate(() => this.tick());
+    return data;
+  }
+
+  // Latest delivery of a campaign, or null if it was never sent
+  async getProgress(campaignId) {
+    const { data, error } = await supabase
+      .from('email_campaign_deliveries')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? deliveryProgress(data) : null;
+  }
+
+  // The queued, running or paused delivery of a campaign
+  async activeDelivery(campaignId) {
+    const { data, error } = await supabase
+      .from('email_campaign_deliveries')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .in('status', ['queued', 'running', 'paused'])
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Pause, resume, cancel and reschedule. Each returns { campaign, from,
+  // details } or throws a 409 when the campaign's state doesn't allow it.
+
+  async pause(campaign) {
+    const delivery = await this.activeDelivery(campaign.id);
+    if (!delivery || delivery.status === 'paused') {
+      throw campaignStateError(delivery ? 'Campaign is already paused' : 'Campaign is not being delivered');
+    }
+
+    const updated = await this.moveDelivery(delivery, ['queued', 'running'], { status: 'paused' });
+    return this.moveCampaign(campaign, 'paused', updated);
+  }
+
+  // Picks up where it stopped: everyone already logged is skipped
+  async resume(campaign) {
+    const delivery = await this.activeDelivery(campaign.id);
+    if (delivery?.status !== 'paused') {
+      throw campaignStateError('Campaign is not paused');
+    }
+
+    const updated = await this.moveDelivery(delivery, ['paused'], { status: 'queued', claimed_by: null });
+    if (this.timer) setImmediate(() => this.tick());
+
+    const scheduled = updated.send_at && new Date(updated.send_at) > new Date();
+    return this.moveCampaign(campaign, scheduled ? 'scheduled' : 'in_progress', updated);
+  }
+
+  // A draft can be cancelled too, so it can't be sent by mistake
+  async cancel(campaign) {
+    const delivery = await this.activeDelivery(campaign.id);
+    if (!delivery && campaign.status !== 'draft') {
+      throw campaignStateError(`Campaign is ${campaign.status} and can't be cancelled`);
+    }
+
+    const updated = delivery
+      ? await this.moveDelivery(delivery, ['queued', 'running', 'paused'], {
+        status: 'cancelled',
+        completed_at: new Date().toISOString()
+      })
+      : null;
+
+    return this.moveCampaign(campaign, 'cancelled', updated);
+  }
+
+  // Send (or carry on sending) at sendAt. A running delivery stops and
+  // continues from where it got to.
+  async reschedule(campaign, sendAt) {
+    const when = new Date(sendAt);
+    if (!sendAt || isNaN(when.getTime()) || when <= new Date()) {
+      throw campaignStateError('send_at must be a valid time in the future', 422);
+    }
+
+    const delivery = await this.activeDelivery(campaign.id);
+    if (!delivery) {
+      throw campaignStateError('Campaign is not being delivered; send it with send_at to schedule it');
+    }
+
+    const updated = await this.moveDelivery(delivery, ['queued', 'running', 'paused'], {
+      status: 'queued',
+      send_at: when.toISOString(),
+      claimed_by: null
+    });
+
+    return this.moveCampaign(campaign, 'scheduled', updated, { from: delivery.send_at, to: updated.send_at });
+  }
+
+  // Only moves the delivery if it is still in one of `from` statuses
+  async moveDelivery(delivery, from, fields) {
+    const { data, error } = await supabase
+      .from('email_campaign_deliveries')
+      .update(fields)
+      .eq('id', delivery.id)
+      .in('status', from)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw campaignStateError('Delivery status changed meanwhile; reload and try again');
+    return data;
+  }
+
+  async moveCampaign(campaign, status, delivery, details = {}) {
+    const { data, error } = await supabase
+      .from('email_campaigns')
+      .update({ status })
+      .eq('id', campaign.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (delivery) this.emit('progress', deliveryProgress(delivery));
+
+    return {
+      campaign: data,
+      from: campaign.status,
+      details: { ...details, progress: delivery ? deliveryProgress(delivery) : null }
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+    console.log(`📨 Campaign delivery worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Deliveries run one at a time per instance
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (;;) {
+        const { data: claimed, error } = await supabase.rpc('claim_campaign_delivery', {
+          p_worker: this.workerId,
+          p_stale_seconds: this.staleSeconds
+        });
+
+        if (error) throw error;
+        if (!claimed || claimed.length === 0) break;
+        await this.run(claimed[0]);
+      }
+    } catch (error) {
+      console.error('Campaign delivery tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async run(delivery) {
+    const counts = { sent: 0, skipped: 0, failed: 0 };
+    let total = delivery.total;
+    let heartbeat = null;
+    // Set once the delivery is no longer 'running' (paused, cancelled, rescheduled)
+    let stopped = false;
+
+    try {
+      const { data: campaign } = await supabase
+        .from('email_campaigns')
+        .select('*')
+        .eq('id', delivery.campaign_id)
+        .maybeSingle();
+
+      if (!campaign) throw new Error('Campaign not found');
+
+      const { data: client } = await supabase
+        .from('clients')
+        .select('id, name')
+        .eq('id', campaign.client_id)
+        .maybeSingle();
+
+      if (!client) throw new Error('Client not found');
+
+      // Scheduled deliveries (send_at, A/B remainders) start here
+      await supabase
+        .from('email_campaigns')
+        .update({ status: 'in_progress' })
+        .eq('id', campaign.id)
+        .eq('status', 'scheduled');
+
+      // Variant key -> renderers; plain campaigns and A/B remainders use one
+      const partials = await loadPartials();
+      const renderers = new Map();
+      const variants = campaignVariants(campaign);
+      const winner = delivery.phase === 'remainder' && variants.length > 0 ? await decideWinner(campaign) : null;
+
+      if (delivery.phase === 'test') {
+        variants.forEach(variant => renderers.set(variant.key, this.compileContent(variant, partials)));
+      } else {
+        renderers.set(winner, this.compileContent(variants.find(variant => variant.key === winner) || campaign, partials));
+      }
+
+      const seen = new Set();
+      const audience = [];
+      for (const recipient of await campaignAudience(campaign)) {
+        const address = normalizeAddress(recipient.email);
+        if (!address || seen.has(address)) continue;
+        seen.add(address);
+        audience.push(recipient);
+      }
+
+      const targets = delivery.phase === 'test'
+        ? splitTestGroup(campaign, audience, recipient => normalizeAddress(recipient.email))
+        : audience.map(recipient => ({ recipient, variant: winner }));
+
+      // Everyone already logged (an earlier run that stopped part way, or
+      // the test group of an A/B test) is skipped
+      const logged = await this.loggedRecipients(campaign.id);
+      const pending = [];
+
+      for (const target of targets) {
+        const address = normalizeAddress(target.recipient.email);
+
+        if (logged.has(address)) {
+          if (logged.get(address) in counts) counts[logged.get(address)]++;
+        } else {
+          pending.push(target);
+        }
+      }
+
+      total = targets.length;
+      if (logged.size > 0 && delivery.phase !== 'remainder') {
+        console.log(`📨 Resuming campaign ${campaign.id}: ${total - pending.length} of ${total} already sent`);
+      }
+
+      stopped = !(await this.report(delivery, { total, ...counts }));
+      heartbeat = setInterval(() => {
+        this.report(delivery, { total, ...counts })
+          .then(row => { if (!row) stopped = true; })
+          .catch(error => console.error(`Campaign delivery ${delivery.id} progress failed:`, error.message));
+      }, this.progressInterval);
+
+      // `concurrency` workers pulling from the same list
+      let next = 0;
+      const worker = async () => {
+        while (next < pending.length && !stopped) {
+          const { recipient, variant } = pending[next++];
+          counts[await this.deliver(campaign, client, renderers.get(variant), recipient, variant)]++;
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+      clearInterval(heartbeat);
+
+      const completed = !stopped && await this.report(delivery, {
+        total,
+        ...counts,
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      });
+
+      // Keep the counts of what went out before it stopped
+      if (!completed) {
+        await this.report(delivery, { total, ...counts }, { onlyIfRunning: false });
+        console.log(`📨 Campaign delivery ${delivery.id} stopped after ${counts.sent} sent`);
+        return;
+      }
+
+      if (delivery.phase === 'test') {
+        await this.queueRemainder(campaign);
+      } else {
+        await supabase
+          .from('email_campaigns')
+          .update({
+            status: 'sent',
+            sent_at: new Date().toISOString(),
+            recipient_count: total,
+            success_count: counts.sent
+          })
+          .eq('id', campaign.id);
+      }
+
+      // Log usage for what this run sent
+      await supabase.from('usage_logs').insert({
+        client_id: campaign.client_id,
+        service_type: 'email',
+        action: 'campaign_sent',
+        quantity: pending.length,
+        metadata: { campaign_id: campaign.id, delivery_id: delivery.id, phase: delivery.phase }
+      });
+    } catch (error) {
+      clearInterval(heartbeat);
+      console.error(`Campaign delivery ${delivery.id} failed:`, error.message);
+      await this.report(delivery, {
+        total,
+        ...counts,
+        status: 'failed',
+        error: error.message,
+        completed_at: new Date().toISOString()
+      }).catch(() => {});
+    }
+  }
+
+  compileContent(content, partials) {
+    return {
+      subject: compile(content.subject, { escape: false, partials }),
+      html: compile(content.html_content, { partials }),
+      text: compile(content.text_content || '', { escape: false, partials })
+    };
+  }
+
+  // The A/B test went out: pick the winner and send it to everyone else
+  // once the test window has passed
+  async queueRemainder(campaign) {
+    const sendAt = new Date(Date.now() + parseDuration(abTestSettings(campaign).window)).toISOString();
+
+    const { error } = await supabase
+      .from('email_campaign_deliveries')
+      .insert({
+        campaign_id: campaign.id,
+        client_id: campaign.client_id,
+        status: 'queued',
+        phase: 'remainder',
+        send_at: sendAt
+      });
+
+    if (error && error.code !== '23505') throw error;
+
+    await supabase
+      .from('email_campaigns')
+      .update({ status: 'scheduled' })
+      .eq('id', campaign.id);
+
+    console.log(`🧪 A/B test of campaign ${campaign.id} sent; the winner goes out at ${sendAt}`);
+  }
+
+  // Send to one recipient and log it. Returns 'sent', 'skipped' or 'failed'.
+  async deliver(campaign, client, render, recipient, variant = null) {
+    const unsubscribe = unsubscribeFor({
+      email: recipient.email,
+      clientId: campaign.client_id,
+      campaignId: campaign.id
+    });
+
+    const variables = {
+      recipient_name: recipient.name,
+      email: recipient.email,
+      client_name: client.name,
+      unsubscribe_link: unsubscribe.url
+    };
+
+    try {
+      const result = await this.orchestrator.sendEmail({
+        from: campaign.from_email || `${client.name} <noreply@${AGENCY_DOMAIN}>`,
+        to: recipient.email,
+        subject: render.subject(variables),
+        html: render.html(variables),
+        text: render.text(variables) || undefined,
+        headers: unsubscribe.headers,
+        campaignId: campaign.id,
+        clientId: campaign.client_id,
+        transports: this.transportOrder,
+        throttle: true
+      });
+
+      await supabase.from('email_campaign_logs').insert({
+        campaign_id: campaign.id,
+        recipient_email: recipient.email,
+        status: result.skipped ? 'skipped' : 'sent',
+        message_id: result.messageId,
+        log_id: result.logId,
+        variant
+      });
+
+      return result.skipped ? 'skipped' : 'sent';
+    } catch (error) {
+      await supabase.from('email_campaign_logs').insert({
+        campaign_id: campaign.id,
+        recipient_email: recipient.email,
+        status: 'failed',
+        error: error.message,
+        variant
+      });
+
+      return 'failed';
+    }
+  }
+
+  // Normalized address -> status ('sent', 'skipped', 'failed') of everyone
+  // the campaign has a log row for
+  async loggedRecipients(campaignId) {
+    const logged = new Map();
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('email_campaign_logs')
+        .select('recipient_email, status')
+        .eq('campaign_id', campaignId)
+        .order('recipient_email')
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      data.forEach(row => logged.set(normalizeAddress(row.recipient_email), row.status));
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    return logged;
+  }
+
+  // Save counts, renew the claim and tell listeners. Returns null (and
+  // changes nothing) when the delivery is no longer running.
+  async report(delivery, fields, { onlyIfRunning = true } = {}) {
+    let query = supabase
+      .from('email_campaign_deliveries')
+      .update(onlyIfRunning ? { ...fields, heartbeat_at: new Date().toISOString() } : fields)
+      .eq('id', delivery.id);
+
+    if (onlyIfRunning) query = query.eq('status', 'running');
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    if (data) this.emit('progress', deliveryProgress(data));
+    return data;
+  }
+}
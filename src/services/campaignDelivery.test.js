@@ -0,0 +1,203 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { campaignAudience } from './segments.js';
+import { CampaignDelivery, deliveryProgress } from './campaignDelivery.js';
+
+jest.mock('./segments.js', () => ({ campaignAudience: jest.fn() }));
+jest.mock('./unsubscribe.js', () => ({
+  unsubscribeFor: ({ email }) => ({ url: `https://api.example.com/u/${email}`, headers: { 'List-Unsubscribe': `<${email}>` } })
+}));
+
+const progress = () => supabaseStub.on('email_campaign_deliveries', 'update').map(query => query.values);
+const campaignLogs = () => supabaseStub.on('email_campaign_logs', 'insert').map(query => query.values);
+
+let orchestrator;
+let delivery;
+
+beforeEach(() => {
+  supabaseStub.reset();
+  supabaseStub.respond('email_templates', { data: [] });
+  supabaseStub.respond('email_campaigns', {
+    data: { id: 'campaign-1', client_id: 'client-1', subject: 'News for {{recipient_name}}', html_content: '<p>Hi {{recipient_name}}</p>' }
+  });
+  supabaseStub.respond('clients', { data: { id: 'client-1', name: 'Smiles Dental' } });
+  supabaseStub.respond('email_campaign_logs', { data: [] });
+  // Counts come back as saved, like the real update ... select()
+  supabaseStub.respond('email_campaign_deliveries', query => ({
+    data: { id: 'delivery-1', campaign_id: 'campaign-1', status: 'running', ...query.values }
+  }));
+
+  orchestrator = { sendEmail: jest.fn().mockResolvedValue({ messageId: '<m>' }) };
+  delivery = new CampaignDelivery(orchestrator);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('mails each subscriber once and reports the totals', async () => {
+  campaignAudience.mockResolvedValue([
+    { email: 'ann@example.com', name: 'Ann' },
+    { email: 'ANN@example.com', name: 'Ann again' },
+    { email: 'bob@example.com', name: 'Bob' }
+  ]);
+  orchestrator.sendEmail
+    .mockResolvedValueOnce({ messageId: '<1>' })
+    .mockRejectedValueOnce(new Error('550 no such user'));
+  const events = [];
+  delivery.on('progress', event => events.push(event));
+
+  await delivery.run({ id: 'delivery-1', campaign_id: 'campaign-1', total: 0 });
+
+  expect(orchestrator.sendEmail).toHaveBeenCalledTimes(2);
+  expect(orchestrator.sendEmail.mock.calls[0][0]).toMatchObject({
+    from: 'Smiles Dental <noreply@bowerycreativeagency.com>',
+    to: 'ann@example.com',
+    subject: 'News for Ann',
+    headers: { 'List-Unsubscribe': '<ann@example.com>' },
+    throttle: true
+  });
+  expect(campaignLogs().map(({ recipient_email, status }) => [recipient_email, status]))
+    .toEqual([['ann@example.com', 'sent'], ['bob@example.com', 'failed']]);
+  expect(progress().pop()).toMatchObject({ status: 'completed', total: 2, sent: 1, failed: 1, skipped: 0 });
+  expect(events.pop()).toMatchObject({ status: 'completed', remaining: 0, percent: 100 });
+  expect(supabaseStub.on('email_campaigns', 'update').pop().values).toMatchObject({ status: 'sent', recipient_count: 2, success_count: 1 });
+});
+
+test('a resumed delivery skips everyone already logged', async () => {
+  campaignAudience.mockResolvedValue([{ email: 'ann@example.com' }, { email: 'bob@example.com' }, { email: 'cy@example.com' }]);
+  supabaseStub.respondOnce('email_campaign_logs', { data: [{ recipient_email: 'Ann@Example.com', status: 'sent' }, { recipient_email: 'bob@example.com', status: 'skipped' }] });
+
+  await delivery.run({ id: 'delivery-1', campaign_id: 'campaign-1', total: 3 });
+
+  expect(orchestrator.sendEmail.mock.calls.map(([message]) => message.to)).toEqual(['cy@example.com']);
+  expect(progress().pop()).toMatchObject({ status: 'completed', total: 3, sent: 2, skipped: 1 });
+  expect(supabaseStub.on('usage_logs', 'insert')[0].values).toMatchObject({ quantity: 1 });
+});
+
+test('keeps at most `concurrency` sends in flight', async () => {
+  campaignAudience.mockResolvedValue(Array.from({ length: 7 }, (_, i) => ({ email: `p${i}@example.com` })));
+  delivery.concurrency = 3;
+  let inFlight = 0;
+  let most = 0;
+  orchestrator.sendEmail.mockImplementation(async () => {
+    most = Math.max(most, ++inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    inFlight--;
+    return { messageId: '<m>' };
+  });
+
+  await delivery.run({ id: 'delivery-1', campaign_id: 'campaign-1', total: 0 });
+
+  expect(orchestrator.sendEmail).toHaveBeenCalledTimes(7);
+  expect(most).toBe(3);
+});
+
+test('stops pulling recipients once the delivery is paused', async () => {
+  campaignAudience.mockResolvedValue(Array.from({ length: 5 }, (_, i) => ({ email: `p${i}@example.com` })));
+  delivery.concurrency = 1;
+  delivery.progressInterval = 1;
+  let paused = false;
+  supabaseStub.respond('email_campaign_deliveries', query => ({
+    data: paused && query.all('eq').some(([column]) => column === 'status')
+      ? null
+      : { id: 'delivery-1', campaign_id: 'campaign-1', status: 'running', ...query.values }
+  }));
+  orchestrator.sendEmail.mockImplementation(async () => {
+    paused = true;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return { messageId: '<m>' };
+  });
+
+  await delivery.run({ id: 'delivery-1', campaign_id: 'campaign-1', total: 0 });
+
+  expect(orchestrator.sendEmail).toHaveBeenCalledTimes(1);
+  // The counts so far are kept, without marking it completed
+  expect(progress().pop()).toEqual({ total: 5, sent: 1, skipped: 0, failed: 0 });
+  expect(supabaseStub.on('email_campaigns', 'update').map(query => query.values.status)).not.toContain('sent');
+});
+
+describe('controls', () => {
+  const campaign = { id: 'campaign-1', client_id: 'client-1', status: 'in_progress' };
+
+  test('pause moves a running delivery and the campaign', async () => {
+    supabaseStub.respond('email_campaign_deliveries', query => ({
+      data: { id: 'delivery-1', campaign_id: 'campaign-1', status: 'running', total: 4, sent: 1, skipped: 0, failed: 0, ...query.values }
+    }));
+    supabaseStub.respond('email_campaigns', query => ({ data: { ...campaign, ...query.values } }));
+
+    const result = await delivery.pause(campaign);
+
+    expect(supabaseStub.on('email_campaign_deliveries', 'update')[0].args('in')).toEqual(['status', ['queued', 'running']]);
+    expect(result).toMatchObject({ campaign: { status: 'paused' }, from: 'in_progress', details: { progress: { status: 'paused', remaining: 3 } } });
+  });
+
+  test('refuses to pause or resume what is not being delivered', async () => {
+    supabaseStub.respond('email_campaign_deliveries', { data: null });
+
+    await expect(delivery.pause(campaign)).rejects.toMatchObject({ status: 409, message: 'Campaign is not being delivered' });
+    await expect(delivery.resume(campaign)).rejects.toMatchObject({ status: 409, message: 'Campaign is not paused' });
+  });
+
+  test('reschedule needs a future time', async () => {
+    await expect(delivery.reschedule(campaign, '2020-01-01T09:00:00Z')).rejects.toMatchObject({ status: 422 });
+    await expect(delivery.reschedule(campaign, 'soon')).rejects.toMatchObject({ status: 422 });
+  });
+
+  test('a draft with no delivery can still be cancelled', async () => {
+    supabaseStub.respond('email_campaign_deliveries', { data: null });
+    supabaseStub.respond('email_campaigns', query => ({ data: { ...campaign, ...query.values } }));
+
+    const result = await delivery.cancel({ ...campaign, status: 'draft' });
+
+    expect(result).toMatchObject({ campaign: { status: 'cancelled' }, from: 'draft', details: { progress: null } });
+  });
+});
+
+test('an A/B test sends the variants to the test group and queues the remainder', async () => {
+  supabaseStub.respond('email_campaigns', {
+    data: {
+      id: 'campaign-1',
+      client_id: 'client-1',
+      subject: 'Plain',
+      html_content: '<p>Hi</p>',
+      variants: [{ key: 'A', subject: 'Subject A' }, { key: 'B', subject: 'Subject B' }],
+      ab_test: { test_percent: 40, window: '2h' }
+    }
+  });
+  campaignAudience.mockResolvedValue(Array.from({ length: 5 }, (_, i) => ({ email: `p${i}@example.com` })));
+
+  const before = Date.now();
+  await delivery.run({ id: 'delivery-1', campaign_id: 'campaign-1', total: 0, phase: 'test' });
+
+  expect(orchestrator.sendEmail.mock.calls.map(([message]) => message.subject).sort()).toEqual(['Subject A', 'Subject B']);
+  expect(campaignLogs().map(row => row.variant).sort()).toEqual(['A', 'B']);
+
+  const [remainder] = supabaseStub.on('email_campaign_deliveries', 'insert');
+  expect(remainder.values).toMatchObject({ campaign_id: 'campaign-1', phase: 'remainder', status: 'queued' });
+  expect(Date.parse(remainder.values.send_at) - before).toBeGreaterThanOrEqual(2 * 3600000);
+  expect(supabaseStub.on('email_campaigns', 'update').pop().values).toEqual({ status: 'scheduled' });
+});
+
+test('a delivery whose campaign is gone is marked failed', async () => {
+  supabaseStub.respondOnce('email_campaigns', { data: null });
+
+  await delivery.run({ id: 'delivery-1', campaign_id: 'campaign-1', total: 0 });
+
+  expect(progress()).toEqual([expect.objectContaining({ status: 'failed', error: 'Campaign not found' })]);
+  expect(orchestrator.sendEmail).not.toHaveBeenCalled();
+});
+
+test('enqueue refuses a campaign that is already being delivered', async () => {
+  supabaseStub.respond('email_campaign_deliveries', { error: { code: '23505', message: 'duplicate key' } });
+
+  expect(await delivery.enqueue({ id: 'campaign-1', client_id: 'client-1' })).toBeNull();
+});
+
+test('deliveryProgress works out what is left', () => {
+  expect(deliveryProgress({ id: 'd', campaign_id: 'c', status: 'running', total: 3, sent: 1, skipped: 0, failed: 0 }))
+    .toMatchObject({ remaining: 2, percent: 33.3 });
+  expect(deliveryProgress({ id: 'd', campaign_id: 'c', status: 'completed', total: 0, sent: 0, skipped: 0, failed: 0 }))
+    .toMatchObject({ remaining: 0, percent: 100 });
+});
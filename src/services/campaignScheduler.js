@@ -0,0 +1,394 @@
+import os from 'os';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { campaignStateError } from './campaignAudit.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Runs scheduled campaign sends from email_campaign_sends. Nothing is kept in
+// memory, so sends survive restarts and are picked up by whichever instance
+// polls first once they are due.
+export class CampaignScheduler {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollInterval = parseInt(process.env.CAMPAIGN_SCHEDULER_POLL_MS || '30000');
+    this.staleMinutes = parseInt(process.env.CAMPAIGN_SCHEDULER_STALE_MINUTES || '5');
+    this.timer = null;
+    this.ticking = false;
+
+    this.orchestrator.queue.on('job:completed', (job, counts) => {
+      if (job.type === 'campaign') {
+        this.completeSendForJob(job, counts).catch(error => {
+          console.error('Failed to complete campaign send:', error.message);
+        });
+      }
+    });
+  }
+
+  // One pending send per schedule entry. Times are checked by createCampaign;
+  // one that has passed since then simply runs on the next poll.
+  async scheduleCampaign(campaign, schedule) {
+    const sends = schedule.map((scheduledSend, index) => ({
+      campaign_id: campaign.id,
+      schedule_index: index,
+      send_at: new Date(scheduledSend.sendAt).toISOString(),
+      status: 'pending'
+    }));
+
+    const { data, error } = await supabase
+      .from('email_campaign_sends')
+      .insert(sends)
+      .select();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getSends(campaignId) {
+    const { data, error } = await supabase
+      .from('email_campaign_sends')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('schedule_index');
+
+    if (error) throw error;
+    return data;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    // Pick up anything that came due while we were down
+    this.tick();
+    console.log(`🗓️  Campaign scheduler ${this.workerId} started`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.recoverStaleSends();
+      await this.reconcileFinishedJobs();
+
+      const { data: claimed, error } = await supabase.rpc('claim_due_campaign_sends', {
+        p_worker: this.workerId,
+        p_limit: 10
+      });
+
+      if (error) throw error;
+      for (const send of claimed || []) {
+        await this.runSend(send);
+      }
+    } catch (error) {
+      console.error('Campaign scheduler tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runSend(send) {
+    await supabase
+      .from('email_campaigns')
+      .update({ status: 'in_progress' })
+      .eq('id', send.campaign_id)
+      .eq('status', 'scheduled');
+
+    try {
+      const job = await this.orchestrator.executeCampaignSend(send.campaign_id, send.schedule_index, send.id);
+
+      if (!job) {
+        await this.finishSend(send, 'failed', { error: 'Campaign not found' });
+        return;
+      }
+
+      await supabase
+        .from('email_campaign_sends')
+        .update({ job_id: job.id })
+        .eq('id', send.id);
+
+      // Paused or cancelled while the messages were being queued
+      const { data: campaign } = await supabase
+        .from('email_campaigns')
+        .select('status')
+        .eq('id', send.campaign_id)
+        .maybeSingle();
+
+      if (campaign?.status === 'paused') await this.orchestrator.queue.holdCampaign(send.campaign_id);
+      if (campaign?.status === 'cancelled') await this.orchestrator.queue.cancelCampaign(send.campaign_id);
+    } catch (error) {
+      console.error(`Campaign send ${send.id} failed:`, error.message);
+      await this.finishSend(send, 'failed', { error: error.message });
+    }
+  }
+
+  // A send claimed by an instance that died before recording its job is either
+  // attached to the job it did create, or released back to pending.
+  async recoverStaleSends() {
+    const staleBefore = new Date(Date.now() - this.staleMinutes * 60 * 1000).toISOString();
+
+    const { data: stale } = await supabase
+      .from('email_campaign_sends')
+      .select('*')
+      .eq('status', 'running')
+      .is('job_id', null)
+      .lt('claimed_at', staleBefore);
+
+    for (const send of stale || []) {
+      const { data: jobs } = await supabase
+        .from('email_jobs')
+        .select('id')
+        .eq('metadata->>campaignSendId', send.id)
+        .limit(1);
+
+      await supabase
+        .from('email_campaign_sends')
+        .update(jobs && jobs.length > 0
+          ? { job_id: jobs[0].id }
+          : { status: 'pending', claimed_by: null, claimed_at: null })
+        .eq('id', send.id)
+        .eq('status', 'running');
+    }
+  }
+
+  // Covers jobs that finished on an instance that went away before it could
+  // record the result
+  async reconcileFinishedJobs() {
+    const { data: running } = await supabase
+      .from('email_campaign_sends')
+      .select('*, email_jobs(*)')
+      .eq('status', 'running')
+      .not('job_id', 'is', null);
+
+    for (const send of running || []) {
+      const job = send.email_jobs;
+      if (job && ['completed', 'failed'].includes(job.status)) {
+        await this.completeSendForJob(job, await this.orchestrator.queue.getCounts(job.id));
+      }
+    }
+  }
+
+  async completeSendForJob(job, counts) {
+    const { data: send } = await supabase
+      .from('email_campaign_sends')
+      .select('*')
+      .eq('job_id', job.id)
+      .maybeSingle();
+
+    if (!send) return;
+
+    await this.finishSend(send, job.status === 'failed' ? 'failed' : 'completed', {
+      results: counts
+    });
+  }
+
+  async finishSend(send, status, { results = null, error = null } = {}) {
+    const { data: updated } = await supabase
+      .from('email_campaign_sends')
+      .update({
+        status,
+        results,
+        error,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', send.id)
+      .eq('status', 'running')
+      .select();
+
+    if (updated && updated.length > 0) {
+      await this.updateCampaignStatus(send.campaign_id);
+    }
+  }
+
+  async updateCampaignStatus(campaignId) {
+    const { count: remaining } = await supabase
+      .from('email_campaign_sends')
+      .select('*', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .in('status', ['pending', 'running']);
+
+    if (remaining === 0) {
+      await supabase
+        .from('email_campaigns')
+        .update({ status: 'completed' })
+        .eq('id', campaignId)
+        .in('status', ['scheduled', 'in_progress']);
+    }
+  }
+
+  // Pause, resume, cancel and reschedule. Each returns { campaign, from,
+  // details } (null when the campaign doesn't exist) or throws a 409 when the
+  // campaign's status doesn't allow it.
+
+  async getCampaign(campaignId) {
+    const { data, error } = await supabase
+      .from('email_campaigns')
+      .select('*')
+      .eq('id', campaignId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Only moves the campaign if it is still in one of `from` statuses
+  async moveCampaign(campaign, from, status) {
+    const { data, error } = await supabase
+      .from('email_campaigns')
+      .update({ status })
+      .eq('id', campaign.id)
+      .in('status', from)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw campaignStateError('Campaign status changed meanwhile; reload and try again');
+    return data;
+  }
+
+  // Due sends aren't claimed while paused and queued messages are held;
+  // messages already being sent finish
+  async pauseCampaign(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) return null;
+
+    if (!['scheduled', 'in_progress'].includes(campaign.status)) {
+      throw campaignStateError(`Campaign is ${campaign.status}; only scheduled or in-progress campaigns can be paused`);
+    }
+
+    const updated = await this.moveCampaign(campaign, ['scheduled', 'in_progress'], 'paused');
+    const held = await this.orchestrator.queue.holdCampaign(campaignId);
+
+    return { campaign: updated, from: campaign.status, details: { held } };
+  }
+
+  // Held messages go out again right away. Sends that came due while paused
+  // are picked up on the next poll; reschedule first to move them instead.
+  async resumeCampaign(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) return null;
+
+    if (campaign.status !== 'paused') {
+      throw campaignStateError(`Campaign is ${campaign.status}; only paused campaigns can be resumed`);
+    }
+
+    const { count: running } = await supabase
+      .from('email_campaign_sends')
+      .select('*', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'running');
+
+    const updated = await this.moveCampaign(campaign, ['paused'], running > 0 ? 'in_progress' : 'scheduled');
+    const released = await this.orchestrator.queue.releaseCampaign(campaignId);
+    // Everything may have finished just as it was paused
+    await this.updateCampaignStatus(campaignId);
+
+    return { campaign: updated, from: campaign.status, details: { released } };
+  }
+
+  // Pending sends and unsent messages are cancelled; messages already being
+  // sent finish
+  async cancelCampaign(campaignId) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) return null;
+
+    if (!['scheduled', 'in_progress', 'paused'].includes(campaign.status)) {
+      throw campaignStateError(`Campaign is ${campaign.status} and can't be cancelled`);
+    }
+
+    const updated = await this.moveCampaign(campaign, ['scheduled', 'in_progress', 'paused'], 'cancelled');
+
+    const { data: sends, error } = await supabase
+      .from('email_campaign_sends')
+      .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+      .eq('campaign_id', campaignId)
+      .in('status', ['pending', 'running'])
+      .select('id');
+
+    if (error) throw error;
+    const messages = await this.orchestrator.queue.cancelCampaign(campaignId);
+
+    return { campaign: updated, from: campaign.status, details: { sends: sends.length, messages } };
+  }
+
+  // Move the pending sends: { sendAt } shifts them all so the first pending
+  // send goes at sendAt and the gaps between them stay the same; { schedule }
+  // gives every pending send its own time (a sendAt or { sendAt } per send, in
+  // schedule order). Times must be in the future.
+  async rescheduleCampaign(campaignId, { sendAt, schedule } = {}) {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) return null;
+
+    if (!['scheduled', 'in_progress', 'paused'].includes(campaign.status)) {
+      throw campaignStateError(`Campaign is ${campaign.status} and can't be rescheduled`);
+    }
+
+    const pending = (await this.getSends(campaignId)).filter(send => send.status === 'pending');
+    if (pending.length === 0) {
+      throw campaignStateError('Campaign has no pending sends to reschedule');
+    }
+
+    let times;
+    if (schedule !== undefined) {
+      if (!Array.isArray(schedule) || schedule.length !== pending.length) {
+        throw campaignStateError(`schedule must list a time for each of the ${pending.length} pending sends`, 422);
+      }
+      times = schedule.map(entry => new Date(entry?.sendAt ?? entry));
+    } else if (sendAt !== undefined) {
+      const offset = new Date(sendAt).getTime() - new Date(pending[0].send_at).getTime();
+      times = pending.map(send => new Date(new Date(send.send_at).getTime() + offset));
+    } else {
+      throw campaignStateError('sendAt or schedule is required', 422);
+    }
+
+    const now = Date.now();
+    if (times.some(time => isNaN(time.getTime()) || time.getTime() <= now)) {
+      throw campaignStateError('Rescheduled sends must be valid times in the future', 422);
+    }
+
+    const moved = [];
+    for (const [i, send] of pending.entries()) {
+      const { data, error } = await supabase
+        .from('email_campaign_sends')
+        .update({ send_at: times[i].toISOString() })
+        .eq('id', send.id)
+        .eq('status', 'pending')
+        .select('id');
+
+      if (error) throw error;
+      if (data.length > 0) {
+        moved.push({ scheduleIndex: send.schedule_index, from: send.send_at, to: times[i].toISOString() });
+      }
+    }
+
+    // Keep the campaign's own copy of the schedule in step
+    const updatedSchedule = (campaign.schedule || []).map((entry, index) => {
+      const change = moved.find(move => move.scheduleIndex === index);
+      return change ? { ...entry, sendAt: change.to } : entry;
+    });
+
+    const { data: updated, error } = await supabase
+      .from('email_campaigns')
+      .update({ schedule: updatedSchedule })
+      .eq('id', campaignId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { campaign: updated, from: campaign.status, details: { sends: moved } };
+  }
+}
@@ -0,0 +1,202 @@
+import { EventEmitter } from 'events';
+import { supabaseStub } from '@supabase/supabase-js';
+import { CampaignScheduler } from './campaignScheduler.js';
+
+let orchestrator;
+let scheduler;
+
+beforeEach(() => {
+  supabaseStub.reset();
+  orchestrator = {
+    queue: Object.assign(new EventEmitter(), {
+      getCounts: jest.fn(),
+      holdCampaign: jest.fn().mockResolvedValue(4),
+      releaseCampaign: jest.fn().mockResolvedValue(4),
+      cancelCampaign: jest.fn().mockResolvedValue(4)
+    }),
+    executeCampaignSend: jest.fn()
+  };
+  scheduler = new CampaignScheduler(orchestrator);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('scheduleCampaign', () => {
+  test('stores one pending send per schedule entry', async () => {
+    const schedule = [{ sendAt: '2030-01-01T09:00:00Z' }, { sendAt: '2030-01-08T09:00:00Z' }];
+
+    await scheduler.scheduleCampaign({ id: 'campaign-1' }, schedule);
+
+    expect(supabaseStub.on('email_campaign_sends', 'insert')[0].values).toEqual([
+      { campaign_id: 'campaign-1', schedule_index: 0, send_at: '2030-01-01T09:00:00.000Z', status: 'pending' },
+      { campaign_id: 'campaign-1', schedule_index: 1, send_at: '2030-01-08T09:00:00.000Z', status: 'pending' }
+    ]);
+  });
+
+  test('throws when the sends cannot be stored', async () => {
+    supabaseStub.respond('email_campaign_sends', { error: new Error('insert failed') });
+
+    await expect(scheduler.scheduleCampaign({ id: 'campaign-1' }, [{ sendAt: '2030-01-01' }])).rejects.toThrow('insert failed');
+  });
+});
+
+describe('runSend', () => {
+  const send = { id: 'send-1', campaign_id: 'campaign-1', schedule_index: 0 };
+
+  test('starts the campaign and records the job it queued', async () => {
+    orchestrator.executeCampaignSend.mockResolvedValue({ id: 'job-1' });
+
+    await scheduler.runSend(send);
+
+    expect(orchestrator.executeCampaignSend).toHaveBeenCalledWith('campaign-1', 0, 'send-1');
+    expect(supabaseStub.on('email_campaigns', 'update')[0].values).toEqual({ status: 'in_progress' });
+    expect(supabaseStub.on('email_campaign_sends', 'update')[0].values).toEqual({ job_id: 'job-1' });
+  });
+
+  test('fails the send when queueing throws', async () => {
+    orchestrator.executeCampaignSend.mockRejectedValue(new Error('queue down'));
+
+    await scheduler.runSend(send);
+
+    const [update] = supabaseStub.on('email_campaign_sends', 'update');
+    expect(update.values).toMatchObject({ status: 'failed', error: 'queue down' });
+    expect(update.all('eq')).toEqual([['id', 'send-1'], ['status', 'running']]);
+  });
+});
+
+describe('recoverStaleSends', () => {
+  test('attaches a stale send to the job it created, or puts it back to pending', async () => {
+    supabaseStub.respond('email_campaign_sends', query => ({
+      data: query.action === 'select' ? [{ id: 'send-1' }, { id: 'send-2' }] : null
+    }));
+    supabaseStub.respondOnce('email_jobs', { data: [{ id: 'job-1' }] });
+    supabaseStub.respondOnce('email_jobs', { data: [] });
+
+    await scheduler.recoverStaleSends();
+
+    expect(supabaseStub.on('email_campaign_sends', 'update').map(query => query.values)).toEqual([
+      { job_id: 'job-1' },
+      { status: 'pending', claimed_by: null, claimed_at: null }
+    ]);
+  });
+});
+
+describe('job completion', () => {
+  test('finishes the campaign send when its job completes', async () => {
+    supabaseStub.respond('email_campaign_sends', query => {
+      if (query.action === 'update') return { data: [{ id: 'send-1' }] };
+      if (query.args('select')?.[1]?.head) return { count: 0 };
+      return { data: { id: 'send-1', campaign_id: 'campaign-1' } };
+    });
+
+    orchestrator.queue.emit('job:completed', { id: 'job-1', type: 'campaign', status: 'completed' }, { sent: 3 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(supabaseStub.on('email_campaign_sends', 'update')[0].values).toMatchObject({
+      status: 'completed',
+      results: { sent: 3 }
+    });
+    expect(supabaseStub.on('email_campaigns', 'update')[0].values).toEqual({ status: 'completed' });
+  });
+
+  test('leaves the campaign running while other sends are pending', async () => {
+    supabaseStub.respond('email_campaign_sends', { count: 1 });
+
+    await scheduler.updateCampaignStatus('campaign-1');
+
+    expect(supabaseStub.on('email_campaigns', 'update')).toHaveLength(0);
+  });
+});
+
+describe('campaign controls', () => {
+  const campaign = (status, fields = {}) => ({ id: 'campaign-1', status, ...fields });
+
+  // The campaign as loaded, then as moved
+  const stored = (status, fields) => {
+    supabaseStub.respond('email_campaigns', query => ({
+      data: query.action === 'update' ? campaign(query.values.status ?? status, { ...fields, ...query.values }) : campaign(status, fields)
+    }));
+  };
+
+  test('pausing holds the queued messages', async () => {
+    stored('in_progress');
+
+    const result = await scheduler.pauseCampaign('campaign-1');
+
+    expect(result).toMatchObject({ campaign: { status: 'paused' }, from: 'in_progress', details: { held: 4 } });
+    expect(supabaseStub.on('email_campaigns', 'update')[0].args('in')).toEqual(['status', ['scheduled', 'in_progress']]);
+    expect(orchestrator.queue.holdCampaign).toHaveBeenCalledWith('campaign-1');
+  });
+
+  test('refuses changes the status does not allow', async () => {
+    stored('completed');
+
+    await expect(scheduler.pauseCampaign('campaign-1')).rejects.toMatchObject({ status: 409 });
+    await expect(scheduler.resumeCampaign('campaign-1')).rejects.toMatchObject({ status: 409 });
+    await expect(scheduler.cancelCampaign('campaign-1')).rejects.toMatchObject({ status: 409 });
+    expect(supabaseStub.on('email_campaigns', 'update')).toHaveLength(0);
+  });
+
+  test('a campaign changed by someone else meanwhile is not moved', async () => {
+    supabaseStub.respond('email_campaigns', query => ({ data: query.action === 'update' ? null : campaign('scheduled') }));
+
+    await expect(scheduler.pauseCampaign('campaign-1'))
+      .rejects.toMatchObject({ status: 409, message: 'Campaign status changed meanwhile; reload and try again' });
+    expect(orchestrator.queue.holdCampaign).not.toHaveBeenCalled();
+  });
+
+  test('resuming goes back to in_progress while a send is running', async () => {
+    stored('paused');
+    supabaseStub.respond('email_campaign_sends', { count: 1 });
+
+    const result = await scheduler.resumeCampaign('campaign-1');
+
+    expect(result).toMatchObject({ campaign: { status: 'in_progress' }, from: 'paused', details: { released: 4 } });
+  });
+
+  test('cancelling stops pending sends and unsent messages', async () => {
+    stored('paused');
+    supabaseStub.respond('email_campaign_sends', { data: [{ id: 'send-2' }, { id: 'send-3' }] });
+
+    const result = await scheduler.cancelCampaign('campaign-1');
+
+    expect(result.details).toEqual({ sends: 2, messages: 4 });
+    expect(supabaseStub.on('email_campaign_sends', 'update')[0].args('in')).toEqual(['status', ['pending', 'running']]);
+  });
+
+  describe('rescheduleCampaign', () => {
+    const sends = [
+      { id: 'send-1', schedule_index: 0, status: 'completed', send_at: '2020-01-01T09:00:00.000Z' },
+      { id: 'send-2', schedule_index: 1, status: 'pending', send_at: '2020-01-08T09:00:00.000Z' },
+      { id: 'send-3', schedule_index: 2, status: 'pending', send_at: '2020-01-15T09:00:00.000Z' }
+    ];
+
+    beforeEach(() => {
+      stored('in_progress', { schedule: sends.map(send => ({ sendAt: send.send_at })) });
+      supabaseStub.respond('email_campaign_sends', query => ({ data: query.action === 'update' ? [{ id: query.args('eq')[1] }] : sends }));
+    });
+
+    test('sendAt moves the pending sends and keeps the gap between them', async () => {
+      const result = await scheduler.rescheduleCampaign('campaign-1', { sendAt: '2030-03-01T09:00:00.000Z' });
+
+      expect(supabaseStub.on('email_campaign_sends', 'update').map(query => query.values.send_at))
+        .toEqual(['2030-03-01T09:00:00.000Z', '2030-03-08T09:00:00.000Z']);
+      expect(result.campaign.schedule).toEqual([
+        { sendAt: '2020-01-01T09:00:00.000Z' },
+        { sendAt: '2030-03-01T09:00:00.000Z' },
+        { sendAt: '2030-03-08T09:00:00.000Z' }
+      ]);
+    });
+
+    test('refuses past times and a schedule of the wrong length', async () => {
+      await expect(scheduler.rescheduleCampaign('campaign-1', { schedule: ['2030-03-01T09:00:00Z', '2020-03-08T09:00:00Z'] }))
+        .rejects.toMatchObject({ status: 422 });
+      await expect(scheduler.rescheduleCampaign('campaign-1', { schedule: ['2030-03-01T09:00:00Z'] }))
+        .rejects.toMatchObject({ status: 422, message: 'schedule must list a time for each of the 2 pending sends' });
+      expect(supabaseStub.on('email_campaign_sends', 'update')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { htmlToText, decodeEntities } from './htmlToText.js';
+
+// Pre-send checks for campaign content. Each finding has a rule id, a
+// severity and points; the points add up to the score, and a send scoring
+// at or above CONTENT_LINT_THRESHOLD is blocked unless overridden.
+export const LINT_THRESHOLD = parseFloat(process.env.CONTENT_LINT_THRESHOLD || '5');
+
+// Gmail clips messages whose HTML is over 102 KB
+const GMAIL_CLIP_BYTES = 102 * 1024;
+const SIZE_WARNING_BYTES = 90 * 1024;
+
+const LINK_CHECK_TIMEOUT_MS = parseInt(process.env.CONTENT_LINT_LINK_TIMEOUT_MS || '5000');
+const MAX_CHECKED_LINKS = 25;
+const MAX_LINK_REDIRECTS = 5;
+
+// Stand-in for the per-recipient unsubscribe URL when rendering for a lint
+export const UNSUBSCRIBE_PLACEHOLDER = 'https://unsubscribe.invalid/lint';
+
+const SPAM_PHRASES = [
+  'act now', 'apply now', 'as seen on', 'buy now', 'cash bonus', 'click here', 'click below',
+  'congratulations', 'dear friend', 'double your', 'earn extra cash', 'eliminate debt',
+  'extra income', 'free gift', 'free money', 'guaranteed', 'increase sales', 'limited time',
+  'lowest price', 'make money', 'million dollars', 'no catch', 'no cost', 'no obligation',
+  'once in a lifetime', 'order now', 'risk-free', 'risk free', 'special promotion', 'this is not spam',
+  'urgent', 'winner', "you've been selected", 'you have been selected', '100% free', '$$$'
+];
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 'ow.ly', 't.co', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at'];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const issue = (rule, severity, points, message) => ({ rule, severity, points, message });
+
+const attributeOf = (tag, name) =>
+  tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'))
+    ?.slice(1).find(value => value !== undefined) ?? null;
+
+// href values of every <a>, decoded
+export function extractLinks(html) {
+  return [...String(html || '').matchAll(/<a\b([^>]*)>/gi)]
+    .map(match => attributeOf(match[1], 'href'))
+    .filter(href => href !== null)
+    .map(href => decodeEntities(href).trim());
+}
+
+function lintSubject(subject) {
+  const issues = [];
+  const value = String(subject || '').trim();
+
+  if (!value) {
+    return [issue('subject-missing', 'error', 5, 'Subject is empty')];
+  }
+
+  if (value.length > 78) {
+    issues.push(issue('subject-length', 'info', 0.5, `Subject is ${value.length} characters; most clients cut it off around 60-78`));
+  }
+
+  const letters = value.replace(/[^a-z]/gi, '');
+  const capitals = value.replace(/[^A-Z]/g, '');
+  if (letters.length >= 8 && capitals.length / letters.length > 0.6) {
+    issues.push(issue('subject-caps', 'warning', 2, 'Subject is mostly capital letters'));
+  }
+
+  if (/[!?]{2,}/.test(value) || (value.match(/!/g) || []).length > 1) {
+    issues.push(issue('subject-punctuation', 'warning', 1.5, 'Subject has repeated exclamation or question marks'));
+  }
+
+  if (/^\s*(re|fwd?)\s*:/i.test(value)) {
+    issues.push(issue('subject-fake-reply', 'warning', 2, 'Subject starts with RE:/FW: on a message that is not a reply'));
+  }
+
+  const lower = value.toLowerCase();
+  const phrases = SPAM_PHRASES.filter(phrase => lower.includes(phrase));
+  if (phrases.length > 0) {
+    issues.push(issue('subject-spam-phrases', 'warning', 1.5 * phrases.length,
+      `Subject contains phrases spam filters weigh: ${phrases.map(phrase => `"${phrase}"`).join(', ')}`));
+  }
+
+  return issues;
+}
+
+function lintBody(html, text, { unsubscribeUrl }) {
+  const issues = [];
+  const body = String(html || '');
+  const bytes = Buffer.byteLength(body);
+
+  if (bytes > GMAIL_CLIP_BYTES) {
+    issues.push(issue('html-size', 'error', 5, `HTML is ${Math.round(bytes / 1024)} KB; Gmail clips messages over 102 KB (hiding the unsubscribe link)`));
+  } else if (bytes > SIZE_WARNING_BYTES) {
+    issues.push(issue('html-size', 'warning', 1, `HTML is ${Math.round(bytes / 1024)} KB; tracking links push it toward Gmail's 102 KB clipping limit`));
+  }
+
+  const links = extractLinks(body);
+  const unsubscribe = links.some(href =>
+    (unsubscribeUrl && href === unsubscribeUrl) || /unsubscribe|opt-?out/i.test(href))
+    || (text && unsubscribeUrl && text.includes(unsubscribeUrl));
+  if (!unsubscribe) {
+    issues.push(issue('unsubscribe-missing', 'error', 5, 'No unsubscribe link; add {{unsubscribe_link}}'));
+  }
+
+  const images = [...body.matchAll(/<img\b[^>]*>/gi)].map(match => match[0]);
+  const words = (text || htmlToText(body)).replace(/\([^)]*https?:\/\/[^)]*\)/g, '').split(/\s+/).filter(Boolean).length;
+
+  if (images.length > 0 && words < 20) {
+    issues.push(issue('image-only', 'error', 4, `Body is images with only ${words} word${words === 1 ? '' : 's'} of text; spam filters and image-blocking clients see an empty message`));
+  } else if (images.length > 0 && words / images.length < 25) {
+    issues.push(issue('image-text-ratio', 'warning', 1, `${images.length} images for ${words} words of text; aim for more text`));
+  }
+
+  const withoutAlt = images.filter(tag => attributeOf(tag, 'alt') === null);
+  if (withoutAlt.length > 0) {
+    issues.push(issue('image-alt-missing', 'info', 0.5, `${withoutAlt.length} image${withoutAlt.length === 1 ? ' has' : 's have'} no alt text`));
+  }
+
+  if (/<script\b/i.test(body) || /<form\b/i.test(body) || /<iframe\b/i.test(body)) {
+    issues.push(issue('html-unsafe-tags', 'warning', 2, 'HTML contains <script>, <form> or <iframe>, which mail clients strip and filters penalise'));
+  }
+
+  const lower = htmlToText(body).toLowerCase();
+  const phrases = SPAM_PHRASES.filter(phrase => lower.includes(phrase));
+  if (phrases.length >= 3) {
+    issues.push(issue('body-spam-phrases', 'warning', 0.5 * phrases.length,
+      `Body contains ${phrases.length} phrases spam filters weigh: ${phrases.map(phrase => `"${phrase}"`).join(', ')}`));
+  }
+
+  return { issues, links };
+}
+
+// Links that can't work as written; unrendered {{variables}} are left alone
+function lintLinkSyntax(links) {
+  const issues = [];
+
+  for (const href of new Set(links)) {
+    if (/\{\{/.test(href)) continue;
+
+    if (!href || href === '#') {
+      issues.push(issue('link-empty', 'warning', 1, 'A link has an empty or "#" href'));
+    } else if (/^javascript:/i.test(href)) {
+      issues.push(issue('link-javascript', 'error', 3, `javascript: link: ${href.slice(0, 60)}`));
+    } else if (/^(mailto|tel|sms):/i.test(href) || href.startsWith('#')) {
+      continue;
+    } else if (!/^https?:\/\//i.test(href)) {
+      issues.push(issue('link-broken', 'error', 3, `Link is not an absolute http(s) URL: ${href}`));
+    } else {
+      let url;
+      try {
+        url = new URL(href);
+      } catch {
+        issues.push(issue('link-broken', 'error', 3, `Link is not a valid URL: ${href}`));
+        continue;
+      }
+
+      if (URL_SHORTENERS.includes(url.hostname.toLowerCase())) {
+        issues.push(issue('link-shortener', 'warning', 2, `Link shorteners are widely blocklisted: ${href}`));
+      }
+      if (/^\d+\.\d+\.\d+\.\d+$/.test(url.hostname)) {
+        issues.push(issue('link-ip-address', 'warning', 2, `Link points at a bare IP address: ${href}`));
+      }
+    }
+  }
+
+  return issues;
+}
+
+// Addresses the link check must never reach: unspecified, private, CGNAT,
+// loopback, link-local (cloud metadata), multicast and reserved
+const internalAddresses = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+]) {
+  internalAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  internalAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1)
+const isInternalAddress = (address) => internalAddresses.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+// Whether a link's host is, or resolves to, an internal address. A host
+// that doesn't resolve throws, which reports the link as unreachable.
+async function isInternalHost(href) {
+  const hostname = new URL(href).hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return true;
+
+  const addresses = isIP(hostname) ? [{ address: hostname }] : await lookup(hostname, { all: true });
+  return addresses.some(({ address }) => isInternalAddress(address));
+}
+
+// Follow redirects by hand so every hop gets the internal-address check
+async function fetchLink(href, method) {
+  let url = href;
+
+  for (let hop = 0; hop <= MAX_LINK_REDIRECTS; hop++) {
+    if (hop > 0 && await isInternalHost(url)) throw new Error('redirects to an internal address');
+
+    const response = await fetch(url, {
+      method,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS)
+    });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    url = new URL(location, url).href;
+    if (!/^https?:\/\//i.test(url)) throw new Error(`redirects to ${url}`);
+  }
+
+  throw new Error('too many redirects');
+}
+
+// HEAD each http(s) link (GET when HEAD isn't allowed) and report the ones
+// that fail or answer 4xx/5xx. Links to internal addresses are never fetched.
+async function checkLinks(links, { unsubscribeUrl }) {
+  const targets = [...new Set(links)]
+    .filter(href => /^https?:\/\//i.test(href) && href !== unsubscribeUrl && !/\{\{/.test(href))
+    .slice(0, MAX_CHECKED_LINKS);
+
+  const results = await Promise.all(targets.map(async (href) => {
+    try {
+      if (await isInternalHost(href)) return null;
+
+      let response = await fetchLink(href, 'HEAD');
+      if (response.status === 405 || response.status === 501) response = await fetchLink(href, 'GET');
+      return response.status >= 400
+        ? issue('link-broken', 'error', 3, `Link answers ${response.status}: ${href}`)
+        : null;
+    } catch (error) {
+      return issue('link-unreachable', 'warning', 2, `Link could not be reached (${error.name === 'TimeoutError' ? 'timed out' : error.message}): ${href}`);
+    }
+  }));
+
+  return results.filter(Boolean);
+}
+
+// Scored report for rendered content: { score, threshold, blocked, issues }.
+// `unsubscribeUrl` is the link that counts as the unsubscribe link (and is
+// never fetched); `links: false` skips the network check.
+export async function lintEmail({ subject, html, text }, { unsubscribeUrl = UNSUBSCRIBE_PLACEHOLDER, links: fetchLinks = true, threshold = LINT_THRESHOLD } = {}) {
+  const body = lintBody(html, text, { unsubscribeUrl });
+  const issues = [
+    ...lintSubject(subject),
+    ...body.issues,
+    ...lintLinkSyntax(body.links),
+    ...(fetchLinks ? await checkLinks(body.links, { unsubscribeUrl }) : [])
+  ].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.points - a.points);
+
+  const score = Math.round(issues.reduce((sum, found) => sum + found.points, 0) * 10) / 10;
+
+  return {
+    score,
+    threshold,
+    blocked: score >= threshold,
+    issues
+  };
+}
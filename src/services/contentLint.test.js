@@ -0,0 +1,102 @@
+import { lookup } from 'dns/promises';
+import { extractLinks, lintEmail } from './contentLint.js';
+
+jest.mock('dns/promises', () => ({ lookup: jest.fn() }));
+
+const clean = {
+  subject: 'Your March check-up reminder',
+  html: '<p>Hi Ann, it is time to book your next check-up with the practice. Reply to this email or call us to pick a time that suits you this month.</p>'
+    + '<p><a href="https://example.com/book">Book online</a> or <a href="https://unsubscribe.invalid/lint">unsubscribe</a></p>'
+};
+
+const rules = (report) => report.issues.map(found => found.rule);
+const answer = (status, location) => ({ status, headers: { get: name => (name === 'location' ? location : null) } });
+
+const realFetch = global.fetch;
+
+beforeEach(() => {
+  global.fetch = jest.fn().mockResolvedValue(answer(200));
+  lookup.mockReset().mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test('clean content scores zero', async () => {
+  const report = await lintEmail(clean);
+
+  expect(report).toEqual({ score: 0, threshold: 5, blocked: false, issues: [] });
+  expect(global.fetch).toHaveBeenCalledWith('https://example.com/book', expect.objectContaining({ method: 'HEAD', redirect: 'manual' }));
+});
+
+test('scores subject problems and blocks at the threshold', async () => {
+  const report = await lintEmail({ ...clean, subject: 'RE: URGENT WINNER!!! ACT NOW' }, { links: false });
+
+  expect(rules(report)).toEqual(expect.arrayContaining(['subject-caps', 'subject-punctuation', 'subject-fake-reply', 'subject-spam-phrases']));
+  expect(report.score).toBeGreaterThanOrEqual(5);
+  expect(report.blocked).toBe(true);
+});
+
+test('a missing unsubscribe link is an error on its own', async () => {
+  const report = await lintEmail({ ...clean, html: clean.html.replace(/ or <a[^>]*>unsubscribe<\/a>/, '') }, { links: false });
+
+  expect(rules(report)).toEqual(['unsubscribe-missing']);
+  expect(report.blocked).toBe(true);
+});
+
+test('flags image-only bodies, missing alt text and unsafe tags', async () => {
+  const html = '<img src="https://example.com/a.png"><a href="https://example.com/unsubscribe">x</a><script>track()</script>';
+
+  expect(rules(await lintEmail({ subject: 'Hello', html }, { links: false })))
+    .toEqual(['image-only', 'html-unsafe-tags', 'image-alt-missing']);
+});
+
+test('checks link syntax without fetching', async () => {
+  const html = `${clean.html}<a href="javascript:alert(1)">a</a><a href="/relative">b</a><a href="https://bit.ly/x">c</a><a href="#">d</a><a href="{{booking_link}}">e</a>`;
+
+  expect(rules(await lintEmail({ ...clean, html }, { links: false })))
+    .toEqual(['link-javascript', 'link-broken', 'link-shortener', 'link-empty']);
+});
+
+test('reports links that answer with an error, retrying GET when HEAD is not allowed', async () => {
+  global.fetch.mockImplementation(async (url, { method }) => (method === 'HEAD' ? answer(405) : answer(404)));
+
+  const report = await lintEmail(clean);
+
+  expect(report.issues).toEqual([expect.objectContaining({ rule: 'link-broken', message: 'Link answers 404: https://example.com/book' })]);
+});
+
+describe('internal addresses', () => {
+  test('never fetches loopback, private or metadata hosts', async () => {
+    const html = `${clean.html}<a href="http://127.0.0.1:8080/admin">a</a><a href="http://169.254.169.254/latest">b</a>`
+      + '<a href="http://[::ffff:192.168.1.1]/">c</a><a href="http://localhost/">d</a>';
+
+    await lintEmail({ ...clean, html });
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['https://example.com/book']);
+  });
+
+  test('never fetches a host that resolves to an internal address', async () => {
+    lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+
+    expect((await lintEmail(clean)).issues).toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('stops at a redirect into the internal network', async () => {
+    global.fetch.mockResolvedValue(answer(302, 'http://192.168.0.10/secret'));
+
+    const report = await lintEmail(clean);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(report.issues).toEqual([expect.objectContaining({
+      rule: 'link-unreachable',
+      message: 'Link could not be reached (redirects to an internal address): https://example.com/book'
+    })]);
+  });
+});
+
+test('extractLinks decodes entities in hrefs', () => {
+  expect(extractLinks('<a href="https://example.com/?a=1&amp;b=2">x</a><a name="top">y</a>')).toEqual(['https://example.com/?a=1&b=2']);
+});
@@ -0,0 +1,73 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { normalizeAddress, splitRecipients } from './suppression.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_THROTTLES = 'gmail.com:60,googlemail.com:60,outlook.com:30,hotmail.com:30,live.com:30,yahoo.com:30';
+
+// "gmail.com:60,outlook.com:30" -> Map { 'gmail.com' => 60, ... } (sends per minute)
+export function parseThrottles(value) {
+  return new Map(String(value || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([domain, limit]) => domain && parseInt(limit) > 0)
+    .map(([domain, limit]) => [domain.trim().toLowerCase(), parseInt(limit)]));
+}
+
+// Per-recipient-domain send limits shared by every instance. Counters live in
+// email_domain_throttle; EMAIL_DOMAIN_THROTTLES="" turns throttling off.
+export class DomainThrottle {
+  constructor() {
+    this.limits = parseThrottles(process.env.EMAIL_DOMAIN_THROTTLES ?? DEFAULT_THROTTLES);
+  }
+
+  // Throttled domains among the recipients
+  domainsFor(to) {
+    const domains = splitRecipients(to)
+      .map(address => normalizeAddress(address).split('@')[1])
+      .filter(domain => domain && this.limits.has(domain));
+    return [...new Set(domains)];
+  }
+
+  // Take a slot for every throttled recipient domain. Returns 0 when the
+  // message may go now, otherwise how many ms to wait before trying again.
+  async reserve(to) {
+    for (const domain of this.domainsFor(to)) {
+      const { data: waitSeconds, error } = await supabase.rpc('reserve_domain_send', {
+        p_domain: domain,
+        p_limit: this.limits.get(domain)
+      });
+
+      // Never hold mail back because the counter is unavailable
+      if (error) {
+        console.error(`Domain throttle for ${domain} unavailable:`, error.message);
+        continue;
+      }
+
+      if (waitSeconds > 0) return waitSeconds * 1000;
+    }
+
+    return 0;
+  }
+
+  // Wait until the message may go (for senders that run inline)
+  async acquire(to) {
+    let wait = await this.reserve(to);
+
+    while (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+      wait = await this.reserve(to);
+    }
+  }
+
+  getStats() {
+    return Object.fromEntries(this.limits);
+  }
+}
@@ -0,0 +1,42 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { DomainThrottle, parseThrottles } from './domainThrottle.js';
+
+let throttle;
+
+beforeEach(() => {
+  supabaseStub.reset();
+  throttle = new DomainThrottle();
+  throttle.limits = parseThrottles('gmail.com:60,outlook.com:30');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('parseThrottles reads domain:limit pairs and skips bad entries', () => {
+  expect(parseThrottles(' Gmail.com:60, outlook.com:30, yahoo.com:0, broken, :5'))
+    .toEqual(new Map([['gmail.com', 60], ['outlook.com', 30]]));
+  expect(parseThrottles('')).toEqual(new Map());
+});
+
+test('only throttled recipient domains are counted, once each', () => {
+  expect(throttle.domainsFor(['Ann <ANN@gmail.com>', 'bob@gmail.com', 'carl@example.com', 'dee@outlook.com']))
+    .toEqual(['gmail.com', 'outlook.com']);
+});
+
+test('reserve returns the wait from the first full domain', async () => {
+  supabaseStub.respond('rpc:reserve_domain_send', query => ({ data: query.values.p_domain === 'outlook.com' ? 12 : 0 }));
+
+  expect(await throttle.reserve('ann@gmail.com, dee@outlook.com')).toBe(12000);
+  expect(supabaseStub.on('rpc:reserve_domain_send').map(query => query.values)).toEqual([
+    { p_domain: 'gmail.com', p_limit: 60 },
+    { p_domain: 'outlook.com', p_limit: 30 }
+  ]);
+});
+
+test('an unavailable counter never holds mail back', async () => {
+  supabaseStub.respond('rpc:reserve_domain_send', { error: new Error('database down') });
+
+  expect(await throttle.reserve('ann@gmail.com')).toBe(0);
+});
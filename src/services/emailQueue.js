@@ -0,0 +1,333 @@
+import { EventEmitter } from 'events';
+import os from 'os';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Persistent outbound queue. Messages are stored as 'queued' rows in email_logs,
+// grouped under an email_jobs row, and delivered by a polling worker.
+export class EmailQueue extends EventEmitter {
+  constructor(orchestrator) {
+    super();
+    this.orchestrator = orchestrator;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollInterval = parseInt(process.env.EMAIL_QUEUE_POLL_MS || '2000');
+    this.concurrency = parseInt(process.env.EMAIL_QUEUE_CONCURRENCY || '2');
+    this.lockSeconds = parseInt(process.env.EMAIL_QUEUE_LOCK_SECONDS || '120');
+    this.maxAttempts = parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS || '5');
+    this.retryBaseMs = parseInt(process.env.EMAIL_QUEUE_RETRY_BASE_MS || '30000');
+    this.retryMaxMs = parseInt(process.env.EMAIL_QUEUE_RETRY_MAX_MS || '3600000');
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // Store messages and return the job immediately. delayBetween staggers the
+  // first attempt of each message so bulk sends keep their pacing.
+  async enqueue(messages, { type = 'single', campaignId = null, delayBetween = 0, metadata = {} } = {}) {
+    const { data: job, error } = await supabase
+      .from('email_jobs')
+      .insert({
+        type,
+        status: 'queued',
+        total: messages.length,
+        campaign_id: campaignId,
+        metadata
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const now = Date.now();
+    const rows = messages.map((message, index) => ({
+      job_id: job.id,
+      from_email: message.from || null,
+      to_email: Array.isArray(message.to) ? message.to.join(', ') : message.to,
+      subject: message.subject,
+      campaign_id: message.campaignId || campaignId,
+      status: 'queued',
+      payload: message,
+      max_attempts: this.maxAttempts,
+      next_attempt_at: new Date(now + index * delayBetween).toISOString()
+    }));
+
+    const { error: rowsError } = await supabase
+      .from('email_logs')
+      .insert(rows);
+
+    if (rowsError) {
+      await supabase.from('email_jobs').update({ status: 'failed' }).eq('id', job.id);
+      throw rowsError;
+    }
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    const { data: job, error } = await supabase
+      .from('email_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single();
+
+    if (error || !job) return null;
+
+    const { data: messages } = await supabase
+      .from('email_logs')
+      .select('id, to_email, status, attempts, next_attempt_at, message_id, sent_via, error, sent_at')
+      .eq('job_id', jobId)
+      .order('next_attempt_at');
+
+    return {
+      ...job,
+      counts: await this.getCounts(jobId),
+      messages: messages || []
+    };
+  }
+
+  async getCounts(jobId) {
+    const { data, error } = await supabase.rpc('email_job_summary', { p_job_id: jobId });
+    if (error) throw error;
+
+    const counts = { queued: 0, sending: 0, sent: 0, skipped: 0, failed: 0, dead: 0, paused: 0, cancelled: 0 };
+    (data || []).forEach(row => {
+      counts[row.status] = Number(row.count);
+    });
+    return counts;
+  }
+
+  async listDeadLetters(limit = 100) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .select('id, job_id, to_email, subject, attempts, error, created_at')
+      .eq('status', 'dead')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Move a dead-lettered message back onto the queue with a fresh attempt budget
+  async retryDeadLetter(logId) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        next_attempt_at: new Date().toISOString(),
+        locked_by: null,
+        locked_until: null
+      })
+      .eq('id', logId)
+      .eq('status', 'dead')
+      .select()
+      .single();
+
+    if (error || !data) return null;
+
+    await supabase
+      .from('email_jobs')
+      .update({ status: 'processing', completed_at: null })
+      .eq('id', data.job_id);
+
+    return data;
+  }
+
+  // Hold a paused campaign's queued messages. Messages already being sent
+  // finish; any that come back for a retry are held too (see requeueStatus).
+  async holdCampaign(campaignId) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .update({ status: 'paused' })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'queued')
+      .select('id');
+
+    if (error) throw error;
+    return data.length;
+  }
+
+  // Put a resumed campaign's held messages back on the queue, due now
+  async releaseCampaign(campaignId) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .update({ status: 'queued', next_attempt_at: new Date().toISOString() })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'paused')
+      .select('id');
+
+    if (error) throw error;
+    return data.length;
+  }
+
+  // Drop a cancelled campaign's unsent messages and close the jobs that were
+  // only waiting on them
+  async cancelCampaign(campaignId) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .update({ status: 'cancelled', next_attempt_at: null })
+      .eq('campaign_id', campaignId)
+      .in('status', ['queued', 'paused'])
+      .select('id, job_id');
+
+    if (error) throw error;
+
+    const jobIds = [...new Set(data.map(row => row.job_id).filter(Boolean))];
+    for (const jobId of jobIds) {
+      await this.checkJobCompletion(jobId);
+    }
+    return data.length;
+  }
+
+  // Status for a message going back on the queue: held or dropped when its
+  // campaign was paused or cancelled while it was being sent
+  async requeueStatus(row) {
+    if (!row.campaign_id) return 'queued';
+
+    const { data: campaign } = await supabase
+      .from('email_campaigns')
+      .select('status')
+      .eq('id', row.campaign_id)
+      .maybeSingle();
+
+    return ['paused', 'cancelled'].includes(campaign?.status) ? campaign.status : 'queued';
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    console.log(`📬 Email queue worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const { data: claimed, error } = await supabase.rpc('claim_email_queue', {
+        p_worker: this.workerId,
+        p_limit: this.concurrency,
+        p_lock_seconds: this.lockSeconds
+      });
+
+      if (error) throw error;
+      if (claimed && claimed.length > 0) {
+        await Promise.all(claimed.map(row => this.process(row)));
+      }
+    } catch (error) {
+      console.error('Email queue tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async process(row) {
+    if (row.job_id) {
+      await supabase
+        .from('email_jobs')
+        .update({ status: 'processing' })
+        .eq('id', row.job_id)
+        .eq('status', 'queued');
+    }
+
+    // A throttled recipient domain puts the message back without using up an
+    // attempt; the claim already counted one
+    if (!this.orchestrator.sandboxMode && !row.payload?.sandbox) {
+      const wait = await this.orchestrator.throttle.reserve(row.to_email);
+
+      if (wait > 0) {
+        const status = await this.requeueStatus(row);
+
+        await supabase
+          .from('email_logs')
+          .update({
+            status,
+            attempts: Math.max(row.attempts - 1, 0),
+            next_attempt_at: new Date(Date.now() + wait).toISOString(),
+            locked_by: null,
+            locked_until: null
+          })
+          .eq('id', row.id);
+        if (status === 'cancelled' && row.job_id) await this.checkJobCompletion(row.job_id);
+        return;
+      }
+    }
+
+    try {
+      await this.orchestrator.sendEmail({ ...row.payload, logId: row.id });
+      await this.releaseLock(row.id);
+    } catch (error) {
+      const exhausted = row.attempts >= row.max_attempts;
+
+      await supabase
+        .from('email_logs')
+        .update({
+          status: exhausted ? 'dead' : await this.requeueStatus(row),
+          error: error.message,
+          next_attempt_at: exhausted ? null : new Date(Date.now() + this.backoff(row.attempts)).toISOString(),
+          locked_by: null,
+          locked_until: null
+        })
+        .eq('id', row.id);
+
+      if (exhausted) {
+        console.error(`☠️  Email ${row.id} to ${row.to_email} dead-lettered after ${row.attempts} attempts`);
+        this.emit('message:dead', row, error);
+      }
+    }
+
+    if (row.job_id) {
+      await this.checkJobCompletion(row.job_id);
+    }
+  }
+
+  async releaseLock(logId) {
+    await supabase
+      .from('email_logs')
+      .update({ locked_by: null, locked_until: null })
+      .eq('id', logId);
+  }
+
+  // Exponential backoff with jitter, capped at retryMaxMs
+  backoff(attempts) {
+    const delay = Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxMs);
+    return delay + Math.floor(Math.random() * this.retryBaseMs);
+  }
+
+  async checkJobCompletion(jobId) {
+    const counts = await this.getCounts(jobId);
+    // Held messages of a paused campaign keep the job open
+    if (counts.queued > 0 || counts.sending > 0 || counts.paused > 0) return;
+
+    const status = counts.sent > 0 || counts.dead === 0 ? 'completed' : 'failed';
+
+    // Only the worker that flips the status emits the event
+    const { data: job } = await supabase
+      .from('email_jobs')
+      .update({ status, completed_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .in('status', ['queued', 'processing'])
+      .select()
+      .single();
+
+    if (job) {
+      this.emit('job:completed', job, counts);
+    }
+  }
+}
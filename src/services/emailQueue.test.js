@@ -0,0 +1,252 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { EmailQueue } from './emailQueue.js';
+
+const summary = (counts) => ({
+  data: Object.entries(counts).map(([status, count]) => ({ status, count: String(count) }))
+});
+
+const row = (overrides = {}) => ({
+  id: 'log-1',
+  job_id: 'job-1',
+  to_email: 'patient@example.com',
+  payload: { to: 'patient@example.com', subject: 'Hi', html: '<p>Hi</p>' },
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+const logUpdates = () => supabaseStub.on('email_logs', 'update').map(query => query.values);
+
+let orchestrator;
+let queue;
+
+beforeEach(() => {
+  supabaseStub.reset();
+  orchestrator = {
+    sendEmail: jest.fn().mockResolvedValue({ success: true }),
+    throttle: { reserve: jest.fn().mockResolvedValue(0) }
+  };
+  queue = new EmailQueue(orchestrator);
+  queue.retryBaseMs = 1000;
+  queue.retryMaxMs = 10000;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('backoff', () => {
+  test('doubles per attempt, with up to one base interval of jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3, 4].map(attempts => queue.backoff(attempts))).toEqual([1000, 2000, 4000, 8000]);
+
+    Math.random.mockReturnValue(0.999);
+    expect(queue.backoff(1)).toBe(1999);
+  });
+
+  test('is capped at retryMaxMs', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(queue.backoff(10)).toBe(10000);
+  });
+});
+
+describe('enqueue', () => {
+  test('stores one queued row per message, staggered by delayBetween', async () => {
+    supabaseStub.respond('email_jobs', { data: { id: 'job-1' } });
+
+    const job = await queue.enqueue(
+      [{ to: ['a@example.com', 'b@example.com'], subject: 'One' }, { to: 'c@example.com', subject: 'Two' }],
+      { type: 'bulk', delayBetween: 5000 }
+    );
+
+    const rows = supabaseStub.on('email_logs', 'insert')[0].values;
+    expect(job).toEqual({ id: 'job-1' });
+    expect(rows.map(({ job_id, to_email, status }) => ({ job_id, to_email, status }))).toEqual([
+      { job_id: 'job-1', to_email: 'a@example.com, b@example.com', status: 'queued' },
+      { job_id: 'job-1', to_email: 'c@example.com', status: 'queued' }
+    ]);
+    expect(Date.parse(rows[1].next_attempt_at) - Date.parse(rows[0].next_attempt_at)).toBe(5000);
+  });
+
+  test('fails the job when its messages cannot be stored', async () => {
+    supabaseStub.respond('email_jobs', { data: { id: 'job-1' } });
+    supabaseStub.respond('email_logs', { error: new Error('insert failed') });
+
+    await expect(queue.enqueue([{ to: 'a@example.com' }])).rejects.toThrow('insert failed');
+    expect(supabaseStub.on('email_jobs', 'update')[0].values).toEqual({ status: 'failed' });
+  });
+});
+
+describe('tick', () => {
+  test('claims up to the concurrency and sends what it claimed', async () => {
+    supabaseStub.respondOnce('rpc:claim_email_queue', { data: [row()] });
+    supabaseStub.respond('rpc:email_job_summary', summary({ sent: 1 }));
+
+    await queue.tick();
+
+    expect(supabaseStub.on('rpc:claim_email_queue')[0].values).toEqual({
+      p_worker: queue.workerId,
+      p_limit: queue.concurrency,
+      p_lock_seconds: queue.lockSeconds
+    });
+    expect(orchestrator.sendEmail).toHaveBeenCalledWith({ ...row().payload, logId: 'log-1' });
+  });
+
+  test('survives a failed claim', async () => {
+    supabaseStub.respond('rpc:claim_email_queue', { error: new Error('database down') });
+
+    await queue.tick();
+
+    expect(orchestrator.sendEmail).not.toHaveBeenCalled();
+    expect(queue.ticking).toBe(false);
+  });
+});
+
+describe('process', () => {
+  test('releases the lock after a successful send', async () => {
+    supabaseStub.respond('rpc:email_job_summary', summary({ queued: 1 }));
+
+    await queue.process(row());
+
+    expect(logUpdates()).toEqual([{ locked_by: null, locked_until: null }]);
+  });
+
+  test('puts a failed message back with a backoff while attempts remain', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    supabaseStub.respond('rpc:email_job_summary', summary({ queued: 1 }));
+    orchestrator.sendEmail.mockRejectedValue(new Error('421 try later'));
+
+    const before = Date.now();
+    await queue.process(row({ attempts: 2 }));
+
+    const [update] = logUpdates();
+    expect(update).toMatchObject({ status: 'queued', error: '421 try later', locked_by: null, locked_until: null });
+    expect(Date.parse(update.next_attempt_at) - before).toBeGreaterThanOrEqual(2000);
+    expect(Date.parse(update.next_attempt_at) - before).toBeLessThan(3000);
+  });
+
+  test('a throttled domain puts the message back without using an attempt', async () => {
+    orchestrator.throttle.reserve.mockResolvedValue(30000);
+
+    const before = Date.now();
+    await queue.process(row({ attempts: 2 }));
+
+    const [update] = logUpdates();
+    expect(orchestrator.sendEmail).not.toHaveBeenCalled();
+    expect(update).toMatchObject({ status: 'queued', attempts: 1, locked_by: null });
+    expect(Date.parse(update.next_attempt_at) - before).toBeGreaterThanOrEqual(30000);
+  });
+
+  test('a failed message of a paused campaign goes back held', async () => {
+    supabaseStub.respond('rpc:email_job_summary', summary({ paused: 1 }));
+    supabaseStub.respond('email_campaigns', { data: { status: 'paused' } });
+    orchestrator.sendEmail.mockRejectedValue(new Error('421 try later'));
+
+    await queue.process(row({ campaign_id: 'campaign-1' }));
+
+    expect(logUpdates()[0]).toMatchObject({ status: 'paused', error: '421 try later' });
+  });
+
+  test('dead-letters a message that used its last attempt', async () => {
+    supabaseStub.respond('rpc:email_job_summary', summary({ dead: 1 }));
+    supabaseStub.respond('email_jobs', query => ({ data: query.action === 'update' ? { id: 'job-1', status: 'failed' } : null }));
+    orchestrator.sendEmail.mockRejectedValue(new Error('550 no such user'));
+    const dead = jest.fn();
+    const completed = jest.fn();
+    queue.on('message:dead', dead);
+    queue.on('job:completed', completed);
+
+    await queue.process(row({ attempts: 3 }));
+
+    expect(logUpdates()[0]).toMatchObject({ status: 'dead', error: '550 no such user', next_attempt_at: null });
+    expect(dead).toHaveBeenCalledWith(expect.objectContaining({ id: 'log-1' }), expect.any(Error));
+    expect(completed).toHaveBeenCalledWith({ id: 'job-1', status: 'failed' }, expect.objectContaining({ dead: 1 }));
+  });
+});
+
+describe('checkJobCompletion', () => {
+  test('leaves a job open while messages are waiting', async () => {
+    supabaseStub.respond('rpc:email_job_summary', summary({ queued: 1, sent: 2 }));
+
+    await queue.checkJobCompletion('job-1');
+
+    expect(supabaseStub.on('email_jobs', 'update')).toHaveLength(0);
+  });
+
+  test('completes a job with any sent message and fails one that only has dead letters', async () => {
+    supabaseStub.respondOnce('rpc:email_job_summary', summary({ sent: 1, dead: 1 }));
+    supabaseStub.respondOnce('rpc:email_job_summary', summary({ dead: 2 }));
+
+    await queue.checkJobCompletion('job-1');
+    await queue.checkJobCompletion('job-2');
+
+    expect(supabaseStub.on('email_jobs', 'update').map(query => query.values.status)).toEqual(['completed', 'failed']);
+  });
+
+  test('held messages of a paused campaign keep the job open', async () => {
+    supabaseStub.respond('rpc:email_job_summary', summary({ sent: 2, paused: 3 }));
+
+    await queue.checkJobCompletion('job-1');
+
+    expect(supabaseStub.on('email_jobs', 'update')).toHaveLength(0);
+  });
+
+  test('only the worker that closes the job emits job:completed', async () => {
+    supabaseStub.respond('rpc:email_job_summary', summary({ sent: 1 }));
+    const completed = jest.fn();
+    queue.on('job:completed', completed);
+
+    await queue.checkJobCompletion('job-1');
+
+    expect(completed).not.toHaveBeenCalled();
+  });
+});
+
+describe('retryDeadLetter', () => {
+  test('requeues a dead message with a fresh attempt budget and reopens its job', async () => {
+    supabaseStub.respond('email_logs', { data: { id: 'log-1', job_id: 'job-1' } });
+
+    const retried = await queue.retryDeadLetter('log-1');
+
+    const [update] = supabaseStub.on('email_logs', 'update');
+    expect(retried).toEqual({ id: 'log-1', job_id: 'job-1' });
+    expect(update.values).toMatchObject({ status: 'queued', attempts: 0, error: null });
+    expect(update.all('eq')).toEqual([['id', 'log-1'], ['status', 'dead']]);
+    expect(supabaseStub.on('email_jobs', 'update')[0].values).toEqual({ status: 'processing', completed_at: null });
+  });
+
+  test('returns null for a message that is not dead', async () => {
+    expect(await queue.retryDeadLetter('log-1')).toBeNull();
+    expect(supabaseStub.on('email_jobs', 'update')).toHaveLength(0);
+  });
+});
+
+describe('campaign controls', () => {
+  test('pausing holds only queued messages and resuming makes them due now', async () => {
+    supabaseStub.respond('email_logs', { data: [{ id: 'log-1' }, { id: 'log-2' }] });
+
+    expect(await queue.holdCampaign('campaign-1')).toBe(2);
+    expect(await queue.releaseCampaign('campaign-1')).toBe(2);
+
+    const [hold, release] = supabaseStub.on('email_logs', 'update');
+    expect(hold.values).toEqual({ status: 'paused' });
+    expect(hold.all('eq')).toEqual([['campaign_id', 'campaign-1'], ['status', 'queued']]);
+    expect(release.values).toMatchObject({ status: 'queued' });
+    expect(release.all('eq')).toEqual([['campaign_id', 'campaign-1'], ['status', 'paused']]);
+  });
+
+  test('cancelling drops unsent messages and closes their jobs', async () => {
+    supabaseStub.respond('email_logs', { data: [{ id: 'log-1', job_id: 'job-1' }, { id: 'log-2', job_id: 'job-1' }] });
+    supabaseStub.respond('rpc:email_job_summary', summary({ sent: 3, cancelled: 2 }));
+    supabaseStub.respond('email_jobs', { data: { id: 'job-1', status: 'completed' } });
+
+    expect(await queue.cancelCampaign('campaign-1')).toBe(2);
+
+    const [cancel] = supabaseStub.on('email_logs', 'update');
+    expect(cancel.values).toEqual({ status: 'cancelled', next_attempt_at: null });
+    expect(cancel.args('in')).toEqual(['status', ['queued', 'paused']]);
+    expect(supabaseStub.on('rpc:email_job_summary')).toHaveLength(1);
+    expect(supabaseStub.on('email_jobs', 'update')[0].values).toMatchObject({ status: 'completed' });
+  });
+});
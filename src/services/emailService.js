@@ -1,7 +1,22 @@
-import { createTransport } from 'nodemailer';
-import cron from 'node-cron';
+import { randomUUID } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { EmailQueue } from './emailQueue.js';
+import { CampaignScheduler } from './campaignScheduler.js';
+import { ReplyPoller } from './replyPoller.js';
+import { SequenceRunner } from './sequenceRunner.js';
+import { CampaignDelivery } from './campaignDelivery.js';
+import { createTransports, parseTransportOrder, DEFAULT_TRANSPORT_ORDER, ROTATION_STRATEGIES } from './transports/index.js';
+import { instrumentHtml } from './tracking.js';
+import { findSuppressed, normalizeAddress, splitRecipients } from './suppression.js';
+import { unsubscribeFor } from './unsubscribe.js';
+import { compile, loadPartials, validateTemplate } from './templateEngine.js';
+import { htmlToText } from './htmlToText.js';
+import { isDomainVerified, domainOf, AGENCY_DOMAIN } from './sendingDomains.js';
+import { DomainThrottle } from './domainThrottle.js';
+import { ProviderRateLimit } from './providerRateLimit.js';
+import { threadFor, findReplied } from './threading.js';
+import { loadAttachments } from './attachments.js';
 
 dotenv.config();
 
@@ -13,119 +28,63 @@ const supabase = createClient(
 
 class EmailOrchestrator {
   constructor() {
-    this.accounts = [];
-    this.currentAccountIndex = 0;
-    this.dailySendCounts = new Map();
-    this.postalEnabled = false;
-    this.postalTransporter = null;
-    this.initializeAccounts();
-    this.initializePostal();
-    this.startDailyReset();
-  }
-
-  initializeAccounts() {
-    // Load Gmail accounts from environment variables
-    let accountIndex = 1;
-    while (process.env[`GMAIL_EMAIL_${accountIndex}`]) {
-      const email = process.env[`GMAIL_EMAIL_${accountIndex}`];
-      const password = process.env[`GMAIL_APP_PASSWORD_${accountIndex}`];
-      
-      if (email && password) {
-        try {
-          const transporter = createTransport({
-            service: 'gmail',
-            auth: {
-              user: email,
-              pass: password
-            }
-          });
-
-          // Determine if it's a Google Workspace account
-          const isWorkspace = !email.endsWith('@gmail.com');
-          const dailyLimit = isWorkspace ? 2000 : 500;
-
-          this.accounts.push({
-            email,
-            transporter,
-            dailyLimit,
-            isWorkspace
-          });
-
-          // Initialize daily count
-          this.dailySendCounts.set(email, 0);
-
-          console.log(`✅ Initialized ${email} (${isWorkspace ? 'Google Workspace' : 'Gmail'}: ${dailyLimit}/day)`);
-        } catch (error) {
-          console.error(`Failed to initialize ${email}:`, error.message);
-        }
-      }
-      accountIndex++;
-    }
-
-    if (this.accounts.length === 0) {
-      console.warn('⚠️  No email accounts configured! Add GMAIL_EMAIL_1 and GMAIL_APP_PASSWORD_1 to .env');
+    this.transports = createTransports();
+    this.transportOrder = parseTransportOrder(process.env.EMAIL_TRANSPORT_ORDER) || DEFAULT_TRANSPORT_ORDER;
+    // In sandbox mode nothing is delivered, whatever a request asks for
+    this.sandboxMode = process.env.EMAIL_MODE === 'sandbox';
+    // Agency mailbox client mail is sent from when their domain isn't verified
+    this.onBehalfAddress = process.env.CLIENT_SENDER_EMAIL || `clients@${AGENCY_DOMAIN}`;
+    this.rotationStrategy = ROTATION_STRATEGIES.includes(process.env.EMAIL_ROTATION_STRATEGY)
+      ? process.env.EMAIL_ROTATION_STRATEGY
+      : 'round-robin';
+    // Per-recipient-domain limits for bulk and campaign sends
+    this.throttle = new DomainThrottle();
+    // Per-provider API rate limits (Resend: 2 requests/second)
+    this.rateLimit = new ProviderRateLimit();
+    this.queue = new EmailQueue(this);
+    this.scheduler = new CampaignScheduler(this);
+    this.replies = new ReplyPoller(this);
+    this.sequences = new SequenceRunner(this);
+    this.deliveries = new CampaignDelivery(this);
+
+    if (this.sandboxMode) {
+      console.log('🧪 Email sandbox mode: messages are captured, not delivered');
     } else {
-      const totalCapacity = this.accounts.reduce((sum, acc) => sum + acc.dailyLimit, 0);
-      console.log(`📧 Total daily email capacity: ${totalCapacity} emails/day`);
+      const active = this.transportOrder.filter(name => this.transports.get(name)?.isConfigured());
+      console.log(`📮 Email transport order: ${active.join(' → ') || 'none configured'}`);
+      console.log(`🔁 Account rotation: ${this.rotationStrategy}`);
     }
   }
 
-  initializePostal() {
-    const postalHost = process.env.POSTAL_HOST;
-    const postalPort = process.env.POSTAL_PORT || 25;
-    const postalApiKey = process.env.POSTAL_API_KEY;
+  get sandbox() {
+    return this.transports.get('capture');
+  }
 
-    if (postalHost && postalApiKey) {
-      try {
-        this.postalTransporter = createTransport({
-          host: postalHost,
-          port: parseInt(postalPort),
-          secure: false,
-          auth: {
-            user: 'apikey',
-            pass: postalApiKey
-          },
-          tls: {
-            rejectUnauthorized: false
-          }
-        });
-        this.postalEnabled = true;
-        console.log('✅ Postal server initialized (UNLIMITED emails!)');
-      } catch (error) {
-        console.error('Failed to initialize Postal:', error.message);
-      }
-    }
+  // Periodic SMTP verify for transports that track account health
+  startHealthChecks() {
+    this.transports.forEach(transport => transport.startHealthChecks?.());
   }
 
-  startDailyReset() {
-    // Reset counts at midnight
-    cron.schedule('0 0 * * *', () => {
-      console.log('🔄 Resetting daily email counts');
-      this.dailySendCounts.clear();
-      this.accounts.forEach(account => {
-        this.dailySendCounts.set(account.email, 0);
-      });
-    });
+  stopHealthChecks() {
+    this.transports.forEach(transport => transport.stopHealthChecks?.());
   }
 
-  getNextAccount() {
-    if (this.accounts.length === 0) return null;
+  // Mailboxes the configured transports can send as (alias actual senders)
+  senderAccounts() {
+    return [...new Set([...this.transports.values()]
+      .filter(transport => transport.isConfigured())
+      .flatMap(transport => transport.accountEmails?.() || []))];
+  }
 
-    // Find an account that hasn't hit its daily limit
-    for (let i = 0; i < this.accounts.length; i++) {
-      const account = this.accounts[this.currentAccountIndex];
-      const sentToday = this.dailySendCounts.get(account.email) || 0;
-      
-      if (sentToday < account.dailyLimit) {
-        return account;
-      }
-      
-      // Move to next account
-      this.currentAccountIndex = (this.currentAccountIndex + 1) % this.accounts.length;
-    }
-    
-    // All accounts maxed out
-    return null;
+  // Transports to try for a message, in priority order. Sandboxed messages
+  // only ever reach the capture transport. An explicit `transport` disables
+  // fallback; `transports` overrides the order.
+  resolveTransports({ transport, transports, usePostal = false, sandbox = false }) {
+    if (this.sandboxMode || sandbox) return ['capture'];
+    if (transport) return [transport];
+
+    const order = transports || this.transportOrder;
+    return usePostal ? ['postal', ...order.filter(name => name !== 'postal')] : order;
   }
 
   async sendEmail(options) {
@@ -138,138 +97,199 @@ class EmailOrchestrator {
       replyTo,
       headers = {},
       attachments = [],
-      usePostal = false
+      campaignId = null,
+      clientId = null,
+      track = true,
+      rotation = this.rotationStrategy,
+      throttle = false,
+      inReplyTo = null,
+      references = [],
+      threadId = null,
+      stopOnReply = false,
+      // Account to send through when the transport rotates (an alias's actual sender)
+      sender = null
     } = options;
 
-    try {
-      // If Postal is enabled and requested, use it
-      if (usePostal && this.postalEnabled) {
-        return this.sendViaPostal(options);
-      }
+    if (!ROTATION_STRATEGIES.includes(rotation)) {
+      throw new Error(`Unknown rotation strategy: ${rotation}`);
+    }
 
-      // Get next available Gmail account
-      const account = this.getNextAccount();
-      if (!account) {
-        if (this.postalEnabled) {
-          console.log('Gmail accounts maxed out, falling back to Postal');
-          return this.sendViaPostal(options);
-        }
-        throw new Error('All email accounts have reached their daily limits');
-      }
+    // The log row id doubles as the tracking id, so it is known before sending
+    const logId = options.logId || randomUUID();
 
-      // Prepare email options
-      const mailOptions = {
-        from: from || `"Bowery Creative" <${account.email}>`,
-        to,
-        subject,
-        html,
-        text: text || this.htmlToText(html),
-        replyTo: replyTo || account.email,
-        headers: {
-          'X-Mailer': 'Bowery Creative Email System',
-          'X-Sent-Via': account.email,
-          ...headers
-        },
-        attachments
-      };
+    // Drop suppressed recipients; if none are left the message is skipped
+    const recipients = splitRecipients(to);
+    const suppressed = await findSuppressed(recipients, clientId);
+    const deliverable = recipients.filter(address => !suppressed.has(normalizeAddress(address)));
 
-      // Send email
-      const info = await account.transporter.sendMail(mailOptions);
-      
-      // Update count
-      const currentCount = this.dailySendCounts.get(account.email) || 0;
-      this.dailySendCounts.set(account.email, currentCount + 1);
-      
-      // Move to next account for round-robin
-      this.currentAccountIndex = (this.currentAccountIndex + 1) % this.accounts.length;
-      
-      // Log to database
+    if (deliverable.length === 0) {
       await this.logEmail({
-        message_id: info.messageId,
-        from_email: from || account.email,
-        to_email: to,
+        id: logId,
+        from_email: from,
+        to_email: recipients.join(', '),
         subject,
-        status: 'sent',
-        sent_via: account.email,
-        sent_at: new Date().toISOString()
+        status: 'skipped',
+        error: 'Recipient is on the suppression list',
+        campaign_id: campaignId
       });
 
       return {
-        success: true,
-        messageId: info.messageId,
-        sentBy: account.email,
-        remainingToday: account.dailyLimit - (this.dailySendCounts.get(account.email) || 0)
+        success: false,
+        skipped: true,
+        logId,
+        reason: 'suppressed',
+        suppressed: [...suppressed]
       };
+    }
 
-    } catch (error) {
-      console.error('Email send error:', error);
-      
-      // Log failure
-      await this.logEmail({
-        from_email: from,
-        to_email: to,
-        subject,
-        status: 'failed',
-        error: error.message,
-        sent_at: new Date().toISOString()
-      });
+    // Follow-ups stop once the recipient has answered the campaign
+    if (stopOnReply) {
+      const replied = await findReplied(deliverable, { campaignId });
+
+      if (replied.size > 0) {
+        await this.logEmail({
+          id: logId,
+          from_email: from,
+          to_email: deliverable.join(', '),
+          subject,
+          status: 'skipped',
+          error: 'Recipient has replied',
+          campaign_id: campaignId
+        });
 
-      throw error;
+        return { success: false, skipped: true, logId, reason: 'replied', replied: [...replied] };
+      }
     }
-  }
 
-  async sendViaPostal(options) {
-    if (!this.postalEnabled) {
-      throw new Error('Postal server is not configured');
-    }
+    // Our own Message-ID, so replies can be matched to this row whichever
+    // transport sends it
+    const messageId = `<${logId}@${domainOf(from) || AGENCY_DOMAIN}>`;
+    const threadReferences = references.length > 0 ? references : [inReplyTo].filter(Boolean);
+    const thread = await threadFor({ logId, threadId, inReplyTo, references: threadReferences });
 
-    const mailOptions = {
-      from: options.from || '"Bowery Creative" <noreply@bowerycreativeagency.com>',
-      to: options.to,
-      subject: options.subject,
-      html: options.html,
-      text: options.text || this.htmlToText(options.html),
-      replyTo: options.replyTo,
-      headers: {
-        'X-Mailer': 'Bowery Creative Postal Server',
-        ...options.headers
-      },
-      attachments: options.attachments
+    // Prepare email options
+    const message = {
+      from,
+      to: deliverable.length === 1 ? deliverable[0] : deliverable,
+      subject,
+      html: track ? instrumentHtml(html, logId) : html,
+      // Untracked HTML, so the text part carries the real link targets
+      text: text || this.htmlToText(html),
+      replyTo,
+      headers,
+      // Uploaded attachments are referenced by id until now
+      attachments: await loadAttachments(attachments),
+      messageId,
+      ...(inReplyTo && { inReplyTo, references: threadReferences })
     };
 
-    const info = await this.postalTransporter.sendMail(mailOptions);
+    const transportNames = this.resolveTransports(options);
+
+    // Bulk senders wait for a free slot at throttled recipient domains
+    if (throttle && !transportNames.includes('capture')) {
+      await this.throttle.acquire(deliverable);
+    }
+
+    const errors = [];
+
+    for (const name of transportNames) {
+      const transport = this.transports.get(name);
 
+      if (!transport || !transport.isConfigured()) {
+        if (options.transport) errors.push(`${name}: not configured`);
+        continue;
+      }
+
+      if (!(await transport.hasCapacity())) {
+        errors.push(`${name}: daily limit reached`);
+        continue;
+      }
+
+      try {
+        await this.rateLimit.acquire(name);
+        const result = await transport.send(message, {
+          strategy: rotation,
+          recipient: normalizeAddress(deliverable[0]),
+          from,
+          account: sender
+        });
+
+        // Log to database
+        await this.logEmail({
+          id: logId,
+          message_id: result.messageId,
+          from_email: result.from,
+          to_email: deliverable.join(', '),
+          // What sticky rotation matches on
+          recipient: normalizeAddress(deliverable[0]),
+          subject,
+          status: 'sent',
+          sent_via: result.sentVia,
+          campaign_id: campaignId,
+          thread_id: thread,
+          in_reply_to: inReplyTo,
+          sent_at: new Date().toISOString()
+        });
+
+        return {
+          success: true,
+          logId,
+          threadId: thread,
+          messageId: result.messageId,
+          sentBy: result.sentVia,
+          transport: name,
+          remainingToday: result.remainingToday,
+          ...(suppressed.size > 0 && { suppressed: [...suppressed] })
+        };
+      } catch (error) {
+        console.error(`Email send via ${name} failed:`, error.message);
+        if (error.capacity) this.rateLimit.backOff(name);
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+
+    const error = new Error(errors.length > 0
+      ? `Email could not be sent (${errors.join('; ')})`
+      : 'No email transport is configured');
+
+    // Log failure
     await this.logEmail({
-      message_id: info.messageId,
-      from_email: options.from || 'noreply@bowerycreativeagency.com',
-      to_email: options.to,
-      subject: options.subject,
-      status: 'sent',
-      sent_via: 'postal',
+      id: logId,
+      from_email: from,
+      to_email: deliverable.join(', '),
+      subject,
+      status: 'failed',
+      error: error.message,
+      campaign_id: campaignId,
       sent_at: new Date().toISOString()
     });
 
-    return {
-      success: true,
-      messageId: info.messageId,
-      sentBy: 'postal',
-      remainingToday: 'unlimited'
-    };
+    throw error;
   }
 
-  async sendAsClient(clientEmail, clientName, recipientEmail, subject, body) {
-    // This appears as if the client sent the email
-    return this.sendEmail({
-      from: `"${clientName}" <${clientEmail}>`,
+  // Mail from a client. Only a verified client domain (DKIM/SPF/DMARC set up
+  // for us) may appear in From; otherwise the message comes from our own
+  // address under the client's name, so DMARC on their domain can't reject it.
+  async sendAsClient(clientEmail, clientName, recipientEmail, subject, body, options = {}) {
+    const displayName = String(clientName).replace(/["\\]/g, '');
+    const direct = await isDomainVerified(clientEmail);
+
+    const result = await this.sendEmail({
+      ...options,
+      from: direct
+        ? `"${displayName}" <${clientEmail}>`
+        : `"${displayName}" <${this.onBehalfAddress}>`,
       to: recipientEmail,
       subject,
       html: body,
-      replyTo: clientEmail,
+      replyTo: `"${displayName}" <${clientEmail}>`,
       headers: {
-        'Return-Path': clientEmail,
-        'X-Original-Sender': clientEmail
+        ...options.headers,
+        ...(!direct && { Sender: this.onBehalfAddress })
       }
     });
+
+    return { ...result, mode: direct ? 'direct' : 'on_behalf' };
   }
 
   async sendBulk(emails, delayBetween = 5000) {
@@ -277,11 +297,11 @@ class EmailOrchestrator {
     
     for (const [index, email] of emails.entries()) {
       try {
-        const result = await this.sendEmail(email);
+        const result = await this.sendEmail({ throttle: true, ...email });
         results.push({ ...result, index });
         
-        // Delay between sends (except for last email)
-        if (index < emails.length - 1 && delayBetween > 0) {
+        // Delay between sends (except for last email); skipped ones cost nothing
+        if (index < emails.length - 1 && delayBetween > 0 && !result.skipped) {
           await new Promise(resolve => setTimeout(resolve, delayBetween));
         }
       } catch (error) {
@@ -296,7 +316,42 @@ class EmailOrchestrator {
     return results;
   }
 
-  async createCampaign(name, recipients, subject, htmlTemplate, schedule) {
+  async createCampaign(name, recipients, subject, htmlTemplate, schedule, { sandbox = false } = {}) {
+    // Every send needs a real time in the future; checked here because the
+    // sends are only written after the campaign row
+    const now = Date.now();
+    const badTimes = !Array.isArray(schedule) || schedule.length === 0
+      ? ['schedule must be a non-empty array of { sendAt }']
+      : schedule
+        .map((entry, index) => {
+          const time = entry?.sendAt == null ? NaN : new Date(entry.sendAt).getTime();
+          if (isNaN(time)) return `schedule[${index}].sendAt must be a valid date`;
+          if (time <= now) return `schedule[${index}].sendAt must be in the future`;
+          return null;
+        })
+        .filter(Boolean);
+
+    if (badTimes.length > 0) {
+      const error = new Error('Campaign schedule is invalid');
+      error.validation = { schedule: badTimes };
+      throw error;
+    }
+
+    // Every recipient must supply what the templates need before anything is scheduled
+    const partials = await loadPartials();
+    const problems = recipients
+      .map((recipient, index) => {
+        const { valid, errors, missing } = validateTemplate([subject, htmlTemplate], { data: recipient, partials });
+        return valid ? null : { index, email: recipient.email, errors, missing };
+      })
+      .filter(Boolean);
+
+    if (problems.length > 0) {
+      const error = new Error('Campaign template variables are invalid');
+      error.validation = { recipients: problems };
+      throw error;
+    }
+
     // Store campaign in database
     const { data: campaign, error } = await supabase
       .from('email_campaigns')
@@ -306,6 +361,7 @@ class EmailOrchestrator {
         subject,
         html_template: htmlTemplate,
         schedule,
+        sandbox,
         status: 'scheduled',
         created_at: new Date().toISOString()
       })
@@ -314,63 +370,70 @@ class EmailOrchestrator {
 
     if (error) throw error;
 
-    // Schedule the campaign sends
-    schedule.forEach((scheduledSend, index) => {
-      const sendTime = new Date(scheduledSend.sendAt);
-      const now = new Date();
-      
-      if (sendTime > now) {
-        const delay = sendTime - now;
-        setTimeout(async () => {
-          await this.executeCampaignSend(campaign.id, index);
-        }, delay);
-      }
-    });
+    // Persist the campaign sends; the scheduler runs them when due. A campaign
+    // without its sends would never run or finish, so it goes too.
+    try {
+      await this.scheduler.scheduleCampaign(campaign, schedule);
+    } catch (scheduleError) {
+      await supabase.from('email_campaigns').delete().eq('id', campaign.id);
+      throw scheduleError;
+    }
 
     return campaign;
   }
 
-  async executeCampaignSend(campaignId, scheduleIndex) {
+  async executeCampaignSend(campaignId, scheduleIndex, campaignSendId = null) {
     const { data: campaign } = await supabase
       .from('email_campaigns')
       .select('*')
       .eq('id', campaignId)
       .single();
 
-    if (!campaign) return;
+    if (!campaign) return null;
 
-    const results = [];
-    for (const recipient of campaign.recipients) {
-      // Replace template variables
-      let html = campaign.html_template;
-      Object.keys(recipient).forEach(key => {
-        html = html.replace(new RegExp(`{{${key}}}`, 'g'), recipient[key]);
+    const partials = await loadPartials();
+    const renderSubject = compile(campaign.subject, { escape: false, partials });
+    const renderHtml = compile(campaign.html_template, { partials });
+
+    const messages = campaign.recipients.map(recipient => {
+      const unsubscribe = unsubscribeFor({
+        email: recipient.email,
+        clientId: campaign.client_id || null,
+        campaignId
       });
+      // The signed link goes last so a recipient field can't replace it
+      const variables = { ...recipient, unsubscribe_link: unsubscribe.url };
 
-      try {
-        await this.sendEmail({
-          to: recipient.email,
-          subject: campaign.subject.replace(/{{(\w+)}}/g, (match, key) => recipient[key] || match),
-          html
-        });
-        results.push({ email: recipient.email, success: true });
-      } catch (error) {
-        results.push({ email: recipient.email, success: false, error: error.message });
-      }
-    }
+      return {
+        to: recipient.email,
+        subject: renderSubject(variables),
+        html: renderHtml(variables),
+        headers: unsubscribe.headers,
+        campaignId,
+        clientId: campaign.client_id || null,
+        sandbox: campaign.sandbox || false,
+        // Scheduled follow-ups skip anyone who answered an earlier send
+        stopOnReply: scheduleIndex > 0
+      };
+    });
 
-    // Update campaign status
-    await supabase
-      .from('email_campaigns')
-      .update({
-        [`send_${scheduleIndex}_completed`]: new Date().toISOString(),
-        [`send_${scheduleIndex}_results`]: results
-      })
-      .eq('id', campaignId);
+    return this.queue.enqueue(messages, {
+      type: 'campaign',
+      campaignId,
+      metadata: { scheduleIndex, campaignSendId }
+    });
   }
 
-  async logEmail(emailData) {
+  // Queued messages already have a row, so upsert on id when one is given
+  async logEmail({ id, ...emailData }) {
     try {
+      if (id) {
+        await supabase
+          .from('email_logs')
+          .upsert({ id, ...emailData });
+        return;
+      }
+
       await supabase
         .from('email_logs')
         .insert(emailData);
@@ -380,24 +443,29 @@ class EmailOrchestrator {
   }
 
   htmlToText(html) {
-    return html.replace(/<[^>]*>/g, '').trim();
+    return htmlToText(html);
   }
 
   async getStats() {
+    const gmail = this.transports.get('gmail');
+
     const stats = {
-      accounts: this.accounts.map(account => ({
-        email: account.email,
-        type: account.isWorkspace ? 'Google Workspace' : 'Gmail',
-        sentToday: this.dailySendCounts.get(account.email) || 0,
-        remainingToday: account.dailyLimit - (this.dailySendCounts.get(account.email) || 0),
-        dailyLimit: account.dailyLimit
+      ...(await gmail.getStats()),
+      postalEnabled: this.transports.get('postal').isConfigured(),
+      transports: Array.from(this.transports.values()).map(transport => ({
+        name: transport.name,
+        configured: transport.isConfigured(),
+        priority: this.transportOrder.includes(transport.name)
+          ? this.transportOrder.indexOf(transport.name) + 1
+          : null
       })),
-      postalEnabled: this.postalEnabled,
-      totalSentToday: Array.from(this.dailySendCounts.values()).reduce((a, b) => a + b, 0),
-      totalDailyCapacity: this.accounts.reduce((sum, acc) => sum + acc.dailyLimit, 0)
+      rotationStrategy: this.rotationStrategy,
+      domainThrottles: this.throttle.getStats(),
+      providerRates: this.rateLimit.getStats(),
+      mode: this.sandboxMode ? 'sandbox' : 'live'
     };
 
-    if (this.postalEnabled) {
+    if (stats.postalEnabled) {
       stats.totalDailyCapacity = 'unlimited';
     }
 
@@ -410,9 +478,12 @@ export const emailService = new EmailOrchestrator();
 
 // Export convenience functions
 export const sendEmail = (options) => emailService.sendEmail(options);
-export const sendAsClient = (clientEmail, clientName, recipientEmail, subject, body) => 
-  emailService.sendAsClient(clientEmail, clientName, recipientEmail, subject, body);
+export const sendAsClient = (clientEmail, clientName, recipientEmail, subject, body, options) => 
+  emailService.sendAsClient(clientEmail, clientName, recipientEmail, subject, body, options);
 export const sendBulk = (emails, delayBetween) => emailService.sendBulk(emails, delayBetween);
-export const createCampaign = (name, recipients, subject, htmlTemplate, schedule) =>
-  emailService.createCampaign(name, recipients, subject, htmlTemplate, schedule);
-export const getEmailStats = () => emailService.getStats();
\ No newline at end of file
+export const createCampaign = (name, recipients, subject, htmlTemplate, schedule, options) =>
+  emailService.createCampaign(name, recipients, subject, htmlTemplate, schedule, options);
+export const getEmailStats = () => emailService.getStats();
+export const enqueueEmails = (messages, options) => emailService.queue.enqueue(messages, options);
+export const getEmailJob = (jobId) => emailService.queue.getJob(jobId);
+export const getCampaignSends = (campaignId) => emailService.scheduler.getSends(campaignId);
\ No newline at end of file
@@ -0,0 +1,181 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { emailService } from './emailService.js';
+
+jest.mock('./unsubscribe.js', () => ({
+  unsubscribeFor: () => ({ url: 'https://api.example.com/api/unsubscribe/signed', headers: { 'List-Unsubscribe': '<signed>' } })
+}));
+
+const later = (days) => new Date(Date.now() + days * 86400000).toISOString();
+
+beforeEach(() => {
+  supabaseStub.reset();
+  // No stored partials
+  supabaseStub.respond('email_templates', { data: [] });
+});
+
+describe('createCampaign', () => {
+  const recipients = [{ email: 'patient@example.com', name: 'Ann' }];
+
+  test('refuses missing, unparseable and past send times before saving anything', async () => {
+    const schedule = [{ sendAt: later(1) }, {}, { sendAt: 'next tuesday' }, { sendAt: later(-1) }];
+
+    const error = await emailService.createCampaign('Recall', recipients, 'Hi', '<p>Hi</p>', schedule).catch(e => e);
+
+    expect(error.validation).toEqual({
+      schedule: [
+        'schedule[1].sendAt must be a valid date',
+        'schedule[2].sendAt must be a valid date',
+        'schedule[3].sendAt must be in the future'
+      ]
+    });
+    expect(supabaseStub.on('email_campaigns')).toHaveLength(0);
+  });
+
+  test('refuses an empty schedule', async () => {
+    const error = await emailService.createCampaign('Recall', recipients, 'Hi', '<p>Hi</p>', []).catch(e => e);
+
+    expect(error.validation).toEqual({ schedule: ['schedule must be a non-empty array of { sendAt }'] });
+  });
+
+  test('stores the campaign and one send per entry', async () => {
+    supabaseStub.respond('email_campaigns', { data: { id: 'campaign-1' } });
+
+    const campaign = await emailService.createCampaign('Recall', recipients, 'Hi', '<p>Hi</p>', [{ sendAt: later(1) }]);
+
+    expect(campaign).toEqual({ id: 'campaign-1' });
+    expect(supabaseStub.on('email_campaign_sends', 'insert')[0].values).toHaveLength(1);
+  });
+
+  test('refuses recipients missing a template variable', async () => {
+    const error = await emailService.createCampaign('Recall', [{ email: 'bob@example.com' }], 'Hi {{name}}', '<p>Hi</p>', [{ sendAt: later(1) }])
+      .catch(e => e);
+
+    expect(error.validation.recipients).toEqual([expect.objectContaining({ index: 0, email: 'bob@example.com', missing: ['name'] })]);
+    expect(supabaseStub.on('email_campaigns')).toHaveLength(0);
+  });
+
+  test('drops the campaign when its sends cannot be stored', async () => {
+    supabaseStub.respond('email_campaigns', { data: { id: 'campaign-1' } });
+    supabaseStub.respond('email_campaign_sends', { error: new Error('insert failed') });
+
+    await expect(emailService.createCampaign('Recall', recipients, 'Hi', '<p>Hi</p>', [{ sendAt: later(1) }]))
+      .rejects.toThrow('insert failed');
+
+    const [removed] = supabaseStub.on('email_campaigns', 'delete');
+    expect(removed.args('eq')).toEqual(['id', 'campaign-1']);
+  });
+});
+
+describe('sendEmail', () => {
+  const fakeTransport = (name, { send = jest.fn(), capacity = true, configured = true } = {}) => ({
+    name,
+    isConfigured: () => configured,
+    hasCapacity: async () => capacity,
+    send
+  });
+
+  const sent = (name) => jest.fn().mockResolvedValue({ messageId: `<${name}>`, from: 'a@example.com', sentVia: name });
+
+  beforeEach(() => {
+    supabaseStub.respond('email_suppressions', { data: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('falls back through the transport order and logs the send', async () => {
+    const gmail = fakeTransport('gmail', { send: jest.fn().mockRejectedValue(new Error('535 auth failed')) });
+    const postal = fakeTransport('postal', { configured: false });
+    const smtp = fakeTransport('smtp', { capacity: false });
+    const resend = fakeTransport('resend', { send: sent('resend') });
+    emailService.transports = new Map([gmail, postal, smtp, resend].map(transport => [transport.name, transport]));
+    emailService.transportOrder = ['gmail', 'postal', 'smtp', 'resend'];
+
+    const result = await emailService.sendEmail({ to: 'patient@example.com', subject: 'Hi', html: '<p>Hi</p>' });
+
+    expect(result).toMatchObject({ success: true, transport: 'resend', messageId: '<resend>' });
+    expect(postal.send).not.toHaveBeenCalled();
+    expect(smtp.send).not.toHaveBeenCalled();
+    expect(supabaseStub.on('email_logs').map(query => query.values))
+      .toContainEqual(expect.objectContaining({ status: 'sent', sent_via: 'resend' }));
+  });
+
+  test('an explicit transport gets no fallback', async () => {
+    const gmail = fakeTransport('gmail', { send: jest.fn().mockRejectedValue(new Error('535 auth failed')) });
+    const resend = fakeTransport('resend', { send: sent('resend') });
+    emailService.transports = new Map([[gmail.name, gmail], [resend.name, resend]]);
+    emailService.transportOrder = ['gmail', 'resend'];
+
+    await expect(emailService.sendEmail({ to: 'patient@example.com', subject: 'Hi', html: '<p>Hi</p>', transport: 'gmail' }))
+      .rejects.toThrow('Email could not be sent (gmail: 535 auth failed)');
+    expect(resend.send).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unknown rotation strategy', async () => {
+    await expect(emailService.sendEmail({ to: 'patient@example.com', subject: 'Hi', html: '<p>Hi</p>', rotation: 'random' }))
+      .rejects.toThrow('Unknown rotation strategy: random');
+  });
+
+  test('usePostal moves postal to the front', () => {
+    emailService.transportOrder = ['gmail', 'postal', 'resend'];
+
+    expect(emailService.resolveTransports({ usePostal: true })).toEqual(['postal', 'gmail', 'resend']);
+    expect(emailService.resolveTransports({ transports: ['resend'] })).toEqual(['resend']);
+  });
+});
+
+describe('executeCampaignSend', () => {
+  test('a recipient field cannot replace the signed unsubscribe link', async () => {
+    supabaseStub.respond('email_campaigns', {
+      data: {
+        id: 'campaign-1',
+        subject: 'Hi {{name}}',
+        html_template: '<a href="{{unsubscribe_link}}">Unsubscribe</a>',
+        recipients: [{ email: 'ann@example.com', name: 'Ann', unsubscribe_link: 'https://evil.example' }]
+      }
+    });
+    supabaseStub.respond('email_jobs', { data: { id: 'job-1' } });
+
+    await emailService.executeCampaignSend('campaign-1', 0);
+
+    const [message] = supabaseStub.on('email_logs', 'insert')[0].values;
+    expect(message.payload.html).toBe('<a href="https://api.example.com/api/unsubscribe/signed">Unsubscribe</a>');
+    expect(message.payload.headers).toEqual({ 'List-Unsubscribe': '<signed>' });
+  });
+});
+
+describe('sendAsClient', () => {
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends from our address under the client name when their domain is not verified', async () => {
+    supabaseStub.respond('email_sending_domains', { data: null });
+
+    const result = await emailService.sendAsClient('dr@smilesdental.com', 'Smiles "Dental"', 'ann@example.com', 'Hi', '<p>Hi</p>');
+
+    expect(emailService.sendEmail.mock.calls[0][0]).toMatchObject({
+      from: `"Smiles Dental" <${emailService.onBehalfAddress}>`,
+      replyTo: '"Smiles Dental" <dr@smilesdental.com>',
+      headers: { Sender: emailService.onBehalfAddress }
+    });
+    expect(result.mode).toBe('on_behalf');
+  });
+
+  test('sends as the client once their domain is verified', async () => {
+    supabaseStub.respond('email_sending_domains', { data: { domain: 'brightsmile.com', status: 'verified' } });
+
+    const result = await emailService.sendAsClient('hello@brightsmile.com', 'Bright Smile', 'ann@example.com', 'Hi', '<p>Hi</p>');
+
+    const [message] = emailService.sendEmail.mock.calls[0];
+    expect(message.from).toBe('"Bright Smile" <hello@brightsmile.com>');
+    expect(message.headers).not.toHaveProperty('Sender');
+    expect(result.mode).toBe('direct');
+  });
+});
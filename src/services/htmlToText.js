@@ -0,0 +1,98 @@
+// Plain-text alternative for HTML emails: keeps paragraph and line breaks,
+// renders links as "text (url)", lists as bullets, decodes entities and
+// drops head/style/script blocks.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°', times: '×', divide: '÷',
+  laquo: '«', raquo: '»', zwnj: '', zwj: '', shy: ''
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      try {
+        return String.fromCodePoint(point);
+      } catch {
+        return entity;
+      }
+    }
+    const value = NAMED_ENTITIES[code.toLowerCase()];
+    return value === undefined ? entity : value;
+  });
+}
+
+const attribute = (tag, name) =>
+  tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'))
+    ?.slice(1).find(value => value !== undefined) ?? null;
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '');
+
+const BLOCK = 'p|div|h[1-6]|table|thead|tbody|tfoot|blockquote|section|article|header|footer|nav|aside|main|address|form|fieldset|center|ul|ol|dl|figure';
+
+export function htmlToText(html) {
+  if (!html) return '';
+
+  let text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|noscript|template|title)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  // Keep <pre> blocks as they are while whitespace is collapsed
+  const preformatted = [];
+  text = text.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (match, content) => {
+    preformatted.push(decodeEntities(stripTags(content.replace(/<br\s*\/?>/gi, '\n'))));
+    return `<div>\u0000${preformatted.length - 1}\u0000</div>`;
+  });
+
+  // HTML whitespace rules: runs of whitespace are one space
+  text = text.replace(/\s+/g, ' ');
+
+  // Links: "text (url)", or just the url when the text already is the url
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, (match, attributes, content) => {
+    const label = decodeEntities(stripTags(content)).trim();
+    const href = decodeEntities(attribute(attributes, 'href') || '').trim();
+
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return label;
+
+    const target = href.replace(/^mailto:/i, '');
+    if (!label || label === href || label === target) return target;
+    return `${label} (${target})`;
+  });
+
+  // Images only contribute their alt text
+  text = text.replace(/<img\b[^>]*>/gi, tag => {
+    const alt = attribute(tag, 'alt');
+    return alt ? `[${decodeEntities(alt)}]` : '';
+  });
+
+  // Ordered lists are numbered, everything else is bulleted
+  text = text.replace(/<ol\b[^>]*>([\s\S]*?)<\/ol\s*>/gi, (match, items) => {
+    let number = 0;
+    return `\n${items.replace(/<li\b[^>]*>/gi, () => `\n${++number}. `)}\n`;
+  });
+  text = text
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<\/li\s*>/gi, '');
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+    .replace(/<\/(td|th)\s*>/gi, ' ')
+    .replace(/<\/(tr|dt|dd)\s*>/gi, '\n')
+    .replace(new RegExp(`<\\/?(${BLOCK})\\b[^>]*>`, 'gi'), '\n\n');
+
+  text = decodeEntities(stripTags(text));
+
+  // Tidy lines: no stray indentation, at most one blank line in a row
+  text = text
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return text.replace(/\u0000(\d+)\u0000/g, (match, index) => preformatted[index]);
+}
@@ -0,0 +1,52 @@
+import { htmlToText, decodeEntities } from './htmlToText.js';
+
+describe('decodeEntities', () => {
+  test('decodes named and numeric entities and leaves unknown ones', () => {
+    expect(decodeEntities('&amp; &lt;b&gt; &#39;x&#x27; &rsquo; &bogus;')).toBe("& <b> 'x' ’ &bogus;");
+  });
+});
+
+describe('htmlToText', () => {
+  test('returns an empty string for no HTML', () => {
+    expect(htmlToText('')).toBe('');
+    expect(htmlToText(null)).toBe('');
+  });
+
+  test('keeps paragraphs and line breaks and collapses other whitespace', () => {
+    expect(htmlToText('<p>Hello\n   there</p><p>Line one<br>Line two</p>')).toBe('Hello there\n\nLine one\nLine two');
+  });
+
+  test('drops head, style, script and comments', () => {
+    const html = '<html><head><title>T</title><style>p { color: red }</style></head>'
+      + '<body><!-- hidden --><script>alert(1)</script><p>Shown</p></body></html>';
+    expect(htmlToText(html)).toBe('Shown');
+  });
+
+  test('writes links as text (url)', () => {
+    expect(htmlToText('<a href="https://example.com/a?b=1&amp;c=2">Read more</a>'))
+      .toBe('Read more (https://example.com/a?b=1&c=2)');
+    expect(htmlToText('<a href="https://example.com">https://example.com</a>')).toBe('https://example.com');
+    expect(htmlToText('<a href="mailto:hi@example.com">hi@example.com</a>')).toBe('hi@example.com');
+    expect(htmlToText('<a href="#top">Top</a> <a href="javascript:void(0)">Nope</a>')).toBe('Top Nope');
+  });
+
+  test('numbers ordered lists and bullets the rest', () => {
+    expect(htmlToText('<ol><li>One</li><li>Two</li></ol><ul><li>Dot</li></ul>')).toBe('1. One\n2. Two\n\n• Dot');
+  });
+
+  test('keeps image alt text only', () => {
+    expect(htmlToText('<p><img src="logo.png" alt="Bowery &amp; Co"><img src="spacer.gif"></p>')).toBe('[Bowery & Co]');
+  });
+
+  test('puts table rows on their own lines', () => {
+    expect(htmlToText('<table><tr><td>A</td><td>B</td></tr><tr><td>C</td><td>D</td></tr></table>')).toBe('A B\nC D');
+  });
+
+  test('keeps preformatted text as it is', () => {
+    expect(htmlToText('<p>Code:</p><pre>  a  =  1\n  b = &lt;2&gt;</pre>')).toBe('Code:\n\n  a  =  1\n  b = <2>');
+  });
+
+  test('allows at most one blank line in a row', () => {
+    expect(htmlToText('<div><p>A</p></div><div></div><div><p>B</p></div>')).toBe('A\n\nB');
+  });
+});
@@ -0,0 +1,180 @@
+import { createHash } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ttlMs = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24') * 60 * 60 * 1000;
+// A key still 'processing' after this long belongs to a crashed request
+const lockMs = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '900') * 1000;
+const PURGE_EVERY_MS = 60 * 60 * 1000;
+let lastPurge = 0;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// What makes two requests "the same": body, query and tenant
+export const requestHash = (req) => createHash('sha256')
+  .update(canonical({
+    body: Buffer.isBuffer(req.body) ? createHash('sha256').update(req.body).digest('hex') : req.body ?? null,
+    query: req.query,
+    client: req.headers['x-client-id'] || null
+  }))
+  .digest('hex');
+
+async function purgeExpired() {
+  if (Date.now() - lastPurge < PURGE_EVERY_MS) return;
+  lastPurge = Date.now();
+  await supabase.from('idempotency_keys').delete().lt('expires_at', new Date().toISOString());
+}
+
+async function claim(key, endpoint, hash) {
+  return supabase
+    .from('idempotency_keys')
+    .insert({
+      key,
+      endpoint,
+      request_hash: hash,
+      status: 'processing',
+      expires_at: new Date(Date.now() + ttlMs).toISOString()
+    });
+}
+
+// Express middleware for send routes. With an Idempotency-Key header the
+// first request runs and its response is stored; a retry with the same key
+// and body gets that response back (Idempotent-Replayed: true) instead of
+// sending again. A different body under the same key is refused (422), and
+// a retry while the first is still running gets 409. Server errors (5xx)
+// aren't kept, so those can be retried. Without the header nothing changes.
+export function idempotent() {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    // Keys are per endpoint (campaign sends include the campaign id)
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const hash = requestHash(req);
+
+    try {
+      purgeExpired().catch(error => console.error('Idempotency key purge failed:', error.message));
+
+      let { error } = await claim(key, endpoint, hash);
+
+      if (error?.code === '23505') {
+        const { data: existing, error: lookupError } = await supabase
+          .from('idempotency_keys')
+          .select('request_hash, status, response_status, response_body, created_at, expires_at')
+          .eq('key', key)
+          .eq('endpoint', endpoint)
+          .maybeSingle();
+
+        if (lookupError) throw lookupError;
+
+        const abandoned = existing && (new Date(existing.expires_at) <= new Date()
+          || (existing.status === 'processing' && Date.now() - new Date(existing.created_at) > lockMs));
+
+        if (abandoned) {
+          // Expired or crashed: the key is free again
+          await supabase
+            .from('idempotency_keys')
+            .delete()
+            .eq('key', key)
+            .eq('endpoint', endpoint)
+            .eq('created_at', existing.created_at);
+          ({ error } = await claim(key, endpoint, hash));
+        } else if (existing) {
+          if (existing.request_hash !== hash) {
+            return res.status(422).json({
+              error: 'Idempotency-Key was already used with a different request'
+            });
+          }
+
+          if (existing.status !== 'completed') {
+            return res.status(409).set('Retry-After', '5').json({
+              error: 'A request with this Idempotency-Key is still being processed'
+            });
+          }
+
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response_status).json(existing.response_body);
+        } else {
+          // Deleted between the insert and the lookup
+          ({ error } = await claim(key, endpoint, hash));
+        }
+      }
+
+      if (error?.code === '23505') {
+        return res.status(409).set('Retry-After', '5').json({
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      if (error) throw error;
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    // Keep what the route answers before it goes out, so a retry never
+    // sees the key still processing. A server error, or an answer that isn't
+    // JSON, releases the key. A client that gives up early doesn't: the send
+    // is still running and its retry should get the result.
+    let answered = false;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      answered = true;
+      const rows = supabase.from('idempotency_keys');
+      const saved = res.statusCode < 500
+        ? rows.update({
+          status: 'completed',
+          response_status: res.statusCode,
+          response_body: body ?? null,
+          completed_at: new Date().toISOString()
+        })
+        : rows.delete();
+
+      saved
+        .eq('key', key)
+        .eq('endpoint', endpoint)
+        .then(({ error }) => {
+          if (error) console.error(`Saving idempotency key ${key} failed:`, error.message);
+        }, error => console.error(`Saving idempotency key ${key} failed:`, error.message))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    res.on('finish', () => {
+      if (answered) return;
+      supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('key', key)
+        .eq('endpoint', endpoint)
+        .eq('status', 'processing')
+        .then(({ error }) => {
+          if (error) console.error(`Releasing idempotency key ${key} failed:`, error.message);
+        });
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,132 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { idempotent, requestHash } from './idempotency.js';
+
+const request = (body, headers = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/email',
+  path: '/send',
+  body,
+  query: {},
+  headers,
+  get: name => headers[name.toLowerCase()]
+});
+
+const response = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    }),
+    on: jest.fn()
+  };
+  return res;
+};
+
+const duplicateKey = { error: { code: '23505', message: 'duplicate key' } };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const body = { to: 'patient@example.com', subject: 'Hi', html: '<p>Hi</p>' };
+let next;
+
+beforeEach(() => {
+  supabaseStub.reset();
+  next = jest.fn();
+});
+
+test('requests without a key pass straight through', async () => {
+  await idempotent()(request(body), response(), next);
+
+  expect(next).toHaveBeenCalled();
+  expect(supabaseStub.queries).toHaveLength(0);
+});
+
+test('the first request claims the key and stores what the route answers', async () => {
+  const res = response();
+  await idempotent()(request(body, { 'idempotency-key': 'key-1' }), res, next);
+
+  const [claimed] = supabaseStub.on('idempotency_keys', 'insert');
+  expect(claimed.values).toMatchObject({ key: 'key-1', endpoint: 'POST /api/email/send', status: 'processing' });
+  expect(next).toHaveBeenCalled();
+
+  res.status(202).json({ success: true, jobId: 'job-1' });
+  await settle();
+
+  const [saved] = supabaseStub.on('idempotency_keys', 'update');
+  expect(saved.values).toMatchObject({ status: 'completed', response_status: 202, response_body: { success: true, jobId: 'job-1' } });
+  expect(res.body).toEqual({ success: true, jobId: 'job-1' });
+});
+
+test('a retry with the same body replays the stored response', async () => {
+  const req = request(body, { 'idempotency-key': 'key-1' });
+  supabaseStub.respond('idempotency_keys', query => (query.action === 'insert' ? duplicateKey : {
+    data: {
+      request_hash: requestHash(req),
+      status: 'completed',
+      response_status: 202,
+      response_body: { success: true, jobId: 'job-1' },
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60000).toISOString()
+    }
+  }));
+  const res = response();
+
+  await idempotent()(req, res, next);
+
+  expect(next).not.toHaveBeenCalled();
+  expect(res.statusCode).toBe(202);
+  expect(res.headers['Idempotent-Replayed']).toBe('true');
+  expect(res.body).toEqual({ success: true, jobId: 'job-1' });
+});
+
+test('the same key with a different body is refused, and one still running is a conflict', async () => {
+  const stored = (fields) => query => (query.action === 'insert' ? duplicateKey : {
+    data: {
+      request_hash: requestHash(request(body)),
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+      ...fields
+    }
+  });
+
+  supabaseStub.respondOnce('idempotency_keys', duplicateKey);
+  supabaseStub.respondOnce('idempotency_keys', stored({ status: 'completed' }));
+  const changed = response();
+  await idempotent()(request({ ...body, subject: 'Changed' }, { 'idempotency-key': 'key-1' }), changed, next);
+
+  supabaseStub.respondOnce('idempotency_keys', duplicateKey);
+  supabaseStub.respondOnce('idempotency_keys', stored({ status: 'processing' }));
+  const running = response();
+  await idempotent()(request(body, { 'idempotency-key': 'key-1' }), running, next);
+
+  expect(changed.statusCode).toBe(422);
+  expect(running.statusCode).toBe(409);
+  expect(running.headers['Retry-After']).toBe('5');
+  expect(next).not.toHaveBeenCalled();
+});
+
+test('a server error releases the key so the request can be retried', async () => {
+  const res = response();
+  await idempotent()(request(body, { 'idempotency-key': 'key-1' }), res, next);
+
+  res.status(500).json({ error: 'Transport down' });
+  await settle();
+
+  const [released] = supabaseStub.on('idempotency_keys', 'delete');
+  expect(released.all('eq')).toEqual([['key', 'key-1'], ['endpoint', 'POST /api/email/send']]);
+  expect(supabaseStub.on('idempotency_keys', 'update')).toHaveLength(0);
+});
+
+test('the tenant is part of what makes two requests the same', () => {
+  expect(requestHash(request({ b: 1, a: 2 }))).toBe(requestHash(request({ a: 2, b: 1 })));
+  expect(requestHash(request(body, { 'x-client-id': 'client-1' }))).not.toBe(requestHash(request(body)));
+});
@@ -0,0 +1,166 @@
+import net from 'net';
+import tls from 'tls';
+
+// Just enough IMAP4rev1 (RFC 3501) to read a mailbox: LOGIN, SELECT, UID
+// SEARCH, UID FETCH and LOGOUT. Responses are read as latin1 so literal
+// byte counts line up with string lengths.
+
+const quote = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+export class ImapClient {
+  constructor({ host, port = 993, secure = true, user, password, timeout = 30000 }) {
+    this.options = { host, port, secure, user, password, timeout };
+    this.socket = null;
+    this.buffer = '';
+    this.tag = 0;
+    this.pending = null;
+    this.closed = false;
+  }
+
+  async connect() {
+    const { host, port, secure, timeout } = this.options;
+
+    this.socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+
+    this.socket.setEncoding('latin1');
+    this.socket.setTimeout(timeout, () => this.fail(new Error('IMAP connection timed out')));
+    this.socket.on('data', chunk => {
+      this.buffer += chunk;
+      this.read();
+    });
+    this.socket.on('error', error => this.fail(error));
+    this.socket.on('close', () => {
+      this.closed = true;
+      this.fail(new Error('IMAP connection closed'));
+    });
+
+    // The server speaks first: "* OK ..." greeting
+    await this.waitFor(null);
+    await this.command(`LOGIN ${quote(this.options.user)} ${quote(this.options.password)}`);
+  }
+
+  fail(error) {
+    if (!this.pending) return;
+    const { reject } = this.pending;
+    this.pending = null;
+    reject(error);
+  }
+
+  // Collect untagged responses until the tagged completion (or, for tag
+  // null, the greeting). Each response is { text, literals }.
+  waitFor(tag) {
+    return new Promise((resolve, reject) => {
+      this.pending = { tag, resolve, reject, responses: [], current: null };
+      this.read();
+    });
+  }
+
+  read() {
+    const pending = this.pending;
+    if (!pending) return;
+
+    while (true) {
+      // Mid-literal: wait for all of its bytes
+      if (pending.current?.literal !== undefined) {
+        const size = pending.current.literal;
+        if (this.buffer.length < size) return;
+        pending.current.literals.push(this.buffer.slice(0, size));
+        pending.current.text += `{${pending.current.literals.length - 1}}`;
+        this.buffer = this.buffer.slice(size);
+        delete pending.current.literal;
+      }
+
+      const newline = this.buffer.indexOf('\r\n');
+      if (newline < 0) return;
+
+      const line = this.buffer.slice(0, newline);
+      this.buffer = this.buffer.slice(newline + 2);
+
+      const current = pending.current || { text: '', literals: [] };
+      const literal = line.match(/\{(\d+)\}$/);
+      current.text += literal ? line.slice(0, literal.index) : line;
+
+      if (literal) {
+        current.literal = Number(literal[1]);
+        pending.current = current;
+        continue;
+      }
+
+      pending.current = null;
+
+      if (pending.tag === null && current.text.startsWith('* ')) {
+        this.pending = null;
+        if (/^\* (OK|PREAUTH)/i.test(current.text)) return pending.resolve([current]);
+        return pending.reject(new Error(`IMAP server refused connection: ${current.text}`));
+      }
+
+      if (pending.tag && current.text.startsWith(`${pending.tag} `)) {
+        this.pending = null;
+        const status = current.text.slice(pending.tag.length + 1);
+        if (/^OK/i.test(status)) return pending.resolve(pending.responses);
+        return pending.reject(new Error(`IMAP command failed: ${status}`));
+      }
+
+      pending.responses.push(current);
+    }
+  }
+
+  async command(text) {
+    if (this.closed) throw new Error('IMAP connection closed');
+
+    const tag = `A${++this.tag}`;
+    const done = this.waitFor(tag);
+    this.socket.write(`${tag} ${text}\r\n`);
+    return done;
+  }
+
+  // { exists, uidValidity, uidNext }
+  async select(mailbox = 'INBOX') {
+    const responses = await this.command(`SELECT ${quote(mailbox)}`);
+    const number = (pattern) => {
+      const match = responses.map(response => response.text.match(pattern)).find(Boolean);
+      return match ? Number(match[1]) : null;
+    };
+
+    return {
+      exists: number(/^\* (\d+) EXISTS/i),
+      uidValidity: number(/\[UIDVALIDITY (\d+)\]/i),
+      uidNext: number(/\[UIDNEXT (\d+)\]/i)
+    };
+  }
+
+  async search(criteria) {
+    const responses = await this.command(`UID SEARCH ${criteria}`);
+    return responses
+      .filter(response => /^\* SEARCH/i.test(response.text))
+      .flatMap(response => response.text.replace(/^\* SEARCH/i, '').trim().split(/\s+/))
+      .filter(Boolean)
+      .map(Number);
+  }
+
+  // [{ uid, body }] where body is the first literal of each FETCH response
+  async fetch(uids, item) {
+    if (uids.length === 0) return [];
+
+    const responses = await this.command(`UID FETCH ${uids.join(',')} (UID ${item})`);
+    return responses
+      .filter(response => /^\* \d+ FETCH/i.test(response.text))
+      .map(response => ({
+        uid: Number(response.text.match(/UID (\d+)/i)?.[1]),
+        body: Buffer.from(response.literals[0] || '', 'latin1')
+      }))
+      .filter(message => message.uid);
+  }
+
+  async logout() {
+    try {
+      if (!this.closed) await this.command('LOGOUT');
+    } catch {
+      // Closing anyway
+    } finally {
+      this.socket?.destroy();
+    }
+  }
+}
@@ -0,0 +1,57 @@
+import { ImapClient } from './imapClient.js';
+
+let client;
+
+// Feed server output to the client as if it came off the socket
+const receive = (text) => {
+  client.buffer += text;
+  client.read();
+};
+
+beforeEach(() => {
+  client = new ImapClient({ host: 'imap.example.com', user: 'a@example.com', password: 'secret' });
+  client.socket = { write: jest.fn() };
+});
+
+test('tags each command and rejects a NO completion', async () => {
+  const selecting = client.command('SELECT "Archive"');
+  receive('A1 NO [NONEXISTENT] Unknown mailbox\r\n');
+
+  await expect(selecting).rejects.toThrow('IMAP command failed: NO [NONEXISTENT] Unknown mailbox');
+  expect(client.socket.write).toHaveBeenCalledWith('A1 SELECT "Archive"\r\n');
+});
+
+test('reads SELECT counters', async () => {
+  const selecting = client.select();
+  receive('* 3 EXISTS\r\n* OK [UIDVALIDITY 7] UIDs valid\r\n* OK [UIDNEXT 13] Predicted next UID\r\nA1 OK [READ-WRITE] Done\r\n');
+
+  expect(await selecting).toEqual({ exists: 3, uidValidity: 7, uidNext: 13 });
+});
+
+test('collects UIDs from every SEARCH line', async () => {
+  const searching = client.search('SINCE 1-Oct-2024');
+  receive('* SEARCH 3 5\r\n* SEARCH 8\r\n* SEARCH\r\nA1 OK SEARCH completed\r\n');
+
+  expect(await searching).toEqual([3, 5, 8]);
+  expect(client.socket.write).toHaveBeenCalledWith('A1 UID SEARCH SINCE 1-Oct-2024\r\n');
+});
+
+test('reads FETCH literals by byte count, even across chunks and with CRLFs inside', async () => {
+  const body = 'Subject: Hi\r\n\r\nA1 OK is not the end\r\n';
+  const fetching = client.fetch([4, 9], 'BODY.PEEK[]');
+
+  receive(`* 1 FETCH (UID 4 BODY[] {${body.length}}\r\n${body.slice(0, 10)}`);
+  receive(`${body.slice(10)})\r\n* 2 FETCH (BODY[] {0}\r\n UID 9)\r\n* 2 FETCH (FLAGS (\\Seen))\r\nA1 OK Done\r\n`);
+
+  const messages = await fetching;
+  expect(client.socket.write).toHaveBeenCalledWith('A1 UID FETCH 4,9 (UID BODY.PEEK[])\r\n');
+  expect(messages.map(({ uid, body }) => ({ uid, body: body.toString('latin1') }))).toEqual([
+    { uid: 4, body },
+    { uid: 9, body: '' }
+  ]);
+});
+
+test('skips the fetch for no UIDs', async () => {
+  expect(await client.fetch([], 'BODY.PEEK[]')).toEqual([]);
+  expect(client.socket.write).not.toHaveBeenCalled();
+});
@@ -0,0 +1,314 @@
+import { randomUUID } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { parseMime, parseAddressList } from './mimeParser.js';
+import { listAliases } from './aliases.js';
+import { normalizeAddress } from './suppression.js';
+import { linkInbound } from './threading.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// What to do with mail to an alias:
+//   lead    - create a `contacts` row (new business enquiry)
+//   ticket  - open a support ticket, or add to the one being replied to
+//   billing - attach the message to the sender's customer record
+//   log     - store it, nothing else
+export const INBOUND_ACTIONS = ['lead', 'ticket', 'billing', 'log'];
+
+const DEFAULT_ROUTES = 'newbusiness:lead,support:ticket,billing:billing';
+
+export const INBOUND_MAX_BYTES = parseInt(process.env.INBOUND_MAX_BYTES || '26214400');
+
+const attachmentBucket = process.env.INBOUND_ATTACHMENT_BUCKET || 'inbound-email';
+
+// "newbusiness:lead,support:ticket" -> Map { 'newbusiness' => 'lead', ... }
+export function parseRoutes(value) {
+  return new Map(String(value || '')
+    .split(',')
+    .map(entry => entry.trim().split(':').map(part => part.trim().toLowerCase()))
+    .filter(([alias, action]) => alias && INBOUND_ACTIONS.includes(action)));
+}
+
+const routes = parseRoutes(process.env.INBOUND_ROUTES ?? DEFAULT_ROUTES);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Bowery alias keys (support, billing, ...) among the recipients, routed ones first
+export async function aliasesFor(recipients) {
+  const byEmail = new Map((await listAliases())
+    .map(alias => [alias.email.toLowerCase(), alias.alias]));
+
+  const aliases = [...new Set(recipients
+    .map(address => byEmail.get(normalizeAddress(address)))
+    .filter(Boolean))];
+
+  return aliases.sort((a, b) => Number(routes.has(b)) - Number(routes.has(a)));
+}
+
+// Auto-replies, out-of-office and list mail are stored but never open leads or tickets
+function isAutomated(headers) {
+  const value = (name) => String([].concat(headers[name] || '')[0]).toLowerCase();
+
+  return (value('auto-submitted') && value('auto-submitted') !== 'no')
+    || ['bulk', 'junk', 'list'].includes(value('precedence'))
+    || Boolean(headers['x-autoreply'] || headers['x-autorespond']);
+}
+
+async function findCustomer(email) {
+  if (!email) return null;
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id')
+    .ilike('email', escapeLike(email))
+    .limit(1)
+    .maybeSingle();
+
+  if (!profile) return null;
+
+  const { data: customer } = await supabase
+    .from('customers')
+    .select('id')
+    .eq('id', profile.id)
+    .maybeSingle();
+
+  return customer?.id || null;
+}
+
+// Attachments go to Supabase Storage; the log keeps where they went. A
+// failed upload still records the file so nothing disappears silently.
+async function storeAttachments(logId, attachments) {
+  return Promise.all(attachments.map(async (attachment, index) => {
+    const { content, ...details } = attachment;
+    const name = (attachment.filename || `attachment-${index + 1}`).replace(/[^\w.-]+/g, '_');
+    const path = `${logId}/${index + 1}-${name}`;
+
+    const { error } = await supabase.storage
+      .from(attachmentBucket)
+      .upload(path, content, { contentType: attachment.contentType, upsert: true });
+
+    if (error) {
+      console.error(`Inbound attachment ${path} not stored:`, error.message);
+      return { ...details, stored: false };
+    }
+
+    return { ...details, stored: true, bucket: attachmentBucket, path };
+  }));
+}
+
+const routeHandlers = {
+  async lead(message) {
+    const { data, error } = await supabase
+      .from('contacts')
+      .insert({
+        name: message.from.name || message.from.address,
+        email: message.from.address,
+        interest: message.subject || null,
+        message: message.text || message.subject || '(no message)',
+        metadata: { source: 'email', alias: message.alias, message_id: message.messageId }
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return { contact_id: data.id };
+  },
+
+  async ticket(message) {
+    const customerId = await findCustomer(message.from.address);
+
+    // A reply from the requester to anything already on their ticket joins
+    // that ticket. References are sender-controlled, so mail from anyone
+    // else opens a ticket of its own
+    const threadIds = [message.inReplyTo, ...message.references].filter(Boolean);
+    if (threadIds.length > 0) {
+      const { data: earlier } = await supabase
+        .from('communication_logs')
+        .select('ticket_id')
+        .in('message_id', threadIds)
+        .not('ticket_id', 'is', null)
+        .limit(1)
+        .maybeSingle();
+
+      const { data: ticket } = earlier
+        ? await supabase
+          .from('support_tickets')
+          .select('id, requester_email')
+          .eq('id', earlier.ticket_id)
+          .maybeSingle()
+        : { data: null };
+
+      if (ticket && normalizeAddress(ticket.requester_email) === normalizeAddress(message.from.address)) {
+        await supabase
+          .from('support_tickets')
+          .update({ status: 'open' })
+          .eq('id', ticket.id)
+          .in('status', ['pending', 'resolved']);
+
+        return { ticket_id: ticket.id, customer_id: customerId };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('support_tickets')
+      .insert({
+        subject: message.subject || '(no subject)',
+        requester_email: message.from.address,
+        requester_name: message.from.name,
+        customer_id: customerId,
+        source: 'email',
+        metadata: { alias: message.alias, message_id: message.messageId }
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return { ticket_id: data.id, customer_id: customerId };
+  },
+
+  async billing(message) {
+    return { customer_id: await findCustomer(message.from.address) };
+  },
+
+  async log() {
+    return {};
+  }
+};
+
+// Store a raw inbound message and run the route for the alias it was sent
+// to. `envelope` ({ mailFrom, rcptTo }) comes from the SMTP session or
+// Postal and wins over the To/Cc headers (Bcc, forwarding).
+export async function processInbound(raw, { source = 'webhook', envelope = {} } = {}) {
+  const parsed = parseMime(raw);
+
+  if (parsed.messageId) {
+    const { data: existing } = await supabase
+      .from('communication_logs')
+      .select('id, alias, route')
+      .eq('direction', 'incoming')
+      .eq('message_id', parsed.messageId)
+      .maybeSingle();
+
+    if (existing) return { ...existing, duplicate: true };
+  }
+
+  const headerRecipients = [
+    ...parsed.to,
+    ...parsed.cc,
+    ...parseAddressList([].concat(parsed.headers['delivered-to'] || []).join(', ')),
+    ...parseAddressList([].concat(parsed.headers['x-original-to'] || []).join(', '))
+  ].map(recipient => recipient.address);
+  const recipients = [].concat(envelope.rcptTo || []).length > 0
+    ? [].concat(envelope.rcptTo)
+    : headerRecipients;
+
+  const from = parsed.from || parseAddressList(envelope.mailFrom)[0] || { name: null, address: null };
+  const alias = (await aliasesFor(recipients))[0] || null;
+  const automated = isAutomated(parsed.headers);
+  const route = automated || !from.address ? 'log' : routes.get(alias) || 'log';
+  const id = randomUUID();
+
+  const { error } = await supabase
+    .from('communication_logs')
+    .insert({
+      id,
+      type: 'email',
+      direction: 'incoming',
+      channel: 'email',
+      alias,
+      route,
+      status: 'received',
+      from_email: from.address,
+      from_name: from.name,
+      to_email: recipients[0] ? normalizeAddress(recipients[0]) : null,
+      to_emails: recipients.map(normalizeAddress),
+      cc_emails: parsed.cc.map(recipient => recipient.address),
+      subject: parsed.subject,
+      body_text: parsed.text,
+      body_html: parsed.html,
+      // The column outgoing rows keep their body in
+      content: parsed.text || parsed.html,
+      message_id: parsed.messageId,
+      in_reply_to: parsed.inReplyTo,
+      message_references: parsed.references,
+      headers: parsed.headers,
+      attachments: await storeAttachments(id, parsed.attachments),
+      source,
+      metadata: { automated, envelope_from: envelope.mailFrom || null },
+      received_at: parsed.date || new Date().toISOString()
+    });
+
+  // Another worker stored the same Message-ID first
+  if (error?.code === '23505') return { id: null, alias, route, duplicate: true };
+  if (error) throw error;
+
+  let links = {};
+  let routeError = null;
+
+  try {
+    links = await linkInbound({
+      id,
+      messageId: parsed.messageId,
+      inReplyTo: parsed.inReplyTo,
+      references: parsed.references,
+      from,
+      receivedAt: parsed.date,
+      automated
+    });
+  } catch (err) {
+    console.error(`Threading inbound message ${id} failed:`, err.message);
+  }
+
+  try {
+    links = { ...links, ...(await routeHandlers[route]({ ...parsed, from, alias })) };
+  } catch (err) {
+    console.error(`Inbound ${route} route for ${alias} failed:`, err.message);
+    routeError = err.message;
+  }
+
+  await supabase
+    .from('communication_logs')
+    .update({
+      ...links,
+      status: routeError ? 'failed' : 'routed',
+      error: routeError
+    })
+    .eq('id', id);
+
+  return { id, alias, route, ...links, ...(routeError && { error: routeError }) };
+}
+
+export async function listInbound({ alias, route, status, limit = 50 } = {}) {
+  let query = supabase
+    .from('communication_logs')
+    .select('id, alias, route, status, from_email, from_name, subject, message_id, contact_id, ticket_id, customer_id, attachments, received_at')
+    .eq('direction', 'incoming')
+    .order('received_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 50, 500));
+
+  if (alias) query = query.eq('alias', alias);
+  if (route) query = query.eq('route', route);
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+export async function getInbound(id) {
+  const { data, error } = await supabase
+    .from('communication_logs')
+    .select('*')
+    .eq('id', id)
+    .eq('direction', 'incoming')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
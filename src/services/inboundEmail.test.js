@@ -0,0 +1,41 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { processInbound } from './inboundEmail.js';
+
+const reply = (from) => [
+  `From: ${from}`,
+  'To: support@bowerycreativeagency.com',
+  'Subject: Re: Broken contact form',
+  'Message-ID: <reply-1@example.com>',
+  'In-Reply-To: <ticket-mail@bowerycreativeagency.com>',
+  '',
+  'Still broken.'
+].join('\r\n');
+
+beforeEach(() => {
+  supabaseStub.reset();
+  supabaseStub.respond('email_aliases', { data: [{ alias: 'support', email: 'support@bowerycreativeagency.com' }] });
+  supabaseStub.respond('communication_logs', query => ({
+    data: query.args('in')?.[0] === 'message_id' ? { ticket_id: 'ticket-1' } : null
+  }));
+  supabaseStub.respond('support_tickets', query => ({
+    data: query.action === 'insert' ? { id: 'ticket-2' } : { id: 'ticket-1', requester_email: 'Ann@Example.com' }
+  }));
+});
+
+describe('ticket route', () => {
+  test('a reply from the requester joins their ticket', async () => {
+    const result = await processInbound(reply('Ann <ann@example.com>'));
+
+    expect(result).toMatchObject({ route: 'ticket', ticket_id: 'ticket-1' });
+    expect(supabaseStub.on('support_tickets', 'update')[0].values).toEqual({ status: 'open' });
+    expect(supabaseStub.on('support_tickets', 'insert')).toHaveLength(0);
+  });
+
+  test('anyone else quoting the thread opens a ticket of their own', async () => {
+    const result = await processInbound(reply('Mallory <mallory@example.net>'));
+
+    expect(result).toMatchObject({ route: 'ticket', ticket_id: 'ticket-2' });
+    expect(supabaseStub.on('support_tickets', 'update')).toHaveLength(0);
+    expect(supabaseStub.on('support_tickets', 'insert')[0].values).toMatchObject({ requester_email: 'mallory@example.net' });
+  });
+});
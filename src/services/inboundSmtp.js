@@ -0,0 +1,207 @@
+import net from 'net';
+import os from 'os';
+import { processInbound, INBOUND_MAX_BYTES } from './inboundEmail.js';
+import { boweryEmails } from './boweryEmails.js';
+import { normalizeAddress } from './suppression.js';
+
+const MAX_RECIPIENTS = 100;
+const MAX_LINE = 4096;
+
+// Small receive-only SMTP server for mail relayed from the MX (or Postal's
+// SMTP endpoint). No AUTH or STARTTLS: bind it to a private interface.
+// Only recipients on our own domains are accepted.
+export class InboundSmtpServer {
+  constructor({ port, host } = {}) {
+    this.port = parseInt(port ?? process.env.INBOUND_SMTP_PORT) || null;
+    this.host = host || process.env.INBOUND_SMTP_HOST || '127.0.0.1';
+    this.hostname = process.env.INBOUND_SMTP_HOSTNAME || os.hostname();
+    this.domains = new Set([boweryEmails.domain, ...(process.env.INBOUND_DOMAINS || '').split(',')]
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean));
+    this.server = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.port);
+  }
+
+  start() {
+    if (!this.isConfigured() || this.server) return;
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    this.server.on('error', error => console.error('Inbound SMTP server error:', error.message));
+    this.server.listen(this.port, this.host, () => {
+      console.log(`📥 Inbound SMTP listening on ${this.host}:${this.port}`);
+    });
+  }
+
+  stop() {
+    if (!this.server) return;
+    this.server.close();
+    this.server = null;
+  }
+
+  acceptsRecipient(address) {
+    return this.domains.has(address.split('@')[1]);
+  }
+
+  handleConnection(socket) {
+    const session = { mail: false, mailFrom: null, rcptTo: [] };
+    let buffer = '';
+    let data = null;
+    let oversized = false;
+    let busy = false;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    const reset = () => {
+      session.mail = false;
+      session.mailFrom = null;
+      session.rcptTo = [];
+    };
+
+    socket.setEncoding('latin1');
+    socket.setTimeout(300000, () => {
+      reply('421 4.4.2 Idle timeout, closing connection');
+      socket.destroy();
+    });
+    socket.on('error', () => socket.destroy());
+
+    const command = (line) => {
+      const [verb = '', ...rest] = line.split(' ');
+      const arg = rest.join(' ').trim();
+
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          reset();
+          reply(`250-${this.hostname}`);
+          reply(`250-SIZE ${INBOUND_MAX_BYTES}`);
+          reply('250-8BITMIME');
+          return reply('250 PIPELINING');
+        case 'HELO':
+          reset();
+          return reply(`250 ${this.hostname}`);
+        case 'MAIL': {
+          const match = arg.match(/^FROM:\s*<([^>]*)>(.*)$/i);
+          if (!match) return reply('501 5.5.4 Syntax: MAIL FROM:<address>');
+
+          const size = match[2].match(/SIZE=(\d+)/i);
+          if (size && Number(size[1]) > INBOUND_MAX_BYTES) {
+            return reply('552 5.3.4 Message size exceeds fixed limit');
+          }
+
+          reset();
+          session.mail = true;
+          // <> is the null sender used by bounces
+          session.mailFrom = match[1].trim().toLowerCase() || null;
+          return reply('250 2.1.0 OK');
+        }
+        case 'RCPT': {
+          if (!session.mail) return reply('503 5.5.1 MAIL first');
+
+          const match = arg.match(/^TO:\s*<([^>]+)>/i);
+          if (!match) return reply('501 5.5.4 Syntax: RCPT TO:<address>');
+
+          const address = normalizeAddress(match[1]);
+          if (!this.acceptsRecipient(address)) return reply('550 5.7.1 Relaying denied');
+          if (session.rcptTo.length >= MAX_RECIPIENTS) return reply('452 4.5.3 Too many recipients');
+
+          session.rcptTo.push(address);
+          return reply('250 2.1.5 OK');
+        }
+        case 'DATA':
+          if (session.rcptTo.length === 0) return reply('503 5.5.1 RCPT first');
+          // Leading CRLF so an empty message's "." line matches the terminator
+          data = '\r\n';
+          oversized = false;
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          reset();
+          return reply('250 2.0.0 OK');
+        case 'NOOP':
+          return reply('250 2.0.0 OK');
+        case 'VRFY':
+          return reply('252 2.5.2 Cannot VRFY user');
+        case 'QUIT':
+          reply('221 2.0.0 Bye');
+          return socket.end();
+        default:
+          return reply('502 5.5.2 Command not recognized');
+      }
+    };
+
+    const deliver = async (message) => {
+      const envelope = { mailFrom: session.mailFrom, rcptTo: [...session.rcptTo] };
+      reset();
+
+      try {
+        await processInbound(Buffer.from(message, 'latin1'), { source: 'smtp', envelope });
+        reply('250 2.0.0 Message accepted');
+      } catch (error) {
+        console.error('Inbound SMTP delivery failed:', error.message);
+        reply('451 4.3.0 Message could not be stored, try again later');
+      }
+    };
+
+    // Work through whatever has arrived; pipelined commands wait while a
+    // message is being stored
+    const drain = async () => {
+      if (busy) return;
+      busy = true;
+      socket.pause();
+
+      while (!socket.destroyed) {
+        if (data !== null) {
+          // Only the new text (and a possible split terminator) needs searching
+          const from = Math.max(data.length - 4, 0);
+          data += buffer;
+          buffer = '';
+
+          const end = data.indexOf('\r\n.\r\n', from);
+          if (end < 0) {
+            if (data.length > INBOUND_MAX_BYTES + 2) {
+              // Keep reading to the terminator, but stop holding the data
+              oversized = true;
+              data = data.slice(-4);
+            }
+            break;
+          }
+
+          buffer = data.slice(end + 5);
+          const message = data.slice(0, end + 2).replace(/\r\n\./g, '\r\n').slice(2);
+          data = null;
+
+          if (oversized) {
+            reset();
+            reply('552 5.3.4 Message size exceeds fixed limit');
+          } else {
+            await deliver(message);
+          }
+          continue;
+        }
+
+        const newline = buffer.indexOf('\n');
+        if (newline < 0) {
+          if (buffer.length > MAX_LINE) {
+            reply('500 5.5.6 Line too long');
+            socket.destroy();
+          }
+          break;
+        }
+
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        command(line);
+      }
+
+      busy = false;
+      if (!socket.destroyed) socket.resume();
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      drain();
+    });
+
+    reply(`220 ${this.hostname} ESMTP ready`);
+  }
+}
@@ -0,0 +1,267 @@
+import { htmlToText } from './htmlToText.js';
+
+// Minimal RFC 5322 / MIME reader for inbound mail: headers (with RFC 2047
+// encoded words), nested multiparts, base64 / quoted-printable bodies,
+// charsets, and attachments. Raw input is handled as latin1 so every byte
+// survives until a part's charset is known.
+
+const toBinary = (raw) => Buffer.isBuffer(raw) ? raw.toString('latin1') : String(raw || '');
+
+function decodeCharset(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase() || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const hex = text[i] === '=' && text.slice(i + 1, i + 3);
+    if (hex && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodeBody(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+// Raw 8-bit header bytes are taken as UTF-8 when they are valid UTF-8
+function fromRawBytes(value) {
+  if (!/[\x80-\xff]/.test(value) || /[^\x00-\xff]/.test(value)) return value;
+  const utf8 = Buffer.from(value, 'latin1').toString('utf8');
+  return utf8.includes('\ufffd') ? value : utf8;
+}
+
+// =?utf-8?B?...?= and =?iso-8859-1?Q?...?= words
+export function decodeHeader(value) {
+  const text = fromRawBytes(String(value || ''));
+
+  return text
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, data) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintable(data.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset.replace(/\*.*$/, ''));
+    });
+}
+
+function splitHead(part) {
+  const match = part.match(/\r?\n\r?\n/);
+  if (!match) return [part, ''];
+  return [part.slice(0, match.index), part.slice(match.index + match[0].length)];
+}
+
+// Lower-cased name -> raw values in order (Received etc. repeat)
+function parseHeaderBlock(head) {
+  const headers = new Map();
+
+  head
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon < 1) return;
+      const name = line.slice(0, colon).trim().toLowerCase();
+      headers.set(name, [...(headers.get(name) || []), line.slice(colon + 1).trim()]);
+    });
+
+  return headers;
+}
+
+// "text/plain; charset=utf-8; name*=utf-8''r%C3%A9sum%C3%A9.pdf"
+function parseParams(value = '') {
+  const [first, ...rest] = value.match(/(?:[^;"]|"(?:[^"\\]|\\.)*")+/g) || [''];
+  const params = {};
+  const extended = {};
+
+  rest.forEach(entry => {
+    const eq = entry.indexOf('=');
+    if (eq < 0) return;
+
+    const key = entry.slice(0, eq).trim().toLowerCase();
+    let val = entry.slice(eq + 1).trim();
+    if (val.startsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+
+    // RFC 2231 continuations (name*0, name*1*) and charset-tagged values
+    const match = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!match) return;
+
+    const [, name, index, encoded] = match;
+    if (index === undefined && !encoded) {
+      params[name] = val;
+      return;
+    }
+
+    extended[name] = extended[name] || [];
+    extended[name][Number(index || 0)] = { val, encoded: Boolean(encoded) };
+  });
+
+  Object.entries(extended).forEach(([name, pieces]) => {
+    let charset = 'utf-8';
+    const bytes = pieces.filter(Boolean).map(({ val, encoded }, i) => {
+      if (!encoded) return Buffer.from(val, 'latin1');
+      if (i === 0) {
+        const tagged = val.match(/^([^']*)'[^']*'(.*)$/);
+        if (tagged) {
+          charset = tagged[1] || charset;
+          val = tagged[2];
+        }
+      }
+      return Buffer.from(val.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    });
+    params[name] = decodeCharset(Buffer.concat(bytes), charset);
+  });
+
+  return { value: first.trim().toLowerCase(), params };
+}
+
+function parsePart(part) {
+  const [head, body] = splitHead(part);
+  const headers = parseHeaderBlock(head);
+  const first = (name) => headers.get(name)?.[0];
+
+  const type = parseParams(first('content-type') || 'text/plain');
+  const disposition = parseParams(first('content-disposition') || '');
+  const node = {
+    headers,
+    contentType: type.value || 'text/plain',
+    params: type.params,
+    disposition: disposition.value || null,
+    filename: decodeHeader(disposition.params.filename || type.params.name || '') || null,
+    contentId: first('content-id')?.replace(/^<|>$/g, '') || null,
+    parts: []
+  };
+
+  if (node.contentType.startsWith('multipart/') && node.params.boundary) {
+    const delimiter = `--${node.params.boundary}`;
+    const lines = body.split(/\r?\n/);
+    let current = null;
+
+    for (const line of lines) {
+      if (line.trimEnd() === `${delimiter}--`) break;
+      if (line.trimEnd() === delimiter) {
+        if (current) node.parts.push(parsePart(current.join('\r\n')));
+        current = [];
+      } else if (current) {
+        current.push(line);
+      }
+    }
+
+    if (current) node.parts.push(parsePart(current.join('\r\n')));
+    return node;
+  }
+
+  node.content = decodeBody(body, first('content-transfer-encoding'));
+  return node;
+}
+
+// "Name" <a@b.c>, d@e.f (Comment), group: g@h.i; -> [{ name, address }]
+export function parseAddressList(value) {
+  if (!value) return [];
+
+  return (String(value).match(/(?:[^,"<]|"(?:[^"\\]|\\.)*"|<[^>]*>)+/g) || [])
+    .map(entry => entry.replace(/^[^:<"]*:(?!\/)/, '').replace(/;\s*$/, '').trim())
+    .map(entry => {
+      const angle = entry.match(/^(.*)<([^>]+)>\s*$/);
+      if (angle) {
+        return {
+          name: decodeHeader(angle[1].trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1')) || null,
+          address: angle[2].trim().toLowerCase()
+        };
+      }
+
+      const comment = entry.match(/\(([^)]*)\)/);
+      return {
+        name: comment ? decodeHeader(comment[1].trim()) || null : null,
+        address: entry.replace(/\([^)]*\)/g, '').trim().toLowerCase()
+      };
+    })
+    .filter(entry => entry.address.includes('@'));
+}
+
+// Message-ID, In-Reply-To and References values -> ['<id@host>', ...]
+export function parseMessageIds(value) {
+  if (!value) return [];
+  const ids = value.match(/<[^<>\s]+>/g);
+  return ids || value.split(/\s+/).filter(Boolean).map(id => `<${id.replace(/^<|>$/g, '')}>`);
+}
+
+function isAttachment(node) {
+  if (node.disposition === 'attachment') return true;
+  if (node.filename) return true;
+  return !/^text\/(plain|html)$/.test(node.contentType);
+}
+
+function collect(node, result) {
+  if (node.parts.length > 0) {
+    node.parts.forEach(part => collect(part, result));
+    return;
+  }
+
+  if (!isAttachment(node)) {
+    const key = node.contentType === 'text/html' ? 'html' : 'text';
+    // The first of each wins: later ones are quoted or forwarded copies
+    if (result[key] === null) result[key] = decodeCharset(node.content, node.params.charset);
+    return;
+  }
+
+  result.attachments.push({
+    filename: node.filename || (node.contentType === 'message/rfc822' ? 'message.eml' : null),
+    contentType: node.contentType,
+    contentId: node.contentId,
+    disposition: node.disposition || 'attachment',
+    size: node.content.length,
+    content: node.content
+  });
+}
+
+// Parse a raw message (Buffer or string)
+export function parseMime(raw) {
+  const root = parsePart(toBinary(raw));
+  const header = (name) => root.headers.get(name)?.[0] ?? null;
+  const first = (name) => header(name) === null ? null : decodeHeader(header(name));
+
+  const result = { text: null, html: null, attachments: [] };
+  collect(root, result);
+
+  const date = first('date') ? new Date(first('date')) : null;
+
+  return {
+    messageId: parseMessageIds(first('message-id'))[0] || null,
+    inReplyTo: parseMessageIds(first('in-reply-to'))[0] || null,
+    references: parseMessageIds(first('references')),
+    from: parseAddressList(header('from'))[0] || null,
+    to: parseAddressList(header('to')),
+    cc: parseAddressList(header('cc')),
+    replyTo: parseAddressList(header('reply-to'))[0] || null,
+    subject: first('subject') || '',
+    date: date && !isNaN(date) ? date.toISOString() : null,
+    headers: Object.fromEntries([...root.headers].map(([name, values]) => [
+      name,
+      values.length === 1 ? decodeHeader(values[0]) : values.map(decodeHeader)
+    ])),
+    text: result.text ?? (result.html ? htmlToText(result.html) : ''),
+    html: result.html,
+    attachments: result.attachments
+  };
+}
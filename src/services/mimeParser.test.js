@@ -0,0 +1,131 @@
+import { decodeHeader, parseAddressList, parseMessageIds, parseMime } from './mimeParser.js';
+
+describe('decodeHeader', () => {
+  test('decodes base64 and quoted-printable encoded words', () => {
+    expect(decodeHeader('=?utf-8?B?SGVsbG8gV8O2cmxk?=')).toBe('Hello Wörld');
+    expect(decodeHeader('=?iso-8859-1?Q?Caf=E9_au_lait?=')).toBe('Café au lait');
+  });
+
+  test('joins adjacent encoded words without the space between them', () => {
+    expect(decodeHeader('=?utf-8?Q?Hello?= =?utf-8?Q?_there?= friend')).toBe('Hello there friend');
+  });
+
+  test('reads raw 8-bit UTF-8 bytes', () => {
+    expect(decodeHeader(Buffer.from('Résumé', 'utf8').toString('latin1'))).toBe('Résumé');
+  });
+});
+
+describe('parseAddressList', () => {
+  test('reads names, comments and groups', () => {
+    expect(parseAddressList('"Doe, Jane" <Jane@Example.com>, bob@example.com (Bob), team: a@example.com;')).toEqual([
+      { name: 'Doe, Jane', address: 'jane@example.com' },
+      { name: 'Bob', address: 'bob@example.com' },
+      { name: null, address: 'a@example.com' }
+    ]);
+  });
+
+  test('skips entries without an address', () => {
+    expect(parseAddressList('undisclosed-recipients:;')).toEqual([]);
+    expect(parseAddressList(null)).toEqual([]);
+  });
+});
+
+describe('parseMessageIds', () => {
+  test('reads bracketed ids and brackets bare ones', () => {
+    expect(parseMessageIds('<a@x> <b@y>')).toEqual(['<a@x>', '<b@y>']);
+    expect(parseMessageIds('c@z')).toEqual(['<c@z>']);
+    expect(parseMessageIds('')).toEqual([]);
+  });
+});
+
+describe('parseMime', () => {
+  test('reads headers and a plain text body', () => {
+    const message = parseMime([
+      'From: "Client" <Client@Example.com>',
+      'To: hello@bowerycreativeagency.com, Other <other@example.com>',
+      'Subject: =?utf-8?Q?Re:_Caf=C3=A9?=',
+      'Message-ID: <reply-1@example.com>',
+      'In-Reply-To: <log-1@bowerycreativeagency.com>',
+      'References: <log-0@bowerycreativeagency.com>',
+      ' <log-1@bowerycreativeagency.com>',
+      'Date: Tue, 4 Feb 2025 10:00:00 +0000',
+      '',
+      'Sounds good.'
+    ].join('\r\n'));
+
+    expect(message).toMatchObject({
+      messageId: '<reply-1@example.com>',
+      inReplyTo: '<log-1@bowerycreativeagency.com>',
+      references: ['<log-0@bowerycreativeagency.com>', '<log-1@bowerycreativeagency.com>'],
+      from: { name: 'Client', address: 'client@example.com' },
+      to: [
+        { name: null, address: 'hello@bowerycreativeagency.com' },
+        { name: 'Other', address: 'other@example.com' }
+      ],
+      subject: 'Re: Café',
+      date: '2025-02-04T10:00:00.000Z',
+      text: 'Sounds good.',
+      html: null,
+      attachments: []
+    });
+  });
+
+  test('reads nested multiparts with charsets, encodings and attachments', () => {
+    const raw = Buffer.from([
+      'From: a@example.com',
+      'Content-Type: multipart/mixed; boundary="outer"',
+      '',
+      '--outer',
+      'Content-Type: multipart/alternative; boundary="inner"',
+      '',
+      '--inner',
+      'Content-Type: text/plain; charset=iso-8859-1',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Caf=E9 =',
+      'ouvert',
+      '--inner',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('<p>Café ouvert</p>').toString('base64'),
+      '--inner--',
+      '--outer',
+      'Content-Type: image/png',
+      'Content-ID: <logo@x>',
+      'Content-Disposition: inline',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64'),
+      '--outer',
+      'Content-Type: application/pdf',
+      "Content-Disposition: attachment; filename*=utf-8''r%C3%A9sum%C3%A9.pdf",
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('%PDF-1.4').toString('base64'),
+      '--outer--',
+      ''
+    ].join('\r\n'), 'latin1');
+
+    const message = parseMime(raw);
+
+    expect(message.text).toBe('Café ouvert');
+    expect(message.html).toBe('<p>Café ouvert</p>');
+    expect(message.attachments.map(({ content, ...attachment }) => attachment)).toEqual([
+      { filename: null, contentType: 'image/png', contentId: 'logo@x', disposition: 'inline', size: 4 },
+      { filename: 'résumé.pdf', contentType: 'application/pdf', contentId: null, disposition: 'attachment', size: 8 }
+    ]);
+    expect(message.attachments[1].content.toString()).toBe('%PDF-1.4');
+  });
+
+  test('derives the text from the HTML when there is no text part', () => {
+    const message = parseMime('Content-Type: text/html\r\n\r\n<p>Hi <b>there</b></p><p>Bye</p>');
+    expect(message.text).toBe('Hi there\n\nBye');
+  });
+
+  test('keeps repeated headers in order', () => {
+    const message = parseMime('Received: from a\r\nReceived: from b\r\nSubject: x\r\n\r\nbody');
+    expect(message.headers.received).toEqual(['from a', 'from b']);
+    expect(message.headers.subject).toBe('x');
+  });
+});
@@ -0,0 +1,46 @@
+// Requests per second each provider's API accepts. Resend allows 2/s per
+// team by default; the others aren't limited unless listed.
+const DEFAULT_RATES = 'resend:2';
+
+// "resend:2,postal:20" -> Map { 'resend' => 2, 'postal' => 20 } (sends per second)
+export function parseRates(value) {
+  return new Map(String(value || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([name, rate]) => name && parseFloat(rate) > 0)
+    .map(([name, rate]) => [name.trim().toLowerCase(), parseFloat(rate)]));
+}
+
+// Spaces out sends per transport so concurrent senders (campaign delivery)
+// stay under the provider's rate limit. Slots are handed out in order, one
+// every 1/rate seconds. Kept in memory, so the limit is per instance;
+// EMAIL_PROVIDER_RATES="" turns it off.
+export class ProviderRateLimit {
+  constructor() {
+    this.rates = parseRates(process.env.EMAIL_PROVIDER_RATES ?? DEFAULT_RATES);
+    this.nextSlot = new Map();
+  }
+
+  // Wait for the next free slot for this transport
+  async acquire(name) {
+    const rate = this.rates.get(name);
+    if (!rate) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(name) || 0);
+    this.nextSlot.set(name, slot + 1000 / rate);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  // The provider answered 429: hold everything for this transport a while
+  backOff(name, ms = 1000) {
+    this.nextSlot.set(name, Math.max(this.nextSlot.get(name) || 0, Date.now() + ms));
+  }
+
+  getStats() {
+    return Object.fromEntries(this.rates);
+  }
+}
@@ -0,0 +1,45 @@
+import { ProviderRateLimit, parseRates } from './providerRateLimit.js';
+
+let limit;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: 1000000 });
+  limit = new ProviderRateLimit();
+  limit.rates = parseRates('resend:2');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('parseRates reads name:rate pairs and skips bad entries', () => {
+  expect(parseRates(' Resend:2, postal:0.5, gmail:0, broken')).toEqual(new Map([['resend', 2], ['postal', 0.5]]));
+});
+
+test('hands out one slot every 1/rate seconds', async () => {
+  const order = [];
+  [1, 2, 3].forEach(n => limit.acquire('resend').then(() => order.push(n)));
+
+  await jest.advanceTimersByTimeAsync(0);
+  expect(order).toEqual([1]);
+  await jest.advanceTimersByTimeAsync(500);
+  expect(order).toEqual([1, 2]);
+  await jest.advanceTimersByTimeAsync(500);
+  expect(order).toEqual([1, 2, 3]);
+});
+
+test('unlisted transports are not limited', async () => {
+  await limit.acquire('gmail');
+  expect(limit.nextSlot.has('gmail')).toBe(false);
+});
+
+test('a 429 holds the transport back', async () => {
+  limit.backOff('resend', 3000);
+  const acquired = jest.fn();
+  limit.acquire('resend').then(acquired);
+
+  await jest.advanceTimersByTimeAsync(2999);
+  expect(acquired).not.toHaveBeenCalled();
+  await jest.advanceTimersByTimeAsync(1);
+  expect(acquired).toHaveBeenCalled();
+});
@@ -0,0 +1,161 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { ImapClient } from './imapClient.js';
+import { parseMime } from './mimeParser.js';
+import { processInbound } from './inboundEmail.js';
+import { sentMessageIds, bare } from './threading.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const THREAD_HEADERS = 'BODY.PEEK[HEADER.FIELDS (MESSAGE-ID IN-REPLY-TO REFERENCES)]';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// IMAP SEARCH dates look like 1-Oct-2024
+const imapDate = (date) => `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+
+// Checks the rotated Gmail accounts' inboxes over IMAP for answers to our
+// sends and feeds them through the inbound pipeline, which threads them and
+// marks the sender as replied. Each account's position (UIDVALIDITY + last
+// UID) is kept in email_accounts, so restarts and other instances carry on
+// where the last poll stopped.
+export class ReplyPoller {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.pollInterval = parseInt(process.env.IMAP_POLL_MS || '0');
+    // imap.gmail.com unless pointed at another server (e.g. a local stand-in)
+    this.host = process.env.IMAP_HOST || 'imap.gmail.com';
+    this.port = parseInt(process.env.IMAP_PORT || '993');
+    this.secure = process.env.IMAP_SECURE !== 'false';
+    this.mailbox = process.env.IMAP_MAILBOX || 'INBOX';
+    this.lookbackDays = parseInt(process.env.IMAP_LOOKBACK_DAYS || '7');
+    this.batchSize = 100;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  get accounts() {
+    return this.orchestrator.transports.get('gmail')?.accounts || [];
+  }
+
+  isConfigured() {
+    return this.pollInterval > 0 && this.accounts.length > 0;
+  }
+
+  start() {
+    if (this.timer || !this.isConfigured()) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+    console.log(`📬 Reply poller checking ${this.accounts.length} inbox(es) every ${this.pollInterval / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const account of this.accounts) {
+        try {
+          const replies = await this.pollAccount(account);
+          if (replies > 0) console.log(`📨 ${replies} new repl${replies === 1 ? 'y' : 'ies'} in ${account.email}`);
+        } catch (error) {
+          console.error(`Reply poll for ${account.email} failed:`, error.message);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Returns how many new replies were stored
+  async pollAccount(account) {
+    const { data: state } = await supabase
+      .from('email_accounts')
+      .select('imap_uid_validity, imap_last_uid')
+      .eq('email', account.email)
+      .maybeSingle();
+
+    const client = new ImapClient({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      user: account.email,
+      password: account.password
+    });
+
+    try {
+      await client.connect();
+      const mailbox = await client.select(this.mailbox);
+
+      // A new UIDVALIDITY means old UIDs mean nothing; start from the lookback window
+      const lastUid = Number(state?.imap_uid_validity) === mailbox.uidValidity
+        ? Number(state.imap_last_uid || 0)
+        : 0;
+
+      const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+      const uids = (lastUid > 0
+        ? await client.search(`UID ${lastUid + 1}:*`)
+        : await client.search(`SINCE ${imapDate(since)}`))
+        // "n:*" always matches the newest message, even below n
+        .filter(uid => uid > lastUid)
+        .sort((a, b) => a - b);
+
+      let replies = 0;
+
+      for (let i = 0; i < uids.length; i += this.batchSize) {
+        const batch = uids.slice(i, i + this.batchSize);
+        const matched = await this.findReplies(await client.fetch(batch, THREAD_HEADERS));
+
+        for (const message of await client.fetch(matched, 'BODY.PEEK[]')) {
+          const result = await processInbound(message.body, { source: 'imap' });
+          if (!result.duplicate) replies++;
+        }
+
+        await this.savePosition(account, mailbox.uidValidity, batch[batch.length - 1]);
+      }
+
+      if (uids.length === 0) await this.savePosition(account, mailbox.uidValidity, lastUid);
+      return replies;
+    } finally {
+      await client.logout();
+    }
+  }
+
+  // UIDs whose In-Reply-To or References point at a message we sent
+  async findReplies(headers) {
+    const threads = headers.map(({ uid, body }) => {
+      const { inReplyTo, references } = parseMime(body);
+      return { uid, ids: [inReplyTo, ...references].filter(Boolean).map(bare) };
+    }).filter(thread => thread.ids.length > 0);
+
+    if (threads.length === 0) return [];
+
+    const sent = await sentMessageIds(threads.flatMap(thread => thread.ids));
+    return threads
+      .filter(thread => thread.ids.some(id => sent.has(id)))
+      .map(thread => thread.uid);
+  }
+
+  async savePosition(account, uidValidity, lastUid) {
+    await supabase
+      .from('email_accounts')
+      .update({
+        imap_uid_validity: uidValidity,
+        imap_last_uid: lastUid || null,
+        imap_checked_at: new Date().toISOString()
+      })
+      .eq('email', account.email);
+  }
+}
@@ -0,0 +1,140 @@
+import net from 'net';
+import { supabaseStub } from '@supabase/supabase-js';
+import { processInbound } from './inboundEmail.js';
+import { ReplyPoller } from './replyPoller.js';
+
+jest.mock('./inboundEmail.js', () => ({ processInbound: jest.fn() }));
+
+const message = (uid, headers) => ({
+  uid,
+  raw: `${headers.join('\r\n')}\r\nSubject: Message ${uid}\r\n\r\nBody of ${uid}\r\n`
+});
+
+// A small IMAP server over one mailbox. Like Gmail, "UID n:*" always
+// includes the newest message, even when its UID is below n.
+function imapServer(mailbox) {
+  const commands = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.setEncoding('latin1');
+    socket.write('* OK IMAP stand-in ready\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const [, tag, command] = line.match(/^(\S+) (.*)$/);
+        commands.push(command);
+        socket.write(answer(tag, command));
+      }
+    });
+  });
+
+  const answer = (tag, command) => {
+    const { messages, uidValidity } = mailbox;
+    const newest = messages[messages.length - 1];
+
+    if (/^SELECT/i.test(command)) {
+      return `* ${messages.length} EXISTS\r\n* OK [UIDVALIDITY ${uidValidity}] UIDs valid\r\n${tag} OK [READ-WRITE] Done\r\n`;
+    }
+
+    if (/^UID SEARCH/i.test(command)) {
+      const from = command.match(/UID (\d+):\*/)?.[1];
+      const uids = from
+        ? messages.filter(m => m.uid >= Number(from) || m === newest).map(m => m.uid)
+        : messages.map(m => m.uid);
+      return `* SEARCH ${uids.join(' ')}\r\n${tag} OK Done\r\n`;
+    }
+
+    if (/^UID FETCH/i.test(command)) {
+      const wanted = command.match(/^UID FETCH (\S+)/i)[1].split(',').map(Number);
+      const headersOnly = /HEADER\.FIELDS/i.test(command);
+
+      return messages.map((m, index) => {
+        if (!wanted.includes(m.uid)) return '';
+        const body = headersOnly ? `${m.raw.split('\r\n\r\n')[0]}\r\n\r\n` : m.raw;
+        return `* ${index + 1} FETCH (UID ${m.uid} BODY[] {${body.length}}\r\n${body})\r\n`;
+      }).join('') + `${tag} OK Done\r\n`;
+    }
+
+    if (/^LOGOUT/i.test(command)) return `* BYE\r\n${tag} OK Done\r\n`;
+    return `${tag} OK Done\r\n`;
+  };
+
+  return { server, commands };
+}
+
+const mailbox = {
+  uidValidity: 7,
+  messages: [
+    message(10, ['Message-ID: <newsletter@example.com>']),
+    message(11, ['Message-ID: <reply-1@example.com>', 'In-Reply-To: <log-1@bowerycreativeagency.com>']),
+    message(12, ['Message-ID: <other@example.com>', 'In-Reply-To: <someone-else@example.com>'])
+  ]
+};
+
+let imap;
+let poller;
+
+const account = { email: 'a@example.com', password: 'app-password' };
+const positions = () => supabaseStub.on('email_accounts', 'update').map(query => query.values);
+
+beforeEach(async () => {
+  supabaseStub.reset();
+  supabaseStub.respond('email_logs', { data: [{ message_id: '<log-1@bowerycreativeagency.com>' }] });
+  processInbound.mockReset().mockResolvedValue({ id: 'inbound-1' });
+
+  imap = imapServer(mailbox);
+  await new Promise(resolve => imap.server.listen(0, '127.0.0.1', resolve));
+
+  poller = new ReplyPoller({ transports: new Map() });
+  poller.host = '127.0.0.1';
+  poller.port = imap.server.address().port;
+  poller.secure = false;
+});
+
+afterEach(async () => {
+  await new Promise(resolve => imap.server.close(resolve));
+});
+
+test('stores only replies to our mail and saves the position', async () => {
+  const replies = await poller.pollAccount(account);
+
+  expect(replies).toBe(1);
+  expect(imap.commands[0]).toBe('LOGIN "a@example.com" "app-password"');
+  expect(imap.commands).toContainEqual(expect.stringMatching(/^UID SEARCH SINCE \d+-\w{3}-\d{4}$/));
+  expect(processInbound).toHaveBeenCalledTimes(1);
+  expect(processInbound.mock.calls[0][0].toString('latin1')).toBe(mailbox.messages[1].raw);
+  expect(processInbound.mock.calls[0][1]).toEqual({ source: 'imap' });
+  expect(positions()).toEqual([expect.objectContaining({ imap_uid_validity: 7, imap_last_uid: 12 })]);
+});
+
+test('carries on after the last UID and ignores the newest message "n:*" hands back', async () => {
+  supabaseStub.respond('email_accounts', { data: { imap_uid_validity: 7, imap_last_uid: 12 } });
+
+  const replies = await poller.pollAccount(account);
+
+  expect(replies).toBe(0);
+  expect(imap.commands).toContain('UID SEARCH UID 13:*');
+  expect(imap.commands.some(command => command.startsWith('UID FETCH'))).toBe(false);
+  expect(positions()).toEqual([expect.objectContaining({ imap_uid_validity: 7, imap_last_uid: 12 })]);
+});
+
+test('a new UIDVALIDITY discards the saved UID and rescans the lookback window', async () => {
+  supabaseStub.respond('email_accounts', { data: { imap_uid_validity: 6, imap_last_uid: 40 } });
+
+  const replies = await poller.pollAccount(account);
+
+  expect(replies).toBe(1);
+  expect(imap.commands).toContainEqual(expect.stringMatching(/^UID SEARCH SINCE /));
+  expect(positions()).toEqual([expect.objectContaining({ imap_uid_validity: 7, imap_last_uid: 12 })]);
+});
+
+test('a duplicate delivery is not counted as a new reply', async () => {
+  processInbound.mockResolvedValue({ id: null, duplicate: true });
+
+  expect(await poller.pollAccount(account)).toBe(0);
+});
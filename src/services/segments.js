@@ -0,0 +1,317 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { parseDuration } from './sequences.js';
+import { normalizeAddress } from './suppression.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Segment filters are a tree of conditions over a client's contacts:
+//   { "all": [...] } / { "any": [...] } / { "not": condition }
+//   { "field": "status" | "tags" | "attributes.last_visit", "op": ..., "value": ... }
+//   { "engagement": "opened" | "clicked", "within": "30d" }
+// Fields are contact columns; a dotted path reads inside a JSON column
+// (custom attributes live in `attributes`).
+export const SEGMENT_OPERATORS = {
+  eq: 'equals value',
+  neq: 'does not equal value',
+  in: 'is one of value (array)',
+  not_in: 'is none of value (array)',
+  contains: 'text contains value',
+  starts_with: 'text starts with value',
+  gt: 'greater than value', gte: 'at least value', lt: 'less than value', lte: 'at most value',
+  before: 'date before value', after: 'date after value',
+  older_than: 'date more than value ago (e.g. "26w")',
+  newer_than: 'date less than value ago (e.g. "30d")',
+  exists: 'has a value', not_exists: 'has no value',
+  includes: 'list (tags) includes value',
+  includes_any: 'list includes any of value (array)',
+  includes_all: 'list includes all of value (array)',
+  excludes: 'list does not include value'
+};
+export const ENGAGEMENT_TYPES = { opened: 'open', clicked: 'click' };
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const PAGE_SIZE = 1000;
+const FIELD_PATTERN = /^[a-z_][a-z0-9_]*(\.[A-Za-z0-9_-]+)*$/;
+
+const NO_VALUE = ['exists', 'not_exists'];
+const ARRAY_VALUE = ['in', 'not_in', 'includes_any', 'includes_all'];
+const DURATION_VALUE = ['older_than', 'newer_than'];
+const DATE_VALUE = ['before', 'after'];
+
+// Problems with a filter, as "path: message" strings
+export function validateFilter(filter) {
+  const errors = [];
+  let conditions = 0;
+
+  const check = (node, path, depth) => {
+    if (depth > MAX_DEPTH) return errors.push(`${path}: nested more than ${MAX_DEPTH} levels`);
+    if (++conditions > MAX_CONDITIONS) return errors.push(`${path}: more than ${MAX_CONDITIONS} conditions`);
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return errors.push(`${path}: must be an object`);
+
+    if ('all' in node || 'any' in node) {
+      const key = 'all' in node ? 'all' : 'any';
+      if (!Array.isArray(node[key]) || node[key].length === 0) {
+        return errors.push(`${path}.${key}: must be a non-empty array`);
+      }
+      return node[key].forEach((child, index) => check(child, `${path}.${key}[${index}]`, depth + 1));
+    }
+
+    if ('not' in node) return check(node.not, `${path}.not`, depth + 1);
+
+    if ('engagement' in node) {
+      if (!ENGAGEMENT_TYPES[node.engagement]) {
+        errors.push(`${path}: engagement must be one of: ${Object.keys(ENGAGEMENT_TYPES).join(', ')}`);
+      }
+      if (parseDuration(node.within) === null) errors.push(`${path}: within must look like 30d or 12w`);
+      return;
+    }
+
+    if (typeof node.field !== 'string' || !FIELD_PATTERN.test(node.field)) {
+      return errors.push(`${path}: needs field (a column, or column.key for JSON)`);
+    }
+    if (!SEGMENT_OPERATORS[node.op]) {
+      return errors.push(`${path}: op must be one of: ${Object.keys(SEGMENT_OPERATORS).join(', ')}`);
+    }
+    if (NO_VALUE.includes(node.op)) return;
+    if (ARRAY_VALUE.includes(node.op) && (!Array.isArray(node.value) || node.value.length === 0)) {
+      errors.push(`${path}: ${node.op} needs a non-empty array value`);
+    } else if (DURATION_VALUE.includes(node.op) && parseDuration(node.value) === null) {
+      errors.push(`${path}: ${node.op} needs a duration like 30d or 26w`);
+    } else if (DATE_VALUE.includes(node.op) && Number.isNaN(Date.parse(node.value))) {
+      errors.push(`${path}: ${node.op} needs a date`);
+    } else if (node.value === undefined) {
+      errors.push(`${path}: ${node.op} needs a value`);
+    }
+  };
+
+  check(filter, 'filter', 0);
+  return errors;
+}
+
+const valueAt = (contact, field) =>
+  field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), contact);
+
+// Text compares case-insensitively
+const same = (a, b) => (a != null && b != null ? String(a).toLowerCase() === String(b).toLowerCase() : a == b);
+
+// Numbers compare as numbers, anything else that parses as a date as a
+// date. A missing value never passes a comparison.
+function compare(a, b, test) {
+  if (a === null || a === undefined || a === '') return false;
+  if (!Number.isNaN(Number(a)) && !Number.isNaN(Number(b))) return test(Number(a) - Number(b));
+  const [left, right] = [Date.parse(a), Date.parse(b)];
+  if (!Number.isNaN(left) && !Number.isNaN(right)) return test(left - right);
+  return test(String(a).localeCompare(String(b)));
+}
+
+function testCondition(value, op, expected, now) {
+  const list = Array.isArray(value) ? value : value == null ? [] : [value];
+
+  switch (op) {
+    case 'eq': return same(value, expected);
+    case 'neq': return !same(value, expected);
+    case 'in': return expected.some(option => same(value, option));
+    case 'not_in': return !expected.some(option => same(value, option));
+    case 'contains': return value != null && String(value).toLowerCase().includes(String(expected).toLowerCase());
+    case 'starts_with': return value != null && String(value).toLowerCase().startsWith(String(expected).toLowerCase());
+    case 'gt': return compare(value, expected, difference => difference > 0);
+    case 'gte': return compare(value, expected, difference => difference >= 0);
+    case 'lt': return compare(value, expected, difference => difference < 0);
+    case 'lte': return compare(value, expected, difference => difference <= 0);
+    case 'before': return value != null && Date.parse(value) < Date.parse(expected);
+    case 'after': return value != null && Date.parse(value) > Date.parse(expected);
+    case 'older_than': return value != null && Date.parse(value) < now - parseDuration(expected);
+    case 'newer_than': return value != null && Date.parse(value) >= now - parseDuration(expected);
+    case 'exists': return list.length > 0 && value !== '';
+    case 'not_exists': return list.length === 0 || value === '';
+    case 'includes': return list.some(item => same(item, expected));
+    case 'includes_any': return expected.some(option => list.some(item => same(item, option)));
+    case 'includes_all': return expected.every(option => list.some(item => same(item, option)));
+    case 'excludes': return !list.some(item => same(item, expected));
+    default: return false;
+  }
+}
+
+// Whether one contact matches a (validated) filter. `engaged` maps
+// "opened:30d" to the Set of addresses with that engagement.
+export function matchesFilter(contact, node, { engaged = new Map(), now = Date.now() } = {}) {
+  if (node.all) return node.all.every(child => matchesFilter(contact, child, { engaged, now }));
+  if (node.any) return node.any.some(child => matchesFilter(contact, child, { engaged, now }));
+  if (node.not) return !matchesFilter(contact, node.not, { engaged, now });
+  if (node.engagement) {
+    return engaged.get(`${node.engagement}:${node.within}`)?.has(normalizeAddress(contact.email)) || false;
+  }
+  return testCondition(valueAt(contact, node.field), node.op, node.value, now);
+}
+
+function engagementConditions(node, found = []) {
+  if (node.all || node.any) (node.all || node.any).forEach(child => engagementConditions(child, found));
+  else if (node.not) engagementConditions(node.not, found);
+  else if (node.engagement) found.push(node);
+  return found;
+}
+
+// Addresses that opened/clicked one of the client's campaigns within the window
+async function engagedAddresses(clientId, engagement, within) {
+  const { data: campaigns, error } = await supabase
+    .from('email_campaigns')
+    .select('id')
+    .eq('client_id', clientId);
+
+  if (error) throw error;
+
+  const addresses = new Set();
+  const since = new Date(Date.now() - parseDuration(within)).toISOString();
+  const ids = campaigns.map(campaign => campaign.id);
+
+  for (let start = 0; start < ids.length; start += 200) {
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: events, error: eventsError } = await supabase
+        .from('email_events')
+        .select('email_logs!inner(to_email)')
+        .in('campaign_id', ids.slice(start, start + 200))
+        .eq('type', ENGAGEMENT_TYPES[engagement])
+        .gte('created_at', since)
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (eventsError) throw eventsError;
+      events.forEach(event => addresses.add(normalizeAddress(event.email_logs.to_email)));
+      if (events.length < PAGE_SIZE) break;
+    }
+  }
+
+  return addresses;
+}
+
+// Every contact of a client matching the filter. Only subscribed contacts
+// unless `status` says otherwise (null for all).
+export async function resolveSegment(clientId, filter, { status = 'subscribed' } = {}) {
+  const engaged = new Map();
+  for (const condition of engagementConditions(filter)) {
+    const key = `${condition.engagement}:${condition.within}`;
+    if (!engaged.has(key)) engaged.set(key, await engagedAddresses(clientId, condition.engagement, condition.within));
+  }
+
+  const now = Date.now();
+  const matched = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('client_contacts')
+      .select('*')
+      .eq('client_id', clientId)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data: contacts, error } = await query;
+    if (error) throw error;
+
+    matched.push(...contacts.filter(contact => matchesFilter(contact, filter, { engaged, now })));
+    if (contacts.length < PAGE_SIZE) break;
+  }
+
+  return matched;
+}
+
+// Subscribed contacts a client campaign goes to: its segment's, or all of them
+export async function campaignAudience(campaign) {
+  // An empty `all` matches everyone, paged like any segment
+  if (!campaign.segment_id) return resolveSegment(campaign.client_id, { all: [] });
+
+  const segment = await getSegment(campaign.segment_id, campaign.client_id);
+  if (!segment) throw new Error(`Segment ${campaign.segment_id} not found`);
+  return resolveSegment(campaign.client_id, segment.filter);
+}
+
+// Resolved count and the first few matches, for checking a filter before sending
+export async function previewSegment(clientId, filter, { sample = 10 } = {}) {
+  const contacts = await resolveSegment(clientId, filter);
+  return {
+    count: contacts.length,
+    sample: contacts.slice(0, Math.min(parseInt(sample) || 10, 100))
+  };
+}
+
+const segmentRow = (fields) => Object.fromEntries(Object.entries({
+  name: fields.name?.trim(),
+  description: fields.description,
+  filter: fields.filter
+}).filter(([, value]) => value !== undefined));
+
+export function validateSegment(fields, { partial = false } = {}) {
+  const errors = [];
+  if ((!partial || fields.name !== undefined) && !String(fields.name || '').trim()) errors.push('name is required');
+  if (!partial || fields.filter !== undefined) errors.push(...validateFilter(fields.filter));
+  return errors;
+}
+
+export async function listSegments(clientId) {
+  const { data, error } = await supabase
+    .from('email_segments')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('name');
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getSegment(id, clientId) {
+  const { data, error } = await supabase
+    .from('email_segments')
+    .select('*')
+    .eq('id', id)
+    .eq('client_id', clientId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function createSegment(fields, clientId) {
+  const { data, error } = await supabase
+    .from('email_segments')
+    .insert({ ...segmentRow(fields), client_id: clientId })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateSegment(id, fields, clientId) {
+  const { data, error } = await supabase
+    .from('email_segments')
+    .update(segmentRow(fields))
+    .eq('id', id)
+    .eq('client_id', clientId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Fails with 23503 while a campaign still uses the segment
+export async function deleteSegment(id, clientId) {
+  const { data, error } = await supabase
+    .from('email_segments')
+    .delete()
+    .eq('id', id)
+    .eq('client_id', clientId)
+    .select('id, name')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
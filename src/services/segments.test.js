@@ -0,0 +1,117 @@
+import { validateFilter, matchesFilter } from './segments.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-02-01T00:00:00Z');
+
+const contact = {
+  email: 'Ann@Example.com',
+  status: 'subscribed',
+  tags: ['VIP', 'whitening'],
+  created_at: '2024-12-01T00:00:00Z',
+  attributes: { visits: 4, last_visit: new Date(now - 10 * DAY).toISOString(), city: 'Brooklyn' }
+};
+
+const matches = (filter, options = {}) => matchesFilter(contact, filter, { now, ...options });
+
+describe('validateFilter', () => {
+  test('accepts a valid tree', () => {
+    expect(validateFilter({
+      all: [
+        { field: 'tags', op: 'includes', value: 'vip' },
+        { any: [{ field: 'attributes.visits', op: 'gte', value: 3 }, { engagement: 'opened', within: '30d' }] },
+        { not: { field: 'attributes.city', op: 'in', value: ['Queens'] } },
+        { field: 'email', op: 'exists' }
+      ]
+    })).toEqual([]);
+  });
+
+  test('reports each problem with its path', () => {
+    expect(validateFilter({
+      all: [
+        { field: 'Bad Field', op: 'eq', value: 1 },
+        { field: 'status', op: 'like', value: 'x' },
+        { field: 'tags', op: 'includes_any', value: [] },
+        { field: 'created_at', op: 'older_than', value: 'soon' },
+        { field: 'created_at', op: 'before', value: 'not a date' },
+        { field: 'status', op: 'eq' },
+        { engagement: 'replied', within: 'forever' },
+        { any: [] }
+      ]
+    })).toEqual([
+      'filter.all[0]: needs field (a column, or column.key for JSON)',
+      expect.stringMatching(/^filter\.all\[1\]: op must be one of: eq, neq/),
+      'filter.all[2]: includes_any needs a non-empty array value',
+      'filter.all[3]: older_than needs a duration like 30d or 26w',
+      'filter.all[4]: before needs a date',
+      'filter.all[5]: eq needs a value',
+      'filter.all[6]: engagement must be one of: opened, clicked',
+      'filter.all[6]: within must look like 30d or 12w',
+      'filter.all[7].any: must be a non-empty array'
+    ]);
+  });
+
+  test('limits nesting depth and condition count', () => {
+    let deep = { field: 'status', op: 'exists' };
+    for (let i = 0; i < 6; i++) deep = { not: deep };
+    expect(validateFilter(deep)).toEqual([expect.stringContaining('nested more than 5 levels')]);
+
+    const wide = { any: Array.from({ length: 60 }, () => ({ field: 'status', op: 'exists' })) };
+    expect(validateFilter(wide)[0]).toBe('filter.any[49]: more than 50 conditions');
+  });
+
+  test('refuses something that is not an object', () => {
+    expect(validateFilter(null)).toEqual(['filter: must be an object']);
+    expect(validateFilter([])).toEqual(['filter: must be an object']);
+  });
+});
+
+describe('matchesFilter', () => {
+  test('compares text case-insensitively', () => {
+    expect(matches({ field: 'email', op: 'eq', value: 'ann@example.com' })).toBe(true);
+    expect(matches({ field: 'attributes.city', op: 'in', value: ['queens', 'brooklyn'] })).toBe(true);
+    expect(matches({ field: 'email', op: 'starts_with', value: 'ANN@' })).toBe(true);
+    expect(matches({ field: 'attributes.city', op: 'contains', value: 'lyn' })).toBe(true);
+  });
+
+  test('compares numbers as numbers and dates as dates', () => {
+    expect(matches({ field: 'attributes.visits', op: 'gt', value: '10' })).toBe(false);
+    expect(matches({ field: 'attributes.visits', op: 'lte', value: 4 })).toBe(true);
+    expect(matches({ field: 'created_at', op: 'before', value: '2025-01-01' })).toBe(true);
+    expect(matches({ field: 'created_at', op: 'gt', value: '2024-11-30T00:00:00Z' })).toBe(true);
+  });
+
+  test('a missing value never passes a comparison', () => {
+    expect(matches({ field: 'attributes.age', op: 'lt', value: 30 })).toBe(false);
+    expect(matches({ field: 'attributes.age', op: 'gt', value: 30 })).toBe(false);
+    expect(matches({ field: 'attributes.age', op: 'not_exists' })).toBe(true);
+  });
+
+  test('measures relative dates from now', () => {
+    expect(matches({ field: 'attributes.last_visit', op: 'newer_than', value: '2w' })).toBe(true);
+    expect(matches({ field: 'attributes.last_visit', op: 'older_than', value: '7d' })).toBe(true);
+    expect(matches({ field: 'attributes.last_visit', op: 'older_than', value: '30d' })).toBe(false);
+  });
+
+  test('checks lists', () => {
+    expect(matches({ field: 'tags', op: 'includes', value: 'vip' })).toBe(true);
+    expect(matches({ field: 'tags', op: 'includes_all', value: ['vip', 'implants'] })).toBe(false);
+    expect(matches({ field: 'tags', op: 'includes_any', value: ['implants', 'whitening'] })).toBe(true);
+    expect(matches({ field: 'tags', op: 'excludes', value: 'lapsed' })).toBe(true);
+  });
+
+  test('combines conditions with all, any and not', () => {
+    const vip = { field: 'tags', op: 'includes', value: 'vip' };
+    const queens = { field: 'attributes.city', op: 'eq', value: 'Queens' };
+
+    expect(matches({ all: [vip, queens] })).toBe(false);
+    expect(matches({ any: [vip, queens] })).toBe(true);
+    expect(matches({ all: [vip, { not: queens }] })).toBe(true);
+  });
+
+  test('looks engagement up in the engaged address sets', () => {
+    const engaged = new Map([['opened:30d', new Set(['ann@example.com'])]]);
+
+    expect(matches({ engagement: 'opened', within: '30d' }, { engaged })).toBe(true);
+    expect(matches({ engagement: 'clicked', within: '30d' }, { engaged })).toBe(false);
+  });
+});
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import { Resolver } from 'dns/promises';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { encrypt, decrypt, isEncryptionConfigured } from '../lib/crypto.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const AGENCY_DOMAIN = process.env.AGENCY_DOMAIN || 'bowerycreativeagency.com';
+
+// SPF mechanisms every sending domain must include (Gmail/Workspace by default)
+const spfIncludes = (process.env.SPF_INCLUDES || 'include:_spf.google.com')
+  .split(/[\s,]+/)
+  .filter(Boolean);
+
+const dmarcReportAddress = process.env.DMARC_RUA || `dmarc@${AGENCY_DOMAIN}`;
+
+// Public columns; the private key never leaves this module
+const PUBLIC_COLUMNS = 'id, domain, client_id, dkim_selector, dkim_public_key, status, dkim_verified, dns_results, dns_checked_at, verified_at, created_at, updated_at';
+
+// Signing keys by domain, so transports don't hit the database per message
+const SIGNING_CACHE_MS = parseInt(process.env.DKIM_CACHE_MS || '300000');
+const signingCache = new Map();
+
+export const domainOf = (address) =>
+  String(address || '').match(/@([^>\s]+)>?\s*$/)?.[1].toLowerCase() || null;
+
+// Only the server's own resolvers: whoever answers the lookup decides
+// whether a domain counts as verified
+function resolverFor() {
+  const resolver = new Resolver({ timeout: 5000, tries: 2 });
+  const list = (process.env.DNS_RESOLVERS?.split(',') || [])
+    .map(server => server.trim())
+    .filter(Boolean);
+
+  if (list.length > 0) resolver.setServers(list);
+  return resolver;
+}
+
+// base64 of the DER public key, as published in the DKIM p= tag
+const publicKeyValue = (pem) => pem.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+
+export async function createSendingDomain({ domain, clientId = null, selector = 'bowery' }) {
+  const name = String(domain || '').trim().toLowerCase();
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(name)) {
+    throw new Error('A valid domain is required');
+  }
+
+  // The private key is stored encrypted; without a fixed key it couldn't be read back
+  if (!isEncryptionConfigured()) {
+    throw Object.assign(new Error('ENCRYPTION_KEY must be set (64 hex characters) before sending domains can be added'), { status: 503 });
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const { data, error } = await supabase
+    .from('email_sending_domains')
+    .insert({
+      domain: name,
+      client_id: clientId,
+      dkim_selector: selector,
+      dkim_private_key: encrypt(privateKey),
+      dkim_public_key: publicKey
+    })
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function listSendingDomains({ clientId } = {}) {
+  let query = supabase
+    .from('email_sending_domains')
+    .select(PUBLIC_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (clientId) query = query.eq('client_id', clientId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+export async function getSendingDomain(id) {
+  const { data, error } = await supabase
+    .from('email_sending_domains')
+    .select(PUBLIC_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function deleteSendingDomain(id) {
+  const { data, error } = await supabase
+    .from('email_sending_domains')
+    .delete()
+    .eq('id', id)
+    .select('id, domain')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) signingCache.delete(data.domain);
+  return data;
+}
+
+// The TXT records a domain owner has to publish
+export function getDnsRecords(domain) {
+  return {
+    dkim: {
+      type: 'TXT',
+      name: `${domain.dkim_selector}._domainkey.${domain.domain}`,
+      value: `v=DKIM1; k=rsa; p=${publicKeyValue(domain.dkim_public_key)}`
+    },
+    spf: {
+      type: 'TXT',
+      name: domain.domain,
+      value: `v=spf1 ${spfIncludes.join(' ')} ~all`
+    },
+    dmarc: {
+      type: 'TXT',
+      name: `_dmarc.${domain.domain}`,
+      value: `v=DMARC1; p=none; rua=mailto:${dmarcReportAddress}`
+    }
+  };
+}
+
+async function lookupTxt(resolver, name) {
+  try {
+    const records = await resolver.resolveTxt(name);
+    return records.map(chunks => chunks.join(''));
+  } catch (error) {
+    if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') return [];
+    throw error;
+  }
+}
+
+// Compare the TXT records found with the ones the domain should publish
+export function evaluateDnsRecords(domain, { dkim: dkimRecords = [], spf: spfRecords = [], dmarc: dmarcRecords = [] }) {
+  const expected = getDnsRecords(domain);
+  const publicKey = publicKeyValue(domain.dkim_public_key);
+  const spf = spfRecords.find(record => record.startsWith('v=spf1'));
+  const dmarc = dmarcRecords.find(record => record.startsWith('v=DMARC1'));
+
+  return {
+    dkim: {
+      ...expected.dkim,
+      found: dkimRecords,
+      valid: dkimRecords.some(record => record.replace(/\s+/g, '').includes(`p=${publicKey}`))
+    },
+    spf: {
+      ...expected.spf,
+      found: spf ? [spf] : [],
+      // Only our mechanisms matter; the domain may authorize other senders too
+      valid: Boolean(spf) && spfIncludes.every(mechanism => spf.split(/\s+/).includes(mechanism)),
+      missing: spf ? spfIncludes.filter(mechanism => !spf.split(/\s+/).includes(mechanism)) : spfIncludes
+    },
+    dmarc: {
+      ...expected.dmarc,
+      found: dmarc ? [dmarc] : [],
+      valid: Boolean(dmarc)
+    }
+  };
+}
+
+// Look the records up (DNS_RESOLVERS, or the system resolver) and store the outcome
+export async function checkDns(id) {
+  const domain = await getSendingDomain(id);
+  if (!domain) return null;
+
+  const resolver = resolverFor();
+  const expected = getDnsRecords(domain);
+
+  const [dkim, spf, dmarc] = await Promise.all([
+    lookupTxt(resolver, expected.dkim.name),
+    lookupTxt(resolver, expected.spf.name),
+    lookupTxt(resolver, expected.dmarc.name)
+  ]);
+
+  const results = evaluateDnsRecords(domain, { dkim, spf, dmarc });
+
+  const verified = results.dkim.valid && results.spf.valid && results.dmarc.valid;
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('email_sending_domains')
+    .update({
+      status: verified ? 'verified' : 'failed',
+      dkim_verified: results.dkim.valid,
+      dns_results: results,
+      dns_checked_at: now,
+      verified_at: verified ? (domain.verified_at || now) : null
+    })
+    .eq('id', id)
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  signingCache.delete(domain.domain);
+  return data;
+}
+
+async function loadDomain(name) {
+  const cached = signingCache.get(name);
+  if (cached && cached.expires > Date.now()) return cached.row;
+
+  const { data, error } = await supabase
+    .from('email_sending_domains')
+    .select('domain, client_id, dkim_selector, dkim_private_key, status, dkim_verified')
+    .eq('domain', name)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  signingCache.set(name, { row: data, expires: Date.now() + SIGNING_CACHE_MS });
+  return data;
+}
+
+// nodemailer `dkim` options for a From address, or undefined when the domain
+// isn't registered or its DKIM record isn't published yet
+export async function getSigningKey(from) {
+  const name = domainOf(from);
+  if (!name) return undefined;
+
+  try {
+    const domain = await loadDomain(name);
+    if (!domain?.dkim_verified) return undefined;
+
+    return {
+      domainName: domain.domain,
+      keySelector: domain.dkim_selector,
+      privateKey: decrypt(domain.dkim_private_key)
+    };
+  } catch (error) {
+    console.error(`DKIM key lookup for ${name} failed:`, error.message);
+    return undefined;
+  }
+}
+
+// Fully verified (DKIM, SPF and DMARC) domains may be used in From as-is
+export async function isDomainVerified(address) {
+  const name = domainOf(address);
+  if (!name) return false;
+
+  try {
+    const domain = await loadDomain(name);
+    return domain?.status === 'verified';
+  } catch (error) {
+    console.error(`Domain lookup for ${name} failed:`, error.message);
+    return false;
+  }
+}
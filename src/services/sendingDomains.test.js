@@ -0,0 +1,152 @@
+import { Resolver } from 'dns/promises';
+import { supabaseStub } from '@supabase/supabase-js';
+import { getDnsRecords, evaluateDnsRecords, checkDns, getSigningKey, domainOf } from './sendingDomains.js';
+import { encrypt } from '../lib/crypto.js';
+
+jest.mock('dns/promises', () => {
+  const resolveTxt = jest.fn();
+  const setServers = jest.fn();
+  return { Resolver: jest.fn(() => ({ resolveTxt, setServers })) };
+});
+
+const domain = {
+  id: 'domain-1',
+  domain: 'smilesdental.com',
+  dkim_selector: 'bowery',
+  dkim_public_key: '-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkq\nhkiG9w0B==\n-----END PUBLIC KEY-----\n'
+};
+
+const published = {
+  dkim: ['v=DKIM1; k=rsa; p=MIIBIjANBgkq hkiG9w0B=='],
+  spf: ['v=spf1 include:_spf.google.com include:mailgun.org ~all'],
+  dmarc: ['v=DMARC1; p=quarantine']
+};
+
+beforeEach(() => {
+  supabaseStub.reset();
+});
+
+describe('getDnsRecords', () => {
+  test('lists the DKIM, SPF and DMARC records to publish', () => {
+    expect(getDnsRecords(domain)).toEqual({
+      dkim: { type: 'TXT', name: 'bowery._domainkey.smilesdental.com', value: 'v=DKIM1; k=rsa; p=MIIBIjANBgkqhkiG9w0B==' },
+      spf: { type: 'TXT', name: 'smilesdental.com', value: 'v=spf1 include:_spf.google.com ~all' },
+      dmarc: { type: 'TXT', name: '_dmarc.smilesdental.com', value: 'v=DMARC1; p=none; rua=mailto:dmarc@bowerycreativeagency.com' }
+    });
+  });
+});
+
+describe('evaluateDnsRecords', () => {
+  test('accepts published records, however the key is split and whatever else SPF allows', () => {
+    const results = evaluateDnsRecords(domain, published);
+
+    expect([results.dkim.valid, results.spf.valid, results.dmarc.valid]).toEqual([true, true, true]);
+    expect(results.spf.missing).toEqual([]);
+  });
+
+  test('reports a missing SPF mechanism and a wrong DKIM key', () => {
+    const results = evaluateDnsRecords(domain, {
+      dkim: ['v=DKIM1; k=rsa; p=SOMETHINGELSE'],
+      spf: ['v=spf1 include:mailgun.org ~all'],
+      dmarc: []
+    });
+
+    expect(results.dkim).toMatchObject({ valid: false, found: ['v=DKIM1; k=rsa; p=SOMETHINGELSE'] });
+    expect(results.spf).toMatchObject({ valid: false, missing: ['include:_spf.google.com'] });
+    expect(results.dmarc).toMatchObject({ valid: false, found: [] });
+  });
+
+  test('ignores TXT records that are not SPF or DMARC', () => {
+    const results = evaluateDnsRecords(domain, {
+      spf: ['google-site-verification=abc'],
+      dmarc: ['some other record']
+    });
+
+    expect(results.spf).toMatchObject({ valid: false, found: [] });
+    expect(results.dmarc.valid).toBe(false);
+  });
+});
+
+describe('checkDns', () => {
+  const { resolveTxt, setServers } = new Resolver();
+
+  beforeEach(() => {
+    resolveTxt.mockReset();
+    setServers.mockReset();
+    supabaseStub.respond('email_sending_domains', query => ({
+      data: query.action === 'update' ? { id: 'domain-1', ...query.values } : domain
+    }));
+  });
+
+  afterEach(() => {
+    delete process.env.DNS_RESOLVERS;
+  });
+
+  test('verifies a domain whose records are all published', async () => {
+    resolveTxt.mockImplementation(async (name) => {
+      const records = name.startsWith('bowery.') ? published.dkim : name.startsWith('_dmarc.') ? published.dmarc : published.spf;
+      return records.map(record => [record]);
+    });
+
+    const result = await checkDns('domain-1');
+
+    expect(result).toMatchObject({ status: 'verified', dkim_verified: true });
+    expect(result.verified_at).toEqual(expect.any(String));
+  });
+
+  test('fails a domain with nothing published', async () => {
+    resolveTxt.mockRejectedValue(Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    expect(await checkDns('domain-1')).toMatchObject({ status: 'failed', dkim_verified: false, verified_at: null });
+  });
+
+  test('asks the servers in DNS_RESOLVERS', async () => {
+    process.env.DNS_RESOLVERS = '1.1.1.1, 8.8.8.8';
+    resolveTxt.mockResolvedValue([]);
+
+    await checkDns('domain-1');
+
+    expect(setServers).toHaveBeenCalledWith(['1.1.1.1', '8.8.8.8']);
+  });
+
+  test('takes no resolvers from the caller', async () => {
+    resolveTxt.mockResolvedValue([]);
+
+    await checkDns('domain-1', { resolvers: ['203.0.113.9'] });
+
+    expect(setServers).not.toHaveBeenCalled();
+  });
+});
+
+describe('getSigningKey', () => {
+  beforeEach(() => {
+    process.env.ENCRYPTION_KEY = 'a'.repeat(64);
+  });
+
+  afterEach(() => {
+    delete process.env.ENCRYPTION_KEY;
+  });
+
+  test('decrypts the key of a domain whose DKIM record is published', async () => {
+    supabaseStub.respond('email_sending_domains', {
+      data: { domain: 'brightsmile.com', dkim_selector: 'bowery', dkim_private_key: encrypt('PRIVATE KEY'), dkim_verified: true }
+    });
+
+    expect(await getSigningKey('"Bright Smile" <hello@BrightSmile.com>')).toEqual({
+      domainName: 'brightsmile.com',
+      keySelector: 'bowery',
+      privateKey: 'PRIVATE KEY'
+    });
+  });
+
+  test('signs nothing for a domain that is not verified', async () => {
+    supabaseStub.respond('email_sending_domains', { data: { domain: 'newclinic.com', dkim_verified: false } });
+
+    expect(await getSigningKey('hello@newclinic.com')).toBeUndefined();
+  });
+});
+
+test('domainOf reads the domain of a display-name address', () => {
+  expect(domainOf('"Ann" <ann@Example.COM>')).toBe('example.com');
+  expect(domainOf('not an address')).toBeNull();
+});
@@ -0,0 +1,266 @@
+import os from 'os';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { getSequence, parseDuration } from './sequences.js';
+import { renderEmail, renderStoredTemplate, loadPartials } from './templateEngine.js';
+import { unsubscribeFor } from './unsubscribe.js';
+import { findReplied } from './threading.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_ATTEMPTS = 5;
+// Steps run back to back within one tick before the enrollment is put back
+// (stops a branch that loops to itself from spinning)
+const MAX_HOPS = 20;
+
+// Moves enrollments through their sequence's steps. Like the campaign
+// scheduler, all state lives in email_sequence_enrollments: an enrollment
+// is due when next_run_at has passed, and any instance may claim it.
+export class SequenceRunner {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.pollInterval = parseInt(process.env.SEQUENCE_POLL_MS || '60000');
+    this.batchSize = 25;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || this.pollInterval <= 0) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.tick();
+    console.log(`🪜 Sequence runner ${this.workerId} started`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const { data: claimed, error } = await supabase.rpc('claim_due_sequence_enrollments', {
+        p_worker: this.workerId,
+        p_limit: this.batchSize
+      });
+
+      if (error) throw error;
+      for (const enrollment of claimed || []) {
+        await this.advance(enrollment);
+      }
+    } catch (error) {
+      console.error('Sequence runner tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Run the enrollment's steps until it has to wait, leaves or finishes
+  async advance(enrollment) {
+    const sequence = await getSequence(enrollment.sequence_id);
+    if (!sequence) return;
+
+    const state = {
+      current_step: enrollment.current_step,
+      history: [...(enrollment.history || [])]
+    };
+
+    try {
+      const exitReason = await this.exitReason(sequence, enrollment);
+      if (exitReason) return await this.finish(enrollment, state, 'exited', { exit_reason: exitReason });
+
+      for (let hop = 0; hop < MAX_HOPS; hop++) {
+        const step = sequence.steps.find(candidate => candidate.position === state.current_step);
+        if (!step) return await this.finish(enrollment, state, 'completed');
+
+        const at = new Date().toISOString();
+        const config = step.config || {};
+
+        if (step.type === 'exit') {
+          state.history.push({ position: step.position, type: 'exit', at });
+          return await this.finish(enrollment, state, 'exited', { exit_reason: 'exit_step' });
+        }
+
+        if (step.type === 'wait') {
+          state.history.push({ position: step.position, type: 'wait', at, duration: config.duration });
+          state.current_step = step.position + 1;
+          return await this.save(enrollment, state, {
+            next_run_at: new Date(Date.now() + parseDuration(config.duration)).toISOString()
+          });
+        }
+
+        if (step.type === 'branch') {
+          const matched = await this.conditionMet(sequence, step, state.history);
+          const target = matched ? config.then : config.else;
+          state.history.push({ position: step.position, type: 'branch', at, condition: config.condition, matched });
+
+          if (target === 'exit') {
+            return await this.finish(enrollment, state, 'exited', { exit_reason: `branch_${config.condition}` });
+          }
+          state.current_step = target ?? step.position + 1;
+          continue;
+        }
+
+        const result = await this.sendStep(sequence, enrollment, config);
+        state.history.push({
+          position: step.position,
+          type: 'email',
+          at,
+          log_id: result.logId,
+          ...(result.skipped && { skipped: result.reason })
+        });
+
+        if (result.skipped) {
+          const reason = result.reason === 'suppressed' ? 'unsubscribed' : result.reason;
+          return await this.finish(enrollment, state, 'exited', { exit_reason: reason });
+        }
+
+        // Recorded straight away, so a crash after this can't send it twice
+        state.current_step = step.position + 1;
+        await this.save(enrollment, state, { attempts: 0, error: null }, { release: false });
+      }
+
+      // Still going after MAX_HOPS: pick it up again next tick
+      await this.save(enrollment, state, { next_run_at: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Sequence enrollment ${enrollment.id} failed:`, error.message);
+      const attempts = (enrollment.attempts || 0) + 1;
+
+      if (attempts >= MAX_ATTEMPTS) {
+        await this.finish(enrollment, state, 'failed', { attempts, error: error.message });
+      } else {
+        // 2, 4, 8, 16 minutes
+        await this.save(enrollment, state, {
+          attempts,
+          error: error.message,
+          next_run_at: new Date(Date.now() + 2 ** attempts * 60 * 1000).toISOString()
+        });
+      }
+    }
+  }
+
+  // Exit rules: a reply since enrolling (unless on_reply is false), the
+  // contact reaching one of `contact_status`, or carrying one of `tags`
+  async exitReason(sequence, enrollment) {
+    const rules = sequence.exit_rules || {};
+
+    if (rules.on_reply !== false) {
+      const replied = await findReplied([enrollment.email], { since: enrollment.enrolled_at });
+      if (replied.size > 0) return 'replied';
+    }
+
+    if (enrollment.contact_id && (rules.contact_status?.length || rules.tags?.length)) {
+      const { data: contact } = await supabase
+        .from('contacts')
+        .select('status, tags')
+        .eq('id', enrollment.contact_id)
+        .maybeSingle();
+
+      if (contact && rules.contact_status?.includes(contact.status)) return `contact_${contact.status}`;
+      const tag = rules.tags?.find(candidate => (contact?.tags || []).includes(candidate));
+      if (tag) return `tag_${tag}`;
+    }
+
+    return null;
+  }
+
+  // Whether the email the branch looks at was opened, clicked or replied to
+  // (`step`, or the last email before the branch)
+  async conditionMet(sequence, branch, history) {
+    const config = branch.config || {};
+    const position = config.step ?? sequence.steps
+      .filter(step => step.type === 'email' && step.position < branch.position)
+      .map(step => step.position)
+      .at(-1);
+    const sent = history.filter(entry => entry.type === 'email' && entry.position === position).at(-1);
+    if (!sent?.log_id) return false;
+
+    if (config.condition === 'replied') {
+      const { data } = await supabase
+        .from('email_logs')
+        .select('replied_at')
+        .eq('id', sent.log_id)
+        .maybeSingle();
+      return Boolean(data?.replied_at);
+    }
+
+    const { count } = await supabase
+      .from('email_events')
+      .select('*', { count: 'exact', head: true })
+      .eq('log_id', sent.log_id)
+      .eq('type', config.condition === 'opened' ? 'open' : 'click');
+
+    return count > 0;
+  }
+
+  async sendStep(sequence, enrollment, config) {
+    const unsubscribe = unsubscribeFor({ email: enrollment.email, clientId: sequence.client_id });
+    const variables = {
+      name: enrollment.name || '',
+      first_name: (enrollment.name || '').split(/\s+/)[0],
+      email: enrollment.email,
+      ...enrollment.variables,
+      unsubscribe_link: unsubscribe.url
+    };
+
+    let content;
+    if (config.templateId) {
+      content = await renderStoredTemplate(config.templateId, variables);
+      if (!content) throw new Error(`Template ${config.templateId} not found`);
+      if (!content.validation.valid) {
+        throw new Error(`Template ${config.templateId}: ${content.validation.errors.join('; ')}`);
+      }
+    } else {
+      content = renderEmail({ subject: config.subject, html: config.html, text: config.text }, variables, {
+        partials: await loadPartials()
+      });
+    }
+
+    return this.orchestrator.sendEmail({
+      from: sequence.from_email || undefined,
+      to: enrollment.email,
+      subject: content.subject,
+      html: content.html || undefined,
+      text: content.text || undefined,
+      headers: unsubscribe.headers,
+      clientId: sequence.client_id || null,
+      throttle: true
+    });
+  }
+
+  async save(enrollment, state, fields = {}, { release = true } = {}) {
+    const { error } = await supabase
+      .from('email_sequence_enrollments')
+      .update({
+        current_step: state.current_step,
+        history: state.history,
+        ...fields,
+        ...(release && { claimed_by: null, claimed_at: null })
+      })
+      .eq('id', enrollment.id)
+      .eq('status', 'active');
+
+    if (error) throw error;
+  }
+
+  async finish(enrollment, state, status, fields = {}) {
+    await this.save(enrollment, state, {
+      status,
+      next_run_at: null,
+      completed_at: new Date().toISOString(),
+      ...fields
+    });
+  }
+}
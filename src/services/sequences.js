@@ -0,0 +1,377 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { validateTemplate } from './templateEngine.js';
+import { normalizeAddress } from './suppression.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// What puts a contact into a sequence:
+//   contact_created           - POST /api/contacts (and inbound new-business leads)
+//   onboarding_step_completed - trigger.stepName, or any step
+//   tag_added                 - trigger.tag added to the contact
+//   manual                    - POST /api/emails/sequences/:id/enroll only
+export const SEQUENCE_TRIGGERS = ['contact_created', 'onboarding_step_completed', 'tag_added', 'manual'];
+export const SEQUENCE_STATUSES = ['draft', 'active', 'paused', 'archived'];
+export const STEP_TYPES = ['email', 'wait', 'branch', 'exit'];
+export const BRANCH_CONDITIONS = ['opened', 'clicked', 'replied'];
+
+// Variables every sequence email can use
+export const SEQUENCE_VARIABLES = ['name', 'first_name', 'email', 'unsubscribe_link'];
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "30m", "12h", "3d", "2w" or a number of minutes -> milliseconds (null if invalid)
+export function parseDuration(value) {
+  if (typeof value === 'number') return value > 0 ? value * DURATION_UNITS.m : null;
+
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/);
+  if (!match || parseFloat(match[1]) <= 0) return null;
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Where a branch goes: a step position, 'exit', or undefined for the next step
+const validTarget = (target, count) =>
+  target === undefined || target === 'exit' || (Number.isInteger(target) && target >= 0 && target < count);
+
+// Problems with a sequence definition ({ name, trigger, steps, ... }).
+// `partial` only checks the fields given (updates).
+export function validateSequence(definition, { partial = false } = {}) {
+  const errors = [];
+  const { name, trigger, steps, status } = definition || {};
+
+  if ((!partial || name !== undefined) && !String(name || '').trim()) errors.push('name is required');
+  if (status !== undefined && !SEQUENCE_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${SEQUENCE_STATUSES.join(', ')}`);
+  }
+
+  if (trigger !== undefined) {
+    if (!SEQUENCE_TRIGGERS.includes(trigger?.type)) {
+      errors.push(`trigger.type must be one of: ${SEQUENCE_TRIGGERS.join(', ')}`);
+    } else if (trigger.type === 'tag_added' && !trigger.tag) {
+      errors.push('trigger.tag is required for tag_added');
+    }
+  }
+
+  if (!partial || steps !== undefined) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      errors.push('steps must be a non-empty array');
+      return errors;
+    }
+
+    steps.forEach((step, position) => {
+      const label = `steps[${position}]`;
+
+      switch (step?.type) {
+        case 'email': {
+          if (!step.templateId && (!step.subject || (!step.html && !step.text))) {
+            errors.push(`${label}: email needs subject and html or text, or a templateId`);
+          }
+          // Other variables come from each enrollment's `variables`
+          if (!step.templateId) {
+            const validation = validateTemplate([step.subject, step.html, step.text]);
+            errors.push(...validation.errors.map(error => `${label}: ${error}`));
+          }
+          break;
+        }
+        case 'wait':
+          if (parseDuration(step.duration) === null) {
+            errors.push(`${label}: duration must look like 30m, 12h, 3d or 2w`);
+          }
+          break;
+        case 'branch': {
+          if (!BRANCH_CONDITIONS.includes(step.condition)) {
+            errors.push(`${label}: condition must be one of: ${BRANCH_CONDITIONS.join(', ')}`);
+          }
+          if (!validTarget(step.then, steps.length) || !validTarget(step.else, steps.length)) {
+            errors.push(`${label}: then/else must be a step position or "exit"`);
+          }
+          const checked = step.step ?? steps.slice(0, position).map(earlier => earlier?.type).lastIndexOf('email');
+          if (checked < 0 || checked >= position || steps[checked]?.type !== 'email') {
+            errors.push(`${label}: needs an earlier email step to check (step)`);
+          }
+          break;
+        }
+        case 'exit':
+          break;
+        default:
+          errors.push(`${label}: type must be one of: ${STEP_TYPES.join(', ')}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// API step -> { type, config } row (config is everything but the type)
+const stepRows = (sequenceId, steps) => steps.map(({ type, ...config }, position) => ({
+  sequence_id: sequenceId,
+  position,
+  type,
+  config
+}));
+
+const sequenceRow = (definition) => {
+  const row = {
+    name: definition.name?.trim(),
+    client_id: definition.clientId,
+    status: definition.status,
+    trigger_type: definition.trigger?.type,
+    trigger_config: definition.trigger && {
+      ...(definition.trigger.stepName && { step_name: definition.trigger.stepName }),
+      ...(definition.trigger.tag && { tag: definition.trigger.tag })
+    },
+    exit_rules: definition.exitRules,
+    from_email: definition.fromEmail,
+    allow_reentry: definition.allowReentry
+  };
+
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));
+};
+
+export async function createSequence(definition) {
+  const { data: sequence, error } = await supabase
+    .from('email_sequences')
+    .insert(sequenceRow(definition))
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { data: steps, error: stepsError } = await supabase
+    .from('email_sequence_steps')
+    .insert(stepRows(sequence.id, definition.steps))
+    .select()
+    .order('position');
+
+  if (stepsError) {
+    await supabase.from('email_sequences').delete().eq('id', sequence.id);
+    throw stepsError;
+  }
+
+  return { ...sequence, steps };
+}
+
+export async function listSequences({ status, clientId } = {}) {
+  let query = supabase
+    .from('email_sequences')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (status) query = query.eq('status', status);
+  if (clientId) query = query.eq('client_id', clientId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// Sequence with its steps in order
+export async function getSequence(id) {
+  const { data: sequence, error } = await supabase
+    .from('email_sequences')
+    .select('*, email_sequence_steps(*)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!sequence) return null;
+
+  const { email_sequence_steps: steps, ...rest } = sequence;
+  return { ...rest, steps: steps.sort((a, b) => a.position - b.position) };
+}
+
+// Replacing the steps keeps active enrollments at their position number
+export async function updateSequence(id, definition) {
+  const row = sequenceRow(definition);
+
+  if (Object.keys(row).length > 0) {
+    const { data, error } = await supabase
+      .from('email_sequences')
+      .update(row)
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) return null;
+  }
+
+  // Old and new steps are swapped in one transaction: enrollments of a
+  // sequence left without steps would "complete" on their next run
+  if (definition.steps) {
+    const { error } = await supabase.rpc('replace_sequence_steps', {
+      p_sequence_id: id,
+      p_steps: stepRows(id, definition.steps).map(({ position, type, config }) => ({ position, type, config }))
+    });
+    if (error) throw error;
+  }
+
+  return getSequence(id);
+}
+
+export async function deleteSequence(id) {
+  const { data, error } = await supabase
+    .from('email_sequences')
+    .delete()
+    .eq('id', id)
+    .select('id, name')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Put someone into a sequence. Returns the enrollment, or null when they
+// are already in it (or were, and the sequence doesn't allow re-entry).
+export async function enroll(sequence, { contactId = null, email, name = null, variables = {}, trigger = { type: 'manual' } }) {
+  const address = normalizeAddress(email);
+  if (!address) throw new Error('An email address is required to enroll');
+
+  if (!sequence.allow_reentry) {
+    const { data: earlier } = await supabase
+      .from('email_sequence_enrollments')
+      .select('id')
+      .eq('sequence_id', sequence.id)
+      .ilike('email', address.replace(/[\\%_]/g, '\\$&'))
+      .limit(1);
+
+    if (earlier && earlier.length > 0) return null;
+  }
+
+  const { data, error } = await supabase
+    .from('email_sequence_enrollments')
+    .insert({
+      sequence_id: sequence.id,
+      contact_id: contactId,
+      email: address,
+      name,
+      variables,
+      trigger,
+      status: 'active',
+      current_step: 0,
+      next_run_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  // Already active in this sequence
+  if (error?.code === '23505') return null;
+  if (error) throw error;
+  return data;
+}
+
+// Enroll a contact in every active sequence listening for this trigger.
+// `details` is { stepName } or { tags } (the tags just added). Returns the
+// new enrollments.
+export async function triggerSequences(type, contact, details = {}) {
+  if (!contact?.email) return [];
+
+  const { data: sequences, error } = await supabase
+    .from('email_sequences')
+    .select('*')
+    .eq('status', 'active')
+    .eq('trigger_type', type)
+    .is('client_id', null);
+
+  if (error) throw error;
+
+  const matching = sequences.filter(sequence => {
+    const config = sequence.trigger_config || {};
+    if (type === 'onboarding_step_completed') return !config.step_name || config.step_name === details.stepName;
+    if (type === 'tag_added') return (details.tags || []).includes(config.tag);
+    return true;
+  });
+
+  const enrollments = [];
+  for (const sequence of matching) {
+    const enrollment = await enroll(sequence, {
+      contactId: contact.id || null,
+      email: contact.email,
+      name: contact.name || null,
+      trigger: { type, ...details }
+    });
+    if (enrollment) enrollments.push(enrollment);
+  }
+
+  return enrollments;
+}
+
+// Fire-and-forget form for request handlers: a failed trigger is logged, it
+// never fails the request that caused it
+export function fireTrigger(type, contact, details) {
+  triggerSequences(type, contact, details)
+    .then(enrollments => {
+      if (enrollments.length > 0) {
+        console.log(`🪜 ${contact.email} entered ${enrollments.length} sequence(s) on ${type}`);
+      }
+    })
+    .catch(error => console.error(`Sequence trigger ${type} failed:`, error.message));
+}
+
+export async function listEnrollments({ sequenceId, contactId, email, status, limit = 100 } = {}) {
+  let query = supabase
+    .from('email_sequence_enrollments')
+    .select('*, email_sequences(name)')
+    .order('enrolled_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 100, 1000));
+
+  if (sequenceId) query = query.eq('sequence_id', sequenceId);
+  if (contactId) query = query.eq('contact_id', contactId);
+  if (email) query = query.eq('email', normalizeAddress(email));
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+export async function getEnrollment(id) {
+  const { data, error } = await supabase
+    .from('email_sequence_enrollments')
+    .select('*, email_sequences(name, status)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Enrollment counts per status for a sequence
+export async function enrollmentCounts(sequenceId) {
+  const counts = {};
+
+  await Promise.all(['active', 'completed', 'exited', 'failed'].map(async (status) => {
+    const { count } = await supabase
+      .from('email_sequence_enrollments')
+      .select('*', { count: 'exact', head: true })
+      .eq('sequence_id', sequenceId)
+      .eq('status', status);
+    counts[status] = count || 0;
+  }));
+
+  return counts;
+}
+
+// Take someone out of a sequence by hand
+export async function exitEnrollment(id, reason = 'manual') {
+  const { data, error } = await supabase
+    .from('email_sequence_enrollments')
+    .update({
+      status: 'exited',
+      exit_reason: reason,
+      next_run_at: null,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,132 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { enroll, parseDuration, triggerSequences, updateSequence, validateSequence } from './sequences.js';
+
+beforeEach(() => {
+  supabaseStub.reset();
+});
+
+describe('parseDuration', () => {
+  test('reads minutes, hours, days and weeks', () => {
+    expect(['30m', '12h', ' 3D ', '2w', '1.5h'].map(parseDuration)).toEqual([
+      30 * 60000, 12 * 3600000, 3 * 86400000, 14 * 86400000, 5400000
+    ]);
+  });
+
+  test('treats a bare number as minutes', () => {
+    expect(parseDuration(90)).toBe(90 * 60000);
+  });
+
+  test('returns null for anything else', () => {
+    expect([0, -5, '0d', '3 days', '5', 'soon', null, undefined].map(parseDuration)).toEqual(Array(8).fill(null));
+  });
+});
+
+describe('validateSequence', () => {
+  const welcome = {
+    name: 'Welcome',
+    trigger: { type: 'contact_created' },
+    steps: [
+      { type: 'email', subject: 'Welcome {{first_name}}', html: '<p>Hi</p>' },
+      { type: 'wait', duration: '3d' },
+      { type: 'branch', condition: 'opened', then: 4, else: 'exit' },
+      { type: 'exit' },
+      { type: 'email', templateId: 'tpl-1' }
+    ]
+  };
+
+  test('accepts a well-formed sequence', () => {
+    expect(validateSequence(welcome)).toEqual([]);
+  });
+
+  test('checks the name, status and trigger', () => {
+    expect(validateSequence({ ...welcome, name: ' ', status: 'live', trigger: { type: 'tag_added' } })).toEqual([
+      'name is required',
+      'status must be one of: draft, active, paused, archived',
+      'trigger.tag is required for tag_added'
+    ]);
+  });
+
+  test('checks every step', () => {
+    const steps = [
+      { type: 'email', subject: 'Hi' },
+      { type: 'wait', duration: 'tomorrow' },
+      { type: 'branch', condition: 'bounced', then: 9 },
+      { type: 'sms' }
+    ];
+
+    expect(validateSequence({ ...welcome, steps })).toEqual([
+      'steps[0]: email needs subject and html or text, or a templateId',
+      'steps[1]: duration must look like 30m, 12h, 3d or 2w',
+      'steps[2]: condition must be one of: opened, clicked, replied',
+      'steps[2]: then/else must be a step position or "exit"',
+      'steps[3]: type must be one of: email, wait, branch, exit'
+    ]);
+  });
+
+  test('a branch needs an earlier email to check', () => {
+    expect(validateSequence({ ...welcome, steps: [{ type: 'branch', condition: 'opened' }, { type: 'email', templateId: 'tpl-1' }] }))
+      .toEqual(['steps[0]: needs an earlier email step to check (step)']);
+    expect(validateSequence({ ...welcome, steps: [{ type: 'wait', duration: '1d' }, { type: 'branch', condition: 'clicked', step: 0 }] }))
+      .toEqual(['steps[1]: needs an earlier email step to check (step)']);
+  });
+
+  test('reports template syntax errors in email steps', () => {
+    expect(validateSequence({ ...welcome, steps: [{ type: 'email', subject: 'Hi', html: '{{#if vip}}<p>Hi</p>' }] }))
+      .toEqual(['steps[0]: Unclosed {{#if}} (line 1)']);
+  });
+
+  test('requires steps unless partial', () => {
+    expect(validateSequence({ name: 'Welcome', steps: [] })).toEqual(['steps must be a non-empty array']);
+    expect(validateSequence({ status: 'paused' }, { partial: true })).toEqual([]);
+  });
+});
+
+describe('updateSequence', () => {
+  test('swaps the steps in one call', async () => {
+    supabaseStub.respond('email_sequences', { data: { id: 'seq-1', email_sequence_steps: [] } });
+
+    await updateSequence('seq-1', { steps: [{ type: 'wait', duration: '1d' }, { type: 'email', templateId: 'tpl-1' }] });
+
+    expect(supabaseStub.on('rpc:replace_sequence_steps')[0].values).toEqual({
+      p_sequence_id: 'seq-1',
+      p_steps: [
+        { position: 0, type: 'wait', config: { duration: '1d' } },
+        { position: 1, type: 'email', config: { templateId: 'tpl-1' } }
+      ]
+    });
+    expect(supabaseStub.on('email_sequence_steps')).toHaveLength(0);
+  });
+
+  test('returns null for an unknown sequence without touching steps', async () => {
+    supabaseStub.respond('email_sequences', { data: [] });
+
+    expect(await updateSequence('missing', { name: 'New', steps: [{ type: 'exit' }] })).toBeNull();
+    expect(supabaseStub.on('rpc:replace_sequence_steps')).toHaveLength(0);
+  });
+});
+
+describe('enrollment', () => {
+  test('someone who was already in the sequence is not enrolled again', async () => {
+    supabaseStub.respond('email_sequence_enrollments', { data: [{ id: 'enrollment-1' }] });
+
+    expect(await enroll({ id: 'seq-1', allow_reentry: false }, { email: 'Ann <ANN@example.com>' })).toBeNull();
+    expect(supabaseStub.on('email_sequence_enrollments')[0].args('ilike')).toEqual(['email', 'ann@example.com']);
+    expect(supabaseStub.on('email_sequence_enrollments', 'insert')).toHaveLength(0);
+  });
+
+  test('triggers only the sequences whose condition matches', async () => {
+    supabaseStub.respond('email_sequences', {
+      data: [
+        { id: 'seq-1', allow_reentry: true, trigger_config: { tag: 'vip' } },
+        { id: 'seq-2', allow_reentry: true, trigger_config: { tag: 'lapsed' } }
+      ]
+    });
+    supabaseStub.respond('email_sequence_enrollments', query => ({ data: { id: `enrollment-${query.values.sequence_id}` } }));
+
+    const enrollments = await triggerSequences('tag_added', { id: 'contact-1', email: 'ann@example.com' }, { tags: ['vip'] });
+
+    expect(enrollments).toEqual([{ id: 'enrollment-seq-1' }]);
+    expect(supabaseStub.on('email_sequence_enrollments', 'insert')[0].values)
+      .toMatchObject({ contact_id: 'contact-1', email: 'ann@example.com', trigger: { type: 'tag_added', tags: ['vip'] } });
+  });
+});
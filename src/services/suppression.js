@@ -0,0 +1,200 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const SUPPRESSION_REASONS = ['hard_bounce', 'complaint', 'unsubscribe', 'manual'];
+
+// "Jane Doe" <Jane@Example.com> -> jane@example.com
+export function normalizeAddress(address) {
+  const value = String(address || '').trim();
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+// Accepts a string, a comma separated list or an array of addresses
+export function splitRecipients(to) {
+  return [].concat(to || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+// Addresses (normalized) from `emails` that must not be mailed for this client.
+// Global suppressions (client_id NULL) apply to every client.
+export async function findSuppressed(emails, clientId = null) {
+  const addresses = [...new Set(emails.map(normalizeAddress).filter(Boolean))];
+  if (addresses.length === 0) return new Set();
+
+  const lookup = (scope) => scope(supabase
+    .from('email_suppressions')
+    .select('email')
+    .in('email', addresses));
+
+  // Two plain filters rather than an .or() string the client id would be
+  // spliced into
+  const results = await Promise.all([
+    lookup(query => query.is('client_id', null)),
+    ...(clientId ? [lookup(query => query.eq('client_id', clientId))] : [])
+  ]);
+
+  const suppressed = new Set();
+  for (const { data, error } of results) {
+    if (error) throw error;
+    data.forEach(row => suppressed.add(row.email));
+  }
+  return suppressed;
+}
+
+export async function isSuppressed(email, clientId = null) {
+  const suppressed = await findSuppressed([email], clientId);
+  return suppressed.size > 0;
+}
+
+export async function suppress({ email, clientId = null, reason, source = 'manual', details = {} }) {
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw new Error(`Unknown suppression reason: ${reason}`);
+  }
+
+  const address = normalizeAddress(email);
+  if (!address) throw new Error('Email is required');
+
+  // Already suppressed: keep the original entry
+  let existing = supabase
+    .from('email_suppressions')
+    .select('*')
+    .eq('email', address);
+  existing = clientId ? existing.eq('client_id', clientId) : existing.is('client_id', null);
+
+  const { data: current } = await existing.maybeSingle();
+  if (current) return current;
+
+  const { data, error } = await supabase
+    .from('email_suppressions')
+    .insert({ client_id: clientId, email: address, reason, source, details })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`🚫 Suppressed ${address} (${reason} via ${source})`);
+  return data;
+}
+
+export async function listSuppressions({ clientId, email, reason, limit = 100 } = {}) {
+  let query = supabase
+    .from('email_suppressions')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (clientId) query = query.eq('client_id', clientId);
+  if (email) query = query.eq('email', normalizeAddress(email));
+  if (reason) query = query.eq('reason', reason);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+export async function removeSuppression(id) {
+  const { data, error } = await supabase
+    .from('email_suppressions')
+    .delete()
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Record a bounce or complaint against the log row of the original message
+// (when we can find it) and suppress the address if it is permanent.
+export async function recordDeliveryEvent({ type, email, messageId = null, permanent = true, source, details = {} }) {
+  let log = null;
+  if (messageId) {
+    const { data } = await supabase
+      .from('email_logs')
+      .select('id, campaign_id')
+      .in('message_id', [messageId, `<${messageId.replace(/^<|>$/g, '')}>`])
+      .limit(1)
+      .maybeSingle();
+    log = data;
+  }
+
+  await supabase.from('email_events').insert({
+    log_id: log?.id || null,
+    campaign_id: log?.campaign_id || null,
+    type,
+    email: normalizeAddress(email),
+    metadata: { source, permanent, ...details }
+  });
+
+  // Soft bounces are retried by the sender; only permanent failures suppress
+  if (type === 'bounce' && !permanent) return null;
+
+  return suppress({
+    email,
+    reason: type === 'complaint' ? 'complaint' : 'hard_bounce',
+    source,
+    details: { messageId, ...details }
+  });
+}
+
+// Split a MIME body into its parts using the boundary from the Content-Type
+function splitParts(raw) {
+  const boundary = raw.match(/boundary="?([^";\r\n]+)"?/i)?.[1];
+  if (!boundary) return [raw];
+
+  return raw
+    .split(`--${boundary}`)
+    .slice(1)
+    .filter(part => !part.startsWith('--'));
+}
+
+// Parse a delivery status notification (RFC 3464). Returns one entry per
+// failed recipient plus the Message-ID of the original message if present.
+export function parseDsn(raw) {
+  const message = String(raw || '');
+  const parts = splitParts(message);
+
+  const statusPart = parts.find(part => /content-type:\s*message\/delivery-status/i.test(part))
+    || message;
+  const originalPart = parts.find(part => /content-type:\s*(message\/rfc822|text\/rfc822-headers)/i.test(part));
+
+  const field = (block, name) =>
+    block.match(new RegExp(`^${name}:\\s*(?:[\\w-]+;\\s*)?(.+)$`, 'im'))?.[1].trim() || null;
+
+  // Per-recipient groups are separated by blank lines
+  const recipients = statusPart
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .filter(block => /^(final|original)-recipient:/im.test(block))
+    .map(block => {
+      const status = field(block, 'Status');
+      const action = field(block, 'Action')?.toLowerCase() || null;
+
+      return {
+        email: normalizeAddress(field(block, 'Final-Recipient') || field(block, 'Original-Recipient')),
+        action,
+        status,
+        diagnostic: field(block, 'Diagnostic-Code'),
+        permanent: status ? status.startsWith('5') : action === 'failed'
+      };
+    })
+    // delivered/relayed/expanded/delayed notices are not bounces
+    .filter(recipient => recipient.email && (recipient.action ? recipient.action === 'failed' : recipient.permanent));
+
+  const originalMessageId = originalPart
+    ? field(originalPart, 'Message-ID')
+    : field(message, 'X-Original-Message-ID');
+
+  return { recipients, originalMessageId };
+}
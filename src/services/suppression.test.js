@@ -0,0 +1,159 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { normalizeAddress, parseDsn, findSuppressed, recordDeliveryEvent } from './suppression.js';
+
+const dsn = ({ recipients, original = 'Message-ID: <log-1@bowerycreativeagency.com>\r\nSubject: Hello' }) => [
+  'From: MAILER-DAEMON@mx.example.com',
+  'Subject: Undelivered Mail Returned to Sender',
+  'Content-Type: multipart/report; report-type=delivery-status; boundary="BOUNDARY"',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/plain',
+  '',
+  'This is the mail system at host mx.example.com.',
+  '',
+  '--BOUNDARY',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.example.com',
+  '',
+  recipients.join('\r\n\r\n'),
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/rfc822-headers',
+  '',
+  original,
+  '',
+  '--BOUNDARY--',
+  ''
+].join('\r\n');
+
+describe('normalizeAddress', () => {
+  test('takes the address out of a display name and lower-cases it', () => {
+    expect(normalizeAddress('"Jane Doe" <Jane@Example.com>')).toBe('jane@example.com');
+    expect(normalizeAddress('  Bob@Example.com ')).toBe('bob@example.com');
+  });
+});
+
+describe('parseDsn', () => {
+  test('reads failed recipients and the original Message-ID', () => {
+    const result = parseDsn(dsn({
+      recipients: [[
+        'Final-Recipient: rfc822; Gone@Example.com',
+        'Action: failed',
+        'Status: 5.1.1',
+        'Diagnostic-Code: smtp; 550 5.1.1 user unknown'
+      ].join('\r\n')]
+    }));
+
+    expect(result).toEqual({
+      recipients: [{
+        email: 'gone@example.com',
+        action: 'failed',
+        status: '5.1.1',
+        diagnostic: '550 5.1.1 user unknown',
+        permanent: true
+      }],
+      originalMessageId: '<log-1@bowerycreativeagency.com>'
+    });
+  });
+
+  test('marks 4.x.x failures as temporary', () => {
+    const { recipients } = parseDsn(dsn({
+      recipients: ['Final-Recipient: rfc822; full@example.com\r\nAction: failed\r\nStatus: 4.2.2']
+    }));
+    expect(recipients).toEqual([expect.objectContaining({ email: 'full@example.com', permanent: false })]);
+  });
+
+  test('ignores delayed and delivered notices', () => {
+    const { recipients } = parseDsn(dsn({
+      recipients: [
+        'Final-Recipient: rfc822; slow@example.com\r\nAction: delayed\r\nStatus: 4.4.1',
+        'Final-Recipient: rfc822; fine@example.com\r\nAction: delivered\r\nStatus: 2.0.0',
+        'Original-Recipient: rfc822; bad@example.com\r\nAction: failed\r\nStatus: 5.0.0'
+      ]
+    }));
+    expect(recipients.map(recipient => recipient.email)).toEqual(['bad@example.com']);
+  });
+
+  test('falls back to X-Original-Message-ID without an original message part', () => {
+    const raw = [
+      'X-Original-Message-ID: <log-2@bowerycreativeagency.com>',
+      '',
+      'Final-Recipient: rfc822; gone@example.com',
+      'Status: 5.1.1'
+    ].join('\n');
+
+    expect(parseDsn(raw)).toEqual({
+      recipients: [expect.objectContaining({ email: 'gone@example.com', action: null, permanent: true })],
+      originalMessageId: '<log-2@bowerycreativeagency.com>'
+    });
+  });
+
+  test('returns no recipients for something that is not a DSN', () => {
+    expect(parseDsn('Subject: Hi\r\n\r\nJust a reply')).toEqual({ recipients: [], originalMessageId: null });
+    expect(parseDsn(null).recipients).toEqual([]);
+  });
+});
+
+describe('findSuppressed', () => {
+  beforeEach(() => {
+    supabaseStub.reset();
+  });
+
+  test('checks global and client suppressions with plain filters', async () => {
+    supabaseStub.respondOnce('email_suppressions', { data: [{ email: 'gone@example.com' }] });
+    supabaseStub.respondOnce('email_suppressions', { data: [{ email: 'optout@example.com' }] });
+
+    const suppressed = await findSuppressed(['Gone@Example.com', 'optout@example.com', 'ok@example.com'], 'client-1');
+
+    expect([...suppressed]).toEqual(['gone@example.com', 'optout@example.com']);
+    const [global, client] = supabaseStub.on('email_suppressions');
+    expect(global.args('is')).toEqual(['client_id', null]);
+    expect(client.args('eq')).toEqual(['client_id', 'client-1']);
+    expect(client.calls.map(([method]) => method)).not.toContain('or');
+  });
+
+  test('a client id cannot widen the lookup', async () => {
+    const clientId = 'x,email.neq.nobody';
+    supabaseStub.respond('email_suppressions', { data: [] });
+
+    await findSuppressed(['a@example.com'], clientId);
+
+    expect(supabaseStub.on('email_suppressions')[1].args('eq')).toEqual(['client_id', clientId]);
+  });
+
+  test('only looks up global suppressions without a client', async () => {
+    supabaseStub.respond('email_suppressions', { data: [] });
+
+    await findSuppressed(['a@example.com']);
+
+    expect(supabaseStub.on('email_suppressions')).toHaveLength(1);
+  });
+});
+
+describe('recordDeliveryEvent', () => {
+  beforeEach(() => {
+    supabaseStub.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('suppresses hard bounces and complaints', async () => {
+    supabaseStub.respond('email_logs', { data: { id: 'log-1', campaign_id: 'campaign-1' } });
+
+    await recordDeliveryEvent({ type: 'complaint', email: 'Ann <Ann@Example.com>', messageId: 'log-1@x', source: 'resend' });
+
+    expect(supabaseStub.on('email_events', 'insert')[0].values).toMatchObject({ log_id: 'log-1', type: 'complaint', email: 'ann@example.com' });
+    expect(supabaseStub.on('email_suppressions', 'insert')[0].values).toMatchObject({ email: 'ann@example.com', reason: 'complaint' });
+  });
+
+  test('records a soft bounce without suppressing', async () => {
+    await recordDeliveryEvent({ type: 'bounce', email: 'full@example.com', permanent: false, source: 'dsn' });
+
+    expect(supabaseStub.on('email_events', 'insert')).toHaveLength(1);
+    expect(supabaseStub.on('email_suppressions')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,389 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Shared template engine for email subjects, HTML and text.
+//
+//   {{name}}                    HTML-escaped value (raw when rendering subjects/text)
+//   {{{html}}}                  unescaped value
+//   {{first_name | "there"}}    fallback: a quoted string or another variable
+//   {{client.name}}             dotted paths
+//   {{#if x}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+//   {{#each items}}{{name}} {{@index}}{{/each}}   ({{this}} is the current item)
+//   {{> footer}}                partial: options.partials, registerPartial() or an
+//                               email_templates row with category 'partial'
+//   {{! comment }}
+
+const builtinPartials = new Map();
+
+export function registerPartial(name, source) {
+  builtinPartials.set(name, source);
+}
+
+// Own properties only, so {{> constructor}} is an unknown partial rather
+// than Object.prototype.constructor
+const partialSource = (name, partials = {}) =>
+  (Object.prototype.hasOwnProperty.call(partials, name) ? partials[name] : builtinPartials.get(name));
+
+// Footer with the unsubscribe link campaign sends provide
+registerPartial('footer', `{{#if unsubscribe_link}}<p style="font-size: 12px; color: #999; margin-top: 30px;">
+  Don't want these emails? <a href="{{unsubscribe_link}}" style="color: #999;">Unsubscribe</a>
+</p>{{/if}}`);
+
+// Variables the send paths fill in themselves; templates may always use them
+export const BUILTIN_VARIABLES = ['unsubscribe_link', 'email'];
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+// Split "a | b | 'c'" on pipes that aren't inside quotes
+function parseExpression(source) {
+  const parts = source.match(/"[^"]*"|'[^']*'|[^|]+/g) || [];
+
+  return parts
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => (/^(["']).*\1$/.test(part)
+      ? { literal: part.slice(1, -1) }
+      : /^-?\d+(\.\d+)?$/.test(part) ? { literal: part } : { path: part }));
+}
+
+function templateError(message, source, index) {
+  const line = source.slice(0, index).split('\n').length;
+  const error = new Error(`${message} (line ${line})`);
+  error.template = true;
+  return error;
+}
+
+// Source -> tree of { type: 'text' | 'var' | 'if' | 'unless' | 'each' | 'partial' }
+export function parse(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.children.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = TAG.lastIndex;
+
+    const raw = match[1] !== undefined;
+    const tag = (raw ? match[1] : match[2]).trim();
+
+    if (raw) {
+      current.children.push({ type: 'var', expression: parseExpression(tag), escape: false });
+    } else if (tag.startsWith('!')) {
+      continue;
+    } else if (tag.startsWith('#')) {
+      const [, block, expression] = tag.match(/^#(\w+)\s*(.*)$/) || [];
+      if (!['if', 'unless', 'each'].includes(block)) {
+        throw templateError(`Unknown block "{{${tag}}}"`, source, match.index);
+      }
+      if (!expression) {
+        throw templateError(`{{#${block}}} needs a variable`, source, match.index);
+      }
+
+      const node = { type: block, expression: parseExpression(expression), children: [], inverse: null, index: match.index };
+      current.children.push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (stack.length === 1 || current.inverse) {
+        throw templateError('Unexpected {{else}}', source, match.index);
+      }
+      current.inverse = current.children;
+      current.children = [];
+    } else if (tag.startsWith('/')) {
+      const block = tag.slice(1).trim();
+      if (stack.length === 1 || current.type !== block) {
+        throw templateError(`Unexpected {{/${block}}}`, source, match.index);
+      }
+      // With an {{else}}, children so far were the "then" branch
+      if (current.inverse) {
+        [current.children, current.inverse] = [current.inverse, current.children];
+      }
+      stack.pop();
+    } else if (tag.startsWith('>')) {
+      current.children.push({ type: 'partial', name: tag.slice(1).trim(), index: match.index });
+    } else {
+      current.children.push({ type: 'var', expression: parseExpression(tag), escape: true });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(`Unclosed {{#${open.type}}}`, source, open.index);
+  }
+
+  if (last < source.length) {
+    root.children.push({ type: 'text', value: source.slice(last) });
+  }
+
+  return root.children;
+}
+
+// Own properties only, so {{constructor}} or {{name.__proto__}} can't reach
+// into the prototype chain
+const own = (value, key) => (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+  ? value[key]
+  : undefined);
+
+// Look a path up through the scopes, innermost first
+function lookup(path, scopes) {
+  if (path === 'this' || path === '.') return scopes[0].value;
+  if (path.startsWith('@')) return scopes[0].meta?.[path.slice(1)];
+
+  const [head, ...rest] = path.replace(/^this\./, '').split('.');
+
+  for (const scope of scopes) {
+    const value = scope.value;
+    if (value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, head)) {
+      return rest.reduce((current, key) => own(current, key), value[head]);
+    }
+  }
+
+  return undefined;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+function evaluate(expression, scopes) {
+  for (const part of expression) {
+    const value = 'literal' in part ? part.literal : lookup(part.path, scopes);
+    if (!isBlank(value)) return value;
+  }
+  return '';
+}
+
+const truthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+function renderNodes(nodes, scopes, options, depth) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'var': {
+        const value = evaluate(node.expression, scopes);
+        return node.escape && options.escape ? escapeHtml(value) : String(value);
+      }
+
+      case 'if':
+      case 'unless': {
+        const condition = truthy(evaluate(node.expression, scopes));
+        const branch = condition === (node.type === 'if') ? node.children : node.inverse;
+        return branch ? renderNodes(branch, scopes, options, depth) : '';
+      }
+
+      case 'each': {
+        const value = evaluate(node.expression, scopes);
+        const items = Array.isArray(value) ? value : [];
+
+        if (items.length === 0) {
+          return node.inverse ? renderNodes(node.inverse, scopes, options, depth) : '';
+        }
+
+        return items.map((item, index) => renderNodes(node.children, [{
+          value: item,
+          meta: { index, first: index === 0, last: index === items.length - 1 }
+        }, ...scopes], options, depth)).join('');
+      }
+
+      case 'partial': {
+        const source = partialSource(node.name, options.partials);
+        if (source === undefined) {
+          throw new Error(`Unknown partial "${node.name}"`);
+        }
+        if (depth >= 10) {
+          throw new Error(`Partial "${node.name}" nests too deeply`);
+        }
+        return renderNodes(parse(source), scopes, options, depth + 1);
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+// Compile once, render per recipient
+export function compile(source, { escape = true, partials = {} } = {}) {
+  const nodes = parse(source || '');
+  return (data = {}) => renderNodes(nodes, [{ value: data }], { escape, partials }, 0);
+}
+
+export function render(source, data = {}, options = {}) {
+  return compile(source, options)(data);
+}
+
+// Render a subject/html/text set. Subjects and text are not HTML-escaped.
+export function renderEmail({ subject, html, text }, data = {}, { partials = {} } = {}) {
+  return {
+    subject: subject ? render(subject, data, { escape: false, partials }) : subject,
+    html: html ? render(html, data, { partials }) : html,
+    text: text ? render(text, data, { escape: false, partials }) : text
+  };
+}
+
+// Top-level variables a template reads. `required` are output without a
+// fallback outside an {{#if}} on themselves; variables only used in
+// conditions, or inside loops, are optional.
+export function collectVariables(source, { partials = {} } = {}) {
+  const used = new Set();
+  const required = new Set();
+
+  const rootName = (part) => {
+    if (!part.path || part.path.startsWith('@') || part.path === 'this' || part.path === '.') return null;
+    return part.path.replace(/^this\./, '').split('.')[0];
+  };
+
+  const visit = (nodes, inLoop, guarded, depth) => {
+    nodes.forEach(node => {
+      const names = node.expression && !inLoop
+        ? node.expression.map(rootName).filter(Boolean)
+        : [];
+      names.forEach(name => used.add(name));
+
+      if (node.type === 'var' && node.expression.length === 1 && names[0] && !guarded.has(names[0])) {
+        required.add(names[0]);
+      }
+
+      if (node.type === 'partial' && depth < 10) {
+        const partial = partialSource(node.name, partials);
+        if (partial === undefined) throw new Error(`Unknown partial "${node.name}"`);
+        visit(parse(partial), inLoop, guarded, depth + 1);
+      }
+
+      if (node.children) {
+        const inner = node.type === 'if' ? new Set([...guarded, ...names]) : guarded;
+        visit(node.children, inLoop || node.type === 'each', inner, depth);
+      }
+      if (node.inverse) {
+        const inner = node.type === 'unless' ? new Set([...guarded, ...names]) : guarded;
+        visit(node.inverse, inLoop, inner, depth);
+      }
+    });
+  };
+
+  visit(parse(source || ''), false, new Set(), 0);
+  return { used, required };
+}
+
+// email_templates.variables may be ["name", ...], [{ name, required, default }]
+// or { name: { required, default } }
+export function normalizeVariableSpec(spec) {
+  if (!spec) return null;
+
+  const entries = Array.isArray(spec)
+    ? spec.map(item => (typeof item === 'string' ? { name: item } : item))
+    : Object.entries(spec).map(([name, value]) => ({ name, ...(typeof value === 'object' ? value : {}) }));
+
+  return entries
+    .filter(entry => entry?.name)
+    .map(entry => ({
+      name: entry.name,
+      // undefined: required only if the template outputs it without a fallback
+      required: entry.default !== undefined ? false : entry.required,
+      default: entry.default
+    }));
+}
+
+// Check templates against the declared variables and the data for a send.
+// unknown: used but not declared; missing: needed but not supplied.
+export function validateTemplate(sources, { variables, data, partials = {} } = {}) {
+  const spec = normalizeVariableSpec(variables);
+  const used = new Set();
+  const required = new Set();
+  const errors = [];
+
+  [].concat(sources).filter(Boolean).forEach(source => {
+    try {
+      const collected = collectVariables(source, { partials });
+      collected.used.forEach(name => used.add(name));
+      collected.required.forEach(name => required.add(name));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  const declared = spec ? new Set(spec.map(entry => entry.name)) : null;
+  const unknown = declared
+    ? [...used].filter(name => !declared.has(name) && !BUILTIN_VARIABLES.includes(name))
+    : [];
+
+  let missing = [];
+  if (data) {
+    const needed = new Set([...required].filter(name => !BUILTIN_VARIABLES.includes(name)));
+    spec?.forEach(entry => {
+      if (entry.required === true) needed.add(entry.name);
+      if (entry.required === false) needed.delete(entry.name);
+    });
+    missing = [...needed].filter(name => isBlank(data[name]));
+  }
+
+  return {
+    valid: errors.length === 0 && unknown.length === 0 && missing.length === 0,
+    errors,
+    unknown,
+    missing
+  };
+}
+
+// Declared defaults under the supplied data
+export function withDefaults(variables, data = {}) {
+  const defaults = {};
+  normalizeVariableSpec(variables)?.forEach(entry => {
+    if (entry.default !== undefined) defaults[entry.name] = entry.default;
+  });
+  return { ...defaults, ...data };
+}
+
+// email_templates rows with category 'partial' (signatures, footers), by name
+export async function loadPartials() {
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('name, html_content')
+    .eq('category', 'partial');
+
+  if (error) throw error;
+  return Object.fromEntries(data.map(row => [row.name, row.html_content]));
+}
+
+// Render a stored email_templates row. Returns null when it doesn't exist;
+// `validation` must be valid before the result is sent.
+export async function renderStoredTemplate(templateId, variables = {}) {
+  const { data: template, error } = await supabase
+    .from('email_templates')
+    .select('*')
+    .eq('id', templateId)
+    .single();
+
+  if (error || !template) return null;
+
+  const partials = await loadPartials();
+  const data = withDefaults(template.variables, variables);
+  const sources = [template.subject, template.html_content, template.text_content];
+  const validation = validateTemplate(sources, { variables: template.variables, data, partials });
+
+  if (!validation.valid) return { template, validation };
+
+  const rendered = renderEmail({
+    subject: template.subject,
+    html: template.html_content,
+    text: template.text_content
+  }, data, { partials });
+
+  return { template, validation, ...rendered, text: rendered.text || undefined };
+}
@@ -0,0 +1,89 @@
+import { render, renderEmail, collectVariables, validateTemplate, withDefaults } from './templateEngine.js';
+
+describe('render', () => {
+  test('escapes variables unless they use triple braces', () => {
+    expect(render('{{name}} {{{name}}}', { name: '<b>Ann</b>' })).toBe('&lt;b&gt;Ann&lt;/b&gt; <b>Ann</b>');
+  });
+
+  test('falls back to a literal or another variable', () => {
+    expect(render('Hi {{first_name | "there"}}', {})).toBe('Hi there');
+    expect(render('Hi {{first_name | nickname | "there"}}', { nickname: 'Al' })).toBe('Hi Al');
+  });
+
+  test('reads dotted paths', () => {
+    expect(render('{{client.name}}', { client: { name: 'Bowery' } })).toBe('Bowery');
+    expect(render('[{{client.missing.deeper}}]', { client: {} })).toBe('[]');
+  });
+
+  test('renders if/else and unless', () => {
+    const source = '{{#if vip}}VIP{{else}}regular{{/if}}{{#unless vip}}!{{/unless}}';
+    expect(render(source, { vip: true })).toBe('VIP');
+    expect(render(source, { vip: false })).toBe('regular!');
+    expect(render('{{#if items}}some{{else}}none{{/if}}', { items: [] })).toBe('none');
+  });
+
+  test('loops with the current item and loop metadata', () => {
+    const source = '{{#each items}}{{@index}}:{{name}}{{#unless @last}}, {{/unless}}{{else}}empty{{/each}}';
+    expect(render(source, { items: [{ name: 'a' }, { name: 'b' }] })).toBe('0:a, 1:b');
+    expect(render(source, { items: [] })).toBe('empty');
+    expect(render('{{#each tags}}{{this}}/{{owner}} {{/each}}', { tags: ['x', 'y'], owner: 'z' })).toBe('x/z y/z ');
+  });
+
+  test('renders partials from options and the built-in footer', () => {
+    expect(render('{{> sig}}', { name: 'Ann' }, { partials: { sig: '-- {{name}}' } })).toBe('-- Ann');
+    expect(render('{{> footer}}', {})).toBe('');
+    expect(render('{{> footer}}', { unsubscribe_link: 'https://u.example/x' })).toContain('href="https://u.example/x"');
+    expect(() => render('{{> nope}}', {})).toThrow('Unknown partial "nope"');
+    expect(() => render('{{> constructor}}', {})).toThrow('Unknown partial "constructor"');
+    expect(() => render('{{> toString}}', {}, { partials: { sig: 'x' } })).toThrow('Unknown partial "toString"');
+  });
+
+  test('drops comments', () => {
+    expect(render('a{{! not shown }}b', {})).toBe('ab');
+  });
+
+  test('only reads own properties, never the prototype chain', () => {
+    expect(render('[{{constructor}}][{{toString}}][{{__proto__}}]', {})).toBe('[][][]');
+    expect(render('[{{name.constructor}}][{{items.length}}]', { name: 'Ann', items: [1, 2] })).toBe('[][2]');
+  });
+
+  test('reports unclosed blocks with the line', () => {
+    expect(() => render('a\n{{#if x}}b', {})).toThrow(/line 2/);
+  });
+});
+
+describe('renderEmail', () => {
+  test('escapes only the HTML', () => {
+    expect(renderEmail({ subject: '{{name}}', html: '{{name}}', text: '{{name}}' }, { name: 'A & B' })).toEqual({
+      subject: 'A & B',
+      html: 'A &amp; B',
+      text: 'A & B'
+    });
+  });
+});
+
+describe('collectVariables', () => {
+  test('separates required from guarded, defaulted and loop variables', () => {
+    const { used, required } = collectVariables(
+      '{{name}} {{title | "friend"}} {{#if company}}{{company}}{{/if}} {{#each items}}{{label}}{{/each}}'
+    );
+    expect([...used].sort()).toEqual(['company', 'items', 'name', 'title']);
+    expect([...required]).toEqual(['name']);
+  });
+});
+
+describe('validateTemplate', () => {
+  test('reports undeclared and missing variables', () => {
+    const result = validateTemplate(['Hi {{name}}', '{{plan}} {{unsubscribe_link}}'], {
+      variables: ['name'],
+      data: { name: '' }
+    });
+    expect(result).toEqual({ valid: false, errors: [], unknown: ['plan'], missing: ['name', 'plan'] });
+  });
+
+  test('a declared default makes a variable optional', () => {
+    const variables = [{ name: 'name', default: 'there' }];
+    expect(validateTemplate('Hi {{name}}', { variables, data: {} }).valid).toBe(true);
+    expect(withDefaults(variables, {})).toEqual({ name: 'there' });
+  });
+});
@@ -0,0 +1,169 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { normalizeAddress, splitRecipients } from './suppression.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const bare = (id) => String(id || '').trim().replace(/^<|>$/g, '');
+
+// Transports differ in whether the stored message_id keeps its brackets
+const idForms = (ids) => [...new Set(ids.filter(Boolean).flatMap(id => [`<${bare(id)}>`, bare(id)]))];
+
+// The newest message we know of among `ids`, outgoing or incoming
+export async function findMessage(ids) {
+  const forms = idForms(ids);
+  if (forms.length === 0) return null;
+
+  const [{ data: sent }, { data: received }] = await Promise.all([
+    supabase
+      .from('email_logs')
+      .select('id, thread_id, message_id, to_email, campaign_id, sent_at')
+      .in('message_id', forms)
+      .order('sent_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('communication_logs')
+      .select('id, thread_id, message_id, received_at')
+      .in('message_id', forms)
+      .order('received_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+  ]);
+
+  if (sent && (!received || sent.sent_at >= received.received_at)) {
+    return { ...sent, direction: 'outgoing', thread_id: sent.thread_id || sent.id };
+  }
+
+  return received
+    ? { ...received, direction: 'incoming', thread_id: received.thread_id || received.id }
+    : null;
+}
+
+// The ids among `ids` that belong to messages we sent, without brackets
+export async function sentMessageIds(ids) {
+  const forms = idForms(ids);
+  const found = new Set();
+
+  // Keep each request's URL a sensible length
+  for (let i = 0; i < forms.length; i += 100) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .select('message_id')
+      .in('message_id', forms.slice(i, i + 100));
+
+    if (error) throw error;
+    data.forEach(row => found.add(bare(row.message_id)));
+  }
+
+  return found;
+}
+
+// Thread for an outgoing message: its parent's, or a new one named after the log row
+export async function threadFor({ logId, threadId, inReplyTo, references = [] }) {
+  if (threadId) return threadId;
+  const parent = await findMessage([inReplyTo, ...[...references].reverse()]);
+  return parent?.thread_id || logId;
+}
+
+// Link a received message to its conversation. When it answers one of our
+// sends, the sender is marked as replied (email_replies), the log row gets
+// replied_at and a 'reply' event is recorded; auto-replies only join the
+// thread. Returns the communication_logs fields to store: { thread_id, log_id }.
+export async function linkInbound({ id, messageId, inReplyTo, references = [], from, receivedAt, automated = false }) {
+  // In-Reply-To first, then References newest to oldest
+  const parent = await findMessage([inReplyTo, ...[...references].reverse()]);
+  if (!parent) return { thread_id: id };
+  if (parent.direction === 'incoming') return { thread_id: parent.thread_id };
+
+  const email = normalizeAddress(from?.address);
+  const repliedAt = receivedAt || new Date().toISOString();
+
+  if (email && !automated) {
+    const { error } = await supabase
+      .from('email_replies')
+      .insert({
+        email,
+        log_id: parent.id,
+        campaign_id: parent.campaign_id,
+        communication_log_id: id,
+        message_id: messageId,
+        replied_at: repliedAt
+      });
+
+    // The same reply seen twice (webhook and IMAP) is only counted once
+    if (error && error.code !== '23505') throw error;
+
+    if (!error) {
+      await supabase
+        .from('email_logs')
+        .update({ replied_at: repliedAt })
+        .eq('id', parent.id)
+        .is('replied_at', null);
+
+      await supabase
+        .from('email_events')
+        .insert({
+          log_id: parent.id,
+          campaign_id: parent.campaign_id,
+          type: 'reply',
+          email,
+          metadata: { message_id: messageId, communication_log_id: id }
+        });
+    }
+  }
+
+  return { thread_id: parent.thread_id, log_id: parent.id };
+}
+
+// Recipients among `emails` who have replied, optionally only to one
+// campaign or since a date. Returns a Set of normalized addresses.
+export async function findReplied(emails, { campaignId, since } = {}) {
+  const addresses = [...new Set(splitRecipients(emails).map(normalizeAddress))];
+  if (addresses.length === 0) return new Set();
+
+  let query = supabase
+    .from('email_replies')
+    .select('email')
+    .in('email', addresses);
+
+  if (campaignId) query = query.eq('campaign_id', campaignId);
+  if (since) query = query.gte('replied_at', new Date(since).toISOString());
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return new Set(data.map(row => row.email));
+}
+
+// Every message in a conversation, oldest first
+export async function getThread(threadId) {
+  if (!UUID_PATTERN.test(threadId)) return [];
+
+  const [{ data: sent, error: sentError }, { data: received, error: receivedError }] = await Promise.all([
+    supabase
+      .from('email_logs')
+      .select('id, message_id, in_reply_to, from_email, to_email, subject, status, sent_at, replied_at')
+      .or(`thread_id.eq.${threadId},id.eq.${threadId}`)
+      .not('sent_at', 'is', null),
+    supabase
+      .from('communication_logs')
+      .select('id, message_id, in_reply_to, from_email, from_name, to_emails, subject, body_text, alias, received_at')
+      .or(`thread_id.eq.${threadId},id.eq.${threadId}`)
+  ]);
+
+  if (sentError) throw sentError;
+  if (receivedError) throw receivedError;
+
+  return [
+    ...sent.map(message => ({ ...message, direction: 'outgoing', at: message.sent_at })),
+    ...received.map(message => ({ ...message, direction: 'incoming', at: message.received_at }))
+  ].sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+}
@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Public URL of this backend and the key links are signed with; tracking is
+// off unless both are set, since unsigned (or guessable) links would let
+// anyone record opens and clicks
+const baseUrl = process.env.TRACKING_BASE_URL?.replace(/\/$/, '');
+const secret = process.env.TRACKING_SECRET || null;
+
+// 1x1 transparent GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+export const isTrackingEnabled = () => Boolean(baseUrl && secret);
+
+// Click links carry a signature so the redirect endpoint can't be used as an
+// open redirect; the open pixel signs the log id (url null) so opens can't be
+// made up for other messages
+export function signLink(logId, url = null) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(url === null ? `open:${logId}` : `${logId}:${url}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+export function verifyLink(logId, url, signature) {
+  if (!secret) return false;
+
+  const expected = signLink(logId, url);
+  return typeof signature === 'string'
+    && signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+export function clickUrl(logId, url) {
+  return `${baseUrl}/api/t/c/${logId}?u=${encodeURIComponent(url)}&s=${signLink(logId, url)}`;
+}
+
+export function openPixelUrl(logId) {
+  return `${baseUrl}/api/t/o/${logId}.gif?s=${signLink(logId)}`;
+}
+
+// Rewrite http(s) links through the click endpoint and add the open pixel.
+// Links marked data-no-track and unsubscribe links are left alone.
+export function instrumentHtml(html, logId) {
+  if (!isTrackingEnabled() || !html) return html;
+
+  const rewritten = html.replace(/<a\b([^>]*?)\bhref=(["'])(https?:\/\/[^"']+)\2([^>]*)>/gi,
+    (tag, before, quote, url, after) => {
+      if (/data-no-track/i.test(tag) || /unsubscribe/i.test(url)) return tag;
+      const decoded = url.replace(/&amp;/g, '&');
+      return `<a${before}href=${quote}${clickUrl(logId, decoded)}${quote}${after}>`;
+    });
+
+  const pixel = `<img src="${openPixelUrl(logId)}" width="1" height="1" alt="" style="display:none;border:0;" />`;
+
+  return /<\/body>/i.test(rewritten)
+    ? rewritten.replace(/<\/body>/i, `${pixel}</body>`)
+    : rewritten + pixel;
+}
+
+export async function recordEvent({ logId, type, url = null, ipAddress = null, userAgent = null }) {
+  const { data: log } = await supabase
+    .from('email_logs')
+    .select('id, campaign_id')
+    .eq('id', logId)
+    .maybeSingle();
+
+  if (!log) return null;
+
+  const { data, error } = await supabase
+    .from('email_events')
+    .insert({
+      log_id: log.id,
+      campaign_id: log.campaign_id,
+      type,
+      url,
+      ip_address: ipAddress,
+      user_agent: userAgent
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getCampaignEngagement(campaignId, { startDate, endDate } = {}) {
+  const [{ data: engagement, error }, { count: sent }] = await Promise.all([
+    supabase.rpc('email_campaign_engagement', {
+      p_campaign_id: campaignId,
+      p_start: startDate || null,
+      p_end: endDate || null
+    }),
+    supabase
+      .from('email_logs')
+      .select('*', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'sent')
+  ]);
+
+  if (error) throw error;
+
+  const rate = (value, total) => (total > 0 ? ((value / total) * 100).toFixed(2) : '0.00');
+  const delivered = sent || 0;
+
+  return {
+    metrics: {
+      sent: delivered,
+      opens: engagement.opens,
+      uniqueOpens: engagement.unique_opens,
+      openRate: rate(engagement.unique_opens, delivered),
+      clicks: engagement.clicks,
+      uniqueClicks: engagement.unique_clicks,
+      clickThroughRate: rate(engagement.unique_clicks, delivered),
+      clickToOpenRate: rate(engagement.unique_clicks, engagement.unique_opens)
+    },
+    links: engagement.links.map(link => ({
+      url: link.url,
+      clicks: link.clicks,
+      uniqueClicks: link.unique_clicks,
+      clickThroughRate: rate(link.unique_clicks, delivered)
+    })),
+    chartData: engagement.daily
+  };
+}
@@ -0,0 +1,107 @@
+// Tracking reads its URL and secret once, when the module loads. The
+// Supabase stand-in comes along, since each load gets its own.
+function loadTracking(env) {
+  let tracking;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    tracking = { ...require('./tracking.js'), supabaseStub: require('@supabase/supabase-js').supabaseStub };
+  });
+  return tracking;
+}
+
+const configured = { TRACKING_BASE_URL: 'https://api.example.com/', TRACKING_SECRET: 'tracking-secret' };
+
+afterEach(() => {
+  delete process.env.TRACKING_BASE_URL;
+  delete process.env.TRACKING_SECRET;
+});
+
+describe('signed links', () => {
+  test('a click signature only verifies for its own log id and URL', () => {
+    const { signLink, verifyLink } = loadTracking(configured);
+    const signature = signLink('log-1', 'https://example.com/offer');
+
+    expect(verifyLink('log-1', 'https://example.com/offer', signature)).toBe(true);
+    expect(verifyLink('log-2', 'https://example.com/offer', signature)).toBe(false);
+    expect(verifyLink('log-1', 'https://evil.example/offer', signature)).toBe(false);
+  });
+
+  test('an open signature cannot be used as a click and back', () => {
+    const { signLink, verifyLink } = loadTracking(configured);
+
+    expect(verifyLink('log-1', null, signLink('log-1'))).toBe(true);
+    expect(verifyLink('log-1', null, signLink('log-1', 'open:log-1'))).toBe(false);
+  });
+
+  test('malformed or missing signatures are refused', () => {
+    const { signLink, verifyLink } = loadTracking(configured);
+    const signature = signLink('log-1', 'https://example.com');
+
+    expect(verifyLink('log-1', 'https://example.com', undefined)).toBe(false);
+    expect(verifyLink('log-1', 'https://example.com', signature.slice(1))).toBe(false);
+    expect(verifyLink('log-1', 'https://example.com', ['array'])).toBe(false);
+  });
+
+  test('another secret signs differently', () => {
+    const first = loadTracking(configured).signLink('log-1', 'https://example.com');
+    const second = loadTracking({ ...configured, TRACKING_SECRET: 'other-secret' }).signLink('log-1', 'https://example.com');
+
+    expect(first).not.toBe(second);
+  });
+
+  test('nothing verifies without a secret', () => {
+    const { verifyLink, isTrackingEnabled } = loadTracking({ TRACKING_BASE_URL: 'https://api.example.com' });
+
+    expect(isTrackingEnabled()).toBe(false);
+    expect(verifyLink('log-1', null, 'anything')).toBe(false);
+  });
+});
+
+describe('instrumentHtml', () => {
+  test('routes links through signed click URLs and adds a signed pixel', () => {
+    const { instrumentHtml, signLink } = loadTracking(configured);
+
+    const html = instrumentHtml('<body><a href="https://example.com/a?x=1&amp;y=2">A</a></body>', 'log-1');
+
+    const click = `https://api.example.com/api/t/c/log-1?u=${encodeURIComponent('https://example.com/a?x=1&y=2')}`
+      + `&s=${signLink('log-1', 'https://example.com/a?x=1&y=2')}`;
+    expect(html).toContain(`href="${click}"`);
+    expect(html).toContain(`src="https://api.example.com/api/t/o/log-1.gif?s=${signLink('log-1')}"`);
+    expect(html.indexOf('<img')).toBeLessThan(html.indexOf('</body>'));
+  });
+
+  test('leaves opted-out and unsubscribe links alone', () => {
+    const { instrumentHtml } = loadTracking(configured);
+    const links = '<a data-no-track href="https://example.com/a">A</a><a href="https://example.com/unsubscribe/x">U</a>';
+
+    expect(instrumentHtml(links, 'log-1').startsWith(links)).toBe(true);
+  });
+
+  test('does nothing when tracking is off', () => {
+    const { instrumentHtml } = loadTracking({});
+
+    expect(instrumentHtml('<a href="https://example.com">A</a>', 'log-1')).toBe('<a href="https://example.com">A</a>');
+  });
+});
+
+describe('getCampaignEngagement', () => {
+  test('turns event counts into rates over delivered mail', async () => {
+    const { getCampaignEngagement, supabaseStub } = loadTracking(configured);
+    supabaseStub.respond('email_logs', { count: 200 });
+    supabaseStub.respond('rpc:email_campaign_engagement', {
+      data: {
+        opens: 90,
+        unique_opens: 50,
+        clicks: 30,
+        unique_clicks: 10,
+        links: [{ url: 'https://example.com', clicks: 30, unique_clicks: 10 }],
+        daily: []
+      }
+    });
+
+    const { metrics, links } = await getCampaignEngagement('campaign-1');
+
+    expect(metrics).toMatchObject({ sent: 200, openRate: '25.00', clickThroughRate: '5.00', clickToOpenRate: '20.00' });
+    expect(links[0].clickThroughRate).toBe('5.00');
+  });
+});
@@ -0,0 +1,165 @@
+import { createTransport } from 'nodemailer';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getSigningKey } from '../sendingDomains.js';
+
+// Renders messages exactly as they would go out and keeps them instead of
+// delivering. Used for sandbox mode (EMAIL_MODE=sandbox or per request).
+// Set EMAIL_SANDBOX_DIR to keep captured mail on disk across restarts.
+export class CaptureTransport {
+  constructor() {
+    this.name = 'capture';
+    this.messages = [];
+    this.maxMessages = parseInt(process.env.EMAIL_CAPTURE_MAX || '500');
+    this.directory = process.env.EMAIL_SANDBOX_DIR || null;
+    this.renderer = createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    this.loaded = this.directory ? this.loadFromDisk() : Promise.resolve();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async hasCapacity() {
+    return true;
+  }
+
+  async send(message) {
+    await this.loaded;
+
+    const id = randomUUID();
+    const from = message.from || '"Bowery Creative" <noreply@bowerycreativeagency.com>';
+
+    // Signed like a real send, so the DKIM-Signature header can be inspected
+    const info = await this.renderer.sendMail({
+      ...message,
+      from,
+      dkim: await getSigningKey(from),
+      messageId: message.messageId || `<${id}@sandbox.bowerycreativeagency.com>`,
+      headers: {
+        'X-Mailer': 'Bowery Creative Email System',
+        'X-Sent-Via': this.name,
+        ...message.headers
+      }
+    });
+
+    const raw = info.message.toString();
+    const captured = {
+      id,
+      messageId: info.messageId,
+      envelope: info.envelope,
+      from,
+      to: message.to,
+      subject: message.subject,
+      headers: this.parseHeaders(raw),
+      html: message.html || null,
+      text: message.text || null,
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.filename || null,
+        contentType: attachment.contentType || null,
+        cid: attachment.cid || null,
+        size: attachment.content ? Buffer.byteLength(attachment.content) : null
+      })),
+      raw,
+      capturedAt: new Date().toISOString()
+    };
+
+    this.messages.unshift(captured);
+    const evicted = this.messages.splice(this.maxMessages);
+
+    if (this.directory) {
+      await this.saveToDisk(captured);
+      await Promise.all(evicted.map(old => this.removeFromDisk(old.id)));
+    }
+
+    return {
+      messageId: info.messageId,
+      from,
+      sentVia: this.name,
+      remainingToday: 'unlimited'
+    };
+  }
+
+  // Unfold the rendered header block into { name: value }
+  parseHeaders(raw) {
+    const block = raw.split(/\r?\n\r?\n/)[0];
+    const headers = {};
+
+    block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+
+    return headers;
+  }
+
+  async list({ to, limit = 50 } = {}) {
+    await this.loaded;
+
+    return this.messages
+      .filter(message => !to || [].concat(message.to).some(addr => String(addr).includes(to)))
+      .slice(0, limit)
+      .map(({ id, messageId, from, to: recipients, subject, attachments, capturedAt }) => ({
+        id,
+        messageId,
+        from,
+        to: recipients,
+        subject,
+        attachmentCount: attachments.length,
+        capturedAt
+      }));
+  }
+
+  async get(id) {
+    await this.loaded;
+    return this.messages.find(message => message.id === id) || null;
+  }
+
+  async clear() {
+    await this.loaded;
+    const ids = this.messages.map(message => message.id);
+    this.messages = [];
+
+    if (this.directory) {
+      await Promise.all(ids.map(id => this.removeFromDisk(id)));
+    }
+
+    return ids.length;
+  }
+
+  async loadFromDisk() {
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+      const messages = await Promise.all(files.map(async file =>
+        JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'))
+      ));
+
+      this.messages = messages
+        .sort((a, b) => (a.capturedAt < b.capturedAt ? 1 : -1))
+        .slice(0, this.maxMessages);
+    } catch (error) {
+      console.error('Failed to load sandbox messages:', error.message);
+    }
+  }
+
+  async saveToDisk(message) {
+    try {
+      await fs.writeFile(path.join(this.directory, `${message.id}.json`), JSON.stringify(message));
+    } catch (error) {
+      console.error('Failed to save sandbox message:', error.message);
+    }
+  }
+
+  async removeFromDisk(id) {
+    await fs.rm(path.join(this.directory, `${id}.json`), { force: true });
+  }
+
+  async getStats() {
+    await this.loaded;
+    return { captured: this.messages.length, directory: this.directory };
+  }
+}
@@ -0,0 +1,503 @@
+import { createTransport } from 'nodemailer';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { getSigningKey } from '../sendingDomains.js';
+import { classifySmtpError } from './smtpErrors.js';
+
+dotenv.config();
+
+// Gmail quotas are a rolling 24h window, not a calendar day
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How the pool picks an account for each message
+export const ROTATION_STRATEGIES = ['round-robin', 'weighted', 'sticky', 'alias-affinity'];
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Rotating pool of Gmail / Google Workspace accounts (GMAIL_EMAIL_n + GMAIL_APP_PASSWORD_n)
+export class GmailPoolTransport {
+  constructor() {
+    this.name = 'gmail';
+    this.accounts = [];
+    this.usage = new Map();
+    this.usageSyncedAt = 0;
+    this.usageTtlMs = parseInt(process.env.EMAIL_USAGE_TTL_MS || '15000');
+    this.health = new Map();
+    this.healthTimer = null;
+    this.verifyIntervalMs = parseInt(process.env.EMAIL_VERIFY_INTERVAL_MS || '900000');
+    // How long each kind of failure takes an account out of rotation
+    this.cooldowns = {
+      auth: parseInt(process.env.EMAIL_AUTH_COOLDOWN_MS || '21600000'),
+      quota: parseInt(process.env.EMAIL_QUOTA_COOLDOWN_MS || '86400000'),
+      transient: parseInt(process.env.EMAIL_TRANSIENT_COOLDOWN_MS || '600000')
+    };
+    this.transientThreshold = parseInt(process.env.EMAIL_TRANSIENT_THRESHOLD || '3');
+    // alias@domain=account@domain pairs for alias-affinity rotation
+    this.aliasAccounts = new Map((process.env.EMAIL_ALIAS_ACCOUNTS || '')
+      .split(',')
+      .map(pair => pair.split('=').map(value => value.trim().toLowerCase()))
+      .filter(([alias, account]) => alias && account));
+    this.initializeAccounts();
+    this.accountsRegistered = this.registerAccounts();
+  }
+
+  initializeAccounts() {
+    // Load Gmail accounts from environment variables
+    let accountIndex = 1;
+    while (process.env[`GMAIL_EMAIL_${accountIndex}`]) {
+      const email = process.env[`GMAIL_EMAIL_${accountIndex}`];
+      const password = process.env[`GMAIL_APP_PASSWORD_${accountIndex}`];
+
+      if (email && password) {
+        try {
+          const transporter = createTransport({
+            service: 'gmail',
+            auth: {
+              user: email,
+              pass: password
+            }
+          });
+
+          // Determine if it's a Google Workspace account
+          const isWorkspace = !email.endsWith('@gmail.com');
+          const dailyLimit = isWorkspace ? 2000 : 500;
+
+          this.accounts.push({
+            email,
+            // Also used to log in over IMAP for reply polling
+            password,
+            transporter,
+            dailyLimit,
+            isWorkspace
+          });
+
+          console.log(`✅ Initialized ${email} (${isWorkspace ? 'Google Workspace' : 'Gmail'}: ${dailyLimit}/day)`);
+        } catch (error) {
+          console.error(`Failed to initialize ${email}:`, error.message);
+        }
+      }
+      accountIndex++;
+    }
+
+    if (this.accounts.length === 0) {
+      console.warn('⚠️  No email accounts configured! Add GMAIL_EMAIL_1 and GMAIL_APP_PASSWORD_1 to .env');
+    } else {
+      const totalCapacity = this.accounts.reduce((sum, acc) => sum + acc.dailyLimit, 0);
+      console.log(`📧 Total daily email capacity: ${totalCapacity} emails/day`);
+    }
+  }
+
+  isConfigured() {
+    return this.accounts.length > 0;
+  }
+
+  // Mailboxes this transport can send as
+  accountEmails() {
+    return this.accounts.map(account => account.email.toLowerCase());
+  }
+
+  async hasCapacity() {
+    await this.refreshUsage();
+    return this.accounts.some(account => this.isAvailable(account));
+  }
+
+  // Record configured accounts so every instance shares limits and rotation state
+  async registerAccounts() {
+    if (this.accounts.length === 0) return;
+
+    try {
+      await supabase
+        .from('email_accounts')
+        .upsert(this.accounts.map(account => ({
+          email: account.email,
+          provider: 'gmail',
+          daily_limit: account.dailyLimit
+        })), { onConflict: 'email' });
+    } catch (error) {
+      console.error('Failed to register email accounts:', error.message);
+    }
+  }
+
+  // Load rolling 24h send counts and last-used times from the database.
+  // Counts are derived from email_logs so they survive restarts and are
+  // shared across instances.
+  async refreshUsage(force = false) {
+    if (!force && Date.now() - this.usageSyncedAt < this.usageTtlMs) return;
+
+    await this.accountsRegistered;
+
+    const since = new Date(Date.now() - QUOTA_WINDOW_MS).toISOString();
+    const [{ data: counts, error }, { data: rows }] = await Promise.all([
+      supabase.rpc('email_account_usage', { p_since: since }),
+      supabase
+        .from('email_accounts')
+        .select('email, last_used_at, health_status, quarantined_until, consecutive_failures, last_error, last_error_class, last_error_at, last_verified_at')
+    ]);
+
+    if (error) {
+      console.error('Failed to load email account usage:', error.message);
+      return;
+    }
+
+    this.usage.clear();
+    (counts || []).forEach(row => {
+      this.usage.set(row.sent_via, {
+        sent: Number(row.sent_count),
+        oldestSentAt: row.oldest_sent_at
+      });
+    });
+    (rows || []).forEach(row => {
+      this.usage.set(row.email, { sent: 0, ...this.usage.get(row.email), lastUsedAt: row.last_used_at });
+      this.health.set(row.email, {
+        status: row.health_status || 'healthy',
+        quarantinedUntil: row.quarantined_until,
+        consecutiveFailures: row.consecutive_failures || 0,
+        lastError: row.last_error,
+        lastErrorClass: row.last_error_class,
+        lastErrorAt: row.last_error_at,
+        lastVerifiedAt: row.last_verified_at
+      });
+    });
+
+    this.usageSyncedAt = Date.now();
+  }
+
+  sentInWindow(account) {
+    return this.usage.get(account.email)?.sent || 0;
+  }
+
+  remainingFor(account) {
+    return Math.max(account.dailyLimit - this.sentInWindow(account), 0);
+  }
+
+  healthOf(account) {
+    return this.health.get(account.email) || { status: 'healthy', consecutiveFailures: 0 };
+  }
+
+  isQuarantined(account) {
+    const { quarantinedUntil } = this.healthOf(account);
+    return Boolean(quarantinedUntil) && new Date(quarantinedUntil).getTime() > Date.now();
+  }
+
+  isAvailable(account) {
+    return this.remainingFor(account) > 0 && !this.isQuarantined(account);
+  }
+
+  // Healthy account with quota left, chosen by the rotation strategy
+  // (round-robin, weighted, sticky, alias-affinity). Round-robin claims the
+  // least recently used account with a conditional last_used_at update so two
+  // instances don't rotate onto the same account at once. `exclude` holds
+  // accounts that already failed this message.
+  async getNextAccount(exclude = new Set(), { strategy = 'round-robin', recipient = null, from = null, account: wanted = null } = {}) {
+    if (this.accounts.length === 0) return null;
+
+    await this.refreshUsage();
+
+    for (let attempt = 0; attempt < this.accounts.length; attempt++) {
+      const candidates = this.accounts
+        .filter(account => this.isAvailable(account) && !exclude.has(account.email));
+
+      // All accounts maxed out or quarantined
+      if (candidates.length === 0) return null;
+
+      // An alias's actual sender beats any strategy while it is available
+      const preferred = candidates.find(account => account.email.toLowerCase() === wanted?.toLowerCase())
+        || await this.preferredAccount(candidates, { strategy, recipient, from });
+      const account = preferred || this.leastRecentlyUsed(candidates);
+      const previous = this.usage.get(account.email)?.lastUsedAt || null;
+      const lastUsedAt = new Date().toISOString();
+
+      let claim = supabase
+        .from('email_accounts')
+        .update({ last_used_at: lastUsedAt })
+        .eq('email', account.email);
+      // A strategy's pick is deliberate, so only round-robin races for the claim
+      if (!preferred) {
+        claim = previous ? claim.eq('last_used_at', previous) : claim.is('last_used_at', null);
+      }
+
+      const { data: claimed, error } = await claim.select('email');
+
+      if (error || (claimed && claimed.length > 0)) {
+        this.usage.set(account.email, { sent: 0, ...this.usage.get(account.email), lastUsedAt });
+        return account;
+      }
+
+      // Another instance rotated first; reload and try again
+      await this.refreshUsage(true);
+    }
+
+    return null;
+  }
+
+  leastRecentlyUsed(candidates) {
+    return [...candidates].sort((a, b) => {
+      const aUsed = this.usage.get(a.email)?.lastUsedAt || '';
+      const bUsed = this.usage.get(b.email)?.lastUsedAt || '';
+      return aUsed < bUsed ? -1 : aUsed > bUsed ? 1 : 0;
+    })[0];
+  }
+
+  // The account a strategy wants, or null to fall back to round-robin
+  async preferredAccount(candidates, { strategy, recipient, from }) {
+    switch (strategy) {
+      case 'weighted':
+        return this.weightedAccount(candidates);
+      case 'sticky':
+        return recipient ? this.stickyAccount(candidates, recipient) : null;
+      case 'alias-affinity':
+        return from ? this.aliasAccount(candidates, from) : null;
+      default:
+        return null;
+    }
+  }
+
+  // Random pick weighted by remaining quota, so fuller accounts rest
+  weightedAccount(candidates) {
+    const total = candidates.reduce((sum, account) => sum + this.remainingFor(account), 0);
+    let pick = Math.random() * total;
+
+    for (const account of candidates) {
+      pick -= this.remainingFor(account);
+      if (pick < 0) return account;
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  // The account that last mailed this recipient (normalized), so follow-ups
+  // share a sender
+  async stickyAccount(candidates, recipient) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .select('sent_via')
+      .eq('recipient', recipient)
+      .eq('status', 'sent')
+      .in('sent_via', candidates.map(account => account.email))
+      .order('sent_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error || !data) return null;
+    return candidates.find(account => account.email === data.sent_via) || null;
+  }
+
+  // The account an alias is set up on: EMAIL_ALIAS_ACCOUNTS, then the account
+  // with the From address itself, then any account on the same domain
+  aliasAccount(candidates, from) {
+    const address = from.match(/<([^>]+)>/)?.[1].trim().toLowerCase() || from.trim().toLowerCase();
+    const mapped = this.aliasAccounts.get(address);
+    const domain = address.split('@')[1];
+
+    return candidates.find(account => account.email.toLowerCase() === mapped)
+      || candidates.find(account => account.email.toLowerCase() === address)
+      || this.leastRecentlyUsed(candidates.filter(account => account.email.toLowerCase().endsWith(`@${domain}`)))
+      || null;
+  }
+
+  recordSend(account) {
+    const current = this.usage.get(account.email) || { sent: 0 };
+    this.usage.set(account.email, {
+      ...current,
+      sent: current.sent + 1,
+      oldestSentAt: current.oldestSentAt || new Date().toISOString()
+    });
+  }
+
+  // Account-level failures (auth, quota, transient) move the message on to
+  // the next account; a refused message is the caller's problem. `rotation`
+  // is { strategy, recipient, from } from the orchestrator.
+  async send(message, rotation = {}) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (let attempt = 0; attempt < this.accounts.length; attempt++) {
+      const account = await this.getNextAccount(tried, rotation);
+      if (!account) break;
+
+      const from = message.from || `"Bowery Creative" <${account.email}>`;
+
+      try {
+        const info = await account.transporter.sendMail({
+          ...message,
+          from,
+          replyTo: message.replyTo || account.email,
+          dkim: await getSigningKey(from),
+          headers: {
+            'X-Mailer': 'Bowery Creative Email System',
+            'X-Sent-Via': account.email,
+            ...message.headers
+          }
+        });
+
+        // Count the send locally until the next refresh picks up the log row
+        this.recordSend(account);
+        await this.recordSuccess(account);
+
+        return {
+          messageId: info.messageId,
+          from: message.from || account.email,
+          sentVia: account.email,
+          remainingToday: this.remainingFor(account)
+        };
+      } catch (error) {
+        const errorClass = classifySmtpError(error);
+        error.classification = errorClass;
+
+        if (errorClass === 'message') throw error;
+
+        await this.recordFailure(account, errorClass, error);
+        tried.add(account.email);
+        lastError = error;
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    const error = new Error('No email account is available (daily limits reached or quarantined)');
+    error.capacity = true;
+    throw error;
+  }
+
+  async updateHealth(account, health) {
+    const next = { ...this.healthOf(account), ...health };
+    this.health.set(account.email, next);
+
+    try {
+      await supabase
+        .from('email_accounts')
+        .update({
+          health_status: next.status,
+          quarantined_until: next.quarantinedUntil || null,
+          consecutive_failures: next.consecutiveFailures,
+          last_error: next.lastError || null,
+          last_error_class: next.lastErrorClass || null,
+          last_error_at: next.lastErrorAt || null,
+          last_verified_at: next.lastVerifiedAt || null
+        })
+        .eq('email', account.email);
+    } catch (error) {
+      console.error(`Failed to save health for ${account.email}:`, error.message);
+    }
+  }
+
+  // Only writes when there is something to clear
+  async recordSuccess(account) {
+    const health = this.healthOf(account);
+    if (health.status === 'healthy' && !health.consecutiveFailures) return;
+
+    await this.updateHealth(account, { status: 'healthy', quarantinedUntil: null, consecutiveFailures: 0 });
+  }
+
+  // Auth and quota failures quarantine straight away; transient ones after
+  // EMAIL_TRANSIENT_THRESHOLD in a row
+  async recordFailure(account, errorClass, error) {
+    const failures = this.healthOf(account).consecutiveFailures + 1;
+    const quarantine = errorClass !== 'transient' || failures >= this.transientThreshold;
+    const until = quarantine ? new Date(Date.now() + this.cooldowns[errorClass]).toISOString() : null;
+
+    if (quarantine) {
+      console.error(`🚧 Quarantined ${account.email} until ${until} (${errorClass}: ${error.message})`);
+    }
+
+    await this.updateHealth(account, {
+      status: quarantine ? 'quarantined' : 'degraded',
+      quarantinedUntil: until,
+      consecutiveFailures: failures,
+      lastError: error.message,
+      lastErrorClass: errorClass,
+      lastErrorAt: new Date().toISOString()
+    });
+  }
+
+  // SMTP login check for every account. A passing verify lifts auth and
+  // transient quarantines early; quota ones have to wait out the cool-down.
+  async verifyAccounts() {
+    await this.refreshUsage(true);
+
+    return Promise.all(this.accounts.map(async account => {
+      const verifiedAt = new Date().toISOString();
+
+      try {
+        await account.transporter.verify();
+
+        const health = this.healthOf(account);
+        const recovered = health.status !== 'healthy' && health.lastErrorClass !== 'quota';
+
+        if (recovered) {
+          console.log(`✅ ${account.email} verified again, back in rotation`);
+        }
+
+        await this.updateHealth(account, recovered
+          ? { status: 'healthy', quarantinedUntil: null, consecutiveFailures: 0, lastVerifiedAt: verifiedAt }
+          : { lastVerifiedAt: verifiedAt });
+
+        return { email: account.email, ok: true };
+      } catch (error) {
+        const errorClass = classifySmtpError(error);
+        console.error(`❌ Verify failed for ${account.email} (${errorClass}):`, error.message);
+        await this.recordFailure(account, errorClass === 'message' ? 'transient' : errorClass, error);
+        await this.updateHealth(account, { lastVerifiedAt: verifiedAt });
+
+        return { email: account.email, ok: false, errorClass, error: error.message };
+      }
+    }));
+  }
+
+  // Verify now and then every EMAIL_VERIFY_INTERVAL_MS
+  startHealthChecks() {
+    if (this.healthTimer || this.accounts.length === 0) return;
+
+    this.verifyAccounts().catch(error => console.error('Account verify failed:', error.message));
+    this.healthTimer = setInterval(() => {
+      this.verifyAccounts().catch(error => console.error('Account verify failed:', error.message));
+    }, this.verifyIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  async getStats() {
+    await this.refreshUsage(true);
+
+    return {
+      accounts: this.accounts.map(account => {
+        const usage = this.usage.get(account.email) || {};
+        const remaining = this.remainingFor(account);
+        const health = this.healthOf(account);
+        const quarantined = this.isQuarantined(account);
+
+        return {
+          email: account.email,
+          type: account.isWorkspace ? 'Google Workspace' : 'Gmail',
+          sentToday: this.sentInWindow(account),
+          remainingToday: remaining,
+          dailyLimit: account.dailyLimit,
+          lastUsedAt: usage.lastUsedAt || null,
+          health: {
+            ...health,
+            // A lapsed quarantine shows as degraded until the next good send
+            status: !quarantined && health.status === 'quarantined' ? 'degraded' : health.status,
+            quarantined
+          },
+          // When the oldest send in the window rolls off and frees capacity
+          nextCapacityAt: remaining === 0 && usage.oldestSentAt
+            ? new Date(new Date(usage.oldestSentAt).getTime() + QUOTA_WINDOW_MS).toISOString()
+            : null
+        };
+      }),
+      quotaWindow: 'rolling 24h',
+      healthyAccounts: this.accounts.filter(acc => !this.isQuarantined(acc)).length,
+      totalSentToday: this.accounts.reduce((sum, acc) => sum + this.sentInWindow(acc), 0),
+      totalRemainingToday: this.accounts.reduce((sum, acc) => sum + this.remainingFor(acc), 0),
+      totalDailyCapacity: this.accounts.reduce((sum, acc) => sum + acc.dailyLimit, 0)
+    };
+  }
+}
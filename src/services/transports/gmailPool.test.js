@@ -0,0 +1,242 @@
+import { supabaseStub } from '@supabase/supabase-js';
+import { GmailPoolTransport } from './gmailPool.js';
+
+let pool;
+
+beforeEach(() => {
+  supabaseStub.reset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('account quotas', () => {
+  const account = (email, dailyLimit = 500) => ({ email, dailyLimit, transporter: {} });
+
+  beforeEach(() => {
+    pool = new GmailPoolTransport();
+    pool.accounts = [account('a@example.com'), account('b@example.com', 2)];
+  });
+
+  test('counts sends in the rolling window from the logs', async () => {
+    supabaseStub.respond('rpc:email_account_usage', {
+      data: [{ sent_via: 'b@example.com', sent_count: '2', oldest_sent_at: '2030-01-01T08:00:00.000Z' }]
+    });
+    supabaseStub.respond('email_accounts', { data: [{ email: 'a@example.com', last_used_at: '2030-01-01T09:00:00Z' }] });
+
+    const stats = await pool.getStats();
+
+    const since = Date.parse(supabaseStub.on('rpc:email_account_usage')[0].values.p_since);
+    expect(Date.now() - since).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+    expect(stats.accounts.map(({ sentToday, remainingToday, nextCapacityAt }) => ({ sentToday, remainingToday, nextCapacityAt })))
+      .toEqual([
+        { sentToday: 0, remainingToday: 500, nextCapacityAt: null },
+        { sentToday: 2, remainingToday: 0, nextCapacityAt: '2030-01-02T08:00:00.000Z' }
+      ]);
+    expect(stats.totalRemainingToday).toBe(500);
+  });
+
+  test('picks the least recently used account with quota left', async () => {
+    supabaseStub.respond('rpc:email_account_usage', { data: [] });
+    supabaseStub.respond('email_accounts', query => ({
+      data: query.action === 'update'
+        ? [{ email: query.args('eq')[1] }]
+        : [{ email: 'a@example.com', last_used_at: '2030-01-01T09:00:00Z' }, { email: 'b@example.com', last_used_at: null }]
+    }));
+
+    expect((await pool.getNextAccount()).email).toBe('b@example.com');
+    expect(supabaseStub.on('email_accounts', 'update')[0].args('is')).toEqual(['last_used_at', null]);
+  });
+
+  test('skips accounts that are maxed out and gives up when all are', async () => {
+    supabaseStub.respond('rpc:email_account_usage', {
+      data: [{ sent_via: 'b@example.com', sent_count: '2' }]
+    });
+    supabaseStub.respond('email_accounts', query => ({ data: query.action === 'update' ? [{}] : [] }));
+
+    expect((await pool.getNextAccount()).email).toBe('a@example.com');
+
+    pool.usage.set('a@example.com', { sent: 500 });
+    expect(await pool.getNextAccount()).toBeNull();
+  });
+
+  test('moves on when another instance claims the account first', async () => {
+    supabaseStub.respond('rpc:email_account_usage', { data: [] });
+    supabaseStub.respondOnce('email_accounts', { data: [] });
+    supabaseStub.respondOnce('email_accounts', { data: [] });
+    supabaseStub.respondOnce('email_accounts', { data: [{ email: 'a@example.com', last_used_at: '2030-01-01T09:00:00Z' }] });
+    supabaseStub.respond('email_accounts', { data: [{}] });
+
+    expect((await pool.getNextAccount()).email).toBe('b@example.com');
+  });
+});
+
+describe('send', () => {
+  beforeEach(() => {
+    pool = new GmailPoolTransport();
+    pool.usageSyncedAt = Date.now();
+  });
+
+  test('sends from the account it picked and counts the send', async () => {
+    const sendMail = jest.fn().mockResolvedValue({ messageId: '<1@gmail>' });
+    pool.accounts = [{ email: 'a@example.com', dailyLimit: 500, transporter: { sendMail } }];
+    supabaseStub.respond('email_accounts', { data: [{}] });
+
+    const result = await pool.send({ to: 'patient@example.com', subject: 'Hi', headers: { 'X-Campaign': '1' } });
+
+    expect(sendMail.mock.calls[0][0]).toMatchObject({
+      from: '"Bowery Creative" <a@example.com>',
+      replyTo: 'a@example.com',
+      headers: { 'X-Sent-Via': 'a@example.com', 'X-Campaign': '1' }
+    });
+    expect(result).toEqual({ messageId: '<1@gmail>', from: 'a@example.com', sentVia: 'a@example.com', remainingToday: 499 });
+  });
+
+  test('reports a capacity error when every account is at its limit', async () => {
+    pool.accounts = [{ email: 'a@example.com', dailyLimit: 1, transporter: {} }];
+    pool.usage.set('a@example.com', { sent: 1 });
+
+    expect(await pool.hasCapacity()).toBe(false);
+    await expect(pool.send({ to: 'patient@example.com' })).rejects.toMatchObject({ capacity: true });
+  });
+});
+
+describe('account health', () => {
+  const failing = (error) => jest.fn().mockRejectedValue(Object.assign(new Error(error.message), error));
+  const healthUpdates = () => supabaseStub.on('email_accounts', 'update').filter(query => query.values.health_status);
+
+  beforeEach(() => {
+    pool = new GmailPoolTransport();
+    pool.usageSyncedAt = Date.now();
+    supabaseStub.respond('email_accounts', { data: [{}] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('quarantines an account whose login is rejected and sends from the next one', async () => {
+    const sendMail = jest.fn().mockResolvedValue({ messageId: '<1@gmail>' });
+    pool.accounts = [
+      { email: 'a@example.com', dailyLimit: 500, transporter: { sendMail: failing({ message: 'Invalid login', code: 'EAUTH' }) } },
+      { email: 'b@example.com', dailyLimit: 500, transporter: { sendMail } }
+    ];
+
+    const result = await pool.send({ to: 'patient@example.com' });
+
+    expect(result.sentVia).toBe('b@example.com');
+    expect(pool.isQuarantined(pool.accounts[0])).toBe(true);
+    expect(healthUpdates()[0].values).toMatchObject({ health_status: 'quarantined', last_error_class: 'auth', consecutive_failures: 1 });
+    expect(healthUpdates()[0].args('eq')).toEqual(['email', 'a@example.com']);
+  });
+
+  test('a refused message is thrown without trying another account', async () => {
+    const sendMail = jest.fn();
+    pool.accounts = [
+      { email: 'a@example.com', dailyLimit: 500, transporter: { sendMail: failing({ message: 'Recipient refused', code: 'EENVELOPE' }) } },
+      { email: 'b@example.com', dailyLimit: 500, transporter: { sendMail } }
+    ];
+
+    await expect(pool.send({ to: 'nobody@example.com' })).rejects.toMatchObject({ classification: 'message' });
+    expect(sendMail).not.toHaveBeenCalled();
+    expect(healthUpdates()).toHaveLength(0);
+  });
+
+  test('transient failures only quarantine after the threshold', async () => {
+    pool.transientThreshold = 2;
+    pool.accounts = [{ email: 'a@example.com', dailyLimit: 500, transporter: { sendMail: failing({ message: 'timeout', code: 'ETIMEDOUT' }) } }];
+
+    await expect(pool.send({ to: 'patient@example.com' })).rejects.toMatchObject({ classification: 'transient' });
+    expect(pool.healthOf(pool.accounts[0]).status).toBe('degraded');
+    expect(pool.isQuarantined(pool.accounts[0])).toBe(false);
+
+    await expect(pool.send({ to: 'patient@example.com' })).rejects.toMatchObject({ classification: 'transient' });
+    expect(pool.isQuarantined(pool.accounts[0])).toBe(true);
+    await expect(pool.send({ to: 'patient@example.com' })).rejects.toMatchObject({ capacity: true });
+  });
+
+  test('a passing verify lifts an auth quarantine but not a quota one', async () => {
+    const until = new Date(Date.now() + 3600000).toISOString();
+    const verify = jest.fn().mockResolvedValue(true);
+    pool.accounts = [
+      { email: 'a@example.com', dailyLimit: 500, transporter: { verify } },
+      { email: 'b@example.com', dailyLimit: 500, transporter: { verify } }
+    ];
+    supabaseStub.respond('email_accounts', query => ({
+      data: query.action === 'select'
+        ? [
+          { email: 'a@example.com', health_status: 'quarantined', quarantined_until: until, consecutive_failures: 1, last_error_class: 'auth' },
+          { email: 'b@example.com', health_status: 'quarantined', quarantined_until: until, consecutive_failures: 1, last_error_class: 'quota' }
+        ]
+        : null
+    }));
+
+    const results = await pool.verifyAccounts();
+
+    expect(results).toEqual([{ email: 'a@example.com', ok: true }, { email: 'b@example.com', ok: true }]);
+    expect(pool.isQuarantined(pool.accounts[0])).toBe(false);
+    expect(pool.isQuarantined(pool.accounts[1])).toBe(true);
+  });
+});
+
+describe('rotation strategies', () => {
+  const account = (email, sent = 0) => ({ email, dailyLimit: 500, sent, transporter: {} });
+
+  beforeEach(() => {
+    pool = new GmailPoolTransport();
+    pool.usageSyncedAt = Date.now();
+    pool.accounts = [account('a@example.com'), account('b@example.com'), account('c@bowerycreative.com')];
+    pool.usage = new Map([
+      ['a@example.com', { sent: 400, lastUsedAt: '2020-01-01T09:00:00Z' }],
+      ['b@example.com', { sent: 0, lastUsedAt: '2020-01-01T10:00:00Z' }],
+      ['c@bowerycreative.com', { sent: 0, lastUsedAt: '2020-01-01T11:00:00Z' }]
+    ]);
+    supabaseStub.respond('email_accounts', query => ({ data: [{ email: query.args('eq')[1] }] }));
+  });
+
+  test('round-robin takes the least recently used account and races for it', async () => {
+    expect((await pool.getNextAccount()).email).toBe('a@example.com');
+    expect(supabaseStub.on('email_accounts', 'update')[0].all('eq')).toContainEqual(['last_used_at', '2020-01-01T09:00:00Z']);
+  });
+
+  test('weighted picks in proportion to remaining quota', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.05);
+    expect((await pool.getNextAccount(new Set(), { strategy: 'weighted' })).email).toBe('a@example.com');
+
+    Math.random.mockReturnValue(0.2);
+    expect((await pool.getNextAccount(new Set(), { strategy: 'weighted' })).email).toBe('b@example.com');
+    // A deliberate pick is not a round-robin race
+    expect(supabaseStub.on('email_accounts', 'update')[1].all('eq')).toEqual([['email', 'b@example.com']]);
+  });
+
+  test('sticky reuses the account that last mailed the recipient', async () => {
+    supabaseStub.respond('email_logs', { data: { sent_via: 'b@example.com' } });
+
+    const picked = await pool.getNextAccount(new Set(), { strategy: 'sticky', recipient: 'ann@example.com' });
+
+    const [lookup] = supabaseStub.on('email_logs');
+    expect(picked.email).toBe('b@example.com');
+    expect(lookup.all('eq')).toEqual([['recipient', 'ann@example.com'], ['status', 'sent']]);
+  });
+
+  test('sticky falls back to round-robin for a new recipient or an unavailable account', async () => {
+    expect((await pool.getNextAccount(new Set(), { strategy: 'sticky', recipient: 'new@example.com' })).email).toBe('a@example.com');
+
+    supabaseStub.respond('email_logs', { data: { sent_via: 'b@example.com' } });
+    const picked = await pool.getNextAccount(new Set(['b@example.com']), { strategy: 'sticky', recipient: 'ann@example.com' });
+    expect(picked.email).toBe('c@bowerycreative.com');
+  });
+
+  test('alias-affinity sends from the account the alias lives on', async () => {
+    pool.aliasAccounts = new Map([['hello@example.com', 'b@example.com']]);
+
+    expect((await pool.getNextAccount(new Set(), { strategy: 'alias-affinity', from: 'Hi <Hello@example.com>' })).email)
+      .toBe('b@example.com');
+    expect((await pool.getNextAccount(new Set(), { strategy: 'alias-affinity', from: 'c@bowerycreative.com' })).email)
+      .toBe('c@bowerycreative.com');
+    expect((await pool.getNextAccount(new Set(), { strategy: 'alias-affinity', from: 'team@bowerycreative.com' })).email)
+      .toBe('c@bowerycreative.com');
+    expect((await pool.getNextAccount(new Set(), { strategy: 'alias-affinity', from: 'x@other.com' })).email)
+      .toBe('a@example.com');
+  });
+});
@@ -0,0 +1,28 @@
+import { GmailPoolTransport } from './gmailPool.js';
+import { PostalTransport } from './postal.js';
+import { SmtpTransport } from './smtp.js';
+import { ResendTransport } from './resend.js';
+import { CaptureTransport } from './capture.js';
+
+export { ROTATION_STRATEGIES } from './gmailPool.js';
+
+// Fallback order when EMAIL_TRANSPORT_ORDER is not set. Capture is never
+// used unless asked for.
+export const DEFAULT_TRANSPORT_ORDER = ['gmail', 'postal', 'smtp', 'resend'];
+
+export function createTransports() {
+  const transports = [
+    new GmailPoolTransport(),
+    new PostalTransport(),
+    new SmtpTransport(),
+    new ResendTransport(),
+    new CaptureTransport()
+  ];
+
+  return new Map(transports.map(transport => [transport.name, transport]));
+}
+
+export function parseTransportOrder(value) {
+  if (!value) return null;
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
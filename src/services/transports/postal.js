@@ -0,0 +1,67 @@
+import { createTransport } from 'nodemailer';
+import { getSigningKey } from '../sendingDomains.js';
+
+// Self-hosted Postal server over SMTP (POSTAL_HOST, POSTAL_PORT, POSTAL_API_KEY)
+export class PostalTransport {
+  constructor() {
+    this.name = 'postal';
+    this.transporter = null;
+
+    const postalHost = process.env.POSTAL_HOST;
+    const postalPort = process.env.POSTAL_PORT || 25;
+    const postalApiKey = process.env.POSTAL_API_KEY;
+
+    if (postalHost && postalApiKey) {
+      try {
+        this.transporter = createTransport({
+          host: postalHost,
+          port: parseInt(postalPort),
+          secure: false,
+          auth: {
+            user: 'apikey',
+            pass: postalApiKey
+          },
+          tls: {
+            rejectUnauthorized: false
+          }
+        });
+        console.log('✅ Postal server initialized (UNLIMITED emails!)');
+      } catch (error) {
+        console.error('Failed to initialize Postal:', error.message);
+      }
+    }
+  }
+
+  isConfigured() {
+    return this.transporter !== null;
+  }
+
+  async hasCapacity() {
+    return true;
+  }
+
+  async send(message) {
+    const from = message.from || '"Bowery Creative" <noreply@bowerycreativeagency.com>';
+
+    const info = await this.transporter.sendMail({
+      ...message,
+      from,
+      dkim: await getSigningKey(from),
+      headers: {
+        'X-Mailer': 'Bowery Creative Postal Server',
+        ...message.headers
+      }
+    });
+
+    return {
+      messageId: info.messageId,
+      from: message.from || 'noreply@bowerycreativeagency.com',
+      sentVia: this.name,
+      remainingToday: 'unlimited'
+    };
+  }
+
+  async getStats() {
+    return { remainingToday: 'unlimited' };
+  }
+}
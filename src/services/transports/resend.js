@@ -0,0 +1,96 @@
+// Resend HTTP API (RESEND_API_KEY)
+export class ResendTransport {
+  constructor() {
+    this.name = 'resend';
+    this.apiKey = process.env.RESEND_API_KEY;
+    this.defaultFrom = process.env.RESEND_FROM || 'Bowery Creative <noreply@bowerycreativeagency.com>';
+
+    if (this.apiKey) {
+      console.log('✅ Resend API initialized');
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async hasCapacity() {
+    return true;
+  }
+
+  // Resend takes base64 strings rather than nodemailer's Buffer/stream content
+  toResendAttachment(attachment) {
+    if (attachment.path) {
+      return { filename: attachment.filename, path: attachment.path };
+    }
+
+    const content = Buffer.isBuffer(attachment.content)
+      ? attachment.content.toString('base64')
+      : Buffer.from(attachment.content || '', attachment.encoding || 'utf8').toString('base64');
+
+    return {
+      filename: attachment.filename,
+      content,
+      ...(attachment.contentType && { content_type: attachment.contentType }),
+      // Inline image referenced from the HTML as cid:...
+      ...(attachment.cid && { content_id: attachment.cid })
+    };
+  }
+
+  async send(message) {
+    const from = message.from || this.defaultFrom;
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from,
+        to: Array.isArray(message.to) ? message.to : [message.to],
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        reply_to: message.replyTo,
+        headers: {
+          ...message.headers,
+          // Our Message-ID, so replies and bounces can be matched to the log row
+          ...(message.messageId && { 'Message-ID': message.messageId }),
+          ...(message.inReplyTo && {
+            'In-Reply-To': message.inReplyTo,
+            References: [].concat(message.references || []).join(' ')
+          })
+        },
+        attachments: (message.attachments || []).map(attachment => this.toResendAttachment(attachment))
+      })
+    });
+
+    // Error responses from a proxy or an outage may not be JSON
+    const body = await response.text();
+    let data;
+    try {
+      data = JSON.parse(body) || {};
+    } catch {
+      data = {};
+    }
+
+    if (!response.ok) {
+      const error = new Error(data.message || `Failed to send email (HTTP ${response.status})`);
+      // 429 means we're being rate limited, not that the message is bad
+      error.capacity = response.status === 429;
+      throw error;
+    }
+
+    return {
+      messageId: message.messageId || data.id,
+      from,
+      sentVia: this.name,
+      remainingToday: 'unlimited'
+    };
+  }
+
+  async getStats() {
+    return { remainingToday: 'unlimited' };
+  }
+}
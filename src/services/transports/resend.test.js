@@ -0,0 +1,68 @@
+import { ResendTransport } from './resend.js';
+
+const reply = (status, body) => ({
+  ok: status < 300,
+  status,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+});
+
+const realFetch = global.fetch;
+let resend;
+
+beforeEach(() => {
+  resend = new ResendTransport();
+  resend.apiKey = 're_test';
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test('posts the message with base64 attachments', async () => {
+  global.fetch.mockResolvedValue(reply(200, { id: 'resend-1' }));
+
+  const result = await resend.send({
+    to: 'patient@example.com',
+    subject: 'Hi',
+    html: '<p>Hi</p>',
+    attachments: [{ filename: 'a.txt', content: 'hello' }]
+  });
+
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body.to).toEqual(['patient@example.com']);
+  expect(body.attachments).toEqual([{ filename: 'a.txt', content: Buffer.from('hello').toString('base64') }]);
+  expect(result).toMatchObject({ messageId: 'resend-1', sentVia: 'resend' });
+});
+
+test('marks a 429 as a capacity error, not a bad message', async () => {
+  global.fetch.mockResolvedValueOnce(reply(429, { message: 'Too many requests' }));
+  global.fetch.mockResolvedValueOnce(reply(422, { message: 'Invalid `to` field' }));
+
+  await expect(resend.send({ to: 'patient@example.com' })).rejects.toMatchObject({ message: 'Too many requests', capacity: true });
+  await expect(resend.send({ to: 'nobody' })).rejects.toMatchObject({ message: 'Invalid `to` field', capacity: false });
+});
+
+test('sends our Message-ID and threading headers and reports that id', async () => {
+  global.fetch.mockResolvedValue(reply(200, { id: 'resend-1' }));
+
+  const result = await resend.send({
+    to: 'patient@example.com',
+    messageId: '<log-1@bowerycreativeagency.com>',
+    inReplyTo: '<their-1@example.com>',
+    references: ['<ours-0@bowerycreativeagency.com>', '<their-1@example.com>']
+  });
+
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).headers).toEqual({
+    'Message-ID': '<log-1@bowerycreativeagency.com>',
+    'In-Reply-To': '<their-1@example.com>',
+    References: '<ours-0@bowerycreativeagency.com> <their-1@example.com>'
+  });
+  expect(result.messageId).toBe('<log-1@bowerycreativeagency.com>');
+});
+
+test('an error page that is not JSON still reports the status', async () => {
+  global.fetch.mockResolvedValue(reply(502, '<html>Bad Gateway</html>'));
+
+  await expect(resend.send({ to: 'patient@example.com' })).rejects.toThrow('Failed to send email (HTTP 502)');
+});
@@ -0,0 +1,65 @@
+import { createTransport } from 'nodemailer';
+import { getSigningKey } from '../sendingDomains.js';
+
+// Any other SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+export class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+    this.defaultFrom = process.env.SMTP_FROM || '"Bowery Creative" <noreply@bowerycreativeagency.com>';
+
+    if (process.env.SMTP_HOST) {
+      try {
+        this.transporter = createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587'),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+        console.log(`✅ SMTP relay initialized (${process.env.SMTP_HOST})`);
+      } catch (error) {
+        console.error('Failed to initialize SMTP relay:', error.message);
+      }
+    }
+  }
+
+  isConfigured() {
+    return this.transporter !== null;
+  }
+
+  accountEmails() {
+    const user = process.env.SMTP_USER || '';
+    return user.includes('@') ? [user.toLowerCase()] : [];
+  }
+
+  async hasCapacity() {
+    return true;
+  }
+
+  async send(message) {
+    const from = message.from || this.defaultFrom;
+
+    const info = await this.transporter.sendMail({
+      ...message,
+      from,
+      dkim: await getSigningKey(from),
+      headers: {
+        'X-Mailer': 'Bowery Creative Email System',
+        ...message.headers
+      }
+    });
+
+    return {
+      messageId: info.messageId,
+      from,
+      sentVia: this.name,
+      remainingToday: 'unlimited'
+    };
+  }
+
+  async getStats() {
+    return { host: process.env.SMTP_HOST };
+  }
+}
@@ -0,0 +1,21 @@
+// Sort an SMTP/nodemailer error into what it says about the sending account:
+//   auth      - credentials rejected (revoked app password, 2FA change)
+//   quota     - the provider is refusing to send more for now
+//   transient - network trouble or a temporary 4xx; may clear on its own
+//   message   - this message or recipient was refused; the account is fine
+
+const QUOTA_PATTERN = /(sending|daily|user).{0,20}(limit|quota)|quota exceeded|rate limit|too many (messages|emails|recipients)|5\.4\.5|4\.7\.28/i;
+const AUTH_CODES = new Set([530, 534, 535]);
+const NETWORK_CODES = new Set(['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETLS']);
+
+export function classifySmtpError(error) {
+  const code = error?.code;
+  const status = Number(error?.responseCode) || null;
+  const text = `${error?.response || ''} ${error?.message || ''}`;
+
+  if (code === 'EAUTH' || AUTH_CODES.has(status)) return 'auth';
+  if (QUOTA_PATTERN.test(text)) return 'quota';
+  if (code === 'EENVELOPE' || code === 'EMESSAGE') return 'message';
+  if (NETWORK_CODES.has(code) || (status >= 400 && status < 500) || !status) return 'transient';
+  return 'message';
+}
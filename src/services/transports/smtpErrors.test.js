@@ -0,0 +1,25 @@
+import { classifySmtpError } from './smtpErrors.js';
+
+const smtpError = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+test('rejected credentials are auth errors', () => {
+  expect(classifySmtpError(smtpError('Invalid login', { code: 'EAUTH' }))).toBe('auth');
+  expect(classifySmtpError(smtpError('Username and Password not accepted', { responseCode: 535 }))).toBe('auth');
+});
+
+test('provider sending limits are quota errors', () => {
+  expect(classifySmtpError(smtpError('Message rejected', { responseCode: 550, response: '550 5.4.5 Daily user sending quota exceeded' })))
+    .toBe('quota');
+  expect(classifySmtpError(smtpError('421 4.7.28 Too many messages from this account', { responseCode: 421 }))).toBe('quota');
+});
+
+test('network trouble, temporary replies and unknown errors are transient', () => {
+  expect(classifySmtpError(smtpError('Connection timeout', { code: 'ETIMEDOUT' }))).toBe('transient');
+  expect(classifySmtpError(smtpError('Service not available', { responseCode: 421 }))).toBe('transient');
+  expect(classifySmtpError(new Error('socket hang up'))).toBe('transient');
+});
+
+test('a refused message or recipient leaves the account alone', () => {
+  expect(classifySmtpError(smtpError('Recipient refused', { code: 'EENVELOPE', responseCode: 550 }))).toBe('message');
+  expect(classifySmtpError(smtpError('Message too large', { responseCode: 552 }))).toBe('message');
+});
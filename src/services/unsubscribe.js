@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { suppress, normalizeAddress } from './suppression.js';
+
+dotenv.config();
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Public URL of this backend, where /api/unsubscribe is served
+const baseUrl = (process.env.UNSUBSCRIBE_BASE_URL
+  || process.env.TRACKING_BASE_URL
+  || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+// Tokens are only as good as the secret, so there is no default and no
+// borrowing another purpose's key: without UNSUBSCRIBE_SECRET no token is
+// signed or accepted
+const secret = process.env.UNSUBSCRIBE_SECRET || null;
+
+export const isUnsubscribeConfigured = () => Boolean(secret);
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Token = base64url(JSON { e: email, c: clientId, m: campaignId }).signature
+export function createUnsubscribeToken({ email, clientId = null, campaignId = null }) {
+  if (!secret) {
+    throw new Error('UNSUBSCRIBE_SECRET must be set to send mail with unsubscribe links');
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    e: normalizeAddress(email),
+    c: clientId,
+    m: campaignId
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns { email, clientId, campaignId } or null if the token was tampered with
+export function verifyUnsubscribeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!secret || !payload || !signature) return null;
+
+  const expected = sign(payload);
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { e, c, m } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return e ? { email: e, clientId: c || null, campaignId: m || null } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function unsubscribeUrl(token) {
+  return `${baseUrl}/api/unsubscribe/${token}`;
+}
+
+// Per-recipient link and the RFC 2369 / RFC 8058 one-click headers
+// Gmail and Yahoo require from bulk senders
+export function unsubscribeFor({ email, clientId = null, campaignId = null }) {
+  const url = unsubscribeUrl(createUnsubscribeToken({ email, clientId, campaignId }));
+  const mailto = process.env.UNSUBSCRIBE_MAILTO;
+
+  return {
+    url,
+    headers: {
+      'List-Unsubscribe': mailto
+        ? `<${url}>, <mailto:${mailto}?subject=unsubscribe>`
+        : `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+// Mark the contact unsubscribed and keep them off future sends for that
+// client. Tokens without a client (agency campaigns) suppress globally.
+export async function unsubscribe(token, { source = 'link' } = {}) {
+  const recipient = verifyUnsubscribeToken(token);
+  if (!recipient) return null;
+
+  if (recipient.clientId) {
+    const { error } = await supabase
+      .from('client_contacts')
+      .update({ status: 'unsubscribed' })
+      .eq('client_id', recipient.clientId)
+      .ilike('email', recipient.email.replace(/[\\%_]/g, '\\$&'));
+
+    if (error) throw error;
+  }
+
+  await suppress({
+    email: recipient.email,
+    clientId: recipient.clientId,
+    reason: 'unsubscribe',
+    source,
+    details: { campaignId: recipient.campaignId }
+  });
+
+  return recipient;
+}
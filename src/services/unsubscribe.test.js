@@ -0,0 +1,96 @@
+// The secret is read once, when the module loads. The Supabase stand-in
+// comes along, since each load gets its own.
+function loadUnsubscribe(env) {
+  let unsubscribe;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    unsubscribe = { ...require('./unsubscribe.js'), supabaseStub: require('@supabase/supabase-js').supabaseStub };
+  });
+  return unsubscribe;
+}
+
+const configured = { UNSUBSCRIBE_SECRET: 'unsubscribe-secret', UNSUBSCRIBE_BASE_URL: 'https://api.example.com/' };
+
+afterEach(() => {
+  ['UNSUBSCRIBE_SECRET', 'UNSUBSCRIBE_BASE_URL', 'UNSUBSCRIBE_MAILTO', 'TRACKING_SECRET'].forEach(name => {
+    delete process.env[name];
+  });
+  jest.restoreAllMocks();
+});
+
+describe('unsubscribe tokens', () => {
+  test('round-trip the normalized address, client and campaign', () => {
+    const { createUnsubscribeToken, verifyUnsubscribeToken } = loadUnsubscribe(configured);
+    const token = createUnsubscribeToken({ email: 'Ann <Ann@Example.com>', clientId: 'client-1', campaignId: 'campaign-1' });
+
+    expect(verifyUnsubscribeToken(token)).toEqual({ email: 'ann@example.com', clientId: 'client-1', campaignId: 'campaign-1' });
+  });
+
+  test('a changed payload or signature is refused', () => {
+    const { createUnsubscribeToken, verifyUnsubscribeToken } = loadUnsubscribe(configured);
+    const [payload, signature] = createUnsubscribeToken({ email: 'ann@example.com', clientId: 'client-1' }).split('.');
+    const otherPayload = Buffer.from(JSON.stringify({ e: 'bob@example.com', c: 'client-1', m: null })).toString('base64url');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    expect(verifyUnsubscribeToken(`${otherPayload}.${signature}`)).toBeNull();
+    expect(verifyUnsubscribeToken(`${payload}.${flipped}`)).toBeNull();
+    expect(verifyUnsubscribeToken(`${payload}.${signature.slice(2)}`)).toBeNull();
+    expect(verifyUnsubscribeToken(payload)).toBeNull();
+    expect(verifyUnsubscribeToken(undefined)).toBeNull();
+  });
+
+  test('a token signed with another secret is refused', () => {
+    const token = loadUnsubscribe({ ...configured, UNSUBSCRIBE_SECRET: 'old-secret' })
+      .createUnsubscribeToken({ email: 'ann@example.com' });
+
+    expect(loadUnsubscribe(configured).verifyUnsubscribeToken(token)).toBeNull();
+  });
+
+  test('without UNSUBSCRIBE_SECRET nothing is signed or accepted', () => {
+    const token = loadUnsubscribe(configured).createUnsubscribeToken({ email: 'ann@example.com' });
+    delete process.env.UNSUBSCRIBE_SECRET;
+    const { createUnsubscribeToken, verifyUnsubscribeToken, isUnsubscribeConfigured } = loadUnsubscribe({
+      TRACKING_SECRET: 'tracking-secret'
+    });
+
+    expect(isUnsubscribeConfigured()).toBe(false);
+    expect(() => createUnsubscribeToken({ email: 'ann@example.com' })).toThrow('UNSUBSCRIBE_SECRET must be set');
+    expect(verifyUnsubscribeToken(token)).toBeNull();
+  });
+});
+
+describe('unsubscribeFor', () => {
+  test('gives the link and one-click List-Unsubscribe headers', () => {
+    const { unsubscribeFor } = loadUnsubscribe({ ...configured, UNSUBSCRIBE_MAILTO: 'unsubscribe@example.com' });
+
+    const { url, headers } = unsubscribeFor({ email: 'ann@example.com' });
+
+    expect(url).toMatch(/^https:\/\/api\.example\.com\/api\/unsubscribe\/[\w-]+\.[\w-]+$/);
+    expect(headers).toEqual({
+      'List-Unsubscribe': `<${url}>, <mailto:unsubscribe@example.com?subject=unsubscribe>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+  });
+});
+
+describe('unsubscribe', () => {
+  test('marks the client contact and suppresses the address for that client', async () => {
+    const { createUnsubscribeToken, unsubscribe, supabaseStub } = loadUnsubscribe(configured);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const recipient = await unsubscribe(createUnsubscribeToken({ email: 'ann_b@example.com', clientId: 'client-1' }));
+
+    const [contact] = supabaseStub.on('client_contacts', 'update');
+    expect(recipient.email).toBe('ann_b@example.com');
+    expect(contact.args('ilike')).toEqual(['email', 'ann\\_b@example.com']);
+    expect(supabaseStub.on('email_suppressions', 'insert')[0].values)
+      .toMatchObject({ client_id: 'client-1', email: 'ann_b@example.com', reason: 'unsubscribe' });
+  });
+
+  test('does nothing for a forged token', async () => {
+    const { unsubscribe, supabaseStub } = loadUnsubscribe(configured);
+
+    expect(await unsubscribe('forged.token')).toBeNull();
+    expect(supabaseStub.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,77 @@
+-- Durable outbound email queue
+-- Each queued message is an email_logs row; email_jobs groups the messages of one request
+
+-- Create email_jobs table
+CREATE TABLE IF NOT EXISTS email_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  type TEXT NOT NULL DEFAULT 'single' CHECK (type IN ('single', 'bulk', 'campaign')),
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+  total INTEGER NOT NULL DEFAULT 0,
+  campaign_id UUID,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_jobs_status ON email_jobs(status);
+CREATE INDEX idx_email_jobs_campaign_id ON email_jobs(campaign_id);
+
+CREATE TRIGGER update_email_jobs_updated_at BEFORE UPDATE ON email_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Queued rows have no sender or send time yet
+ALTER TABLE email_logs ALTER COLUMN from_email DROP NOT NULL;
+ALTER TABLE email_logs ALTER COLUMN sent_at DROP NOT NULL;
+
+-- Allow the queue lifecycle statuses
+ALTER TABLE email_logs DROP CONSTRAINT IF EXISTS email_logs_status_check;
+ALTER TABLE email_logs ADD CONSTRAINT email_logs_status_check
+  CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'dead'));
+
+-- Queue columns
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES email_jobs(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS payload JSONB,
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS locked_by TEXT,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE INDEX idx_email_logs_job_id ON email_logs(job_id);
+CREATE INDEX idx_email_logs_next_attempt ON email_logs(next_attempt_at) WHERE status IN ('queued', 'sending');
+
+-- Atomically claim due messages for a worker.
+-- Rows stuck in 'sending' past their lock (crashed worker) are picked up again.
+CREATE OR REPLACE FUNCTION claim_email_queue(
+  p_worker TEXT,
+  p_limit INTEGER,
+  p_lock_seconds INTEGER
+) RETURNS SETOF email_logs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE email_logs
+  SET status = 'sending',
+      locked_by = p_worker,
+      locked_until = NOW() + make_interval(secs => p_lock_seconds),
+      attempts = email_logs.attempts + 1
+  WHERE email_logs.id IN (
+    SELECT l.id FROM email_logs l
+    WHERE (l.status = 'queued' AND l.next_attempt_at <= NOW())
+       OR (l.status = 'sending' AND l.locked_until < NOW())
+    ORDER BY l.next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING email_logs.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Per-status message counts for a job
+CREATE OR REPLACE FUNCTION email_job_summary(p_job_id UUID)
+RETURNS TABLE (status TEXT, count BIGINT) AS $$
+  SELECT l.status, COUNT(*) FROM email_logs l
+  WHERE l.job_id = p_job_id
+  GROUP BY l.status;
+$$ LANGUAGE sql STABLE;
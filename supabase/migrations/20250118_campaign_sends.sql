@@ -0,0 +1,47 @@
+-- Persisted campaign schedule: one row per schedule[] entry of an email_campaigns row
+CREATE TABLE IF NOT EXISTS email_campaign_sends (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  campaign_id UUID REFERENCES email_campaigns(id) ON DELETE CASCADE NOT NULL,
+  schedule_index INTEGER NOT NULL,
+  send_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+  job_id UUID REFERENCES email_jobs(id) ON DELETE SET NULL,
+  claimed_by TEXT,
+  claimed_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  results JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(campaign_id, schedule_index)
+);
+
+CREATE INDEX idx_email_campaign_sends_due ON email_campaign_sends(send_at) WHERE status = 'pending';
+CREATE INDEX idx_email_campaign_sends_campaign_id ON email_campaign_sends(campaign_id);
+CREATE INDEX idx_email_campaign_sends_job_id ON email_campaign_sends(job_id);
+
+CREATE TRIGGER update_email_campaign_sends_updated_at BEFORE UPDATE ON email_campaign_sends
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim due sends. SKIP LOCKED plus the status flip means each send is
+-- handed to exactly one instance even when several run the scheduler.
+CREATE OR REPLACE FUNCTION claim_due_campaign_sends(
+  p_worker TEXT,
+  p_limit INTEGER
+) RETURNS SETOF email_campaign_sends AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE email_campaign_sends
+  SET status = 'running',
+      claimed_by = p_worker,
+      claimed_at = NOW()
+  WHERE email_campaign_sends.id IN (
+    SELECT s.id FROM email_campaign_sends s
+    WHERE s.status = 'pending' AND s.send_at <= NOW()
+    ORDER BY s.send_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING email_campaign_sends.*;
+END;
+$$ LANGUAGE plpgsql;
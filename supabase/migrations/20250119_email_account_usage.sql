@@ -0,0 +1,25 @@
+-- Sending accounts registered by the email orchestrator, shared by all instances
+CREATE TABLE IF NOT EXISTS email_accounts (
+  email TEXT PRIMARY KEY,
+  provider TEXT NOT NULL DEFAULT 'gmail',
+  daily_limit INTEGER NOT NULL,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TRIGGER update_email_accounts_updated_at BEFORE UPDATE ON email_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Usage is derived from email_logs so every instance sees the same counts
+CREATE INDEX idx_email_logs_sent_via_sent_at ON email_logs(sent_via, sent_at DESC) WHERE status = 'sent';
+
+-- Sends per account since p_since (Gmail quotas are a rolling 24h window)
+CREATE OR REPLACE FUNCTION email_account_usage(p_since TIMESTAMPTZ)
+RETURNS TABLE (sent_via TEXT, sent_count BIGINT, oldest_sent_at TIMESTAMPTZ) AS $$
+  SELECT l.sent_via, COUNT(*), MIN(l.sent_at) FROM email_logs l
+  WHERE l.status = 'sent'
+    AND l.sent_at >= p_since
+    AND l.sent_via IS NOT NULL
+  GROUP BY l.sent_via;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,3 @@
+-- Campaigns created in sandbox mode are captured instead of delivered
+ALTER TABLE email_campaigns
+ADD COLUMN IF NOT EXISTS sandbox BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,59 @@
+-- Open and click tracking for outbound email
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS campaign_id UUID;
+
+CREATE INDEX idx_email_logs_campaign_id ON email_logs(campaign_id);
+
+-- Create email_events table
+CREATE TABLE IF NOT EXISTS email_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  log_id UUID REFERENCES email_logs(id) ON DELETE CASCADE NOT NULL,
+  campaign_id UUID,
+  type TEXT NOT NULL CHECK (type IN ('open', 'click')),
+  url TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_events_log_id ON email_events(log_id);
+CREATE INDEX idx_email_events_campaign_id ON email_events(campaign_id, created_at DESC);
+CREATE INDEX idx_email_events_type ON email_events(type);
+
+-- Engagement totals, per-link clicks and daily series for one campaign
+CREATE OR REPLACE FUNCTION email_campaign_engagement(
+  p_campaign_id UUID,
+  p_start TIMESTAMPTZ DEFAULT NULL,
+  p_end TIMESTAMPTZ DEFAULT NULL
+) RETURNS JSONB AS $$
+  WITH ev AS (
+    SELECT * FROM email_events
+    WHERE campaign_id = p_campaign_id
+      AND (p_start IS NULL OR created_at >= p_start)
+      AND (p_end IS NULL OR created_at <= p_end)
+  )
+  SELECT jsonb_build_object(
+    'opens', (SELECT COUNT(*) FROM ev WHERE type = 'open'),
+    'unique_opens', (SELECT COUNT(DISTINCT log_id) FROM ev WHERE type = 'open'),
+    'clicks', (SELECT COUNT(*) FROM ev WHERE type = 'click'),
+    'unique_clicks', (SELECT COUNT(DISTINCT log_id) FROM ev WHERE type = 'click'),
+    'links', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('url', url, 'clicks', clicks, 'unique_clicks', unique_clicks) ORDER BY clicks DESC)
+      FROM (
+        SELECT url, COUNT(*) AS clicks, COUNT(DISTINCT log_id) AS unique_clicks
+        FROM ev WHERE type = 'click'
+        GROUP BY url
+      ) links
+    ), '[]'::jsonb),
+    'daily', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('date', day, 'opens', opens, 'clicks', clicks) ORDER BY day)
+      FROM (
+        SELECT created_at::date AS day,
+               COUNT(*) FILTER (WHERE type = 'open') AS opens,
+               COUNT(*) FILTER (WHERE type = 'click') AS clicks
+        FROM ev
+        GROUP BY 1
+      ) daily
+    ), '[]'::jsonb)
+  );
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,31 @@
+-- Addresses we must not mail. client_id NULL means suppressed for everyone
+-- (hard bounces, complaints); otherwise only for that client's sends.
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  client_id UUID,
+  email TEXT NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('hard_bounce', 'complaint', 'unsubscribe', 'manual')),
+  source TEXT,
+  details JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_email_suppressions_client_email
+  ON email_suppressions(COALESCE(client_id, '00000000-0000-0000-0000-000000000000'::uuid), lower(email));
+CREATE INDEX idx_email_suppressions_email ON email_suppressions(lower(email));
+
+-- Suppressed recipients are logged as skipped instead of sent
+ALTER TABLE email_logs DROP CONSTRAINT IF EXISTS email_logs_status_check;
+ALTER TABLE email_logs ADD CONSTRAINT email_logs_status_check
+  CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'dead', 'skipped'));
+
+-- Bounces and complaints are recorded alongside opens and clicks
+ALTER TABLE email_events ALTER COLUMN log_id DROP NOT NULL;
+ALTER TABLE email_events DROP CONSTRAINT IF EXISTS email_events_type_check;
+ALTER TABLE email_events ADD CONSTRAINT email_events_type_check
+  CHECK (type IN ('open', 'click', 'bounce', 'complaint'));
+ALTER TABLE email_events
+ADD COLUMN IF NOT EXISTS email TEXT,
+ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
+
+CREATE INDEX idx_email_logs_message_id ON email_logs(message_id);
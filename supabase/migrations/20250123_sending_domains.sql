@@ -0,0 +1,24 @@
+-- Domains we send as: the agency domain (client_id NULL) and client domains.
+-- dkim_private_key is encrypted with ENCRYPTION_KEY (src/lib/crypto.ts).
+CREATE TABLE IF NOT EXISTS email_sending_domains (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  domain TEXT NOT NULL UNIQUE,
+  client_id UUID,
+  dkim_selector TEXT NOT NULL DEFAULT 'bowery',
+  dkim_private_key TEXT NOT NULL,
+  dkim_public_key TEXT NOT NULL,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'failed')),
+  -- Messages are only signed once the DKIM record is published
+  dkim_verified BOOLEAN DEFAULT false,
+  dns_results JSONB,
+  dns_checked_at TIMESTAMPTZ,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_sending_domains_client_id ON email_sending_domains(client_id);
+CREATE INDEX idx_email_sending_domains_status ON email_sending_domains(status);
+
+CREATE TRIGGER update_email_sending_domains_updated_at BEFORE UPDATE ON email_sending_domains
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,10 @@
+-- Sending account health, shared by all instances. A quarantined account is
+-- skipped by rotation until quarantined_until passes (or a verify clears it).
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS health_status TEXT DEFAULT 'healthy' CHECK (health_status IN ('healthy', 'degraded', 'quarantined')),
+ADD COLUMN IF NOT EXISTS quarantined_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_error TEXT,
+ADD COLUMN IF NOT EXISTS last_error_class TEXT CHECK (last_error_class IN ('auth', 'quota', 'transient', 'message')),
+ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMPTZ;
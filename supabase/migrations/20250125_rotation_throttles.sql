@@ -0,0 +1,47 @@
+-- Sticky rotation looks up which account last mailed a recipient. to_email
+-- keeps what the caller sent ("Name" <A@B.com>, lists), so the first
+-- recipient is also stored normalized (lower-case bare address)
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS recipient TEXT;
+
+UPDATE email_logs
+SET recipient = lower(trim(COALESCE(
+  substring(split_part(to_email, ',', 1) from '<([^>]+)>'),
+  split_part(to_email, ',', 1)
+)))
+WHERE recipient IS NULL AND to_email IS NOT NULL;
+
+CREATE INDEX idx_email_logs_recipient_sent_at ON email_logs(recipient, sent_at DESC) WHERE status = 'sent';
+
+-- Per-recipient-domain send counters, one row per domain per minute
+CREATE TABLE IF NOT EXISTS email_domain_throttle (
+  domain TEXT NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  sent INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (domain, window_start)
+);
+
+-- Take a slot for p_domain in the current minute if fewer than p_limit are
+-- taken. Returns 0 when reserved, otherwise the seconds until the next window.
+CREATE OR REPLACE FUNCTION reserve_domain_send(p_domain TEXT, p_limit INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_window TIMESTAMPTZ := date_trunc('minute', NOW());
+  v_sent INTEGER;
+BEGIN
+  INSERT INTO email_domain_throttle (domain, window_start, sent)
+  VALUES (p_domain, v_window, 1)
+  ON CONFLICT (domain, window_start) DO UPDATE
+    SET sent = email_domain_throttle.sent + 1
+    WHERE email_domain_throttle.sent < p_limit
+  RETURNING sent INTO v_sent;
+
+  -- Old windows are only needed for the current minute
+  DELETE FROM email_domain_throttle WHERE window_start < v_window - INTERVAL '1 hour';
+
+  IF v_sent IS NULL THEN
+    RETURN CEIL(EXTRACT(EPOCH FROM (v_window + INTERVAL '1 minute' - NOW())))::INTEGER;
+  END IF;
+
+  RETURN 0;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,80 @@
+-- Support tickets opened from mail to support@
+CREATE TABLE IF NOT EXISTS support_tickets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  subject TEXT NOT NULL,
+  requester_email TEXT NOT NULL,
+  requester_name TEXT,
+  status TEXT DEFAULT 'open' CHECK (status IN ('open', 'pending', 'resolved', 'closed')),
+  customer_id UUID REFERENCES public.customers(id) ON DELETE SET NULL,
+  source TEXT DEFAULT 'email',
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_support_tickets_status ON support_tickets(status);
+CREATE INDEX idx_support_tickets_requester_email ON support_tickets(lower(requester_email));
+
+CREATE TRIGGER update_support_tickets_updated_at BEFORE UPDATE ON support_tickets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Every message in or out of an agency mailbox. The table already exists
+-- where outgoing mail has been logged (type, content, to_email, status,
+-- email_provider_id, ...); those columns stay as they are and inbound mail
+-- adds its own.
+CREATE TABLE IF NOT EXISTS communication_logs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  type TEXT,
+  direction TEXT,
+  subject TEXT,
+  content TEXT,
+  from_email TEXT,
+  to_email TEXT,
+  status TEXT,
+  email_provider_id TEXT,
+  template_used TEXT,
+  is_automated BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE communication_logs
+ADD COLUMN IF NOT EXISTS direction TEXT,
+ADD COLUMN IF NOT EXISTS channel TEXT DEFAULT 'email',
+-- Alias key from boweryEmails (support, billing, ...) and the route it took
+ADD COLUMN IF NOT EXISTS alias TEXT,
+ADD COLUMN IF NOT EXISTS route TEXT CHECK (route IN ('lead', 'ticket', 'billing', 'log')),
+ADD COLUMN IF NOT EXISTS status TEXT,
+ADD COLUMN IF NOT EXISTS error TEXT,
+ADD COLUMN IF NOT EXISTS from_email TEXT,
+ADD COLUMN IF NOT EXISTS from_name TEXT,
+ADD COLUMN IF NOT EXISTS to_emails TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS cc_emails TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS subject TEXT,
+ADD COLUMN IF NOT EXISTS body_text TEXT,
+ADD COLUMN IF NOT EXISTS body_html TEXT,
+ADD COLUMN IF NOT EXISTS message_id TEXT,
+ADD COLUMN IF NOT EXISTS in_reply_to TEXT,
+ADD COLUMN IF NOT EXISTS message_references TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS headers JSONB DEFAULT '{}'::jsonb,
+-- [{ filename, contentType, size, bucket, path, stored }]
+ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES public.contacts(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS ticket_id UUID REFERENCES support_tickets(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES public.customers(id) ON DELETE SET NULL,
+-- webhook, smtp
+ADD COLUMN IF NOT EXISTS source TEXT,
+ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb,
+ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Inbound rows are 'received', then 'routed' or 'failed'; outgoing rows keep
+-- the statuses they were logged with ('sent', ...). A status check left over
+-- from the outgoing-only table would reject the inbound ones.
+ALTER TABLE communication_logs DROP CONSTRAINT IF EXISTS communication_logs_status_check;
+
+-- A message delivered twice (retries, several aliases) is stored once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_communication_logs_incoming_message_id ON communication_logs(message_id)
+  WHERE direction = 'incoming' AND message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_communication_logs_alias ON communication_logs(alias, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_communication_logs_ticket_id ON communication_logs(ticket_id);
+CREATE INDEX IF NOT EXISTS idx_communication_logs_customer_id ON communication_logs(customer_id);
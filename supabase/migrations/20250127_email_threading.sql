@@ -0,0 +1,42 @@
+-- Conversations: a thread is named after its first message's row id
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS thread_id UUID,
+ADD COLUMN IF NOT EXISTS in_reply_to TEXT,
+ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ;
+
+CREATE INDEX idx_email_logs_thread_id ON email_logs(thread_id);
+
+ALTER TABLE communication_logs
+ADD COLUMN IF NOT EXISTS thread_id UUID,
+-- The email_logs message this one answers
+ADD COLUMN IF NOT EXISTS log_id UUID REFERENCES email_logs(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_communication_logs_thread_id ON communication_logs(thread_id);
+CREATE INDEX idx_communication_logs_message_id ON communication_logs(message_id);
+
+-- Recipients who answered one of our messages; drip sequences and campaign
+-- follow-ups stop for them
+CREATE TABLE IF NOT EXISTS email_replies (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  email TEXT NOT NULL,
+  log_id UUID REFERENCES email_logs(id) ON DELETE CASCADE,
+  campaign_id UUID,
+  communication_log_id UUID REFERENCES communication_logs(id) ON DELETE SET NULL,
+  message_id TEXT,
+  replied_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_email_replies_message ON email_replies(log_id, message_id);
+CREATE INDEX idx_email_replies_email ON email_replies(email, replied_at DESC);
+CREATE INDEX idx_email_replies_campaign_id ON email_replies(campaign_id);
+
+ALTER TABLE email_events DROP CONSTRAINT IF EXISTS email_events_type_check;
+ALTER TABLE email_events ADD CONSTRAINT email_events_type_check
+  CHECK (type IN ('open', 'click', 'bounce', 'complaint', 'reply'));
+
+-- Where the reply poller got to in each account's INBOX
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_uid_validity BIGINT,
+ADD COLUMN IF NOT EXISTS imap_last_uid BIGINT,
+ADD COLUMN IF NOT EXISTS imap_checked_at TIMESTAMPTZ;
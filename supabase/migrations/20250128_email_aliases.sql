@@ -0,0 +1,96 @@
+-- Signature templates (template engine syntax). Without agency_id/client_id
+-- they belong to Bowery itself.
+CREATE TABLE IF NOT EXISTS email_signatures (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  agency_id UUID,
+  client_id UUID,
+  name TEXT NOT NULL,
+  html_template TEXT NOT NULL,
+  text_template TEXT,
+  -- Used by aliases in the same scope that don't pick a signature
+  is_default BOOLEAN DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_email_signatures_scope_name ON email_signatures(
+  COALESCE(agency_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  COALESCE(client_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  name
+);
+
+CREATE TRIGGER update_email_signatures_updated_at BEFORE UPDATE ON email_signatures
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Sending aliases: the address mail appears to come from and the account
+-- (actual_sender) that really sends it
+CREATE TABLE IF NOT EXISTS email_aliases (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  agency_id UUID,
+  client_id UUID,
+  alias TEXT NOT NULL,
+  email TEXT NOT NULL,
+  name TEXT NOT NULL,
+  title TEXT,
+  actual_sender TEXT NOT NULL,
+  signature_id UUID REFERENCES email_signatures(id) ON DELETE SET NULL,
+  active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_email_aliases_scope_alias ON email_aliases(
+  COALESCE(agency_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  COALESCE(client_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  alias
+);
+CREATE UNIQUE INDEX idx_email_aliases_scope_email ON email_aliases(
+  COALESCE(agency_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  COALESCE(client_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  lower(email)
+);
+CREATE INDEX idx_email_aliases_client_id ON email_aliases(client_id);
+
+CREATE TRIGGER update_email_aliases_updated_at BEFORE UPDATE ON email_aliases
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Bowery's own signature and aliases (previously hard-coded in boweryEmails.js)
+INSERT INTO email_signatures (name, html_template, text_template, is_default)
+VALUES (
+  'bowery-default',
+  '<div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0;">
+  <p style="margin: 0; font-weight: bold; color: #333;">{{name}}</p>
+  {{#if title}}<p style="margin: 0; color: #666;">{{title}}</p>{{/if}}
+  <p style="margin: 10px 0 0 0;">
+    <strong>{{company}}</strong>{{#if website}}<br>
+    <a href="{{website}}" style="color: #007bff;">{{website_label}}</a>{{/if}}
+  </p>
+</div>',
+  '{{name}}{{#if title}}
+{{title}}{{/if}}
+{{company}}{{#if website}}
+{{website_label}}{{/if}}',
+  true
+)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO email_aliases (alias, email, name, title, actual_sender)
+VALUES
+  ('jgolden', 'jgolden@bowerycreativeagency.com', 'Jason Golden', 'Founder & CEO', 'jgolden@bowerycreativeagency.com'),
+  ('jason', 'jason@bowerycreativeagency.com', 'Jason Golden', 'Founder & CEO', 'jgolden@bowerycreativeagency.com'),
+  ('emily', 'emily@bowerycreativeagency.com', 'Emily Carter', 'Creative Director', 'jgolden@bowerycreativeagency.com'),
+  ('hello', 'hello@bowerycreativeagency.com', 'Bowery Creative', 'Creative Agency', 'jgolden@bowerycreativeagency.com'),
+  ('info', 'info@bowerycreativeagency.com', 'Bowery Creative', 'Information', 'jgolden@bowerycreativeagency.com'),
+  ('support', 'support@bowerycreativeagency.com', 'Bowery Support', 'Client Support', 'jgolden@bowerycreativeagency.com'),
+  ('billing', 'billing@bowerycreativeagency.com', 'Bowery Billing', 'Billing Department', 'jgolden@bowerycreativeagency.com'),
+  ('design', 'design@bowerycreativeagency.com', 'Bowery Design', 'Design Services', 'jgolden@bowerycreativeagency.com'),
+  ('development', 'development@bowerycreativeagency.com', 'Bowery Development', 'Development Team', 'jgolden@bowerycreativeagency.com'),
+  ('marketing', 'marketing@bowerycreativeagency.com', 'Bowery Marketing', 'Marketing Team', 'jgolden@bowerycreativeagency.com'),
+  ('projects', 'projects@bowerycreativeagency.com', 'Bowery Projects', 'Project Management', 'jgolden@bowerycreativeagency.com'),
+  ('newbusiness', 'newbusiness@bowerycreativeagency.com', 'Bowery New Business', 'Business Development', 'jgolden@bowerycreativeagency.com'),
+  ('noreply', 'noreply@bowerycreativeagency.com', 'Bowery Creative', 'Automated Message', 'jgolden@bowerycreativeagency.com'),
+  ('notifications', 'notifications@bowerycreativeagency.com', 'Bowery Notifications', 'System Notifications', 'jgolden@bowerycreativeagency.com'),
+  ('team', 'team@bowerycreativeagency.com', 'Bowery Team', 'The Team', 'jgolden@bowerycreativeagency.com'),
+  ('careers', 'careers@bowerycreativeagency.com', 'Bowery Careers', 'Career Opportunities', 'jgolden@bowerycreativeagency.com'),
+  ('press', 'press@bowerycreativeagency.com', 'Bowery Press', 'Press Inquiries', 'jgolden@bowerycreativeagency.com')
+ON CONFLICT DO NOTHING;
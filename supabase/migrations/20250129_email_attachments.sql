@@ -0,0 +1,18 @@
+-- Uploaded attachments, referenced by id from send requests. The bytes live
+-- in Supabase Storage or on local disk (storage says which); storage_key is
+-- the object path / file name there.
+CREATE TABLE IF NOT EXISTS email_attachments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  client_id UUID,
+  filename TEXT NOT NULL,
+  -- Sniffed from the content, not taken from the uploader
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  sha256 TEXT NOT NULL,
+  storage TEXT NOT NULL CHECK (storage IN ('supabase', 'local')),
+  storage_key TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_attachments_client_id ON email_attachments(client_id);
+CREATE INDEX idx_email_attachments_created_at ON email_attachments(created_at);
@@ -0,0 +1,18 @@
+-- Idempotency-Key header on send routes: the first request's response is
+-- kept and replayed to retries with the same key and body
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  key TEXT NOT NULL,
+  -- "POST /api/emails/bulk", "POST /api/email/campaigns/<id>/send", ...
+  endpoint TEXT NOT NULL,
+  -- sha256 of the body, query and client id
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (key, endpoint)
+);
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
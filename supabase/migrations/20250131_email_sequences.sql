@@ -0,0 +1,121 @@
+-- Drip sequences: ordered steps that contacts enter on a trigger and move
+-- through one by one
+CREATE TABLE IF NOT EXISTS email_sequences (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  client_id UUID,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('draft', 'active', 'paused', 'archived')),
+  trigger_type TEXT NOT NULL DEFAULT 'manual'
+    CHECK (trigger_type IN ('contact_created', 'onboarding_step_completed', 'tag_added', 'manual')),
+  -- { "step_name": "proposal" } or { "tag": "webinar" }
+  trigger_config JSONB DEFAULT '{}'::jsonb,
+  -- { "on_reply": true, "contact_status": ["converted"], "tags": ["customer"] }
+  exit_rules JSONB DEFAULT '{"on_reply": true}'::jsonb,
+  from_email TEXT,
+  -- Whether a contact who finished or left can enter again
+  allow_reentry BOOLEAN DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_sequences_trigger ON email_sequences(trigger_type) WHERE status = 'active';
+
+CREATE TRIGGER update_email_sequences_updated_at BEFORE UPDATE ON email_sequences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- type email:  { subject, html, text } or { templateId }
+--      wait:   { duration: "3d" }
+--      branch: { condition: opened|clicked|replied, step, then, else }
+--      exit:   {}
+CREATE TABLE IF NOT EXISTS email_sequence_steps (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  sequence_id UUID REFERENCES email_sequences(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('email', 'wait', 'branch', 'exit')),
+  config JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(sequence_id, position)
+);
+
+-- One contact's way through a sequence. history is a list of
+-- { position, type, at, ... } entries, one per step run.
+CREATE TABLE IF NOT EXISTS email_sequence_enrollments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  sequence_id UUID REFERENCES email_sequences(id) ON DELETE CASCADE NOT NULL,
+  contact_id UUID,
+  email TEXT NOT NULL,
+  name TEXT,
+  variables JSONB DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'exited', 'failed')),
+  current_step INTEGER NOT NULL DEFAULT 0,
+  next_run_at TIMESTAMPTZ,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  history JSONB DEFAULT '[]'::jsonb,
+  trigger JSONB,
+  exit_reason TEXT,
+  error TEXT,
+  claimed_by TEXT,
+  claimed_at TIMESTAMPTZ,
+  enrolled_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A contact is in a sequence at most once at a time
+CREATE UNIQUE INDEX idx_email_sequence_enrollments_active
+  ON email_sequence_enrollments(sequence_id, lower(email)) WHERE status = 'active';
+CREATE INDEX idx_email_sequence_enrollments_due
+  ON email_sequence_enrollments(next_run_at) WHERE status = 'active';
+CREATE INDEX idx_email_sequence_enrollments_contact_id ON email_sequence_enrollments(contact_id);
+CREATE INDEX idx_email_sequence_enrollments_email ON email_sequence_enrollments(lower(email));
+
+CREATE TRIGGER update_email_sequence_enrollments_updated_at BEFORE UPDATE ON email_sequence_enrollments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Claim due enrollments, like claim_due_campaign_sends. A claim older than
+-- p_stale_seconds belongs to an instance that died and can be taken over.
+CREATE OR REPLACE FUNCTION claim_due_sequence_enrollments(
+  p_worker TEXT,
+  p_limit INTEGER,
+  p_stale_seconds INTEGER DEFAULT 300
+) RETURNS SETOF email_sequence_enrollments AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE email_sequence_enrollments
+  SET claimed_by = p_worker,
+      claimed_at = NOW()
+  WHERE email_sequence_enrollments.id IN (
+    SELECT e.id FROM email_sequence_enrollments e
+    JOIN email_sequences s ON s.id = e.sequence_id
+    WHERE e.status = 'active'
+      AND s.status = 'active'
+      AND e.next_run_at <= NOW()
+      AND (e.claimed_at IS NULL OR e.claimed_at < NOW() - make_interval(secs => p_stale_seconds))
+    ORDER BY e.next_run_at
+    LIMIT p_limit
+    FOR UPDATE OF e SKIP LOCKED
+  )
+  RETURNING email_sequence_enrollments.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Swap a sequence's steps in one transaction, so a failed insert leaves the
+-- old steps in place. p_steps: [{ "position": 0, "type": "email", "config": {...} }]
+CREATE OR REPLACE FUNCTION replace_sequence_steps(
+  p_sequence_id UUID,
+  p_steps JSONB
+) RETURNS VOID AS $$
+BEGIN
+  DELETE FROM email_sequence_steps WHERE sequence_id = p_sequence_id;
+
+  INSERT INTO email_sequence_steps (sequence_id, position, type, config)
+  SELECT p_sequence_id,
+         (step->>'position')::INTEGER,
+         step->>'type',
+         COALESCE(step->'config', '{}'::jsonb)
+  FROM jsonb_array_elements(p_steps) AS step;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Tags drive the tag_added trigger (GET /api/contacts already filters on them)
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
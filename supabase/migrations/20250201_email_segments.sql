@@ -0,0 +1,30 @@
+-- Saved audiences for client campaigns. filter is the segment DSL:
+--   { "all": [ { "field": "tags", "op": "includes", "value": "implants" },
+--              { "field": "attributes.last_visit", "op": "older_than", "value": "26w" },
+--              { "not": { "engagement": "opened", "within": "30d" } } ] }
+CREATE TABLE IF NOT EXISTS email_segments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  client_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  filter JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(client_id, name)
+);
+
+CREATE INDEX idx_email_segments_client_id ON email_segments(client_id);
+
+CREATE TRIGGER update_email_segments_updated_at BEFORE UPDATE ON email_segments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- A campaign without a segment goes to every subscribed contact. A segment
+-- in use can't be deleted, so a campaign never silently widens to everyone.
+ALTER TABLE email_campaigns
+ADD COLUMN IF NOT EXISTS segment_id UUID REFERENCES email_segments(id) ON DELETE RESTRICT;
+
+CREATE INDEX idx_email_campaigns_segment_id ON email_campaigns(segment_id);
+
+-- Tags and custom attributes segments filter on
+ALTER TABLE IF EXISTS client_contacts ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE IF EXISTS client_contacts ADD COLUMN IF NOT EXISTS attributes JSONB DEFAULT '{}'::jsonb;
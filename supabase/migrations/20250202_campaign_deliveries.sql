@@ -0,0 +1,58 @@
+-- Background delivery of a client campaign (POST /api/email/campaigns/:id/send).
+-- Progress counts are updated as it runs; a delivery whose worker stops
+-- sending heartbeats is picked up by another instance, which skips everyone
+-- already in email_campaign_logs.
+CREATE TABLE IF NOT EXISTS email_campaign_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  campaign_id UUID NOT NULL,
+  client_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  total INTEGER NOT NULL DEFAULT 0,
+  sent INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  claimed_by TEXT,
+  heartbeat_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One unfinished delivery per campaign
+CREATE UNIQUE INDEX idx_email_campaign_deliveries_active
+  ON email_campaign_deliveries(campaign_id) WHERE status IN ('queued', 'running');
+CREATE INDEX idx_email_campaign_deliveries_campaign_id
+  ON email_campaign_deliveries(campaign_id, created_at DESC);
+
+CREATE TRIGGER update_email_campaign_deliveries_updated_at BEFORE UPDATE ON email_campaign_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Resuming looks up who a campaign already went to
+CREATE INDEX IF NOT EXISTS idx_email_campaign_logs_campaign_recipient
+  ON email_campaign_logs(campaign_id, recipient_email);
+
+-- Claim one delivery: a queued one, or a running one whose worker died
+CREATE OR REPLACE FUNCTION claim_campaign_delivery(
+  p_worker TEXT,
+  p_stale_seconds INTEGER DEFAULT 120
+) RETURNS SETOF email_campaign_deliveries AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE email_campaign_deliveries
+  SET status = 'running',
+      claimed_by = p_worker,
+      heartbeat_at = NOW(),
+      started_at = COALESCE(email_campaign_deliveries.started_at, NOW())
+  WHERE email_campaign_deliveries.id IN (
+    SELECT d.id FROM email_campaign_deliveries d
+    WHERE d.status = 'queued'
+       OR (d.status = 'running' AND d.heartbeat_at < NOW() - make_interval(secs => p_stale_seconds))
+    ORDER BY d.created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING email_campaign_deliveries.*;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,89 @@
+-- Pause, resume, cancel and reschedule for campaigns, with an audit trail
+
+-- Campaign statuses used by agency (scheduled) and client (draft/sent) campaigns
+ALTER TABLE email_campaigns DROP CONSTRAINT IF EXISTS email_campaigns_status_check;
+ALTER TABLE email_campaigns ADD CONSTRAINT email_campaigns_status_check
+  CHECK (status IN ('draft', 'scheduled', 'in_progress', 'paused', 'completed', 'sent', 'cancelled'));
+
+-- Queued messages of a paused campaign are held as 'paused'; a cancelled
+-- campaign's unsent messages become 'cancelled'
+ALTER TABLE email_logs DROP CONSTRAINT IF EXISTS email_logs_status_check;
+ALTER TABLE email_logs ADD CONSTRAINT email_logs_status_check
+  CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'dead', 'skipped', 'paused', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_campaign_status ON email_logs(campaign_id, status);
+
+-- Client campaign deliveries can be paused, cancelled and scheduled
+ALTER TABLE email_campaign_deliveries DROP CONSTRAINT IF EXISTS email_campaign_deliveries_status_check;
+ALTER TABLE email_campaign_deliveries ADD CONSTRAINT email_campaign_deliveries_status_check
+  CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled'));
+
+ALTER TABLE email_campaign_deliveries ADD COLUMN IF NOT EXISTS send_at TIMESTAMPTZ;
+
+-- A paused delivery is still unfinished: resume it rather than start another
+DROP INDEX IF EXISTS idx_email_campaign_deliveries_active;
+CREATE UNIQUE INDEX idx_email_campaign_deliveries_active
+  ON email_campaign_deliveries(campaign_id) WHERE status IN ('queued', 'running', 'paused');
+
+-- Queued deliveries wait for send_at
+CREATE OR REPLACE FUNCTION claim_campaign_delivery(
+  p_worker TEXT,
+  p_stale_seconds INTEGER DEFAULT 120
+) RETURNS SETOF email_campaign_deliveries AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE email_campaign_deliveries
+  SET status = 'running',
+      claimed_by = p_worker,
+      heartbeat_at = NOW(),
+      started_at = COALESCE(email_campaign_deliveries.started_at, NOW())
+  WHERE email_campaign_deliveries.id IN (
+    SELECT d.id FROM email_campaign_deliveries d
+    WHERE (d.status = 'queued' AND (d.send_at IS NULL OR d.send_at <= NOW()))
+       OR (d.status = 'running' AND d.heartbeat_at < NOW() - make_interval(secs => p_stale_seconds))
+    ORDER BY d.created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING email_campaign_deliveries.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sends of paused or cancelled campaigns stay where they are
+CREATE OR REPLACE FUNCTION claim_due_campaign_sends(
+  p_worker TEXT,
+  p_limit INTEGER
+) RETURNS SETOF email_campaign_sends AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE email_campaign_sends
+  SET status = 'running',
+      claimed_by = p_worker,
+      claimed_at = NOW()
+  WHERE email_campaign_sends.id IN (
+    SELECT s.id FROM email_campaign_sends s
+    JOIN email_campaigns c ON c.id = s.campaign_id
+    WHERE s.status = 'pending' AND s.send_at <= NOW()
+      AND c.status NOT IN ('paused', 'cancelled')
+    ORDER BY s.send_at
+    LIMIT p_limit
+    FOR UPDATE OF s SKIP LOCKED
+  )
+  RETURNING email_campaign_sends.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Who paused, resumed, cancelled or rescheduled a campaign, and when
+CREATE TABLE IF NOT EXISTS email_campaign_audit (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  campaign_id UUID REFERENCES email_campaigns(id) ON DELETE CASCADE NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('pause', 'resume', 'cancel', 'reschedule')),
+  from_status TEXT,
+  to_status TEXT,
+  actor TEXT NOT NULL,
+  reason TEXT,
+  details JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_email_campaign_audit_campaign_id ON email_campaign_audit(campaign_id, created_at DESC);
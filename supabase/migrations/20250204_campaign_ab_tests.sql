@@ -0,0 +1,49 @@
+-- A/B tests for client campaigns: each variant goes to a share of the test
+-- group, the winner is picked on opens or clicks after a time window and sent
+-- to everyone else.
+
+-- variants: [{ "key": "A", "subject": "...", "html_content": "...", "text_content": "..." }]
+--   (a field left out falls back to the campaign's own)
+-- ab_test: { "test_percent": 20, "metric": "opens" | "clicks", "window": "4h" }
+ALTER TABLE email_campaigns
+ADD COLUMN IF NOT EXISTS variants JSONB,
+ADD COLUMN IF NOT EXISTS ab_test JSONB,
+ADD COLUMN IF NOT EXISTS ab_winner TEXT,
+ADD COLUMN IF NOT EXISTS ab_decided_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS ab_test_results JSONB;
+
+-- Which variant each recipient got, and the email_logs row its opens and
+-- clicks are recorded against
+ALTER TABLE email_campaign_logs
+ADD COLUMN IF NOT EXISTS variant TEXT,
+ADD COLUMN IF NOT EXISTS log_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_email_campaign_logs_variant
+  ON email_campaign_logs(campaign_id, variant) WHERE variant IS NOT NULL;
+
+-- 'test' sends the variants to the test group; 'remainder' picks the winner
+-- and sends it to everyone else
+ALTER TABLE email_campaign_deliveries
+ADD COLUMN IF NOT EXISTS phase TEXT NOT NULL DEFAULT 'full' CHECK (phase IN ('full', 'test', 'remainder'));
+
+-- Sends and unique opens/clicks per variant
+CREATE OR REPLACE FUNCTION email_campaign_variant_results(p_campaign_id UUID)
+RETURNS TABLE (
+  variant TEXT,
+  sent BIGINT,
+  opens BIGINT,
+  unique_opens BIGINT,
+  clicks BIGINT,
+  unique_clicks BIGINT
+) AS $$
+  SELECT l.variant,
+         COUNT(DISTINCT l.id) FILTER (WHERE l.status = 'sent'),
+         COUNT(e.id) FILTER (WHERE e.type = 'open'),
+         COUNT(DISTINCT e.log_id) FILTER (WHERE e.type = 'open'),
+         COUNT(e.id) FILTER (WHERE e.type = 'click'),
+         COUNT(DISTINCT e.log_id) FILTER (WHERE e.type = 'click')
+  FROM email_campaign_logs l
+  LEFT JOIN email_events e ON e.log_id = l.log_id
+  WHERE l.campaign_id = p_campaign_id AND l.variant IS NOT NULL
+  GROUP BY l.variant;
+$$ LANGUAGE sql STABLE;
@@ -1,13 +1,18 @@
-import { sendEmail } from './src/services/emailService.js';
+import { sendEmail, emailService } from './src/services/emailService.js';
 import { boweryEmails } from './src/services/boweryEmails.js';
 
+// Messages are captured locally unless run with --live
+const sandbox = !process.argv.includes('--live');
+
 async function testBoweryEmails() {
   console.log('🚀 Testing Bowery Creative Email System\n');
+  console.log(sandbox ? '🧪 Sandbox mode (pass --live to really send)\n' : '📮 Live mode\n');
 
   try {
     // Test 1: Send as CEO
     console.log('1️⃣ Sending as CEO...');
     const ceoResult = await sendEmail({
+      sandbox,
       from: boweryEmails.getFromAddress('jgolden'),
       to: 'jgolden@bowerycreativeagency.com',
       subject: 'Test: CEO Email from Bowery Creative',
@@ -23,6 +28,7 @@ async function testBoweryEmails() {
     // Test 2: Send as Creative Director
     console.log('\n2️⃣ Sending as Creative Director...');
     const creativeResult = await sendEmail({
+      sandbox,
       from: boweryEmails.getFromAddress('emily'),
       to: 'jgolden@bowerycreativeagency.com',
       subject: 'Test: Creative Brief Ready',
@@ -38,6 +44,7 @@ async function testBoweryEmails() {
     // Test 3: Send as Hello
     console.log('\n3️⃣ Sending as Hello...');
     const helloResult = await sendEmail({
+      sandbox,
       from: boweryEmails.getFromAddress('hello'),
       to: 'jgolden@bowerycreativeagency.com',
       subject: 'Test: Welcome to Bowery Creative',
@@ -63,7 +70,15 @@ async function testBoweryEmails() {
       console.log(`${key.padEnd(15)} → ${addr.email.padEnd(40)} (${addr.name})`);
     });
 
-    console.log('\n✨ All tests complete! Check your inbox.');
+    if (sandbox) {
+      console.log('\n🧪 Captured messages:');
+      (await emailService.sandbox.list()).forEach(message => {
+        console.log(`${message.id}  ${message.from} → ${message.to}  "${message.subject}"`);
+      });
+      console.log('\n✨ All tests complete!');
+    } else {
+      console.log('\n✨ All tests complete! Check your inbox.');
+    }
 
   } catch (error) {
     console.error('❌ Error:', error.message);